@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// HS256 JSON Web Tokens, signed and verified locally with a shared secret.
+// Only HS256 is accepted, so tokens claiming `alg: none` or an asymmetric
+// algorithm are rejected rather than trusted.
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signature(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function invalidToken(message) {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = 'INVALID_TOKEN';
+  return err;
+}
+
+// Sign `claims`, adding iat and exp (`ttlSeconds` from now)
+function signToken(claims, secret, { ttlSeconds = 3600 } = {}) {
+  const iat = Math.floor(Date.now() / 1000);
+  const data = `${encode(HEADER)}.${encode({ ...claims, iat, exp: iat + ttlSeconds })}`;
+  return `${data}.${signature(data, secret)}`;
+}
+
+// Claims of a valid token; throws a 401 for anything malformed, forged,
+// expired or not yet valid
+function verifyToken(token, secret, { clockToleranceSeconds = 30 } = {}) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw invalidToken('Malformed token');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    throw invalidToken('Malformed token');
+  }
+  if (!header || header.alg !== 'HS256') throw invalidToken('Unsupported token algorithm');
+
+  const expected = Buffer.from(signature(`${parts[0]}.${parts[1]}`, secret));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw invalidToken('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + clockToleranceSeconds < now) {
+    throw invalidToken('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - clockToleranceSeconds > now) {
+    throw invalidToken('Token not yet valid');
+  }
+  return claims;
+}
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./jwt');
+
+const SECRET = 'test-secret';
+
+// A token with arbitrary header and claims, signed with SECRET
+function craft(header, claims, secret = SECRET) {
+  const data = [header, claims].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.');
+  return `${data}.${crypto.createHmac('sha256', secret).update(data).digest('base64url')}`;
+}
+
+describe('jwt', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should round-trip claims and add iat and exp', () => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-01-01T00:00:00Z'));
+    const token = signToken({ sub: 'alice', role: 'editor' }, SECRET, { ttlSeconds: 60 });
+
+    expect(verifyToken(token, SECRET)).toEqual({ sub: 'alice', role: 'editor', iat: 1704067200, exp: 1704067260 });
+  });
+
+  it('should reject tokens signed with another secret or tampered with', () => {
+    const token = signToken({ sub: 'alice', role: 'viewer' }, SECRET);
+    const [header, , signature] = token.split('.');
+    const elevated = Buffer.from(JSON.stringify({ sub: 'alice', role: 'admin', exp: 9999999999 })).toString('base64url');
+
+    expect(() => verifyToken(token, 'other-secret')).toThrow('Invalid token signature');
+    expect(() => verifyToken(`${header}.${elevated}.${signature}`, SECRET)).toThrow('Invalid token signature');
+  });
+
+  it('should only accept HS256', () => {
+    const claims = { sub: 'alice', exp: 9999999999 };
+
+    expect(() => verifyToken(craft({ alg: 'none' }, claims), SECRET)).toThrow('Unsupported token algorithm');
+    expect(() => verifyToken(craft({ alg: 'RS256' }, claims), SECRET)).toThrow('Unsupported token algorithm');
+  });
+
+  it('should reject expired, not yet valid and malformed tokens with a 401', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'HS256', typ: 'JWT' };
+
+    expect(() => verifyToken(craft(header, { exp: now - 60 }), SECRET)).toThrow('Token expired');
+    expect(() => verifyToken(craft(header, { exp: now - 10 }), SECRET)).not.toThrow();
+    expect(() => verifyToken(craft(header, {}), SECRET)).toThrow('Token expired');
+    expect(() => verifyToken(craft(header, { exp: now + 60, nbf: now + 60 }), SECRET)).toThrow('Token not yet valid');
+    expect(() => verifyToken('not-a-token', SECRET)).toThrow(expect.objectContaining({ status: 401, code: 'INVALID_TOKEN' }));
+  });
+});
@@ -0,0 +1,12 @@
+// Roles in increasing order of privilege; each includes everything below it.
+// viewer: read, editor: create and update, admin: delete and import.
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const isRole = role => ROLES.includes(role);
+
+// Whether `user` holds `role` or a higher one
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+module.exports = { ROLES, isRole, hasRole };
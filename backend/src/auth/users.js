@@ -0,0 +1,54 @@
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('../utils/atomicWrite');
+const { hashPassword, verifyPassword } = require('./password');
+const { isRole, ROLES } = require('./roles');
+
+// Login accounts, kept as a JSON array of { username, role, passwordHash } in
+// `filePath`. The file is re-read on every lookup, so accounts added with
+// `npm run user:add` work without a restart.
+function createUserStore({ filePath }) {
+  async function readUsers() {
+    try {
+      const users = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (!Array.isArray(users)) throw new Error(`${filePath} does not contain a JSON array`);
+      return users;
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  // The account for `username` if `password` matches it, otherwise null
+  async function authenticate(username, password) {
+    const users = await readUsers();
+    const user = users.find(u => u.username === username);
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return null;
+    }
+    return { username: user.username, role: user.role };
+  }
+
+  // Add an account, or replace the role and password of an existing one
+  async function saveUser({ username, role, password }) {
+    if (!username || !password) {
+      throw new Error('username and password are required');
+    }
+    if (!isRole(role)) {
+      throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    const users = await readUsers();
+    const entry = { username, role, passwordHash: await hashPassword(password) };
+    const index = users.findIndex(u => u.username === username);
+    if (index === -1) {
+      users.push(entry);
+    } else {
+      users[index] = entry;
+    }
+    await writeFileAtomic(filePath, JSON.stringify(users, null, 2));
+    return { username, role };
+  }
+
+  return { authenticate, saveUser };
+}
+
+module.exports = { createUserStore };
@@ -0,0 +1,100 @@
+const path = require('path');
+require('dotenv').config();
+
+// Comma-separated env var -> array
+const list = value => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+// AUTH_API_KEYS="ci:editor:<key>,ops:admin:<key>" -> [{ name, role, key }]
+const apiKeys = value => list(value).map((entry) => {
+  const [name, role, ...key] = entry.split(':');
+  return { name, role, key: key.join(':') };
+});
+
+// CURRENCY_RATES="EUR:0.92,GBP:0.79" -> { EUR: 0.92, GBP: 0.79 }
+const rates = value => Object.fromEntries(list(value).map((entry) => {
+  const [currency, rate] = entry.split(':');
+  return [currency.trim().toUpperCase(), Number(rate)];
+}));
+
+// AUTH_ANONYMOUS_ROLE: viewer when unset, null for "none"
+const anonymousRole = (value = 'viewer') => (value.trim().toLowerCase() === 'none' ? null : value.trim());
+
+// Runtime configuration, read once from the environment (.env is loaded first)
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+module.exports = {
+  port: process.env.PORT || 3001,
+  pagination: {
+    defaultLimit: parseInt(process.env.DEFAULT_PAGE_SIZE, 10) || 10,
+    // Upper bound for ?limit= so one request can't dump the whole catalog
+    maxLimit: parseInt(process.env.MAX_PAGE_SIZE, 10) || 100
+  },
+  log: {
+    // error | warn | info | debug | silent
+    level: process.env.LOG_LEVEL || 'info',
+    // Fields (headers, query params, body keys) whose values are never logged
+    redact: [
+      'authorization', 'cookie', 'set-cookie', 'x-api-key', 'apikey', 'password', 'token', 'secret',
+      'access_token', 'passwordhash',
+      ...list(process.env.LOG_REDACT)
+    ]
+  },
+  events: {
+    // Changes kept for clients resuming with Last-Event-ID
+    historySize: parseInt(process.env.EVENT_HISTORY_SIZE, 10) || 1000,
+    heartbeatMs: parseInt(process.env.EVENT_HEARTBEAT_MS, 10) || 25000
+  },
+  auth: {
+    // HS256 signing key for login tokens. When unset a random key is
+    // generated at startup, so tokens don't survive a restart.
+    jwtSecret: process.env.AUTH_JWT_SECRET || null,
+    tokenTtlSeconds: parseInt(process.env.AUTH_TOKEN_TTL, 10) || 8 * 60 * 60,
+    apiKeys: apiKeys(process.env.AUTH_API_KEYS),
+    // Login accounts, managed with `npm run user:add`
+    usersFile: process.env.AUTH_USERS_FILE || path.join(dataDir, 'users.json'),
+    // Role given to requests without credentials, so the catalog can be read
+    // without logging in as before; AUTH_ANONYMOUS_ROLE=none requires
+    // credentials for every request
+    anonymousRole: anonymousRole(process.env.AUTH_ANONYMOUS_ROLE)
+  },
+  metrics: {
+    // Bearer token a scraper can read GET /metrics with, instead of admin
+    // credentials; none by default
+    token: process.env.METRICS_TOKEN || null
+  },
+  import: {
+    // Largest request body and row count POST /api/items/import accepts
+    maxBytes: parseInt(process.env.IMPORT_MAX_BYTES, 10) || 10 * 1024 * 1024,
+    maxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 50000
+  },
+  currency: {
+    // Prices without a currency are in this one, and stats are reported in it
+    base: (process.env.CURRENCY_BASE || 'USD').toUpperCase(),
+    // Exchange rates (units per 1 of the base) the rates table starts with;
+    // afterwards admins maintain it through PUT /api/rates
+    rates: rates(process.env.CURRENCY_RATES)
+  },
+  stock: {
+    // How long a reservation holds its units unless the request asks otherwise
+    reservationTtlSeconds: parseInt(process.env.RESERVATION_TTL_SECONDS, 10) || 15 * 60
+  },
+  images: {
+    // local | memory
+    store: process.env.IMAGE_STORE || 'local',
+    dir: process.env.IMAGE_DIR || path.join(dataDir, 'images'),
+    // Largest file one upload may contain, and most images per item
+    maxBytes: parseInt(process.env.IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024,
+    maxPerItem: parseInt(process.env.IMAGE_MAX_PER_ITEM, 10) || 20
+  },
+  trash: {
+    // Days deleted items stay restorable before they are purged; 0 keeps them
+    retentionDays: Number(process.env.TRASH_RETENTION_DAYS ?? 30),
+    purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000
+  },
+  storage: {
+    // json | sqlite | memory
+    driver: process.env.STORAGE_DRIVER || 'json',
+    dataDir,
+    sqlitePath: process.env.SQLITE_PATH || path.join(dataDir, 'catalog.sqlite')
+  }
+};
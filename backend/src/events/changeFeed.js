@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// Server-Sent Events feed with a bounded replay history.
+//
+// Every published change gets an id of the form `<feedId>-<seq>`. The feed id
+// is random per process, so a Last-Event-ID from before a restart (or from
+// further back than the history reaches) is recognized as unresumable and
+// the client is told to reload instead of silently missing changes.
+
+// Serialize one SSE message; messages without an id don't move the client's
+// Last-Event-ID
+function formatMessage({ id, event, data }) {
+  let text = '';
+  if (id) text += `id: ${id}\n`;
+  if (event) text += `event: ${event}\n`;
+  return `${text}data: ${JSON.stringify(data)}\n\n`;
+}
+
+function createChangeFeed({ historySize = 1000, heartbeatMs = 25000, retryMs = 3000 } = {}) {
+  const feedId = crypto.randomBytes(4).toString('hex');
+  // [{ seq, messages }], oldest first
+  const history = [];
+  const subscribers = new Set();
+  let seq = 0;
+
+  // Publish messages that belong to one change; only the first carries the id
+  function publish(messages) {
+    seq++;
+    const entry = {
+      seq,
+      messages: messages.map((message, i) => (i === 0 ? { ...message, id: `${feedId}-${seq}` } : message))
+    };
+    history.push(entry);
+    if (history.length > historySize) history.shift();
+
+    const text = entry.messages.map(formatMessage).join('');
+    subscribers.forEach(send => send(text));
+  }
+
+  // Messages after `lastEventId`, or null when they can't all be replayed
+  function since(lastEventId) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId));
+    if (!match || match[1] !== feedId) return null;
+    const last = Number(match[2]);
+    if (last > seq) return null;
+    const oldest = history.length > 0 ? history[0].seq : seq + 1;
+    if (last < oldest - 1) return null;
+    return history.filter(entry => entry.seq > last).flatMap(entry => entry.messages);
+  }
+
+  // Stream the feed to an HTTP response until the client disconnects.
+  // `resetMessage` is sent when a client's Last-Event-ID can't be resumed.
+  function stream(req, res, resetMessage) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keep reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId !== undefined) {
+      const missed = since(lastEventId);
+      const replay = missed === null
+        ? [{ ...resetMessage, id: `${feedId}-${seq}` }]
+        : missed;
+      res.write(replay.map(formatMessage).join(''));
+    }
+
+    const send = (text) => res.write(text);
+    subscribers.add(send);
+    // Comments keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      subscribers.delete(send);
+    });
+  }
+
+  return {
+    publish,
+    since,
+    stream,
+    get subscriberCount() {
+      return subscribers.size;
+    }
+  };
+}
+
+module.exports = { createChangeFeed, formatMessage };
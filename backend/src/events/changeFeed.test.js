@@ -0,0 +1,106 @@
+const http = require('http');
+const express = require('express');
+const { createChangeFeed } = require('./changeFeed');
+
+const RESET = { event: 'reset', data: {} };
+
+// Open the stream and resolve with the first `count` messages
+function readMessages(server, count, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.get({ port, path: '/events', headers }, (res) => {
+      let buffer = '';
+      const messages = [];
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const message = {};
+          for (const line of block.split('\n')) {
+            const [, field, value] = /^([a-z]+): ?(.*)$/.exec(line) || [];
+            if (field === 'data') message.data = JSON.parse(value);
+            else if (field === 'id' || field === 'event') message[field] = value;
+          }
+          if ('data' in message) messages.push(message);
+        }
+        if (messages.length >= count) {
+          req.destroy();
+          resolve({ messages, headers: res.headers });
+        }
+      });
+    });
+    req.on('error', reject);
+    if (count === 0) setTimeout(() => req.destroy(), 50);
+  });
+}
+
+// Wait until the feed has a subscriber, then publish
+async function publishWhenConnected(feed, messages) {
+  while (feed.subscriberCount === 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  feed.publish(messages);
+}
+
+describe('changeFeed', () => {
+  let feed;
+  let server;
+
+  beforeEach((done) => {
+    feed = createChangeFeed({ historySize: 2 });
+    const app = express();
+    app.get('/events', (req, res) => feed.stream(req, res, RESET));
+    server = app.listen(0, done);
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('should stream published changes with ids', async () => {
+    const reading = readMessages(server, 2);
+    await publishWhenConnected(feed, [{ event: 'created', data: { n: 1 } }, { event: 'stats', data: {} }]);
+
+    const { messages, headers } = await reading;
+
+    expect(headers['content-type']).toBe('text/event-stream');
+    expect(messages).toEqual([
+      { id: expect.stringMatching(/-1$/), event: 'created', data: { n: 1 } },
+      { event: 'stats', data: {} }
+    ]);
+  });
+
+  it('should replay changes after Last-Event-ID', async () => {
+    feed.publish([{ event: 'created', data: { n: 1 } }]);
+    feed.publish([{ event: 'created', data: { n: 2 } }]);
+    // An unknown id gets a reset carrying the current id
+    const reset = await readMessages(server, 1, { 'Last-Event-ID': 'nope' });
+    const [feedId] = reset.messages[0].id.split('-');
+    const { messages } = await readMessages(server, 1, { 'Last-Event-ID': `${feedId}-1` });
+
+    expect(messages).toEqual([{ id: `${feedId}-2`, event: 'created', data: { n: 2 } }]);
+  });
+
+  it('should tell clients to reload when their id is too old or from another process', async () => {
+    feed.publish([{ event: 'created', data: { n: 1 } }]);
+    feed.publish([{ event: 'created', data: { n: 2 } }]);
+    feed.publish([{ event: 'created', data: { n: 3 } }]);
+
+    const stale = await readMessages(server, 1, { 'Last-Event-ID': 'deadbeef-1' });
+    expect(stale.messages[0]).toMatchObject({ event: 'reset', id: expect.stringMatching(/-3$/) });
+
+    const [feedId] = stale.messages[0].id.split('-');
+    expect(feed.since(`${feedId}-0`)).toBeNull();
+    expect(feed.since(`${feedId}-1`)).toHaveLength(2);
+  });
+
+  it('should drop subscribers when clients disconnect', async () => {
+    await readMessages(server, 0);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(feed.subscriberCount).toBe(0);
+  });
+});
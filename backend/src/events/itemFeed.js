@@ -0,0 +1,25 @@
+const config = require('../config');
+const itemRepository = require('../repositories/itemRepository');
+const { createChangeFeed } = require('./changeFeed');
+
+// Live feed of item changes for GET /api/items/events. Each repository change
+// becomes an item event followed by `stats-changed`:
+//   item-created / item-updated / item-deleted   data: { item }
+//   items-reset    the data was replaced; clients should reload
+//   stats-changed  data: { revision }; GET /api/stats has new numbers
+const feed = createChangeFeed(config.events);
+
+const RESET = { event: 'items-reset', data: {} };
+
+itemRepository.onChange((change) => {
+  const message = change.type === 'reset'
+    ? RESET
+    : { event: `item-${change.type}`, data: { item: change.item } };
+  feed.publish([message, { event: 'stats-changed', data: { revision: change.revision } }]);
+});
+
+function streamItemEvents(req, res) {
+  feed.stream(req, res, RESET);
+}
+
+module.exports = { streamItemEvents, itemFeed: feed };
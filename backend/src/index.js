@@ -1,26 +1,66 @@
+const config = require('./config');
 const express = require('express');
 const path = require('path');
-const morgan = require('morgan');
 const itemsRouter = require('./routes/items');
+const stockRouter = require('./routes/stock');
+const imagesRouter = require('./routes/images');
 const statsRouter = require('./routes/stats');
+const categoriesRouter = require('./routes/categories');
+const ratesRouter = require('./routes/rates');
+const promotionsRouter = require('./routes/promotions');
+const healthRouter = require('./routes/health');
+const authRouter = require('./routes/auth');
 const cors = require('cors');
-const { getCookie, notFound } = require('./middleware/errorHandler');
-require("dotenv").config();
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { requestLogger } = require('./middleware/logger');
+const { requestMetrics } = require('./middleware/metrics');
+const { authenticate } = require('./middleware/auth');
+const { logger } = require('./logger');
+const { startTrashPurge } = require('./jobs/trashPurge');
 
 const app = express();
-const port = process.env.PORT || 3001;
+const port = config.port;
 
-app.use(cors({ origin: 'http://localhost:3000' }));
+// First, so every request (including CORS failures) gets an id, a log line
+// and is counted. Probes are only logged at debug level.
+app.use(requestLogger({ quietRoutes: ['/healthz', '/readyz', '/metrics'] }));
+app.use(requestMetrics());
+
+// Probes and metrics, for the container platform rather than the browser
+app.use(healthRouter);
+
+// ETag must be exposed for the frontend to send it back in If-Match, and
+// X-Request-Id so failures can be reported with their id
+app.use(cors({ origin: 'http://localhost:3000', exposedHeaders: ['ETag', 'X-Request-Id'] }));
 // Basic middleware
 app.use(express.json());
-app.use(morgan('dev'));
+// Before the authenticator, so stale credentials don't block logging in
+app.use('/api/auth', authRouter);
+// Sets req.user from a Bearer token or API key; routes check roles themselves
+app.use('/api', authenticate());
 
 // Routes
 app.use('/api/items', itemsRouter);
+// Stock levels, ledger and reservations: /api/items/:id/stock, /api/items/:id/reservations
+app.use('/api/items', stockRouter);
+// Image galleries: /api/items/:id/images
+app.use('/api/items', imagesRouter);
 app.use('/api/stats', statsRouter);
+app.use('/api/categories', categoriesRouter);
+app.use('/api/rates', ratesRouter);
+app.use('/api/promotions', promotionsRouter);
 
 // Not Found
 app.use('*', notFound);
-getCookie();
 
-app.listen(port, () => console.log('Backend running on http://localhost:' + port));
\ No newline at end of file
+// Errors (must be registered last)
+app.use(errorHandler);
+
+if (!config.auth.jwtSecret) {
+  logger.warn('AUTH_JWT_SECRET is not set; login tokens will stop working when the server restarts');
+}
+
+// Deleted items are purged once they've been in the trash long enough
+startTrashPurge(config.trash);
+
+app.listen(port, () => logger.info('Backend running on http://localhost:' + port, { port }));
\ No newline at end of file
@@ -0,0 +1,18 @@
+// Why stock levels change, as recorded in the stock ledger. Committing a
+// reservation records a sale.
+const STOCK_REASONS = ['received', 'sold', 'returned', 'damaged', 'correction'];
+
+// in_stock | low_stock (at or below the reorder threshold) | out_of_stock
+const STOCK_STATUSES = ['in_stock', 'low_stock', 'out_of_stock'];
+
+// Units on hand. Items created before stock was tracked have none.
+const stockOf = item => item.stock ?? 0;
+
+// Status of the units on hand; reservations don't change it
+function stockStatus(item) {
+  const stock = stockOf(item);
+  if (stock <= 0) return 'out_of_stock';
+  return stock <= (item.reorderThreshold ?? 0) ? 'low_stock' : 'in_stock';
+}
+
+module.exports = { STOCK_REASONS, STOCK_STATUSES, stockOf, stockStatus };
@@ -0,0 +1,40 @@
+const itemRepository = require('../repositories/itemRepository');
+const { removeItemImages } = require('../repositories/imageRepository');
+const { logger } = require('../logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purge items that have been in the trash for more than `retentionDays`,
+// along with their image files. Returns the number of items purged.
+async function purgeExpiredTrash({ retentionDays, repository = itemRepository, now = Date.now() }) {
+  const purged = await repository.purgeTrash({
+    before: new Date(now - retentionDays * DAY_MS),
+    onPurged: removeItemImages
+  });
+  if (purged > 0) {
+    logger.info('Purged items from the trash', { purged, retentionDays });
+  }
+  return purged;
+}
+
+// Run the purge now and then every `purgeIntervalMs`. A retention of 0 keeps
+// deleted items forever. Returns a function that stops the job.
+function startTrashPurge({ retentionDays, purgeIntervalMs, repository = itemRepository }) {
+  if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+    throw new Error(`TRASH_RETENTION_DAYS must be a number of days, 0 or more (got "${retentionDays}")`);
+  }
+  if (retentionDays === 0) {
+    return () => {};
+  }
+
+  const run = () => purgeExpiredTrash({ retentionDays, repository }).catch((err) => {
+    logger.error('Trash purge failed', { error: err.message });
+  });
+  run();
+  const timer = setInterval(run, purgeIntervalMs);
+  // Don't keep the process alive just for the job
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = { purgeExpiredTrash, startTrashPurge };
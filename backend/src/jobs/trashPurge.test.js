@@ -0,0 +1,48 @@
+// Loading the real repositories would open the configured storage in data/
+jest.mock('../repositories/itemRepository', () => ({ purgeTrash: jest.fn(async () => 0) }));
+jest.mock('../repositories/imageRepository', () => ({ removeItemImages: jest.fn() }));
+
+const { removeItemImages } = require('../repositories/imageRepository');
+const { purgeExpiredTrash, startTrashPurge } = require('./trashPurge');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('trash purge job', () => {
+  const createRepository = () => ({ purgeTrash: jest.fn(async () => 0) });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should purge items deleted more than the retention period ago', async () => {
+    const repository = createRepository();
+    const now = Date.parse('2024-03-31T00:00:00Z');
+
+    await purgeExpiredTrash({ retentionDays: 30, repository, now });
+
+    expect(repository.purgeTrash).toHaveBeenCalledWith({ before: new Date(now - 30 * DAY_MS), onPurged: removeItemImages });
+  });
+
+  it('should run at startup and then on every interval until stopped', () => {
+    jest.useFakeTimers();
+    const repository = createRepository();
+
+    const stop = startTrashPurge({ retentionDays: 7, purgeIntervalMs: 1000, repository });
+    expect(repository.purgeTrash).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(2000);
+    expect(repository.purgeTrash).toHaveBeenCalledTimes(3);
+
+    stop();
+    jest.advanceTimersByTime(5000);
+    expect(repository.purgeTrash).toHaveBeenCalledTimes(3);
+  });
+
+  it('should keep the trash forever with a retention of 0 and reject nonsense', () => {
+    const repository = createRepository();
+
+    startTrashPurge({ retentionDays: 0, purgeIntervalMs: 1000, repository });
+    expect(repository.purgeTrash).not.toHaveBeenCalled();
+    expect(() => startTrashPurge({ retentionDays: NaN, purgeIntervalMs: 1000, repository }))
+      .toThrow('TRASH_RETENTION_DAYS must be a number of days');
+  });
+});
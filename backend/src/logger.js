@@ -0,0 +1,67 @@
+const config = require('./config');
+
+// Structured logging: one JSON object per line, e.g.
+//   {"time":"...","level":"info","msg":"request","requestId":"...",...}
+// error/warn go to stderr and info/debug to stdout. Values of fields named in
+// the redaction list are replaced wherever they appear, including in query
+// strings of logged URLs.
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[REDACTED]';
+
+function isSecret(key, keys) {
+  return keys.includes(String(key).toLowerCase());
+}
+
+// Replace secret query parameter values in a URL or path
+function redactUrl(url, keys) {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return url;
+  const params = new URLSearchParams(url.slice(queryStart + 1));
+  for (const key of new Set(params.keys())) {
+    if (isSecret(key, keys)) params.set(key, REDACTED);
+  }
+  return `${url.slice(0, queryStart)}?${params.toString().replaceAll(encodeURIComponent(REDACTED), REDACTED)}`;
+}
+
+// Copy of `value` with secret fields replaced, at any depth
+function redact(value, keys) {
+  if (Array.isArray(value)) return value.map(v => redact(v, keys));
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => {
+    if (isSecret(key, keys)) return [key, REDACTED];
+    if (key === 'url' && typeof v === 'string') return [key, redactUrl(v, keys)];
+    return [key, redact(v, keys)];
+  }));
+}
+
+function createLogger({ level = 'info', redact: redactKeys = [] } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level "${level}"; expected one of: ${Object.keys(LEVELS).join(', ')}`);
+  }
+  const threshold = LEVELS[level];
+  const keys = redactKeys.map(key => key.toLowerCase());
+
+  function write(entryLevel, msg, fields = {}) {
+    if (LEVELS[entryLevel] > threshold) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level: entryLevel, msg, ...redact(fields, keys) });
+    if (LEVELS[entryLevel] <= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  return {
+    level,
+    error: (msg, fields) => write('error', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    debug: (msg, fields) => write('debug', msg, fields),
+    isEnabled: entryLevel => LEVELS[entryLevel] <= threshold
+  };
+}
+
+const logger = createLogger(config.log);
+
+module.exports = { logger, createLogger, redact, redactUrl, LEVELS };
@@ -0,0 +1,56 @@
+const { createLogger, redact, redactUrl } = require('./logger');
+
+describe('logger', () => {
+  let errorSpy;
+  let logSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+    logSpy.mockRestore();
+  });
+
+  const lines = spy => spy.mock.calls.map(([line]) => JSON.parse(line));
+
+  it('should write one JSON object per line and respect the level', () => {
+    const logger = createLogger({ level: 'warn' });
+
+    logger.info('hidden');
+    logger.warn('careful', { requestId: 'abc' });
+    logger.error('broken');
+
+    expect(logSpy).not.toHaveBeenCalled();
+    expect(lines(errorSpy)).toEqual([
+      { time: expect.any(String), level: 'warn', msg: 'careful', requestId: 'abc' },
+      { time: expect.any(String), level: 'error', msg: 'broken' }
+    ]);
+  });
+
+  it('should send info and debug to stdout', () => {
+    const logger = createLogger({ level: 'debug' });
+
+    logger.debug('details');
+
+    expect(lines(logSpy)[0]).toMatchObject({ level: 'debug', msg: 'details' });
+  });
+
+  it('should reject unknown levels', () => {
+    expect(() => createLogger({ level: 'loud' })).toThrow('Unknown log level "loud"');
+  });
+
+  it('should redact configured fields at any depth and in URLs', () => {
+    const keys = ['authorization', 'token'];
+
+    expect(redact({ headers: { Authorization: 'Bearer x' }, nested: [{ token: 't' }], ok: 1 }, keys)).toEqual({
+      headers: { Authorization: '[REDACTED]' },
+      nested: [{ token: '[REDACTED]' }],
+      ok: 1
+    });
+    expect(redactUrl('/api/items?q=desk&token=s3cret', keys)).toBe('/api/items?q=desk&token=[REDACTED]');
+    expect(redact({ url: '/a?token=1' }, keys)).toEqual({ url: '/a?token=[REDACTED]' });
+  });
+});
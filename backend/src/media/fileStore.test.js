@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalFileStore } = require('./localFileStore');
+const { createMemoryFileStore } = require('./memoryFileStore');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'files-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const stores = {
+  local: () => createLocalFileStore({ dir: path.join(dir, 'images') }),
+  memory: () => createMemoryFileStore()
+};
+
+describe.each(Object.keys(stores))('%s file store', (store) => {
+  let files;
+
+  beforeEach(() => {
+    files = stores[store]();
+  });
+
+  it('should write, replace, read and remove files', async () => {
+    await files.write('items/1/a', Buffer.from('first'));
+    await files.write('items/1/a', Buffer.from('second'));
+
+    expect((await files.read('items/1/a')).toString()).toBe('second');
+    expect(await files.read('items/1/b')).toBeNull();
+
+    await files.remove('items/1/a');
+    await files.remove('items/1/a');
+    expect(await files.read('items/1/a')).toBeNull();
+  });
+});
+
+describe('local file store', () => {
+  it('should keep files under its directory', async () => {
+    const files = stores.local();
+    await files.write('items/1/a-thumbnail', Buffer.from('x'));
+
+    expect(fs.readFileSync(path.join(dir, 'images', 'items', '1', 'a-thumbnail'), 'utf8')).toBe('x');
+    for (const key of ['../escape', 'items/../../escape', '/etc/passwd', 'items//a', '.hidden']) {
+      await expect(files.read(key)).rejects.toThrow(`Invalid file key "${key}"`);
+    }
+  });
+});
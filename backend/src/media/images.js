@@ -0,0 +1,61 @@
+const sharp = require('sharp');
+
+// Formats uploads may be in, by sharp's name for them
+const IMAGE_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+// Larger images are refused before anything decodes them
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+const THUMBNAIL_SIZE = 160;
+const THUMBNAIL_TYPE = 'image/webp';
+
+function unsupportedImage(name) {
+  const err = new Error(`"${name}" is not a JPEG, PNG, WebP or GIF image`);
+  err.status = 415;
+  err.code = 'UNSUPPORTED_MEDIA_TYPE';
+  return err;
+}
+
+// { contentType, width, height } of the image in `buffer`. The format comes
+// from the file's content, not from its name or the type the client sent.
+async function inspectImage(buffer, name) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+  } catch {
+    throw unsupportedImage(name);
+  }
+  const contentType = IMAGE_TYPES[metadata.format];
+  if (!contentType || !metadata.width || !metadata.height) {
+    throw unsupportedImage(name);
+  }
+  if (metadata.width * metadata.height > MAX_PIXELS) {
+    const err = new Error(`"${name}" is larger than ${MAX_PIXELS / 1000 / 1000} megapixels`);
+    err.status = 413;
+    err.code = 'PAYLOAD_TOO_LARGE';
+    throw err;
+  }
+  // Width and height as displayed, after any EXIF rotation
+  const rotated = metadata.orientation >= 5;
+  return {
+    contentType,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height
+  };
+}
+
+// A square WebP of the image's center, for list rows
+function createThumbnail(buffer) {
+  return sharp(buffer, { limitInputPixels: MAX_PIXELS })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .webp()
+    .toBuffer();
+}
+
+module.exports = { IMAGE_TYPES, THUMBNAIL_TYPE, inspectImage, createThumbnail };
@@ -0,0 +1,39 @@
+const config = require('../config');
+const { createLocalFileStore } = require('./localFileStore');
+const { createMemoryFileStore } = require('./memoryFileStore');
+
+// File store contract, for uploaded files that don't belong in a collection.
+// Every store returns an object with:
+//
+//   driver             'local' | 'memory'
+//   write(key, data)   store a Buffer under `key`, replacing any existing file
+//   read(key)          the Buffer stored under `key`, or null if there is none
+//   remove(key)        delete the file under `key`; missing files are ignored
+//
+// Keys are relative paths of '/'-separated segments made of letters, digits,
+// '-', '_' and '.', e.g. items/1/3f2a...-thumbnail.
+
+const STORES = {
+  local: (options) => createLocalFileStore({ dir: options.dir }),
+  memory: () => createMemoryFileStore()
+};
+
+function createFileStore(store, options = config.images) {
+  const factory = STORES[store];
+  if (!factory) {
+    throw new Error(`Unknown file store "${store}". Expected one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  return factory(options);
+}
+
+let fileStore = null;
+
+// The configured store, shared by everything that keeps files
+function getFileStore() {
+  if (!fileStore) {
+    fileStore = createFileStore(config.images.store);
+  }
+  return fileStore;
+}
+
+module.exports = { createFileStore, getFileStore };
@@ -0,0 +1,39 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+
+// Segments may not be empty or start with a dot, so no key escapes `dir`
+const KEY_PATTERN = /^[\w-][\w.-]*(\/[\w-][\w.-]*)*$/;
+
+// Stores each file at `<dir>/<key>`, creating directories as needed
+function createLocalFileStore({ dir }) {
+  const filePath = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid file key "${key}"`);
+    }
+    return path.join(dir, ...key.split('/'));
+  };
+
+  async function write(key, data) {
+    const target = filePath(key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await writeFileAtomic(target, data);
+  }
+
+  async function read(key) {
+    try {
+      return await fs.readFile(filePath(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function remove(key) {
+    await fs.rm(filePath(key), { force: true });
+  }
+
+  return { driver: 'local', write, read, remove };
+}
+
+module.exports = { createLocalFileStore };
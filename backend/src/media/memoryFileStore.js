@@ -0,0 +1,21 @@
+// Non-persistent file store for tests. Buffers are copied on the way in and
+// out, like the memory storage backend does with records.
+function createMemoryFileStore() {
+  const files = new Map();
+
+  async function write(key, data) {
+    files.set(key, Buffer.from(data));
+  }
+
+  async function read(key) {
+    return files.has(key) ? Buffer.from(files.get(key)) : null;
+  }
+
+  async function remove(key) {
+    files.delete(key);
+  }
+
+  return { driver: 'memory', write, read, remove };
+}
+
+module.exports = { createMemoryFileStore };
@@ -0,0 +1,141 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4) and the
+// application's metrics. Counters and histograms are kept per label set;
+// gauges are read from a callback at scrape time.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Label values in a fixed order, so { a, b } and { b, a } are the same series
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    const metric = {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      get(labels = {}) {
+        const entry = series.get(seriesKey(labelNames, labels));
+        return entry ? entry.value : 0;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { labels, value } of series.values()) {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map();
+    const metric = {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((le, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // `collect()` returns the current value, or null to leave it out
+  function gauge({ name, help, collect }) {
+    const metric = {
+      render() {
+        const value = collect();
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+        if (value !== null && value !== undefined) lines.push(`${name} ${value}`);
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function render() {
+    return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+const registry = createRegistry();
+
+const httpRequests = registry.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route pattern and status.',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method and route pattern.',
+  labelNames: ['method', 'route']
+});
+
+const repositoryCache = registry.counter({
+  name: 'repository_cache_requests_total',
+  help: 'Repository reads served from the in-memory cache (hit) or storage (miss).',
+  labelNames: ['collection', 'result']
+});
+
+const statsRebuilds = registry.counter({
+  name: 'stats_rebuilds_total',
+  help: 'Stats computed from a full read: whole-catalog aggregates, the same after discounts, or a filtered query.',
+  labelNames: ['scope']
+});
+
+module.exports = {
+  createRegistry,
+  registry,
+  httpRequests,
+  httpRequestDuration,
+  repositoryCache,
+  statsRebuilds
+};
@@ -0,0 +1,48 @@
+const { createRegistry } = require('./metrics');
+
+describe('metrics', () => {
+  it('should render counters per label set', () => {
+    const registry = createRegistry();
+    const requests = registry.counter({ name: 'requests_total', help: 'Requests.', labelNames: ['route'] });
+
+    requests.inc({ route: '/a' });
+    requests.inc({ route: '/a' });
+    requests.inc({ route: 'say "hi"\n' }, 3);
+
+    expect(requests.get({ route: '/a' })).toBe(2);
+    expect(registry.render()).toBe([
+      '# HELP requests_total Requests.',
+      '# TYPE requests_total counter',
+      'requests_total{route="/a"} 2',
+      'requests_total{route="say \\"hi\\"\\n"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const registry = createRegistry();
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency.', buckets: [0.1, 1] });
+
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+    latency.observe({}, 3);
+
+    expect(registry.render()).toContain([
+      'latency_seconds_bucket{le="0.1"} 1',
+      'latency_seconds_bucket{le="1"} 2',
+      'latency_seconds_bucket{le="+Inf"} 3',
+      'latency_seconds_sum 3.55',
+      'latency_seconds_count 3'
+    ].join('\n'));
+  });
+
+  it('should read gauges at render time and skip unknown values', () => {
+    const registry = createRegistry();
+    let value = null;
+    registry.gauge({ name: 'items_total', help: 'Items.', collect: () => value });
+
+    expect(registry.render()).not.toMatch(/^items_total /m);
+    value = 4;
+    expect(registry.render()).toContain('items_total 4');
+  });
+});
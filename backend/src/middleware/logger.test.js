@@ -0,0 +1,87 @@
+const request = require('supertest');
+const express = require('express');
+const { requestLogger } = require('./logger');
+const { errorHandler } = require('./errorHandler');
+
+const buildApp = (logger) => {
+  const app = express();
+  const router = express.Router();
+  router.get('/:id', (req, res, next) => {
+    const err = new Error('Item not found');
+    err.status = 404;
+    next(err);
+  });
+  app.use(requestLogger({ logger }));
+  app.get('/items/:id', (req, res) => res.json({ id: req.params.id }));
+  app.use('/missing', router);
+  app.get('/boom', () => {
+    throw new Error('database exploded');
+  });
+  app.use(errorHandler);
+  return app;
+};
+
+describe('requestLogger', () => {
+  let logger;
+  let consoleSpy;
+
+  beforeEach(() => {
+    logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() };
+    consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  it('should log method, route, status and latency under a new request id', async () => {
+    const res = await request(buildApp(logger))
+      .get('/items/7?q=x')
+      .expect(200);
+
+    const requestId = res.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(logger.info).toHaveBeenCalledWith('request', expect.objectContaining({
+      requestId,
+      method: 'GET',
+      url: '/items/7?q=x',
+      route: '/items/:id',
+      status: 200,
+      durationMs: expect.any(Number),
+      user: null
+    }));
+  });
+
+  it('should propagate a valid incoming X-Request-Id and replace invalid ones', async () => {
+    let res = await request(buildApp(logger))
+      .get('/items/1')
+      .set('X-Request-Id', 'client-42')
+      .expect(200);
+    expect(res.headers['x-request-id']).toBe('client-42');
+
+    res = await request(buildApp(logger))
+      .get('/items/1')
+      .set('X-Request-Id', 'bad id with spaces')
+      .expect(200);
+    expect(res.headers['x-request-id']).not.toContain('bad');
+  });
+
+  it('should log failures at error level with the same id as the error envelope', async () => {
+    const res = await request(buildApp(logger))
+      .get('/boom')
+      .expect(500);
+
+    expect(logger.error).toHaveBeenCalledWith('request', expect.objectContaining({
+      requestId: res.body.error.requestId,
+      route: '/boom',
+      status: 500
+    }));
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining(`"requestId":"${res.body.error.requestId}"`));
+  });
+
+  it('should keep the full route of errors passed on by routers', async () => {
+    await request(buildApp(logger)).get('/missing/9').expect(404);
+
+    expect(logger.warn).toHaveBeenCalledWith('request', expect.objectContaining({ route: '/missing/:id', status: 404 }));
+  });
+});
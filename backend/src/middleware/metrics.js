@@ -0,0 +1,18 @@
+const { httpRequests, httpRequestDuration } = require('../metrics');
+const { trackRoute } = require('../utils/routePattern');
+
+// Count requests and time them per route pattern. Requests that matched no
+// route share one label so random URLs can't create unbounded series.
+const requestMetrics = () => (req, res, next) => {
+  const routeOf = trackRoute(req);
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = routeOf() || 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+};
+
+module.exports = { requestMetrics };
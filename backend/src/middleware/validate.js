@@ -0,0 +1,13 @@
+const { assertValid } = require('../utils/validation');
+
+// Validates req.body against a schema and replaces it with the sanitized value
+const validateBody = (schema, options) => (req, res, next) => {
+  try {
+    req.body = assertValid(schema, req.body, options);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { validateBody };
@@ -0,0 +1,78 @@
+const { invalidQuery } = require('../utils/queryParser');
+
+// ISO 4217 codes, e.g. EUR
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+// Codes in use that Intl can format (well-formed ones like XYZ aren't)
+const KNOWN_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const isKnownCurrency = currency => KNOWN_CURRENCIES.has(currency);
+
+// Digits after the decimal point of amounts in `currency` (2 for EUR, 0 for JPY)
+function fractionDigits(currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+// `amount` rounded to the smallest unit of `currency`
+function roundPrice(amount, currency) {
+  const factor = 10 ** fractionDigits(currency);
+  return Math.round(amount * factor) / factor;
+}
+
+// Converter for a rates table { base, rates: { EUR: 0.92 } }, where each rate
+// is how much of that currency one unit of the base buys. Items without a
+// currency are priced in the base.
+function createConverter({ base, rates }) {
+  const rateOf = currency => (currency === base ? 1 : rates[currency]);
+
+  // Unrounded, so aggregates don't accumulate rounding errors
+  function convert(amount, from, to) {
+    return (amount / rateOf(from || base)) * rateOf(to);
+  }
+
+  // Copy of `item` priced in `currency`, with what it was priced at before
+  // the conversion in `convertedFrom`. A promotion's effectivePrice is
+  // converted along with the price.
+  function convertItem(item, currency) {
+    const from = item.currency || base;
+    if (from === currency) {
+      return item.currency ? item : { ...item, currency };
+    }
+    const converted = {
+      ...item,
+      price: roundPrice(convert(item.price, from, currency), currency),
+      currency,
+      convertedFrom: { price: item.price, currency: from }
+    };
+    if (item.effectivePrice !== undefined) {
+      converted.effectivePrice = roundPrice(convert(item.effectivePrice, from, currency), currency);
+      converted.convertedFrom.effectivePrice = item.effectivePrice;
+    }
+    return converted;
+  }
+
+  // Throw a 400 unless `currency` (a query parameter) can be converted to
+  function assertCurrency(currency) {
+    if (rateOf(currency) === undefined) {
+      throw invalidQuery([{ field: 'currency', message: `must be one of: ${[base, ...Object.keys(rates).sort()].join(', ')}` }]);
+    }
+  }
+
+  // `items` priced in `currency` (a query parameter, checked first), or as
+  // they are when it is null
+  function convertItems(items, currency) {
+    if (currency === null) return items;
+    assertCurrency(currency);
+    return items.map(item => convertItem(item, currency));
+  }
+
+  return {
+    base,
+    has: currency => rateOf(currency) !== undefined,
+    convert,
+    convertItem,
+    convertItems,
+    assertCurrency
+  };
+}
+
+module.exports = { CURRENCY_CODE, isKnownCurrency, roundPrice, createConverter };
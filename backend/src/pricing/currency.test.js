@@ -0,0 +1,37 @@
+const { roundPrice, createConverter } = require('./currency');
+
+describe('currency', () => {
+  const converter = createConverter({ base: 'USD', rates: { EUR: 0.9, JPY: 150 } });
+
+  it('should convert between any two currencies through the base', () => {
+    expect(converter.convert(10, 'USD', 'EUR')).toBeCloseTo(9);
+    expect(converter.convert(9, 'EUR', 'JPY')).toBeCloseTo(1500);
+    expect(converter.convert(10, undefined, 'USD')).toBe(10);
+  });
+
+  it('should round to the minor unit of the currency', () => {
+    expect(roundPrice(12.345, 'EUR')).toBe(12.35);
+    expect(roundPrice(1234.5, 'JPY')).toBe(1235);
+  });
+
+  it('should keep the price of converted items before the conversion', () => {
+    const [laptop, lamp] = converter.convertItems([
+      { id: 1, price: 2499, currency: 'USD' },
+      { id: 2, price: 20, effectivePrice: 10 }
+    ], 'EUR');
+
+    expect(laptop).toEqual({ id: 1, price: 2249.1, currency: 'EUR', convertedFrom: { price: 2499, currency: 'USD' } });
+    expect(lamp).toMatchObject({ price: 18, effectivePrice: 9, convertedFrom: { price: 20, effectivePrice: 10, currency: 'USD' } });
+    expect(converter.convertItem({ id: 3, price: 5 }, 'USD')).toEqual({ id: 3, price: 5, currency: 'USD' });
+  });
+
+  it('should reject currencies without a rate', () => {
+    const items = [{ id: 1, price: 1 }];
+
+    expect(converter.convertItems(items, null)).toBe(items);
+    expect(() => converter.convertItems(items, 'GBP')).toThrow(expect.objectContaining({
+      status: 400,
+      details: [{ field: 'currency', message: 'must be one of: USD, EUR, JPY' }]
+    }));
+  });
+});
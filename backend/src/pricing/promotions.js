@@ -0,0 +1,120 @@
+const { isNumber } = require('../utils/stats');
+const { roundPrice } = require('./currency');
+
+// Promotions are { id, name, itemId | categoryId, percentOff | price and
+// currency, startsAt, endsAt, ... }. They run from startsAt up to, but not
+// including, endsAt.
+
+// ISO 8601 with a time and an offset, so it means the same on every server:
+// 2024-06-01T00:00:00Z or 2024-06-01T02:00+02:00
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// The Date `value` stands for, or null unless it is such a timestamp
+function parseTimestamp(value) {
+  const time = TIMESTAMP.test(value) ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+const isRunning = (promotion, time) => Date.parse(promotion.startsAt) <= time && time < Date.parse(promotion.endsAt);
+
+// scheduled | running | ended, at `time` (ms)
+function promotionStatus(promotion, time) {
+  if (time < Date.parse(promotion.startsAt)) return 'scheduled';
+  return time < Date.parse(promotion.endsAt) ? 'running' : 'ended';
+}
+
+// Price of `item` under `promotion`, in the item's currency (the base if it
+// has none). A fixed price is converted from the promotion's currency.
+function discountedPrice(item, promotion, converter) {
+  const currency = item.currency || converter.base;
+  const price = promotion.price !== undefined
+    ? converter.convert(promotion.price, promotion.currency, currency)
+    : item.price * (1 - promotion.percentOff / 100);
+  return roundPrice(price, currency);
+}
+
+// Names of `categoryId` and its subcategories
+function subtreeNames(categories, categoryId) {
+  const names = [];
+  const visit = (id) => {
+    for (const category of categories) {
+      if (category.parentId === id) {
+        names.push(category.name);
+        visit(category.id);
+      }
+    }
+  };
+  const root = categories.find(c => c.id === categoryId);
+  if (root) {
+    names.push(root.name);
+    visit(root.id);
+  }
+  return names;
+}
+
+// Prices items as they are at `at` (a Date) under `promotions`. When several
+// promotions apply to an item, the lowest price wins; a promotion that
+// wouldn't lower the price is ignored. `converter` prices fixed-price
+// promotions in the item's currency. `revision` identifies the promotions,
+// categories and rates: pricers with the same revision and running promotions
+// price every item alike.
+function createPricer({ promotions, categories, at, converter, revision = null }) {
+  const time = at.getTime();
+  const running = promotions.filter(p => isRunning(p, time));
+  const byItem = new Map();
+  const byCategory = new Map();
+  const add = (map, key, promotion) => map.set(key, [...(map.get(key) || []), promotion]);
+  for (const promotion of running) {
+    if (promotion.itemId !== undefined) {
+      add(byItem, promotion.itemId, promotion);
+    } else {
+      subtreeNames(categories, promotion.categoryId).forEach(name => add(byCategory, name, promotion));
+    }
+  }
+
+  // Copy of `item` with its `effectivePrice`, which is its price when no
+  // promotion applies, and the `promotion` giving it. Items without a price
+  // are returned as they are.
+  function priceItem(item) {
+    if (!isNumber(item.price)) return item;
+    const candidates = [...(byItem.get(item.id) || []), ...(byCategory.get(item.category) || [])];
+    let best = null;
+    let bestPrice = item.price;
+    for (const promotion of candidates) {
+      const price = discountedPrice(item, promotion, converter);
+      if (price < bestPrice) {
+        best = promotion;
+        bestPrice = price;
+      }
+    }
+    if (!best) return { ...item, effectivePrice: item.price };
+    return {
+      ...item,
+      effectivePrice: bestPrice,
+      promotion: {
+        id: best.id,
+        name: best.name,
+        ...(best.percentOff !== undefined && { percentOff: best.percentOff }),
+        endsAt: best.endsAt
+      }
+    };
+  }
+
+  // When a promotion last started or ended, up to `at` and not after now.
+  // Responses priced for now change then without anything being written.
+  const until = Math.min(time, Date.now());
+  const boundaries = promotions
+    .flatMap(p => [Date.parse(p.startsAt), Date.parse(p.endsAt)])
+    .filter(boundary => boundary <= until);
+
+  return {
+    at,
+    revision,
+    running,
+    changedAt: boundaries.length > 0 ? new Date(Math.max(...boundaries)) : null,
+    priceItem,
+    priceItems: items => items.map(priceItem)
+  };
+}
+
+module.exports = { parseTimestamp, isRunning, promotionStatus, createPricer };
@@ -0,0 +1,82 @@
+const { parseTimestamp, promotionStatus, createPricer } = require('./promotions');
+const { createConverter } = require('./currency');
+
+describe('promotions', () => {
+  const categories = [
+    { id: 1, name: 'Electronics', parentId: null },
+    { id: 2, name: 'Audio', parentId: 1 },
+    { id: 3, name: 'Furniture', parentId: null }
+  ];
+  const weekend = { startsAt: '2024-06-01T00:00:00.000Z', endsAt: '2024-06-03T00:00:00.000Z' };
+  const promotions = [
+    { id: 1, name: 'Electronics week', categoryId: 1, percentOff: 10, ...weekend },
+    { id: 2, name: 'Laptop deal', itemId: 1, price: 1999, ...weekend },
+    { id: 3, name: 'Tiny discount', itemId: 1, percentOff: 1, ...weekend },
+    { id: 4, name: 'Later', categoryId: 3, percentOff: 50, startsAt: '2024-07-01T00:00:00.000Z', endsAt: '2024-07-02T00:00:00.000Z' }
+  ];
+  const items = [
+    { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499, currency: 'USD' },
+    { id: 2, name: 'Headphones', category: 'Audio', price: 1999, currency: 'JPY' },
+    { id: 3, name: 'Chair', category: 'Furniture', price: 799 }
+  ];
+  const converter = createConverter({ base: 'USD', rates: { EUR: 0.5, JPY: 150 } });
+  const pricerAt = at => createPricer({ promotions, categories, at: new Date(at), converter });
+
+  it('should apply the lowest price of the running promotions', () => {
+    const [laptop, headphones, chair] = pricerAt('2024-06-02T12:00:00Z').priceItems(items);
+
+    expect(laptop).toEqual({ ...items[0], effectivePrice: 1999, promotion: { id: 2, name: 'Laptop deal', endsAt: weekend.endsAt } });
+    // Subcategories are included, and prices round to the currency's unit
+    expect(headphones).toMatchObject({ effectivePrice: 1799, promotion: { id: 1, percentOff: 10 } });
+    expect(chair).toEqual({ ...items[2], effectivePrice: 799 });
+  });
+
+  it('should only apply promotions from their start until their end', () => {
+    expect(pricerAt('2024-05-31T23:59:59Z').priceItem(items[0]).effectivePrice).toBe(2499);
+    expect(pricerAt('2024-06-01T00:00:00Z').priceItem(items[0]).effectivePrice).toBe(1999);
+    expect(pricerAt('2024-06-03T00:00:00Z').priceItem(items[0]).promotion).toBeUndefined();
+    expect(pricerAt('2024-07-01T12:00:00Z').priceItem(items[2]).effectivePrice).toBe(399.5);
+    expect(promotionStatus(promotions[3], Date.parse('2024-06-02T00:00:00Z'))).toBe('scheduled');
+  });
+
+  it('should ignore fixed prices that are not lower', () => {
+    const pricer = createPricer({
+      promotions: [{ id: 1, name: 'Raise', itemId: 3, price: 999, ...weekend }],
+      categories,
+      at: new Date('2024-06-02T00:00:00Z'),
+      converter
+    });
+
+    expect(pricer.priceItem(items[2])).toEqual({ ...items[2], effectivePrice: 799 });
+  });
+
+  it('should convert fixed prices to the item\'s currency', () => {
+    const pricer = createPricer({
+      promotions: [
+        { id: 1, name: 'Euro deal', itemId: 2, price: 5, currency: 'EUR', ...weekend },
+        { id: 2, name: 'Old deal', itemId: 3, price: 500, ...weekend }
+      ],
+      categories,
+      at: new Date('2024-06-02T00:00:00Z'),
+      converter
+    });
+
+    // 5 EUR is 10 USD, or 1500 JPY
+    expect(pricer.priceItem(items[1])).toMatchObject({ effectivePrice: 1500, promotion: { id: 1 } });
+    // Promotions from before they had a currency are in the base
+    expect(pricer.priceItem(items[2]).effectivePrice).toBe(500);
+  });
+
+  it('should know when the running promotions last changed', () => {
+    expect(pricerAt('2024-06-02T00:00:00Z').changedAt).toEqual(new Date(weekend.startsAt));
+    expect(pricerAt('2024-06-10T00:00:00Z').changedAt).toEqual(new Date(weekend.endsAt));
+    expect(pricerAt('2024-05-01T00:00:00Z').changedAt).toBeNull();
+  });
+
+  it('should only accept timestamps with a time zone', () => {
+    expect(parseTimestamp('2024-06-01T02:00+02:00')).toEqual(new Date('2024-06-01T00:00:00Z'));
+    expect(parseTimestamp('2024-06-01T00:00:00')).toBeNull();
+    expect(parseTimestamp('June 1')).toBeNull();
+    expect(parseTimestamp('2024-13-01T00:00:00Z')).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+const { getStorage, openStorage } = require('../storage');
+const { createMutex } = require('../utils/mutex');
+
+const COLLECTION = 'audit';
+const storage = getStorage();
+
+// Append-only log of item changes. Each entry is
+//   { id, itemId, version, action, actor, at, changes, item, restoredFrom? }
+// where `version` counts the changes to one item (1 = created), `changes`
+// maps each changed field to { from, to } and `item` is the item as it was
+// after the change (null once deleted), so any version can be restored.
+// New entries are appended on their own (see appendCollection), so a change
+// costs the same however long the history is.
+
+let cachedEntries = null;
+// Latest version per item id
+let versions = new Map();
+const writeLock = createMutex();
+
+async function readEntries() {
+  await openStorage();
+  if (!cachedEntries) {
+    cachedEntries = await storage.readCollection(COLLECTION);
+    versions = new Map();
+    for (const entry of cachedEntries) {
+      versions.set(entry.itemId, Math.max(versions.get(entry.itemId) || 0, entry.version));
+    }
+  }
+  return cachedEntries;
+}
+
+function getLastModifiedTime() {
+  return storage.getVersion(COLLECTION);
+}
+
+// Changed fields between two versions of an item (either may be null)
+function diffFields(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (field === 'id') continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+// Append one entry per change: { itemId, action, before, after, restoredFrom? }.
+// `actor` is the acting user's id, or 'system' for changes made without one.
+async function record(itemChanges, { actor = 'system' } = {}) {
+  if (itemChanges.length === 0) return [];
+  return writeLock.runExclusive(async () => {
+    const entries = await readEntries();
+    const at = new Date().toISOString();
+    const added = itemChanges.map(({ itemId, action, before, after, restoredFrom }, index) => {
+      const version = (versions.get(itemId) || 0) + 1;
+      versions.set(itemId, version);
+      const entry = {
+        id: entries.length + index + 1,
+        itemId,
+        version,
+        action,
+        actor,
+        at,
+        changes: diffFields(before, after),
+        item: after || null
+      };
+      if (restoredFrom !== undefined) entry.restoredFrom = restoredFrom;
+      return entry;
+    });
+    const next = entries.concat(added);
+    try {
+      await storage.appendCollection(COLLECTION, added);
+    } catch (err) {
+      // Versions were bumped for entries that weren't written
+      cachedEntries = null;
+      throw err;
+    }
+    cachedEntries = next;
+    return added;
+  });
+}
+
+// Entries for one item, newest first
+async function historyFor(itemId) {
+  const entries = await readEntries();
+  return entries.filter(entry => entry.itemId === itemId).reverse();
+}
+
+// The entry for `version` of an item, or null
+async function findVersion(itemId, version) {
+  const entries = await readEntries();
+  return entries.find(entry => entry.itemId === itemId && entry.version === version) || null;
+}
+
+module.exports = {
+  readEntries,
+  getLastModifiedTime,
+  diffFields,
+  record,
+  historyFor,
+  findVersion
+};
@@ -0,0 +1,8 @@
+const { createMutex } = require('../utils/mutex');
+
+// Serializes every read-modify-write of items and categories. They share one
+// lock because each checks the other: an item must name an existing
+// category, and a category in use can't be deleted.
+const catalogLock = createMutex();
+
+module.exports = { catalogLock };
@@ -0,0 +1,195 @@
+const { assertValid, validationError } = require('../utils/validation');
+const { categorySchema, DEFAULT_CATEGORIES } = require('../schemas/categorySchema');
+const { getStorage, openStorage } = require('../storage');
+const { catalogLock } = require('./catalogLock');
+
+const COLLECTION = 'categories';
+const storage = getStorage();
+
+// Categories are { id, name, parentId }, where parentId is null at the top
+// level. Names are unique regardless of case, since items refer to their
+// category by name.
+
+let cachedCategories = null;
+let ready = null;
+// Bumped on every change, so caches built from the categories know to rebuild
+let revision = 0;
+
+// Seed the default categories the first time the server runs, so existing
+// items (and a fresh install) have something to refer to
+async function init() {
+  await openStorage();
+  if (!storage.getVersion(COLLECTION) && (await storage.readCollection(COLLECTION)).length === 0) {
+    const categories = DEFAULT_CATEGORIES.map((name, i) => ({ id: i + 1, name, parentId: null }));
+    await storage.writeCollection(COLLECTION, categories);
+    await storage.writeSequence(COLLECTION, categories.length);
+  }
+}
+
+// Runs init() once, on first use
+function whenReady() {
+  if (!ready) {
+    ready = init();
+  }
+  return ready;
+}
+
+async function readCategories() {
+  await whenReady();
+  if (!cachedCategories) {
+    cachedCategories = await storage.readCollection(COLLECTION);
+  }
+  return cachedCategories;
+}
+
+function getLastModifiedTime() {
+  return storage.getVersion(COLLECTION);
+}
+
+function getRevision() {
+  return revision;
+}
+
+// The category called `name` (exact match), or undefined
+async function findByName(name) {
+  return (await readCategories()).find(category => category.name === name);
+}
+
+// The category with `id` and its ancestors, root first
+function pathTo(categories, id) {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const path = [];
+  for (let category = byId.get(id); category; category = byId.get(category.parentId)) {
+    path.unshift(category);
+  }
+  return path;
+}
+
+function conflict(message, code) {
+  const err = new Error(message);
+  err.status = 409;
+  err.code = code;
+  return err;
+}
+
+// Throw unless `name` is free (other than for the category with `id`) and
+// `parentId` names a category that isn't `id` itself or one of its descendants
+function assertPlacement(categories, { id, name, parentId }) {
+  const taken = categories.find(c => c.id !== id && c.name.toLowerCase() === name.toLowerCase());
+  if (taken) {
+    throw conflict(`A category named "${taken.name}" already exists`, 'CATEGORY_EXISTS');
+  }
+  if (parentId === null) return;
+  if (!categories.some(c => c.id === parentId)) {
+    throw validationError([{ field: 'parentId', message: 'must be an existing category' }]);
+  }
+  if (id !== undefined && pathTo(categories, parentId).some(c => c.id === id)) {
+    throw validationError([{ field: 'parentId', message: 'must not be the category itself or one of its subcategories' }]);
+  }
+}
+
+// Read-modify-write under the catalog lock. `mutator` receives a copy of the
+// categories and returns the new array, or undefined to skip the write.
+// `afterWrite()` runs next, still under the lock; if it fails the previous
+// categories are written back.
+async function commit(mutator, { afterWrite } = {}) {
+  await whenReady();
+  return catalogLock.runExclusive(async () => {
+    const current = await readCategories();
+    const next = await mutator(current.slice());
+    if (next === undefined) return;
+    await storage.writeCollection(COLLECTION, next);
+    cachedCategories = next;
+    revision++;
+    if (!afterWrite) return;
+    try {
+      await afterWrite();
+    } catch (err) {
+      await storage.writeCollection(COLLECTION, current);
+      cachedCategories = current;
+      revision++;
+      throw err;
+    }
+  });
+}
+
+async function nextId() {
+  const lastId = Math.max(
+    await storage.readSequence(COLLECTION),
+    ...(await readCategories()).map(category => category.id)
+  ) + 1;
+  await storage.writeSequence(COLLECTION, lastId);
+  return lastId;
+}
+
+async function createCategory(fields) {
+  const value = assertValid(categorySchema, fields);
+  let created = null;
+  await commit(async (categories) => {
+    const category = { name: value.name, parentId: value.parentId ?? null };
+    assertPlacement(categories, category);
+    created = { id: await nextId(), ...category };
+    return [...categories, created];
+  });
+  return created;
+}
+
+// Rename and/or move the category with `id`; `parentId: null` moves it to
+// the top level. Returns { category, previous }, or null if there is no such
+// category. On a rename, `onRename(from, to)` moves the items over in the
+// same critical section; if it fails the category keeps its old name.
+async function updateCategory(id, changes, { onRename } = {}) {
+  const value = assertValid(categorySchema, changes, { partial: true });
+  let result = null;
+  const afterWrite = async () => {
+    if (onRename && result.category.name !== result.previous.name) {
+      await onRename(result.previous.name, result.category.name);
+    }
+  };
+  await commit((categories) => {
+    const index = categories.findIndex(c => c.id === id);
+    if (index === -1) {
+      return undefined;
+    }
+    const previous = categories[index];
+    const category = { ...previous, ...value };
+    assertPlacement(categories, category);
+    categories[index] = category;
+    result = { category, previous };
+    return categories;
+  }, { afterWrite });
+  return result;
+}
+
+// Delete the category with `id`. Returns it, or null if there is no such
+// category. Categories with subcategories can't be deleted. `precondition(category)`
+// runs under the catalog lock and may throw (or reject) to abort, e.g. while
+// items use it.
+async function deleteCategory(id, { precondition } = {}) {
+  let removed = null;
+  await commit(async (categories) => {
+    const category = categories.find(c => c.id === id);
+    if (!category) {
+      return undefined;
+    }
+    const children = categories.filter(c => c.parentId === id).length;
+    if (children > 0) {
+      throw conflict(`Category "${category.name}" has ${children} subcategories; move or delete them first`, 'CATEGORY_IN_USE');
+    }
+    if (precondition) await precondition(category);
+    removed = category;
+    return categories.filter(c => c !== category);
+  });
+  return removed;
+}
+
+module.exports = {
+  readCategories,
+  getLastModifiedTime,
+  getRevision,
+  findByName,
+  pathTo,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
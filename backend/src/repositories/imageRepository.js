@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { validationError } = require('../utils/validation');
+const { getFileStore } = require('../media');
+const { THUMBNAIL_TYPE, inspectImage, createThumbnail } = require('../media/images');
+const itemRepository = require('./itemRepository');
+
+// Item images: the files live in the file store, and each item keeps an
+// ordered list of records describing them in `images`, the first being the
+// one shown in lists. Records are { id, contentType, width, height, size,
+// name, uploadedBy, uploadedAt }. Every image has a thumbnail next to it.
+
+const fileKey = (itemId, imageId, variant) =>
+  `items/${itemId}/${imageId}${variant === 'thumbnail' ? '-thumbnail' : ''}`;
+
+const imagesOf = item => item.images ?? [];
+
+function imageNotFound() {
+  const err = new Error('Image not found');
+  err.status = 404;
+  return err;
+}
+
+function tooManyImages(item, adding) {
+  const err = new Error(
+    `"${item.name}" has ${imagesOf(item).length} images; adding ${adding} would exceed the limit of ${config.images.maxPerItem}`
+  );
+  err.status = 409;
+  err.code = 'TOO_MANY_IMAGES';
+  return err;
+}
+
+async function findItem(itemId) {
+  return (await itemRepository.readData()).find(i => i.id === itemId) || null;
+}
+
+async function removeFiles(itemId, images) {
+  const store = getFileStore();
+  await Promise.all(images.flatMap(image => [
+    store.remove(fileKey(itemId, image.id)),
+    store.remove(fileKey(itemId, image.id, 'thumbnail'))
+  ]));
+}
+
+// Images of the item with `itemId`, in order, or null if there is no such item
+async function listImages(itemId) {
+  const item = await findItem(itemId);
+  return item ? imagesOf(item) : null;
+}
+
+// Add uploaded `files` ({ buffer, originalname }) to the end of the gallery
+// of the item with `itemId`. Every file must be an image (415 otherwise);
+// nothing is added unless all of them are. Returns the updated item, or null
+// if there is no such item.
+async function addImages(itemId, files, { actor = 'system' } = {}) {
+  const inspected = await Promise.all(files.map(file => inspectImage(file.buffer, file.originalname)));
+  const item = await findItem(itemId);
+  if (!item) {
+    return null;
+  }
+  // Checked again when the records are written; this avoids storing files
+  // that can't be kept
+  if (imagesOf(item).length + files.length > config.images.maxPerItem) {
+    throw tooManyImages(item, files.length);
+  }
+
+  const uploadedAt = new Date().toISOString();
+  const records = files.map((file, i) => ({
+    id: crypto.randomUUID(),
+    ...inspected[i],
+    size: file.buffer.length,
+    name: file.originalname.slice(0, 255),
+    uploadedBy: actor,
+    uploadedAt
+  }));
+
+  // Files first, so no record ever points at a missing file
+  const store = getFileStore();
+  let updated = null;
+  try {
+    for (const [i, record] of records.entries()) {
+      await store.write(fileKey(itemId, record.id), files[i].buffer);
+      await store.write(fileKey(itemId, record.id, 'thumbnail'), await createThumbnail(files[i].buffer));
+    }
+    updated = await itemRepository.changeImages(itemId, (current) => {
+      if (imagesOf(current).length + records.length > config.images.maxPerItem) {
+        throw tooManyImages(current, records.length);
+      }
+      return [...imagesOf(current), ...records];
+    }, { actor });
+  } finally {
+    if (!updated) {
+      await removeFiles(itemId, records);
+    }
+  }
+  return updated;
+}
+
+// Remove the image with `imageId` from the item with `itemId`. Returns the
+// updated item, or null if there is no such item; throws a 404 if the item
+// has no such image.
+async function removeImage(itemId, imageId, { actor = 'system' } = {}) {
+  let removed = null;
+  const updated = await itemRepository.changeImages(itemId, (current) => {
+    removed = imagesOf(current).find(image => image.id === imageId);
+    if (!removed) {
+      throw imageNotFound();
+    }
+    return imagesOf(current).filter(image => image !== removed);
+  }, { actor });
+  // Files last, so the item never lists an image that is gone
+  if (updated) {
+    await removeFiles(itemId, [removed]);
+  }
+  return updated;
+}
+
+// Put the images of the item with `itemId` in the order of `ids`, which must
+// list each of them once. Returns the updated item, or null if there is no
+// such item.
+async function reorderImages(itemId, ids, { actor = 'system' } = {}) {
+  const invalidIds = () => validationError([{ field: 'ids', message: "must list each of the item's image ids once" }]);
+  if (!Array.isArray(ids)) {
+    throw invalidIds();
+  }
+  return itemRepository.changeImages(itemId, (current) => {
+    const byId = new Map(imagesOf(current).map(image => [image.id, image]));
+    if (ids.length !== byId.size || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+      throw invalidIds();
+    }
+    return ids.map(id => byId.get(id));
+  }, { actor });
+}
+
+// { contentType, data } of the image with `imageId` of the item with
+// `itemId`, or of its thumbnail with `variant` 'thumbnail'. Null if there is
+// no such image.
+async function readImage(itemId, imageId, variant) {
+  const item = await findItem(itemId);
+  const image = item && imagesOf(item).find(i => i.id === imageId);
+  if (!image) {
+    return null;
+  }
+  const data = await getFileStore().read(fileKey(itemId, imageId, variant));
+  if (!data) {
+    return null;
+  }
+  return { contentType: variant === 'thumbnail' ? THUMBNAIL_TYPE : image.contentType, data };
+}
+
+// Delete the files of every image of `items`, once they are purged
+async function removeItemImages(items) {
+  for (const item of items) {
+    await removeFiles(item.id, imagesOf(item));
+  }
+}
+
+module.exports = {
+  listImages,
+  addImages,
+  removeImage,
+  reorderImages,
+  readImage,
+  removeItemImages
+};
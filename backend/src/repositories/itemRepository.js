@@ -1,83 +1,657 @@
-const fs = require('fs').promises;
-const fsEvents = require('fs');
-const path = require('path');
+const { EventEmitter } = require('events');
+const { validate, assertValid, validationError } = require('../utils/validation');
+const { itemSchema } = require('../schemas/itemSchema');
+const { stockOf } = require('../inventory/stock');
+const { getStorage, openStorage, writeChanges } = require('../storage');
+const { registry, repositoryCache } = require('../metrics');
+const { logger } = require('../logger');
+const auditRepository = require('./auditRepository');
+const categoryRepository = require('./categoryRepository');
+const rateRepository = require('./rateRepository');
+const { catalogLock } = require('./catalogLock');
 
-const DATA_PATH = path.join(__dirname, '../../data/items.json');
+const COLLECTION = 'items';
+const storage = getStorage();
 
-// In-memory cache for items data
+// In-memory cache for items data, including items in the trash
 let cachedData = null;
-let lastFileMtime = null;
+// The items not in the trash, derived from cachedData when first needed
+let liveData = null;
+let lastModified = null;
+// Resolves to { lastId } once the sequence has been loaded
+let sequencePromise = null;
+// Serializes every read-modify-write so concurrent requests can't lose
+// updates, shared with categories so category checks can't go stale
+const writeLock = catalogLock;
+// Bumped on every change (ours or external), and sent along with each event
+let revision = 0;
+const changes = new EventEmitter();
 
-// Watch file for external changes and invalidate cache
-async function watchFile() {
-  try {
-    const watcher = fsEvents.watch(DATA_PATH, async (eventType) => {
-      if (eventType === 'change') {
-        try {
-          const stats = await fs.stat(DATA_PATH);
-          // Only invalidate if mtime actually changed (avoid duplicate events)
-          if (!lastFileMtime || stats.mtime.getTime() !== lastFileMtime.getTime()) {
-            cachedData = null;
-            lastFileMtime = stats.mtime;
-          }
-        } catch (err) {
-          // File might have been deleted, invalidate cache
-          cachedData = null;
-        }
-      }
-    });
+// Open the storage backend (which checks for corruption), get the initial
+// modification time and invalidate the cache on external changes
+async function init() {
+  await openStorage();
+  lastModified = storage.getVersion(COLLECTION);
+  storage.watch(COLLECTION, (version) => {
+    cachedData = null;
+    liveData = null;
+    lastModified = version;
+    emitChanges([{ type: 'reset' }]);
+  });
+}
 
-    // Handle watcher errors
-    watcher.on('error', (err) => {
-      console.error('File watcher error:', err);
-    });
-  } catch (err) {
-    console.error('Failed to initialize file watcher:', err);
+const ready = init();
+
+registry.gauge({
+  name: 'items_total',
+  help: 'Number of items outside the trash, as of the last read.',
+  collect: () => (cachedData ? cachedData.filter(isLive).length : null)
+});
+
+// Deleted items stay in the collection, marked with deletedAt, until purged
+const isLive = item => !item.deletedAt;
+
+// All items, including the trash, from cache or storage
+async function readAll() {
+  await ready;
+  if (cachedData) {
+    repositoryCache.inc({ collection: COLLECTION, result: 'hit' });
+    return cachedData;
+  }
+
+  repositoryCache.inc({ collection: COLLECTION, result: 'miss' });
+  cachedData = await storage.readCollection(COLLECTION);
+  liveData = null;
+  lastModified = storage.getVersion(COLLECTION);
+  return cachedData;
+}
+
+// Items that are not in the trash. This is what the API, search and stats
+// work with; change events describe changes to this set.
+async function readData() {
+  const data = await readAll();
+  if (!liveData) {
+    liveData = data.filter(isLive);
+  }
+  return liveData;
+}
+
+// Items in the trash, most recently deleted first
+async function readTrash() {
+  const data = await readAll();
+  return data.filter(item => !isLive(item)).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Check if data has changed (for cache invalidation in dependent caches)
+function getLastModifiedTime() {
+  return lastModified;
+}
+
+// Current change revision; data read in the same tick matches it
+function getRevision() {
+  return revision;
+}
+
+// Subscribe to changes. The listener is called synchronously with
+// { type: 'created' | 'updated' | 'deleted', item, previous?, revision } for
+// single-item writes, or { type: 'reset', revision } when the data was
+// replaced wholesale (writeData, external edits) and must be re-read.
+// Returns an unsubscribe function.
+function onChange(listener) {
+  changes.on('change', listener);
+  return () => changes.off('change', listener);
+}
+
+function emitChanges(events) {
+  for (const event of events) {
+    revision++;
+    changes.emit('change', { ...event, revision });
+  }
+}
+
+// Write through to storage, refresh the cache and announce `events` in the
+// same tick, so listeners never see the cache and events disagree. Only the
+// items that differ from `previous` are written where the backend allows it.
+async function persist(previous, data, events) {
+  lastModified = await writeChanges(storage, COLLECTION, previous, data);
+  cachedData = data;
+  liveData = null;
+  emitChanges(events);
+}
+
+// Audit log changes ({ itemId, action, before, after }) for single-item events
+function changesFromEvents(events) {
+  return events.map(({ type, item, previous }) => ({
+    itemId: item.id,
+    action: type,
+    before: type === 'created' ? null : previous || item,
+    after: type === 'deleted' ? null : item
+  }));
+}
+
+// Audit log changes between two whole item arrays, matched by id
+function changesBetween(before, after) {
+  const previous = new Map(before.map(item => [item.id, item]));
+  const changes = [];
+  for (const item of after) {
+    const old = previous.get(item.id);
+    previous.delete(item.id);
+    if (!old) {
+      changes.push({ itemId: item.id, action: 'created', before: null, after: item });
+    } else if (old !== item && Object.keys(auditRepository.diffFields(old, item)).length > 0) {
+      changes.push({ itemId: item.id, action: 'updated', before: old, after: item });
+    }
+  }
+  for (const old of previous.values()) {
+    changes.push({ itemId: old.id, action: 'deleted', before: old, after: null });
+  }
+  return changes;
+}
+
+// Problems with the category and currency `fields` refer to, other than
+// ones they share with `previous`: items left with a category or currency
+// that no longer exists can still be edited. `known` is { categoryNames,
+// converter }.
+function referenceErrors(fields, previous, { categoryNames, converter }) {
+  const errors = [];
+  if (fields.category !== undefined && fields.category !== previous?.category && !categoryNames.has(fields.category)) {
+    errors.push({ field: 'category', message: 'must be an existing category' });
+  }
+  if (fields.currency !== undefined && fields.currency !== previous?.currency && !converter.has(fields.currency)) {
+    errors.push({ field: 'currency', message: 'must be the base currency or one with an exchange rate' });
   }
+  return errors;
 }
 
-// Initialize file watching and get initial mtime
-async function initFileWatcher() {
+// The categories and currencies items may refer to
+async function knownReferences() {
+  const categories = await categoryRepository.readCategories();
+  return {
+    categoryNames: new Set(categories.map(category => category.name)),
+    converter: await rateRepository.getConverter()
+  };
+}
+
+// Throw a 400 if `fields` refer to a missing category or currency. Called
+// under the write lock, so neither can be removed before the write lands.
+async function assertReferences(fields, previous) {
+  const errors = referenceErrors(fields, previous, await knownReferences());
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+}
+
+// Validate `input` against the item schema and the categories and currencies
+// it refers to in one pass, so a 400 lists every field that is wrong. Fields
+// that fail the schema aren't looked up. Called under the write lock, like
+// assertReferences. `options` are validate()'s.
+async function assertItemFields(input, previous, options) {
+  const { value, errors } = validate(itemSchema, input, options);
+  errors.push(...referenceErrors(value, previous, await knownReferences()));
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return value;
+}
+
+// Read-modify-write under the write lock. `mutator` receives a copy of all
+// items (including the trash) and returns { data, events, audit? }, or undefined to skip the
+// write. Each change is recorded in the audit log as done by `actor`; `audit`
+// overrides what is recorded, which is otherwise derived from the events.
+// `afterWrite(data)` runs once the items are written, still under the lock,
+// for records kept alongside them; if it fails the items are written back.
+async function commit(mutator, { actor, afterWrite } = {}) {
+  await ready;
+  return writeLock.runExclusive(() => commitLocked(mutator, { actor, afterWrite }));
+}
+
+// commit() for callers that already hold the write lock
+async function commitLocked(mutator, { actor, afterWrite } = {}) {
+  await ready;
+  const current = await readAll();
+  const result = await mutator(current.slice());
+  if (result === undefined) {
+    return current;
+  }
+  await persist(current, result.data, result.events);
+  if (afterWrite) {
+    try {
+      await afterWrite(result.data);
+    } catch (err) {
+      await persist(result.data, current, [{ type: 'reset' }]);
+      throw err;
+    }
+  }
+
+  const audit = result.audit || (result.events.some(event => event.type === 'reset')
+    ? changesBetween(current, result.data)
+    : changesFromEvents(result.events));
   try {
-    const stats = await fs.stat(DATA_PATH);
-    lastFileMtime = stats.mtime;
+    await auditRepository.record(audit, { actor });
   } catch (err) {
-    // File might not exist yet, will be set on first read
+    // The items are already written; failing the request now would
+    // invite a retry that applies the change twice
+    logger.error('Failed to record audit log entries', { error: err.message, itemIds: audit.map(c => c.itemId) });
   }
-  await watchFile();
+  return result.data;
 }
 
-initFileWatcher();
+// Run a read-modify-write under the write lock. `mutator` receives a copy of
+// all items (including the trash) and returns the new array, or undefined to skip the write.
+// It must not modify the item objects it was given since they are shared
+// with the cache. Listeners get a 'reset' since the change is unknown; the
+// audit log gets one entry per item that differs.
+async function updateData(mutator, { actor } = {}) {
+  return commit(async (data) => {
+    const next = await mutator(data);
+    return next === undefined ? undefined : { data: next, events: [{ type: 'reset' }] };
+  }, { actor });
+}
 
-// Read data from cache or file
-async function readData() {
-  if (cachedData) {
-    return cachedData;
+// Replace all data
+async function writeData(data, { actor } = {}) {
+  await updateData(() => data, { actor });
+}
+
+// Load the id sequence. Never goes below the highest id in the data, so
+// hand-edited or restored files can't cause collisions.
+async function loadSequence() {
+  const lastId = await storage.readSequence(COLLECTION);
+  // Trashed items keep their ids until purged, and even then ids aren't reused
+  const data = await readAll();
+  const maxId = data.reduce((max, item) => (Number.isInteger(item.id) && item.id > max ? item.id : max), 0);
+  return { lastId: Math.max(lastId, maxId) };
+}
+
+// Allocate `count` consecutive item ids. The increment happens synchronously
+// after the sequence is loaded, so concurrent callers always get distinct ids.
+async function nextIds(count) {
+  if (!sequencePromise) {
+    sequencePromise = loadSequence().catch((err) => {
+      sequencePromise = null;
+      throw err;
+    });
   }
-  
-  const raw = await fs.readFile(DATA_PATH, 'utf8');
-  cachedData = JSON.parse(raw);
-  const stats = await fs.stat(DATA_PATH);
-  lastFileMtime = stats.mtime;
-  return cachedData;
+  const sequence = await sequencePromise;
+  const first = sequence.lastId + 1;
+  sequence.lastId += count;
+  await storage.writeSequence(COLLECTION, sequence.lastId);
+  return Array.from({ length: count }, (_, i) => first + i);
 }
 
-// Check if data has changed (for cache invalidation in dependent caches)
-function getLastModifiedTime() {
-  return lastFileMtime;
+async function nextId() {
+  const [id] = await nextIds(1);
+  return id;
+}
+
+// Fields new items start with. Stock is added through the ledger and images
+// are uploaded separately.
+const NEW_ITEM_DEFAULTS = { stock: 0, reorderThreshold: 0, images: [] };
+
+// Validate and store a new item. Any client-supplied id is discarded.
+// `actor` (the acting user's id) is recorded as createdBy and updatedBy.
+async function createItem(fields, { actor } = {}) {
+  let item = null;
+  await commit(async (data) => {
+    item = { ...NEW_ITEM_DEFAULTS, ...await assertItemFields(fields) };
+    if (actor) {
+      item.createdBy = actor;
+      item.updatedBy = actor;
+    }
+    if (!item.currency) item.currency = (await rateRepository.getConverter()).base;
+    item.id = await nextId();
+    return { data: [...data, item], events: [{ type: 'created', item }] };
+  }, { actor });
+  return item;
 }
 
-// Write data to file and invalidate cache
-async function writeData(data) {
-  await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf8');
-  cachedData = null; // Invalidate cache on write
-  const stats = await fs.stat(DATA_PATH);
-  lastFileMtime = stats.mtime; // Update mtime after write
+// Validate `changes` and merge them into the item with `id`. Returns the updated
+// item, or null if there is no such item (or it is in the trash). `precondition(current)` runs under
+// the write lock and may throw to abort the write (e.g. an If-Match check).
+// `actor` is recorded as updatedBy.
+async function updateItem(id, changes, { actor, precondition } = {}) {
+  let updated = null;
+  await commit(async (data) => {
+    const index = data.findIndex(i => i.id === id && isLive(i));
+    if (index === -1) {
+      // A malformed body is still a 400, whichever item it was sent to
+      assertValid(itemSchema, changes, { partial: true });
+      return undefined;
+    }
+    const previous = data[index];
+    const fields = await assertItemFields(changes, previous, { partial: true });
+    if (precondition) precondition(previous);
+    updated = { ...previous, ...fields, id };
+    if (actor) updated.updatedBy = actor;
+    data[index] = updated;
+    return { data, events: [{ type: 'updated', item: updated, previous }] };
+  }, { actor });
+  return updated;
+}
+
+// Fields clients can't write, which a replacement keeps
+const SERVER_FIELDS = ['stock', 'images', 'createdBy'];
+
+// Validate `fields` and replace the item with `id` with them (PUT semantics): fields
+// left out go back to their defaults, as for a new item, while the ones the
+// server manages are kept. Returns the new item, or null if there is no such
+// item (or it is in the trash). `precondition` and `actor` work as in
+// updateItem.
+async function replaceItem(id, fields, { actor, precondition } = {}) {
+  let replaced = null;
+  await commit(async (data) => {
+    const index = data.findIndex(i => i.id === id && isLive(i));
+    if (index === -1) {
+      assertValid(itemSchema, fields);
+      return undefined;
+    }
+    const previous = data[index];
+    const validated = await assertItemFields(fields, previous);
+    if (precondition) precondition(previous);
+    replaced = { ...NEW_ITEM_DEFAULTS, currency: (await rateRepository.getConverter()).base };
+    for (const field of SERVER_FIELDS) {
+      if (previous[field] !== undefined) replaced[field] = previous[field];
+    }
+    Object.assign(replaced, validated, { id });
+    if (actor) replaced.updatedBy = actor;
+    data[index] = replaced;
+    return { data, events: [{ type: 'updated', item: replaced, previous }] };
+  }, { actor });
+  return replaced;
+}
+
+// Move the item with `id` to the trash, recording when and by whom. Returns
+// the item as it was, or null. `precondition` works as in updateItem.
+async function deleteItem(id, { actor, precondition } = {}) {
+  let removed = null;
+  await commit((data) => {
+    const index = data.findIndex(i => i.id === id && isLive(i));
+    if (index === -1) {
+      return undefined;
+    }
+    if (precondition) precondition(data[index]);
+    removed = data[index];
+    const trashed = { ...removed, deletedAt: new Date().toISOString() };
+    if (actor) trashed.deletedBy = actor;
+    data[index] = trashed;
+    return {
+      data,
+      events: [{ type: 'deleted', item: removed }],
+      audit: [{ itemId: id, action: 'deleted', before: removed, after: trashed }]
+    };
+  }, { actor });
+  return removed;
+}
+
+// Copy of a trashed item without its deletion marks
+function untrashed(item) {
+  const restored = { ...item };
+  delete restored.deletedAt;
+  delete restored.deletedBy;
+  return restored;
+}
+
+// Take the item with `id` out of the trash. Returns it, or null if it isn't
+// in the trash.
+async function restoreItem(id, { actor } = {}) {
+  let restored = null;
+  await commit(async (data) => {
+    const index = data.findIndex(i => i.id === id && !isLive(i));
+    if (index === -1) {
+      return undefined;
+    }
+    const trashed = data[index];
+    await assertReferences(trashed);
+    restored = untrashed(trashed);
+    if (actor) restored.updatedBy = actor;
+    data[index] = restored;
+    return {
+      data,
+      events: [{ type: 'created', item: restored }],
+      audit: [{ itemId: id, action: 'restored', before: trashed, after: restored }]
+    };
+  }, { actor });
+  return restored;
+}
+
+// Permanently remove items that went into the trash before `before` (a
+// Date). Their history is kept. `onPurged(items)` is called with the removed
+// items once they are gone, to clean up what they leave behind elsewhere.
+// Returns the number of items removed.
+async function purgeTrash({ before, actor, onPurged } = {}) {
+  const cutoff = before.toISOString();
+  let purged = [];
+  await commit((data) => {
+    purged = data.filter(item => !isLive(item) && item.deletedAt < cutoff);
+    if (purged.length === 0) {
+      return undefined;
+    }
+    return {
+      data: data.filter(item => !purged.includes(item)),
+      // Nothing visible changes, so listeners aren't told
+      events: [],
+      audit: purged.map(item => ({ itemId: item.id, action: 'purged', before: item, after: null }))
+    };
+  }, { actor });
+  if (onPurged && purged.length > 0) {
+    await onPurged(purged);
+  }
+  return purged.length;
+}
+
+// Fields an import can match existing items by
+const UPSERT_KEYS = ['id', 'name'];
+
+// Work out what importing `rows` into `data` would do. Items are matched on
+// `upsertKey` (null: every row is a new item). Rows must refer to `known`
+// categories and currencies (see referenceErrors). Returns { created: [fields],
+// updated: [{ index, previous, fields }], unchanged, errors: [{ row, field,
+// message }] }.
+function planImport(data, rows, upsertKey, known) {
+  const plan = { created: [], updated: [], unchanged: 0, errors: [] };
+  const matches = new Map();
+  if (upsertKey) {
+    data.forEach((item, index) => {
+      if (!isLive(item)) return;
+      const key = item[upsertKey];
+      matches.set(key, [...(matches.get(key) || []), index]);
+    });
+  }
+  // Row each key was first seen in, to catch a file updating an item twice
+  const seen = new Map();
+
+  for (const { row, id, fields } of rows) {
+    const key = upsertKey === 'id' ? id : upsertKey ? fields[upsertKey] : undefined;
+    let indexes = [];
+    if (key !== undefined) {
+      if (seen.has(key)) {
+        plan.errors.push({ row, field: upsertKey, message: `duplicates row ${seen.get(key)}` });
+        continue;
+      }
+      seen.set(key, row);
+      indexes = matches.get(key) || [];
+    }
+
+    const previous = indexes.length === 1 ? data[indexes[0]] : undefined;
+    const references = indexes.length > 1 ? [] : referenceErrors(fields, previous, known);
+    if (indexes.length > 1) {
+      plan.errors.push({ row, field: upsertKey, message: `matches ${indexes.length} items; use upsertKey=id` });
+    } else if (!previous && key !== undefined && upsertKey === 'id') {
+      plan.errors.push({ row, field: 'id', message: `no item with id ${key}` });
+    } else if (references.length > 0) {
+      plan.errors.push(...references.map(error => ({ row, ...error })));
+    } else if (!previous) {
+      plan.created.push(fields);
+    } else if (Object.keys(fields).every(field => previous[field] === fields[field])) {
+      plan.unchanged++;
+    } else {
+      plan.updated.push({ index: indexes[0], previous, fields });
+    }
+  }
+  return plan;
+}
+
+// Import validated rows ({ row, id?, fields }) in one write: all of them or,
+// if any row can't be applied, none. With `upsertKey` ('id' or 'name') rows
+// matching an existing item replace its fields; the rest are created. With
+// `dryRun` nothing is written. Returns { created, updated, unchanged, errors }.
+async function importItems(rows, { upsertKey = null, dryRun = false, actor } = {}) {
+  let report = null;
+  await commit(async (data) => {
+    const known = await knownReferences();
+    const plan = planImport(data, rows, upsertKey, known);
+    report = {
+      created: plan.created.length,
+      updated: plan.updated.length,
+      unchanged: plan.unchanged,
+      errors: plan.errors
+    };
+    if (dryRun || plan.errors.length > 0 || plan.created.length + plan.updated.length === 0) {
+      return undefined;
+    }
+
+    const audit = [];
+    for (const { index, previous, fields } of plan.updated) {
+      const item = { ...previous, ...fields };
+      if (actor) item.updatedBy = actor;
+      data[index] = item;
+      audit.push({ itemId: item.id, action: 'updated', before: previous, after: item });
+    }
+    const ids = await nextIds(plan.created.length);
+    plan.created.forEach((fields, i) => {
+      const item = { currency: known.converter.base, ...NEW_ITEM_DEFAULTS, ...fields, id: ids[i] };
+      if (actor) {
+        item.createdBy = actor;
+        item.updatedBy = actor;
+      }
+      data.push(item);
+      audit.push({ itemId: item.id, action: 'created', before: null, after: item });
+    });
+    // One refresh for listeners rather than an event per row
+    return { data, events: [{ type: 'reset' }], audit };
+  }, { actor });
+  return report;
+}
+
+// Put the item with `id` back the way it was at `version` of its history,
+// taking it out of the trash or re-creating it if it has been deleted since. Returns the restored item, or
+// null if there is no such version. `precondition` runs as in updateItem
+// when the item still exists.
+async function restoreVersion(id, version, { actor, precondition } = {}) {
+  const entry = await auditRepository.findVersion(id, version);
+  if (!entry) {
+    return null;
+  }
+  if (!entry.item || entry.item.deletedAt) {
+    const err = new Error(`Version ${version} is the item's deletion; restore an earlier version`);
+    err.status = 400;
+    throw err;
+  }
+  // The schema may have changed since
+  const fields = assertValid(itemSchema, entry.item);
+
+  let restored = null;
+  await commit(async (data) => {
+    const index = data.findIndex(i => i.id === id);
+    const existing = index === -1 ? null : data[index];
+    // What listeners saw before: nothing if the item was gone or trashed
+    const previous = existing && isLive(existing) ? existing : null;
+    if (previous && precondition) precondition(previous);
+    await assertReferences(fields, existing);
+    // Stock only changes through the ledger, and old images may no longer be
+    // stored, so neither is rolled back
+    restored = {
+      ...entry.item,
+      ...fields,
+      id,
+      stock: existing ? stockOf(existing) : 0,
+      images: existing?.images ?? []
+    };
+    if (actor) restored.updatedBy = actor;
+    if (existing) {
+      data[index] = restored;
+    } else {
+      data.push(restored);
+    }
+    return {
+      data,
+      events: [previous ? { type: 'updated', item: restored, previous } : { type: 'created', item: restored }],
+      audit: [{ itemId: id, action: 'restored', before: existing, after: restored, restoredFrom: version }]
+    };
+  }, { actor });
+  return restored;
+}
+
+// Set `field` of the item with `id` to what `change(item)` returns (or
+// resolves to), for fields the item schema doesn't let clients write.
+// `afterWrite(item)` is commit()'s, given the updated item.
+async function changeField(id, field, change, { actor, afterWrite } = {}) {
+  let updated = null;
+  await commit(async (data) => {
+    const index = data.findIndex(i => i.id === id && isLive(i));
+    if (index === -1) {
+      return undefined;
+    }
+    const previous = data[index];
+    updated = { ...previous, [field]: await change(previous) };
+    if (actor) updated.updatedBy = actor;
+    data[index] = updated;
+    return { data, events: [{ type: 'updated', item: updated, previous }] };
+  }, { actor, afterWrite: afterWrite && (() => afterWrite(updated)) });
+  return updated;
+}
+
+// Set the stock of the item with `id` to what `change(item)` returns (or
+// resolves to). It runs under the write lock and may throw to abort, e.g.
+// when too few units are available. `options.afterWrite(item)` records the
+// change elsewhere in the same critical section. Returns the updated item, or
+// null if there is no such item (or it is in the trash).
+function changeStock(id, change, options) {
+  return changeField(id, 'stock', change, options);
+}
+
+// Set the image records of the item with `id`, like changeStock does the stock
+function changeImages(id, change, options) {
+  return changeField(id, 'images', change, options);
+}
+
+// Move every item, including those in the trash, from category `from` to
+// `to` after the category was renamed. Returns the number of items changed.
+// The caller must hold the catalog lock, so the rename is one critical
+// section with the category's (see categoryRepository.updateCategory).
+async function renameCategory(from, to, { actor } = {}) {
+  let renamed = 0;
+  await commitLocked((data) => {
+    const next = data.map((item) => {
+      if (item.category !== from) return item;
+      renamed++;
+      const moved = { ...item, category: to };
+      if (actor) moved.updatedBy = actor;
+      return moved;
+    });
+    return renamed === 0 ? undefined : { data: next, events: [{ type: 'reset' }] };
+  }, { actor });
+  return renamed;
 }
 
 module.exports = {
   readData,
+  readTrash,
   writeData,
-  getLastModifiedTime
+  updateData,
+  getLastModifiedTime,
+  getRevision,
+  onChange,
+  createItem,
+  updateItem,
+  replaceItem,
+  deleteItem,
+  restoreItem,
+  purgeTrash,
+  importItems,
+  UPSERT_KEYS,
+  restoreVersion,
+  changeStock,
+  changeImages,
+  renameCategory
 };
-
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const seedItems = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+describe('itemRepository', () => {
+  let dir;
+
+  // Fresh module instance, as if the server had just started
+  const loadRepository = async (driver = 'memory') => {
+    process.env.STORAGE_DRIVER = driver;
+    jest.resetModules();
+    if (driver === 'memory') {
+      await require('../storage').getStorage().writeCollection('items', seedItems);
+    }
+    return require('./itemRepository');
+  };
+
+  const readFile = () => JSON.parse(fs.readFileSync(path.join(dir, 'items.json'), 'utf8'));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'items-'));
+    fs.writeFileSync(path.join(dir, 'items.json'), JSON.stringify(seedItems));
+    process.env.DATA_DIR = dir;
+  });
+
+  afterEach(() => {
+    delete process.env.DATA_DIR;
+    delete process.env.STORAGE_DRIVER;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should not lose items when creates run concurrently', async () => {
+    const repo = await loadRepository('json');
+
+    const created = await Promise.all(
+      Array.from({ length: 10 }, (_, i) => repo.createItem({ name: `Item ${i}`, category: 'Furniture', price: i }))
+    );
+
+    const ids = created.map(item => item.id);
+    expect(new Set(ids).size).toBe(10);
+    expect(Math.min(...ids)).toBe(3);
+    expect(readFile()).toHaveLength(12);
+  });
+
+  it('should strip client-supplied ids and validate fields', async () => {
+    const repo = await loadRepository();
+
+    const item = await repo.createItem({ id: 1, name: 'Lamp', category: 'Furniture', price: 10 });
+    expect(item.id).toBe(3);
+
+    await expect(repo.createItem({ name: 'Lamp', category: 'Furniture', price: -1 }))
+      .rejects.toMatchObject({ status: 400, code: 'VALIDATION_ERROR' });
+  });
+
+  it('should never reuse ids, even after the newest item is deleted and the server restarts', async () => {
+    let repo = await loadRepository('json');
+    const item = await repo.createItem({ name: 'Lamp', category: 'Furniture', price: 10 });
+    await repo.deleteItem(item.id);
+
+    repo = await loadRepository('json');
+    const next = await repo.createItem({ name: 'Desk', category: 'Furniture', price: 20 });
+
+    expect(next.id).toBe(item.id + 1);
+  });
+
+  it('should update the cache and modification time on writes', async () => {
+    const repo = await loadRepository();
+    await repo.readData();
+    const before = repo.getLastModifiedTime();
+
+    const updated = await repo.updateItem(1, { price: 1999 });
+
+    expect(updated).toEqual({ ...seedItems[0], price: 1999 });
+    expect((await repo.readData())[0].price).toBe(1999);
+    expect(repo.getLastModifiedTime()).not.toBe(before);
+  });
+
+  it('should return null when updating or deleting a missing item', async () => {
+    const repo = await loadRepository();
+
+    await expect(repo.updateItem(999, { price: 1 })).resolves.toBeNull();
+    await expect(repo.deleteItem(999)).resolves.toBeNull();
+    expect(await repo.readData()).toEqual(seedItems);
+  });
+
+  it('should announce single-item writes and bulk replacements', async () => {
+    const repo = await loadRepository();
+    const events = [];
+    repo.onChange(event => events.push(event));
+
+    const item = await repo.createItem({ name: 'Lamp', category: 'Furniture', price: 10 });
+    const updated = await repo.updateItem(item.id, { price: 12 });
+    await repo.deleteItem(item.id);
+    await repo.updateItem(999, { price: 1 });
+    await repo.writeData(seedItems);
+
+    expect(events).toEqual([
+      { type: 'created', item, revision: 1 },
+      { type: 'updated', item: updated, previous: item, revision: 2 },
+      { type: 'deleted', item: updated, revision: 3 },
+      { type: 'reset', revision: 4 }
+    ]);
+    expect(repo.getRevision()).toBe(4);
+  });
+
+  it('should not write when a precondition throws', async () => {
+    const repo = await loadRepository();
+    const conflict = new Error('conflict');
+
+    await expect(repo.updateItem(1, { price: 1 }, { precondition: () => { throw conflict; } })).rejects.toBe(conflict);
+    await expect(repo.deleteItem(1, { precondition: () => { throw conflict; } })).rejects.toBe(conflict);
+    expect(await repo.readData()).toEqual(seedItems);
+  });
+
+  it('should record who created and last updated an item', async () => {
+    const repo = await loadRepository();
+
+    const item = await repo.createItem({ name: 'Lamp', category: 'Furniture', price: 10 }, { actor: 'user:alice' });
+    const updated = await repo.updateItem(item.id, { price: 12, createdBy: 'user:mallory' }, { actor: 'key:ci' });
+
+    expect(item).toMatchObject({ createdBy: 'user:alice', updatedBy: 'user:alice' });
+    expect(updated).toMatchObject({ createdBy: 'user:alice', updatedBy: 'key:ci', price: 12 });
+  });
+
+  it('should reset the fields a replacement leaves out, but keep the ones the server manages', async () => {
+    const repo = await loadRepository();
+    const item = await repo.createItem({ name: 'Lamp', category: 'Furniture', price: 10, reorderThreshold: 4 }, { actor: 'user:alice' });
+    await repo.changeStock(item.id, () => 6);
+
+    const replaced = await repo.replaceItem(item.id, { name: 'Desk Lamp', category: 'Furniture', price: 12 }, { actor: 'key:ci' });
+
+    expect(replaced).toEqual({
+      id: item.id,
+      name: 'Desk Lamp',
+      category: 'Furniture',
+      price: 12,
+      currency: 'USD',
+      reorderThreshold: 0,
+      stock: 6,
+      images: [],
+      createdBy: 'user:alice',
+      updatedBy: 'key:ci'
+    });
+    await expect(repo.replaceItem(item.id, { price: 12 })).rejects.toMatchObject({ status: 400 });
+    await expect(repo.replaceItem(999, { name: 'Ghost', category: 'Furniture', price: 1 })).resolves.toBeNull();
+  });
+
+  describe('audit log', () => {
+    const auditFor = itemId => require('./auditRepository').historyFor(itemId);
+
+    it('should record each change with its actor and a diff', async () => {
+      const repo = await loadRepository();
+
+      const item = await repo.createItem({ name: 'Lamp', category: 'Furniture', price: 10 }, { actor: 'user:alice' });
+      await repo.updateItem(item.id, { price: 12 }, { actor: 'user:bob' });
+      await repo.updateItem(999, { price: 1 }, { actor: 'user:bob' });
+      await repo.deleteItem(item.id, { actor: 'user:carol' });
+
+      const [deleted, updated, created] = await auditFor(item.id);
+      expect(created).toMatchObject({
+        itemId: item.id,
+        version: 1,
+        action: 'created',
+        actor: 'user:alice',
+        changes: { name: { from: null, to: 'Lamp' }, price: { from: null, to: 10 } },
+        item
+      });
+      expect(updated).toMatchObject({ version: 2, action: 'updated', actor: 'user:bob', changes: { price: { from: 10, to: 12 } } });
+      expect(Object.keys(updated.changes)).toEqual(['price', 'updatedBy']);
+      expect(deleted).toMatchObject({
+        version: 3,
+        action: 'deleted',
+        actor: 'user:carol',
+        changes: { deletedAt: { from: null, to: expect.any(String) }, deletedBy: { from: null, to: 'user:carol' } }
+      });
+      expect(new Date(deleted.at).getTime()).not.toBeNaN();
+      expect(await auditFor(999)).toEqual([]);
+    });
+
+    it.each(['json', 'sqlite'])('should only append the new entries on the %s driver', async (driver) => {
+      const repo = await loadRepository(driver);
+      const storage = require('../storage').getStorage();
+      await require('../storage').openStorage();
+      if (driver === 'sqlite') await storage.writeCollection('items', seedItems);
+      const appendCollection = jest.spyOn(storage, 'appendCollection');
+      const writeCollection = jest.spyOn(storage, 'writeCollection');
+
+      await repo.updateItem(1, { price: 2299 });
+      await repo.updateItem(1, { price: 2199 });
+
+      const auditWrites = appendCollection.mock.calls.filter(([name]) => name === 'audit');
+      expect(auditWrites.map(([, entries]) => entries.map(entry => entry.version))).toEqual([[1], [2]]);
+      // Categories and rates are seeded on first use; nothing else is rewritten
+      expect(writeCollection.mock.calls.map(([name]) => name)).toEqual(['categories', 'rates']);
+      expect((await auditFor(1)).map(entry => entry.version)).toEqual([2, 1]);
+      await storage.close();
+    });
+
+    it('should record bulk replacements item by item', async () => {
+      const repo = await loadRepository();
+
+      await repo.writeData([{ ...seedItems[0], price: 2299 }, { id: 7, name: 'Desk', category: 'Furniture', price: 300 }]);
+
+      expect((await auditFor(1))[0]).toMatchObject({ action: 'updated', actor: 'system', changes: { price: { from: 2499, to: 2299 } } });
+      expect((await auditFor(2))[0]).toMatchObject({ action: 'deleted' });
+      expect((await auditFor(7))[0]).toMatchObject({ action: 'created' });
+    });
+
+    it('should restore an earlier version, re-creating a deleted item', async () => {
+      const repo = await loadRepository('json');
+
+      await repo.updateItem(2, { price: 899 }, { actor: 'user:bob' });
+      await repo.deleteItem(2);
+      const restored = await repo.restoreVersion(2, 1, { actor: 'user:alice' });
+
+      expect(restored).toMatchObject({ id: 2, price: 899, updatedBy: 'user:alice' });
+      expect(readFile().find(i => i.id === 2)).toEqual(restored);
+      expect((await auditFor(2))[0]).toMatchObject({ version: 3, action: 'restored', restoredFrom: 1, actor: 'user:alice' });
+      expect(fs.readFileSync(path.join(dir, 'audit.jsonl'), 'utf8').trim().split('\n')).toHaveLength(3);
+
+      await expect(repo.restoreVersion(2, 2)).rejects.toMatchObject({ status: 400 });
+      await expect(repo.restoreVersion(2, 9)).resolves.toBeNull();
+    });
+  });
+
+  describe('trash', () => {
+    it('should hide deleted items but keep them in storage', async () => {
+      const repo = await loadRepository('json');
+
+      const removed = await repo.deleteItem(2, { actor: 'user:carol' });
+
+      expect(removed).toEqual(seedItems[1]);
+      expect(await repo.readData()).toEqual([seedItems[0]]);
+      expect(readFile()[1]).toMatchObject({ ...seedItems[1], deletedBy: 'user:carol', deletedAt: expect.any(String) });
+      expect(await repo.readTrash()).toEqual([readFile()[1]]);
+      await expect(repo.updateItem(2, { price: 1 })).resolves.toBeNull();
+      await expect(repo.deleteItem(2)).resolves.toBeNull();
+    });
+
+    it('should restore items from the trash as if they were created again', async () => {
+      const repo = await loadRepository();
+      await repo.deleteItem(2);
+      const events = [];
+      repo.onChange(event => events.push(event));
+
+      const restored = await repo.restoreItem(2, { actor: 'user:alice' });
+
+      expect(restored).toEqual({ ...seedItems[1], updatedBy: 'user:alice' });
+      expect(await repo.readData()).toEqual([seedItems[0], restored]);
+      expect(await repo.readTrash()).toEqual([]);
+      expect(events).toEqual([{ type: 'created', item: restored, revision: 2 }]);
+      await expect(repo.restoreItem(2)).resolves.toBeNull();
+    });
+
+    it('should purge items deleted before the cutoff and never reuse their ids', async () => {
+      const repo = await loadRepository();
+      await repo.deleteItem(1);
+
+      await expect(repo.purgeTrash({ before: new Date(Date.now() - 60000) })).resolves.toBe(0);
+      await expect(repo.purgeTrash({ before: new Date(Date.now() + 60000) })).resolves.toBe(1);
+
+      expect(await repo.readTrash()).toEqual([]);
+      const history = await require('./auditRepository').historyFor(1);
+      expect(history[0]).toMatchObject({ action: 'purged', actor: 'system', item: null });
+      const item = await repo.createItem({ name: 'Lamp', category: 'Furniture', price: 10 });
+      expect(item.id).toBe(3);
+    });
+  });
+
+  describe('import', () => {
+    const row = (n, fields, id) => ({ row: n, id, fields: { category: 'Furniture', price: 1, ...fields } });
+
+    it('should insert every row without an upsert key', async () => {
+      const repo = await loadRepository();
+
+      const report = await repo.importItems([row(1, { name: 'Laptop Pro' }), row(2, { name: 'Lamp' })], { actor: 'key:ci' });
+
+      expect(report).toEqual({ created: 2, updated: 0, unchanged: 0, errors: [] });
+      const data = await repo.readData();
+      expect(data.slice(2)).toEqual([
+        { name: 'Laptop Pro', category: 'Furniture', price: 1, currency: 'USD', stock: 0, reorderThreshold: 0, images: [], id: 3, createdBy: 'key:ci', updatedBy: 'key:ci' },
+        { name: 'Lamp', category: 'Furniture', price: 1, currency: 'USD', stock: 0, reorderThreshold: 0, images: [], id: 4, createdBy: 'key:ci', updatedBy: 'key:ci' }
+      ]);
+    });
+
+    it('should update matches and insert the rest when upserting by name', async () => {
+      const repo = await loadRepository();
+      const events = [];
+      repo.onChange(event => events.push(event));
+
+      const report = await repo.importItems([
+        row(1, { name: 'Laptop Pro', category: 'Electronics', price: 1999 }),
+        row(2, { name: 'Ergonomic Chair', category: 'Furniture', price: 799 }),
+        row(3, { name: 'Lamp' })
+      ], { upsertKey: 'name' });
+
+      expect(report).toEqual({ created: 1, updated: 1, unchanged: 1, errors: [] });
+      expect((await repo.readData()).map(i => [i.id, i.price])).toEqual([[1, 1999], [2, 799], [3, 1]]);
+      expect(events.map(e => e.type)).toEqual(['reset']);
+      expect((await require('./auditRepository').historyFor(1))[0]).toMatchObject({ action: 'updated' });
+    });
+
+    it('should write nothing when any row can\'t be applied, or on a dry run', async () => {
+      const repo = await loadRepository();
+      await repo.createItem({ name: 'Laptop Pro', category: 'Electronics', price: 1 });
+
+      const ambiguous = await repo.importItems([row(1, { name: 'Lamp' }), row(2, { name: 'Laptop Pro' })], { upsertKey: 'name' });
+      const byId = await repo.importItems([row(1, { name: 'A' }, 2), row(2, { name: 'B' }, 2), row(3, { name: 'C' }, 99)], { upsertKey: 'id' });
+      const dryRun = await repo.importItems([row(1, { name: 'Lamp' })], { dryRun: true });
+      const unknown = await repo.importItems([row(1, { name: 'Lamp', category: 'Toys' })]);
+
+      expect(ambiguous.errors).toEqual([{ row: 2, field: 'name', message: 'matches 2 items; use upsertKey=id' }]);
+      expect(byId.errors).toEqual([
+        { row: 2, field: 'id', message: 'duplicates row 1' },
+        { row: 3, field: 'id', message: 'no item with id 99' }
+      ]);
+      expect(dryRun).toEqual({ created: 1, updated: 0, unchanged: 0, errors: [] });
+      expect(unknown.errors).toEqual([{ row: 1, field: 'category', message: 'must be an existing category' }]);
+      expect(await repo.readData()).toHaveLength(3);
+    });
+  });
+});
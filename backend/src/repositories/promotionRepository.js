@@ -0,0 +1,185 @@
+const { assertValid, validationError } = require('../utils/validation');
+const { promotionSchema, PROMOTION_TARGETS, PROMOTION_DISCOUNTS } = require('../schemas/promotionSchema');
+const { parseTimestamp, createPricer } = require('../pricing/promotions');
+const { getStorage, openStorage } = require('../storage');
+const itemRepository = require('./itemRepository');
+const categoryRepository = require('./categoryRepository');
+const rateRepository = require('./rateRepository');
+const { catalogLock } = require('./catalogLock');
+
+const COLLECTION = 'promotions';
+const storage = getStorage();
+
+// Promotions are { id, name, itemId | categoryId, percentOff | price and
+// currency, startsAt, endsAt, createdBy, updatedBy }, with the timestamps stored as
+// ISO strings in UTC. They never change the stored item prices; readers
+// apply them with a pricer (see getPricer).
+
+let cachedPromotions = null;
+// Bumped on every change, so caches built from the promotions know to rebuild
+let revision = 0;
+
+async function readPromotions() {
+  await openStorage();
+  if (!cachedPromotions) {
+    cachedPromotions = await storage.readCollection(COLLECTION);
+  }
+  return cachedPromotions;
+}
+
+function getLastModifiedTime() {
+  return storage.getVersion(COLLECTION);
+}
+
+function getRevision() {
+  return revision;
+}
+
+async function findPromotion(id) {
+  return (await readPromotions()).find(p => p.id === id) || null;
+}
+
+// Pricer applying the promotions running at `at` (a Date), or now when it is
+// null (see createPricer)
+async function getPricer(at = null) {
+  // Taken before the reads, so a change meanwhile can only make it look stale
+  const pricerRevision = [revision, categoryRepository.getRevision(), rateRepository.getRevision()].join(':');
+  return createPricer({
+    promotions: await readPromotions(),
+    categories: await categoryRepository.readCategories(),
+    at: at || new Date(),
+    converter: await rateRepository.getConverter(),
+    revision: pricerRevision
+  });
+}
+
+// Throw a 400 unless `promotion` names one target and one discount, a fixed
+// price (in a currency with a rate) only for an item, and a time range.
+// `changed` are the fields being written; only those references are checked,
+// so a promotion whose item was deleted can still be edited. Returns it with
+// normalized timestamps, and a fixed price's currency filled in.
+async function assertPromotion(promotion, changed) {
+  const errors = [];
+  const targets = PROMOTION_TARGETS.filter(field => promotion[field] !== undefined);
+  const discounts = PROMOTION_DISCOUNTS.filter(field => promotion[field] !== undefined);
+  if (targets.length !== 1) {
+    errors.push({ field: 'itemId', message: 'set exactly one of itemId or categoryId' });
+  }
+  if (discounts.length !== 1) {
+    errors.push({ field: 'percentOff', message: 'set exactly one of percentOff or price' });
+  } else if (promotion.price !== undefined && promotion.categoryId !== undefined) {
+    errors.push({ field: 'price', message: 'can only be set for an item; use percentOff for a category' });
+  }
+  const converter = await rateRepository.getConverter();
+  if (changed.currency !== undefined) {
+    if (promotion.price === undefined) {
+      errors.push({ field: 'currency', message: 'can only be set along with price' });
+    } else if (!converter.has(changed.currency)) {
+      errors.push({ field: 'currency', message: 'must be the base currency or one with an exchange rate' });
+    }
+  }
+  const startsAt = parseTimestamp(promotion.startsAt);
+  const endsAt = parseTimestamp(promotion.endsAt);
+  for (const [field, value] of [['startsAt', startsAt], ['endsAt', endsAt]]) {
+    if (!value) errors.push({ field, message: 'must be an ISO 8601 timestamp with a time zone' });
+  }
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    errors.push({ field: 'endsAt', message: 'must be after startsAt' });
+  }
+  if (changed.itemId !== undefined && !(await itemRepository.readData()).some(i => i.id === changed.itemId)) {
+    errors.push({ field: 'itemId', message: 'must be an existing item' });
+  }
+  if (changed.categoryId !== undefined && !(await categoryRepository.readCategories()).some(c => c.id === changed.categoryId)) {
+    errors.push({ field: 'categoryId', message: 'must be an existing category' });
+  }
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  const normalized = { ...promotion, startsAt: startsAt.toISOString(), endsAt: endsAt.toISOString() };
+  if (promotion.price === undefined) {
+    delete normalized.currency;
+  } else if (!promotion.currency) {
+    normalized.currency = converter.base;
+  }
+  return normalized;
+}
+
+// Read-modify-write under the catalog lock, so references are checked
+// against items and categories that can't change meanwhile. `mutator`
+// receives a copy of the promotions and returns the new array, or undefined
+// to skip the write.
+async function commit(mutator) {
+  await openStorage();
+  return catalogLock.runExclusive(async () => {
+    const next = await mutator((await readPromotions()).slice());
+    if (next !== undefined) {
+      await storage.writeCollection(COLLECTION, next);
+      cachedPromotions = next;
+      revision++;
+    }
+  });
+}
+
+async function nextId() {
+  const lastId = Math.max(
+    await storage.readSequence(COLLECTION),
+    ...(await readPromotions()).map(promotion => promotion.id)
+  ) + 1;
+  await storage.writeSequence(COLLECTION, lastId);
+  return lastId;
+}
+
+async function createPromotion(fields, { actor = 'system' } = {}) {
+  const value = assertValid(promotionSchema, fields);
+  let created = null;
+  await commit(async (promotions) => {
+    const promotion = await assertPromotion(value, value);
+    created = { id: await nextId(), ...promotion, createdBy: actor, updatedBy: actor };
+    return [...promotions, created];
+  });
+  return created;
+}
+
+// Merge validated `changes` into the promotion with `id`. Null removes a
+// target or discount, so a promotion can switch e.g. from a percentage to a
+// fixed price. Returns the promotion, or null if there is no such promotion.
+async function updatePromotion(id, changes, { actor = 'system' } = {}) {
+  const value = assertValid(promotionSchema, changes, { partial: true });
+  const cleared = Object.keys(value).filter(field => value[field] === null);
+  cleared.forEach(field => delete value[field]);
+  let updated = null;
+  await commit(async (promotions) => {
+    const index = promotions.findIndex(p => p.id === id);
+    if (index === -1) {
+      return undefined;
+    }
+    const merged = { ...promotions[index], ...value, updatedBy: actor };
+    cleared.forEach(field => delete merged[field]);
+    updated = await assertPromotion(merged, value);
+    promotions[index] = updated;
+    return promotions;
+  });
+  return updated;
+}
+
+// Delete the promotion with `id`. Returns it, or null if there is no such
+// promotion.
+async function deletePromotion(id) {
+  let removed = null;
+  await commit((promotions) => {
+    removed = promotions.find(p => p.id === id) || null;
+    return removed ? promotions.filter(p => p !== removed) : undefined;
+  });
+  return removed;
+}
+
+module.exports = {
+  readPromotions,
+  getLastModifiedTime,
+  getRevision,
+  findPromotion,
+  getPricer,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
@@ -0,0 +1,122 @@
+const config = require('../config');
+const { validationError } = require('../utils/validation');
+const { CURRENCY_CODE, isKnownCurrency, createConverter } = require('../pricing/currency');
+const { getStorage, openStorage } = require('../storage');
+const { catalogLock } = require('./catalogLock');
+
+const COLLECTION = 'rates';
+const storage = getStorage();
+
+// Exchange rates from the base currency (config.currency.base), stored as
+// { currency, rate } records: one unit of the base buys `rate` of `currency`.
+
+let cachedRates = null;
+let converter = null;
+let ready = null;
+// Bumped on every change, so caches built from the rates know to rebuild
+let revision = 0;
+
+// Seed the table from the configuration the first time the server runs
+async function init() {
+  await openStorage();
+  if (!storage.getVersion(COLLECTION) && (await storage.readCollection(COLLECTION)).length === 0) {
+    try {
+      assertRates(config.currency.rates);
+    } catch (err) {
+      throw new Error(`CURRENCY_RATES is invalid: ${err.details.map(d => `${d.field} ${d.message}`).join('; ')}`);
+    }
+    await storage.writeCollection(COLLECTION, toRecords(config.currency.rates));
+  }
+}
+
+// Runs init() once, on first use
+function whenReady() {
+  if (!ready) {
+    ready = init();
+  }
+  return ready;
+}
+
+const toRecords = rates => Object.keys(rates).sort().map(currency => ({ currency, rate: rates[currency] }));
+
+// Throw a 400 unless `rates` maps currency codes other than the base to
+// positive numbers. Returns the rates.
+function assertRates(rates) {
+  if (rates === null || typeof rates !== 'object' || Array.isArray(rates)) {
+    throw validationError([{ field: 'rates', message: 'must be an object of currency codes to rates' }]);
+  }
+  const errors = [];
+  for (const [currency, rate] of Object.entries(rates)) {
+    const field = `rates.${currency}`;
+    if (!CURRENCY_CODE.test(currency)) {
+      errors.push({ field, message: 'must be a three-letter currency code' });
+    } else if (currency === config.currency.base) {
+      errors.push({ field, message: 'is the base currency, whose rate is always 1' });
+    } else if (!isKnownCurrency(currency)) {
+      errors.push({ field, message: 'is not a known currency' });
+    } else if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      errors.push({ field, message: 'must be a positive number' });
+    }
+  }
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return rates;
+}
+
+// { base, rates: { EUR: 0.92, ... } }
+async function readRates() {
+  return { base: config.currency.base, rates: { ...(await loadRates()) } };
+}
+
+async function loadRates() {
+  await whenReady();
+  if (!cachedRates) {
+    const records = await storage.readCollection(COLLECTION);
+    cachedRates = Object.fromEntries(records.map(({ currency, rate }) => [currency, rate]));
+  }
+  return cachedRates;
+}
+
+// A converter for the current rates
+async function getConverter() {
+  const rates = await loadRates();
+  if (!converter) {
+    converter = createConverter({ base: config.currency.base, rates });
+  }
+  return converter;
+}
+
+function getLastModifiedTime() {
+  return storage.getVersion(COLLECTION);
+}
+
+function getRevision() {
+  return revision;
+}
+
+// Replace the whole table. `precondition(removed)` runs under the catalog
+// lock with the currencies that would disappear, and may throw (or reject)
+// to abort, e.g. while items are priced in one of them.
+async function replaceRates(rates, { precondition } = {}) {
+  assertRates(rates);
+  await whenReady();
+  await catalogLock.runExclusive(async () => {
+    const current = await loadRates();
+    const removed = Object.keys(current).filter(currency => !(currency in rates));
+    if (precondition) await precondition(removed);
+    await storage.writeCollection(COLLECTION, toRecords(rates));
+    cachedRates = { ...rates };
+    converter = null;
+    revision++;
+  });
+  return readRates();
+}
+
+module.exports = {
+  readRates,
+  getConverter,
+  getLastModifiedTime,
+  getRevision,
+  replaceRates
+};
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { validationError } = require('../utils/validation');
+const { getStorage, openStorage } = require('../storage');
+const { stockOf, stockStatus } = require('../inventory/stock');
+const { stockAdjustmentErrors } = require('../schemas/stockSchema');
+const itemRepository = require('./itemRepository');
+const { catalogLock } = require('./catalogLock');
+
+const LEDGER = 'stock';
+const RESERVATIONS = 'reservations';
+const storage = getStorage();
+
+// Stock levels live on the items (`stock`); this module keeps the ledger of
+// why they changed and the reservations holding units for checkouts.
+//
+// Ledger entries are { id, itemId, delta, reason, note?, stock, actor, at,
+// reservationId? }, where `stock` is the level after the change.
+// Reservations are { id, itemId, quantity, expiresAt, createdBy, createdAt }.
+// Expired reservations hold nothing and are dropped on the next write.
+//
+// Ledger entries are written in the same critical section as the stock
+// change they record (see itemRepository.changeStock); if the entry can't be
+// written, the stock goes back to what it was.
+
+let cachedLedger = null;
+let cachedReservations = null;
+
+async function readLedger() {
+  await openStorage();
+  if (!cachedLedger) {
+    cachedLedger = await storage.readCollection(LEDGER);
+  }
+  return cachedLedger;
+}
+
+async function readReservations() {
+  await openStorage();
+  if (!cachedReservations) {
+    cachedReservations = await storage.readCollection(RESERVATIONS);
+  }
+  return cachedReservations;
+}
+
+function getLastModifiedTime() {
+  return storage.getVersion(LEDGER);
+}
+
+function getReservationsModifiedTime() {
+  return storage.getVersion(RESERVATIONS);
+}
+
+const isActive = (reservation, now = Date.now()) => Date.parse(reservation.expiresAt) > now;
+
+// Reservations of the item with `itemId` that still hold units, oldest first
+async function reservationsFor(itemId) {
+  return (await readReservations()).filter(r => r.itemId === itemId && isActive(r));
+}
+
+// Ledger entries of the item with `itemId`, newest first
+async function ledgerFor(itemId) {
+  return (await readLedger()).filter(entry => entry.itemId === itemId).reverse();
+}
+
+// { stock, reorderThreshold, reserved, available, status } of `item`, given
+// its active reservations
+function levelsOf(item, reservations) {
+  const stock = stockOf(item);
+  const reserved = reservations.reduce((sum, r) => sum + r.quantity, 0);
+  return {
+    stock,
+    reorderThreshold: item.reorderThreshold ?? 0,
+    reserved,
+    available: Math.max(stock - reserved, 0),
+    status: stockStatus(item)
+  };
+}
+
+// Levels of the item with `itemId`, or null if there is no such item
+async function stockLevels(itemId) {
+  const item = (await itemRepository.readData()).find(i => i.id === itemId);
+  return item ? levelsOf(item, await reservationsFor(itemId)) : null;
+}
+
+function insufficientStock(item, available) {
+  const err = new Error(`Only ${available} of "${item.name}" available`);
+  err.status = 409;
+  err.code = 'INSUFFICIENT_STOCK';
+  return err;
+}
+
+function reservationNotFound() {
+  const err = new Error('Reservation not found; it may have expired');
+  err.status = 404;
+  return err;
+}
+
+// Replace the reservations. Only called under the catalog lock.
+async function writeReservations(reservations) {
+  const now = Date.now();
+  const kept = reservations.filter(r => isActive(r, now));
+  await storage.writeCollection(RESERVATIONS, kept);
+  cachedReservations = kept;
+}
+
+// Add an entry to the ledger. Only the new entry is written. Only called
+// under the catalog lock.
+async function appendEntry(fields) {
+  const entries = await readLedger();
+  const entry = { id: entries.length + 1, ...fields, at: new Date().toISOString() };
+  const next = entries.concat(entry);
+  await storage.appendCollection(LEDGER, [entry]);
+  cachedLedger = next;
+  return entry;
+}
+
+// Apply `delta` to the stock of the item with `itemId` and record it in the
+// ledger. Units leaving can only come out of what isn't reserved. Returns {
+// item, entry }, or null if there is no such item.
+async function adjustStock(itemId, { delta, reason, note }, { actor = 'system' } = {}) {
+  const errors = stockAdjustmentErrors({ delta, reason });
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  let entry = null;
+  const item = await itemRepository.changeStock(itemId, async (current) => {
+    const { available } = levelsOf(current, await reservationsFor(itemId));
+    if (-delta > available) {
+      throw insufficientStock(current, available);
+    }
+    return stockOf(current) + delta;
+  }, {
+    actor,
+    afterWrite: async (updated) => {
+      entry = await appendEntry({ itemId, delta, reason, ...(note && { note }), stock: updated.stock, actor });
+    }
+  });
+  if (!item) {
+    return null;
+  }
+  return { item, entry };
+}
+
+// Hold `quantity` units of the item with `itemId` for `ttlSeconds`, so a
+// checkout can complete without another one selling them first. Returns the
+// reservation, or null if there is no such item.
+async function reserve(itemId, { quantity, ttlSeconds = config.stock.reservationTtlSeconds }, { actor = 'system' } = {}) {
+  return catalogLock.runExclusive(async () => {
+    const item = (await itemRepository.readData()).find(i => i.id === itemId);
+    if (!item) {
+      return null;
+    }
+    const { available } = levelsOf(item, await reservationsFor(itemId));
+    if (quantity > available) {
+      throw insufficientStock(item, available);
+    }
+    const now = new Date();
+    const reservation = {
+      id: crypto.randomUUID(),
+      itemId,
+      quantity,
+      expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+      createdBy: actor,
+      createdAt: now.toISOString()
+    };
+    await writeReservations([...await readReservations(), reservation]);
+    return reservation;
+  });
+}
+
+// Give back the units held by a reservation of the item with `itemId`.
+// Returns the reservation, or null if there is no such active reservation.
+async function releaseReservation(itemId, reservationId) {
+  return catalogLock.runExclusive(async () => {
+    const reservations = await readReservations();
+    const reservation = reservations.find(r => r.id === reservationId && r.itemId === itemId && isActive(r));
+    if (!reservation) {
+      return null;
+    }
+    await writeReservations(reservations.filter(r => r !== reservation));
+    return reservation;
+  });
+}
+
+// Complete the checkout a reservation was held for: its units leave the stock
+// as sold. Returns { item, entry }, or null if there is no such item. Throws
+// a 404 once the reservation has expired or been released.
+async function commitReservation(itemId, reservationId, { actor = 'system', note } = {}) {
+  let reservations = null;
+  let reservation = null;
+  let entry = null;
+  const item = await itemRepository.changeStock(itemId, async (current) => {
+    reservations = await readReservations();
+    reservation = reservations.find(r => r.id === reservationId && r.itemId === itemId && isActive(r));
+    if (!reservation) {
+      throw reservationNotFound();
+    }
+    // Only if the stock was edited outside the API since
+    if (reservation.quantity > stockOf(current)) {
+      throw insufficientStock(current, stockOf(current));
+    }
+    return stockOf(current) - reservation.quantity;
+  }, {
+    actor,
+    afterWrite: async (updated) => {
+      await writeReservations(reservations.filter(r => r !== reservation));
+      try {
+        entry = await appendEntry({
+          itemId,
+          delta: -reservation.quantity,
+          reason: 'sold',
+          ...(note && { note }),
+          stock: updated.stock,
+          actor,
+          reservationId
+        });
+      } catch (err) {
+        // The stock goes back, so the reservation must hold its units again
+        await writeReservations(reservations);
+        throw err;
+      }
+    }
+  });
+  if (!item) {
+    return null;
+  }
+  return { item, entry };
+}
+
+module.exports = {
+  getLastModifiedTime,
+  getReservationsModifiedTime,
+  ledgerFor,
+  reservationsFor,
+  levelsOf,
+  stockLevels,
+  adjustStock,
+  reserve,
+  releaseReservation,
+  commitReservation
+};
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { validateBody } = require('../middleware/validate');
+const { authenticate, issueToken, requireRole } = require('../middleware/auth');
+const { createUserStore } = require('../auth/users');
+
+const users = createUserStore({ filePath: config.auth.usersFile });
+
+const loginSchema = {
+  username: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100 },
+  password: { type: 'string', required: true, minLength: 1, maxLength: 1000 }
+};
+
+// Mounted before the application's authenticator, so a client holding an
+// expired or otherwise invalid token can still log in for a new one
+
+// POST /api/auth/login -> { token, expiresAt, user }
+router.post('/login', validateBody(loginSchema), async (req, res, next) => {
+  try {
+    const account = await users.authenticate(req.body.username, req.body.password);
+    if (!account) {
+      // Same answer for unknown users and wrong passwords
+      const err = new Error('Invalid username or password');
+      err.status = 401;
+      err.code = 'INVALID_CREDENTIALS';
+      throw err;
+    }
+    const { token, expiresAt } = issueToken(account);
+    res.json({ token, expiresAt, user: { id: `user:${account.username}`, name: account.username, role: account.role } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/auth/me -> the acting user
+router.get('/me', authenticate(), requireRole('viewer'), (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
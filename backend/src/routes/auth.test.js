@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+describe('Auth Routes', () => {
+  let dir;
+  let app;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+    process.env.AUTH_USERS_FILE = path.join(dir, 'users.json');
+    jest.resetModules();
+    const { createUserStore } = require('../auth/users');
+    await createUserStore({ filePath: process.env.AUTH_USERS_FILE })
+      .saveUser({ username: 'alice', role: 'editor', password: 'correct horse' });
+
+    const { authenticate } = require('../middleware/auth');
+    const { errorHandler } = require('../middleware/errorHandler');
+    // Mounted like src/index.js does
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('./auth'));
+    app.use('/api', authenticate());
+    app.use(errorHandler);
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_USERS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should not store plain-text passwords', () => {
+    const [user] = JSON.parse(fs.readFileSync(process.env.AUTH_USERS_FILE, 'utf8'));
+
+    expect(user).toEqual({ username: 'alice', role: 'editor', passwordHash: expect.stringMatching(/^scrypt\$/) });
+  });
+
+  it('should issue a token that identifies the user', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'alice', password: 'correct horse' })
+      .expect(200);
+
+    expect(login.body.user).toEqual({ id: 'user:alice', name: 'alice', role: 'editor' });
+    expect(new Date(login.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`).expect(200);
+    expect(me.body).toEqual(login.body.user);
+  });
+
+  it('should let clients with an invalid token log in again', async () => {
+    await request(app)
+      .post('/api/auth/login')
+      .set('Authorization', 'Bearer expired.or.forged')
+      .send({ username: 'alice', password: 'correct horse' })
+      .expect(200);
+
+    await request(app).get('/api/auth/me').set('Authorization', 'Bearer expired.or.forged').expect(401);
+  });
+
+  it('should give the same answer for unknown users and wrong passwords', async () => {
+    const wrong = await request(app).post('/api/auth/login').send({ username: 'alice', password: 'nope' }).expect(401);
+    const unknown = await request(app).post('/api/auth/login').send({ username: 'bob', password: 'nope' }).expect(401);
+
+    expect(wrong.body.error.code).toBe('INVALID_CREDENTIALS');
+    expect(unknown.body.error.message).toBe(wrong.body.error.message);
+  });
+
+  it('should validate the login body', async () => {
+    await request(app).post('/api/auth/login').send({ username: 'alice' }).expect(400);
+  });
+
+  it('should report callers without credentials as anonymous', async () => {
+    const { body } = await request(app).get('/api/auth/me').expect(200);
+
+    expect(body).toEqual({ id: 'anonymous', name: 'anonymous', role: 'viewer' });
+  });
+});
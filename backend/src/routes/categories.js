@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const categoryRepository = require('../repositories/categoryRepository');
+const itemRepository = require('../repositories/itemRepository');
+const promotionRepository = require('../repositories/promotionRepository');
+const { validateBody } = require('../middleware/validate');
+const { categorySchema } = require('../schemas/categorySchema');
+const { assertQuery } = require('../utils/queryParser');
+const { parseId } = require('../utils/routeParams');
+const { sendCacheable, newest } = require('../utils/httpCache');
+const { requireRole } = require('../middleware/auth');
+
+function categoryNotFound() {
+  const err = new Error('Category not found');
+  err.status = 404;
+  return err;
+}
+
+// Number of items per category name
+function countByName(items) {
+  const counts = new Map();
+  for (const item of items) {
+    counts.set(item.category, (counts.get(item.category) || 0) + 1);
+  }
+  return counts;
+}
+
+// Categories sorted by name, each with `itemCount` (items directly in it)
+// and `totalItemCount` (including its subcategories). Only items outside the
+// trash are counted.
+function withCounts(categories, items) {
+  const counts = countByName(items);
+  const result = new Map(categories.map(category => [
+    category.id,
+    { ...category, itemCount: counts.get(category.name) || 0, totalItemCount: 0 }
+  ]));
+  for (const category of result.values()) {
+    for (const { id } of categoryRepository.pathTo(categories, category.id)) {
+      result.get(id).totalItemCount += category.itemCount;
+    }
+  }
+  return [...result.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The counts depend on the items as well as the categories
+const lastModified = () => newest(categoryRepository.getLastModifiedTime(), itemRepository.getLastModifiedTime());
+
+// GET /api/categories
+router.get('/', requireRole('viewer'), async (req, res, next) => {
+  try {
+    assertQuery({}, req.query);
+    const categories = withCounts(await categoryRepository.readCategories(), await itemRepository.readData());
+    sendCacheable(req, res, { categories }, lastModified());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/categories/:id - the category with its counts, its ancestors
+// (root first) and its direct subcategories
+router.get('/:id', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const categories = withCounts(await categoryRepository.readCategories(), await itemRepository.readData());
+    const category = categories.find(c => c.id === id);
+    if (!category) {
+      throw categoryNotFound();
+    }
+    const path = categoryRepository.pathTo(categories, id);
+    sendCacheable(req, res, {
+      ...category,
+      ancestors: path.slice(0, -1).map(({ id, name }) => ({ id, name })),
+      children: categories.filter(c => c.parentId === id)
+    }, lastModified());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/categories
+router.post('/', requireRole('editor'), validateBody(categorySchema), async (req, res, next) => {
+  try {
+    const category = await categoryRepository.createCategory(req.body);
+    res.status(201).json(category);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /api/categories/:id - rename and/or move. Renaming moves the
+// category's items (including those in the trash) to the new name.
+router.patch('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const result = await categoryRepository.updateCategory(parseId(req.params.id), req.body, {
+      onRename: (from, to) => itemRepository.renameCategory(from, to, { actor: req.user.id })
+    });
+    if (!result) {
+      throw categoryNotFound();
+    }
+    res.json(result.category);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/categories/:id - only once no item (not even one in the trash),
+// subcategory or promotion uses it
+router.delete('/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    const category = await categoryRepository.deleteCategory(parseId(req.params.id), {
+      // Runs under the catalog lock, so no item can take the category meanwhile
+      precondition: async (current) => {
+        const items = [...await itemRepository.readData(), ...await itemRepository.readTrash()];
+        const used = items.filter(item => item.category === current.name).length;
+        if (used > 0) {
+          const err = new Error(`Category "${current.name}" is used by ${used} items; move them to another category first`);
+          err.status = 409;
+          err.code = 'CATEGORY_IN_USE';
+          throw err;
+        }
+        const promotions = (await promotionRepository.readPromotions()).filter(p => p.categoryId === current.id).length;
+        if (promotions > 0) {
+          const err = new Error(`Category "${current.name}" has ${promotions} promotions; delete them first`);
+          err.status = 409;
+          err.code = 'CATEGORY_IN_USE';
+          throw err;
+        }
+      }
+    });
+    if (!category) {
+      throw categoryNotFound();
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const { createTestApp } = require('../testUtils/testApp');
+
+const seedItems = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+  { id: 3, name: 'Standing Desk', category: 'Furniture', price: 1199 }
+];
+
+describe('Categories Routes', () => {
+  let app;
+  let itemRepository;
+
+  beforeEach(async () => {
+    app = await createTestApp({
+      items: seedItems,
+      routes: [
+        ['/api/categories', 'categories'],
+        ['/api/items', 'items']
+      ],
+      defaultRole: 'admin'
+    });
+    itemRepository = require('../repositories/itemRepository');
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  const create = (body) => request(app).post('/api/categories').send(body);
+
+  it('should list the default categories with item counts', async () => {
+    const res = await request(app).get('/api/categories').expect(200);
+
+    expect(res.body.categories).toEqual([
+      { id: 4, name: 'Accessories', parentId: null, itemCount: 0, totalItemCount: 0 },
+      { id: 1, name: 'Electronics', parentId: null, itemCount: 1, totalItemCount: 1 },
+      { id: 2, name: 'Furniture', parentId: null, itemCount: 2, totalItemCount: 2 },
+      { id: 3, name: 'Office Supplies', parentId: null, itemCount: 0, totalItemCount: 0 }
+    ]);
+  });
+
+  it('should nest subcategories and count their items in the parents', async () => {
+    const { body: desks } = await create({ name: 'Desks', parentId: 2 }).expect(201);
+    const { body: standing } = await create({ name: 'Standing Desks', parentId: desks.id }).expect(201);
+    await request(app).patch('/api/items/3').send({ category: 'Standing Desks' }).expect(200);
+
+    const res = await request(app).get(`/api/categories/${desks.id}`).expect(200);
+
+    expect(res.body).toEqual({
+      id: desks.id,
+      name: 'Desks',
+      parentId: 2,
+      itemCount: 0,
+      totalItemCount: 1,
+      ancestors: [{ id: 2, name: 'Furniture' }],
+      children: [{ id: standing.id, name: 'Standing Desks', parentId: desks.id, itemCount: 1, totalItemCount: 1 }]
+    });
+    const { body } = await request(app).get('/api/categories/2').expect(200);
+    expect(body).toMatchObject({ itemCount: 1, totalItemCount: 2 });
+  });
+
+  it('should reject duplicate names and impossible parents', async () => {
+    const { body: desks } = await create({ name: 'Desks', parentId: 2 }).expect(201);
+
+    const duplicate = await create({ name: 'furniture' }).expect(409);
+    const orphan = await create({ name: 'Lamps', parentId: 99 }).expect(400);
+    const cycle = await request(app).patch('/api/categories/2').send({ parentId: desks.id }).expect(400);
+
+    expect(duplicate.body.error).toMatchObject({ code: 'CATEGORY_EXISTS', message: 'A category named "Furniture" already exists' });
+    expect(orphan.body.error.details).toEqual([{ field: 'parentId', message: 'must be an existing category' }]);
+    expect(cycle.body.error.details[0].message).toBe('must not be the category itself or one of its subcategories');
+  });
+
+  it('should move a category to the top level on a null parentId, but not clear its name', async () => {
+    const { body: desks } = await create({ name: 'Desks', parentId: 2 }).expect(201);
+
+    const moved = await request(app).patch(`/api/categories/${desks.id}`).send({ parentId: null }).expect(200);
+    const unnamed = await request(app).patch(`/api/categories/${desks.id}`).send({ name: null }).expect(400);
+
+    expect(moved.body).toEqual({ id: desks.id, name: 'Desks', parentId: null });
+    expect(unnamed.body.error.details).toEqual([{ field: 'name', message: 'must be a string' }]);
+  });
+
+  it('should only let items use existing categories', async () => {
+    const res = await request(app)
+      .post('/api/items')
+      .send({ name: 'Yo-yo', category: 'Toys', price: 3 })
+      .expect(400);
+
+    expect(res.body.error.details).toEqual([{ field: 'category', message: 'must be an existing category' }]);
+    await create({ name: 'Toys' }).expect(201);
+    await request(app).post('/api/items').send({ name: 'Yo-yo', category: 'Toys', price: 3 }).expect(201);
+  });
+
+  it('should report an unknown category along with the other invalid fields', async () => {
+    const created = await request(app).post('/api/items').send({ name: 'Yo-yo', category: 'Toys', price: -1 }).expect(400);
+    const patched = await request(app).patch('/api/items/1').send({ category: 'Toys', price: 'free' }).expect(400);
+
+    expect(created.body.error.details).toEqual([
+      { field: 'price', message: 'must be greater than or equal to 0' },
+      { field: 'category', message: 'must be an existing category' }
+    ]);
+    expect(patched.body.error.details.map(d => d.field)).toEqual(['price', 'category']);
+  });
+
+  it('should rename the items of a renamed category, including trashed ones', async () => {
+    await request(app).delete('/api/items/2').expect(204);
+
+    const res = await request(app)
+      .patch('/api/categories/2')
+      .set('X-Test-Role', 'editor')
+      .send({ name: 'Home Office', parentId: null })
+      .expect(200);
+
+    expect(res.body).toEqual({ id: 2, name: 'Home Office', parentId: null });
+    expect((await itemRepository.readData()).map(item => item.category)).toEqual(['Electronics', 'Home Office']);
+    expect((await itemRepository.readTrash())[0]).toMatchObject({ category: 'Home Office', updatedBy: 'user:editor' });
+  });
+
+  it('should keep the old category name when its items can\'t be renamed', async () => {
+    const storage = require('../storage').getStorage();
+    jest.spyOn(storage, 'updateCollection').mockRejectedValueOnce(new Error('disk full'));
+
+    await request(app).patch('/api/categories/2').send({ name: 'Home Office' }).expect(500);
+
+    expect((await request(app).get('/api/categories/2').expect(200)).body.name).toBe('Furniture');
+    expect((await itemRepository.readData()).map(item => item.category)).toEqual(['Electronics', 'Furniture', 'Furniture']);
+  });
+
+  it('should only delete categories nothing uses', async () => {
+    const { body: desks } = await create({ name: 'Desks', parentId: 1 }).expect(201);
+
+    const withChildren = await request(app).delete('/api/categories/1').expect(409);
+    await request(app).delete('/api/items/1').expect(204);
+    await request(app).delete(`/api/categories/${desks.id}`).expect(204);
+    const withTrash = await request(app).delete('/api/categories/1').expect(409);
+
+    expect(withChildren.body.error).toMatchObject({ code: 'CATEGORY_IN_USE', message: expect.stringContaining('1 subcategories') });
+    expect(withTrash.body.error.message).toBe('Category "Electronics" is used by 1 items; move them to another category first');
+    await request(app).delete('/api/categories/4').set('X-Test-Role', 'editor').expect(403);
+    await request(app).delete('/api/categories/4').expect(204);
+    await request(app).get('/api/categories/4').expect(404);
+  });
+});
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { COLLECTIONS, WATCHED_COLLECTIONS, getStorage, openStorage } = require('../storage');
+const itemRepository = require('../repositories/itemRepository');
+const { registry } = require('../metrics');
+const { authenticateMetrics, requireRole } = require('../middleware/auth');
+
+// Run named checks; each resolves to 'ok' or a description of the failure
+async function runChecks(checks) {
+  const results = {};
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      results[name] = (await check()) || 'ok';
+    } catch (err) {
+      results[name] = `failed: ${err.message}`;
+    }
+  }
+  return results;
+}
+
+// GET /healthz - liveness: the process is up and serving requests
+router.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// GET /readyz - readiness: storage opens, every collection can be read and
+// parsed, and outside changes are being watched where that applies
+router.get('/readyz', async (req, res, next) => {
+  try {
+    const storage = getStorage();
+    const checks = await runChecks({
+      storage: async () => {
+        await openStorage();
+        for (const name of COLLECTIONS) {
+          await storage.verifyCollection(name);
+        }
+      },
+      watcher: async () => {
+        if (!storage.supportsWatch) return 'not applicable';
+        if (!WATCHED_COLLECTIONS.every(name => storage.isWatching(name))) {
+          throw new Error('file watcher is not running');
+        }
+      }
+    });
+    const ready = Object.values(checks).every(result => !result.startsWith('failed'));
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /metrics - Prometheus text format. Route and request stats aren't for
+// everyone: admins, or a scraper with METRICS_TOKEN.
+router.get('/metrics', authenticateMetrics(), requireRole('admin'), async (req, res, next) => {
+  try {
+    // Make sure the item count gauge has data to report
+    await itemRepository.readData().catch(() => {});
+    res.type('text/plain; version=0.0.4').send(registry.render());
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+describe('Health Routes', () => {
+  let dir;
+
+  // Fresh app on the json driver, as if the server had just started
+  const buildApp = () => {
+    jest.resetModules();
+    const healthRouter = require('./health');
+    const { requestMetrics } = require('../middleware/metrics');
+    const app = express();
+    app.use(requestMetrics());
+    app.use(healthRouter);
+    app.get('/api/items/:id', (req, res) => res.json({}));
+    return app;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+    fs.writeFileSync(path.join(dir, 'items.json'), JSON.stringify([{ id: 1, name: 'Lamp', category: 'Furniture', price: 10 }]));
+    process.env.DATA_DIR = dir;
+    process.env.STORAGE_DRIVER = 'json';
+    process.env.METRICS_TOKEN = 'scrape-token';
+    process.env.AUTH_API_KEYS = 'ci:editor:editor-key,ops:admin:admin-key';
+  });
+
+  afterEach(async () => {
+    await require('../storage').getStorage().close();
+    delete process.env.DATA_DIR;
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.METRICS_TOKEN;
+    delete process.env.AUTH_API_KEYS;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should report liveness', async () => {
+    const res = await request(buildApp()).get('/healthz').expect(200);
+
+    expect(res.body).toEqual({ status: 'ok', uptime: expect.any(Number) });
+  });
+
+  it('should be ready when the data is readable and watched', async () => {
+    const res = await request(buildApp()).get('/readyz').expect(200);
+
+    expect(res.body).toEqual({ status: 'ready', checks: { storage: 'ok', watcher: 'ok' } });
+  });
+
+  it('should not be ready when the data file is corrupt or the watcher is gone', async () => {
+    const app = buildApp();
+    await request(app).get('/readyz').expect(200);
+    fs.writeFileSync(path.join(dir, 'items.json'), '[{"id": 1,');
+    await require('../storage').getStorage().close();
+
+    const res = await request(app).get('/readyz').expect(503);
+
+    expect(res.body.status).toBe('not ready');
+    expect(res.body.checks.storage).toMatch(/^failed: /);
+    expect(res.body.checks.watcher).toBe('failed: file watcher is not running');
+  });
+
+  it('should expose request, cache and item metrics in Prometheus format', async () => {
+    const app = buildApp();
+    await request(app).get('/api/items/1').expect(200);
+    await request(app).get('/api/items/2').expect(200);
+
+    const res = await request(app)
+      .get('/metrics')
+      .set('Authorization', 'Bearer scrape-token')
+      .expect('Content-Type', /text\/plain/)
+      .expect(200);
+
+    expect(res.text).toContain('http_requests_total{method="GET",route="/api/items/:id",status="200"} 2');
+    expect(res.text).toContain('http_request_duration_seconds_count{method="GET",route="/api/items/:id"} 2');
+    expect(res.text).toMatch(/repository_cache_requests_total\{collection="items",result="miss"\} 1/);
+    expect(res.text).toContain('items_total 1');
+  });
+
+  it('should only show metrics to admins and the scraper', async () => {
+    const app = buildApp();
+
+    await request(app).get('/metrics').expect(401);
+    await request(app).get('/metrics').set('Authorization', 'Bearer wrong-token').expect(401);
+    await request(app).get('/metrics').set('X-API-Key', 'editor-key').expect(403);
+    await request(app).get('/metrics').set('X-API-Key', 'admin-key').expect(200);
+  });
+});
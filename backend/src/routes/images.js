@@ -0,0 +1,144 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const config = require('../config');
+const imageRepository = require('../repositories/imageRepository');
+const { assertQuery } = require('../utils/queryParser');
+const { parseId } = require('../utils/routeParams');
+const { requireRole } = require('../middleware/auth');
+
+// Item image galleries, mounted next to the items routes under /api/items
+
+// Most files one upload request may carry
+const MAX_FILES_PER_UPLOAD = 10;
+
+// Uploads are kept in memory until they've been checked; config.images.maxBytes
+// bounds how much that can be
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.images.maxBytes, files: MAX_FILES_PER_UPLOAD }
+}).array('images', MAX_FILES_PER_UPLOAD);
+
+function itemNotFound() {
+  const err = new Error('Item not found');
+  err.status = 404;
+  return err;
+}
+
+function imageNotFound() {
+  const err = new Error('Image not found');
+  err.status = 404;
+  return err;
+}
+
+// Parse multipart/form-data `images` files into req.files, turning multer's
+// errors into the API's
+function receiveImages(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      err.message = tooLarge
+        ? `Images must be at most ${config.images.maxBytes} bytes`
+        : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Send up to ${MAX_FILES_PER_UPLOAD} files in the "images" field`
+          : err.message;
+      err.status = tooLarge ? 413 : 400;
+      err.code = tooLarge ? 'PAYLOAD_TOO_LARGE' : 'INVALID_UPLOAD';
+    }
+    next(err);
+  });
+}
+
+// GET /api/items/:id/images - the item's images, in gallery order
+router.get('/:id/images', requireRole('viewer'), async (req, res, next) => {
+  try {
+    assertQuery({}, req.query);
+    const itemId = parseId(req.params.id);
+    const images = await imageRepository.listImages(itemId);
+    if (!images) {
+      throw itemNotFound();
+    }
+    res.json({ itemId, images });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/images - multipart/form-data with one or more files in
+// `images`, added to the end of the gallery. 415 if any isn't a JPEG, PNG,
+// WebP or GIF image, 413 if any is too large.
+router.post('/:id/images', requireRole('editor'), receiveImages, async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      const err = new Error('Send the images as multipart/form-data files in the "images" field');
+      err.status = 400;
+      throw err;
+    }
+    const item = await imageRepository.addImages(parseId(req.params.id), req.files, { actor: req.user.id });
+    if (!item) {
+      throw itemNotFound();
+    }
+    res.status(201).json({ itemId: item.id, images: item.images });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/items/:id/images/order - { ids } listing every image id in the
+// new order
+router.put('/:id/images/order', requireRole('editor'), async (req, res, next) => {
+  try {
+    const item = await imageRepository.reorderImages(parseId(req.params.id), req.body?.ids, { actor: req.user.id });
+    if (!item) {
+      throw itemNotFound();
+    }
+    res.json({ itemId: item.id, images: item.images });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Image ids never point at different content, so browsers may keep the files
+function sendImage(variant) {
+  return async (req, res, next) => {
+    try {
+      assertQuery({}, req.query);
+      const file = await imageRepository.readImage(parseId(req.params.id), req.params.imageId, variant);
+      if (!file) {
+        throw imageNotFound();
+      }
+      res.set({
+        'Content-Type': file.contentType,
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      res.send(file.data);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// GET /api/items/:id/images/:imageId - the image as uploaded
+router.get('/:id/images/:imageId', requireRole('viewer'), sendImage());
+
+// GET /api/items/:id/images/:imageId/thumbnail - a small square WebP of it
+router.get('/:id/images/:imageId/thumbnail', requireRole('viewer'), sendImage('thumbnail'));
+
+// DELETE /api/items/:id/images/:imageId
+router.delete('/:id/images/:imageId', requireRole('editor'), async (req, res, next) => {
+  try {
+    const item = await imageRepository.removeImage(parseId(req.params.id), req.params.imageId, { actor: req.user.id });
+    if (!item) {
+      throw itemNotFound();
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const { createTestApp } = require('../testUtils/testApp');
+const sharp = require('sharp');
+
+const seedItems = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499, images: [] },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+// A solid-color image of `width` x `height` in `format`
+const createImage = (format, width = 400, height = 300) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } }
+})[format]().toBuffer();
+
+describe('Image Routes', () => {
+  let app;
+  let png;
+  let jpeg;
+
+  beforeAll(async () => {
+    png = await createImage('png');
+    jpeg = await createImage('jpeg', 300, 600);
+  });
+
+  beforeEach(async () => {
+    process.env.IMAGE_STORE = 'memory';
+    process.env.IMAGE_MAX_BYTES = '50000';
+    process.env.IMAGE_MAX_PER_ITEM = '3';
+    app = await createTestApp({
+      items: seedItems,
+      routes: [
+        ['/api/items', 'items'],
+        ['/api/items', 'images']
+      ]
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.IMAGE_STORE;
+    delete process.env.IMAGE_MAX_BYTES;
+    delete process.env.IMAGE_MAX_PER_ITEM;
+  });
+
+  const upload = (id, ...files) => files.reduce(
+    (req, [data, name]) => req.attach('images', data, name),
+    request(app).post(`/api/items/${id}/images`)
+  );
+
+  it('should store uploads with a thumbnail and serve both back', async () => {
+    const { body } = await upload(1, [png, 'front.png'], [jpeg, 'side.jpg']).expect(201);
+
+    expect(body.images).toEqual([
+      { id: expect.any(String), contentType: 'image/png', width: 400, height: 300, size: png.length, name: 'front.png', uploadedBy: 'user:editor', uploadedAt: expect.any(String) },
+      expect.objectContaining({ contentType: 'image/jpeg', width: 300, height: 600, name: 'side.jpg' })
+    ]);
+    const [front] = body.images;
+    const original = await request(app).get(`/api/items/1/images/${front.id}`).set('X-Test-Role', 'viewer').expect(200);
+    expect(original.headers['content-type']).toBe('image/png');
+    expect(original.headers['cache-control']).toBe('private, max-age=31536000, immutable');
+    expect(Buffer.compare(original.body, png)).toBe(0);
+
+    const thumbnail = await request(app).get(`/api/items/1/images/${front.id}/thumbnail`).expect(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    expect(await sharp(thumbnail.body).metadata()).toMatchObject({ format: 'webp', width: 160, height: 160 });
+    // The records are part of the item
+    const { body: item } = await request(app).get('/api/items/1').expect(200);
+    expect(item.images.map(i => i.name)).toEqual(['front.png', 'side.jpg']);
+  });
+
+  it('should reject files that are not images, too large or too many', async () => {
+    const text = await upload(1, [png, 'ok.png'], [Buffer.from('GIF89a but not really'), 'fake.gif']).expect(415);
+    const large = await upload(1, [Buffer.alloc(60000), 'big.png']).expect(413);
+    const none = await request(app).post('/api/items/1/images').send({}).expect(400);
+
+    expect(text.body.error).toMatchObject({ code: 'UNSUPPORTED_MEDIA_TYPE', message: '"fake.gif" is not a JPEG, PNG, WebP or GIF image' });
+    expect(large.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+    expect(none.body.error.message).toBe('Send the images as multipart/form-data files in the "images" field');
+    // Nothing from the failed uploads was kept
+    const { body } = await request(app).get('/api/items/1/images').expect(200);
+    expect(body.images).toEqual([]);
+
+    await upload(1, [png, 'a.png'], [png, 'b.png']).expect(201);
+    const tooMany = await upload(1, [png, 'c.png'], [png, 'd.png']).expect(409);
+    expect(tooMany.body.error).toMatchObject({ code: 'TOO_MANY_IMAGES', message: '"Laptop Pro" has 2 images; adding 2 would exceed the limit of 3' });
+    await upload(1, [png, 'c.png']).set('X-Test-Role', 'viewer').expect(403);
+    await upload(99, [png, 'c.png']).expect(404);
+  });
+
+  it('should reorder and delete images', async () => {
+    const { body } = await upload(2, [png, 'a.png'], [png, 'b.png'], [jpeg, 'c.jpg']).expect(201);
+    const [a, b, c] = body.images.map(i => i.id);
+
+    const reordered = await request(app).put('/api/items/2/images/order').send({ ids: [c, a, b] }).expect(200);
+    const partial = await request(app).put('/api/items/2/images/order').send({ ids: [c, a] }).expect(400);
+    await request(app).delete(`/api/items/2/images/${a}`).expect(204);
+
+    expect(reordered.body.images.map(i => i.name)).toEqual(['c.jpg', 'a.png', 'b.png']);
+    expect(partial.body.error.details).toEqual([{ field: 'ids', message: "must list each of the item's image ids once" }]);
+    const { body: item } = await request(app).get('/api/items/2').expect(200);
+    expect(item).toMatchObject({ updatedBy: 'user:editor' });
+    expect(item.images.map(i => i.name)).toEqual(['c.jpg', 'b.png']);
+    await request(app).get(`/api/items/2/images/${a}`).expect(404);
+    await request(app).get(`/api/items/2/images/${a}/thumbnail`).expect(404);
+    await request(app).delete(`/api/items/2/images/${a}`).expect(404);
+  });
+
+  it('should delete the files of purged items', async () => {
+    const { body } = await upload(1, [png, 'a.png']).expect(201);
+    const { getFileStore } = require('../media');
+    const itemRepository = require('../repositories/itemRepository');
+    const { removeItemImages } = require('../repositories/imageRepository');
+    const key = `items/1/${body.images[0].id}`;
+
+    await request(app).delete('/api/items/1').set('X-Test-Role', 'admin').expect(204);
+    expect(await getFileStore().read(key)).not.toBeNull();
+    await itemRepository.purgeTrash({ before: new Date(Date.now() + 1000), onPurged: removeItemImages });
+
+    expect(await getFileStore().read(key)).toBeNull();
+    expect(await getFileStore().read(`${key}-thumbnail`)).toBeNull();
+  });
+});
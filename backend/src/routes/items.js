@@ -1,70 +1,231 @@
 const express = require('express');
 const router = express.Router();
 const itemRepository = require('../repositories/itemRepository');
+const rateRepository = require('../repositories/rateRepository');
+const promotionRepository = require('../repositories/promotionRepository');
+const auditRepository = require('../repositories/auditRepository');
+const { itemListQuery, parseItemQuery, parseAt, filterItems, projectItems } = require('../utils/itemQuery');
+const { paginateByCursor } = require('../utils/cursor');
+const { paginate, paginationQuery, assertQuery, invalidQuery } = require('../utils/queryParser');
+const { parseId } = require('../utils/routeParams');
+const { searchItems } = require('../search/itemSearch');
+const { streamItemEvents } = require('../events/itemFeed');
+const { importItems } = require('../transfer/itemImport');
+const { exportItems } = require('../transfer/itemExport');
+const { etagFor, sendCacheable, assertIfMatch, newest } = require('../utils/httpCache');
+const { requireRole } = require('../middleware/auth');
+
+function itemNotFound() {
+  const err = new Error('Item not found');
+  err.status = 404;
+  return err;
+}
+
+// Items with the promotions running `at` (null for now) applied, priced in
+// `currency` or as stored when it is null, and when the response last
+// changed. That includes promotions starting or ending, and with conversion
+// the rates.
+async function pricedIn(items, { currency, at }) {
+  const pricer = await promotionRepository.getPricer(at);
+  const converter = await rateRepository.getConverter();
+  return {
+    items: converter.convertItems(pricer.priceItems(items), currency),
+    lastModified: newest(
+      itemRepository.getLastModifiedTime(),
+      promotionRepository.getLastModifiedTime(),
+      pricer.changedAt,
+      currency === null ? null : rateRepository.getLastModifiedTime()
+    )
+  };
+}
+
+const detailQuery = { currency: itemListQuery.currency, at: itemListQuery.at };
+
+// Index of the item with the given route id, or -1
+function findItemIndex(data, id) {
+  const itemId = parseId(id);
+  return data.findIndex(i => i.id === itemId);
+}
 
 // GET /api/items
-router.get('/', async (req, res, next) => {
+router.get('/', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const query = parseItemQuery(req.query);
+    const { items: data, lastModified } = await pricedIn(await itemRepository.readData(), query);
+
+    // Server-side full-text search, filters and sorting
+    const matches = query.q ? await searchItems(query.q) : null;
+    const results = filterItems(data, query, matches);
+
+    // Opt-in cursor mode: stable when items are added between requests
+    const { items, pagination } = query.cursor !== null
+      ? paginateByCursor(results, query)
+      : paginate(results, query);
+
+    sendCacheable(req, res, { items: projectItems(items, query.fields), pagination }, lastModified);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/events (Server-Sent Events)
+router.get('/events', requireRole('viewer'), streamItemEvents);
+
+// GET /api/items/export?format=csv|ndjson|json
+router.get('/export', requireRole('viewer'), exportItems);
+
+// POST /api/items/import (text/csv or application/x-ndjson body)
+router.post('/import', requireRole('admin'), importItems);
+
+// GET /api/items/trash - deleted items that can still be restored, most
+// recently deleted first
+router.get('/trash', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const query = assertQuery(paginationQuery, req.query);
+    const trash = await itemRepository.readTrash();
+    sendCacheable(req, res, paginate(trash, query), itemRepository.getLastModifiedTime());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/:id?currency=EUR&at=2024-06-01T00:00:00Z. A converted item,
+// or one priced for another time, has a different ETag, so writes must be
+// based on the item as it is now in its own currency.
+router.get('/:id', requireRole('viewer'), async (req, res, next) => {
   try {
+    const { currency, at: rawAt } = assertQuery(detailQuery, req.query);
+    const errors = [];
+    const at = parseAt(rawAt, errors);
+    if (errors.length > 0) {
+      throw invalidQuery(errors);
+    }
     const data = await itemRepository.readData();
-    const { limit = 10, page = 1, q } = req.query;
-    let results = data;
+    const index = findItemIndex(data, req.params.id);
+    if (index === -1) {
+      throw itemNotFound();
+    }
+    const { items: [item], lastModified } = await pricedIn([data[index]], { currency, at });
+    sendCacheable(req, res, item, lastModified);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Writes respond with the item as GET /api/items/:id shows it now, promotion
+// included, and check If-Match against that same form, since it's the one
+// clients have the ETag of. Bodies are validated by the repository, which
+// checks the fields and the categories and currencies they refer to together.
+
+// POST /api/items
+router.post('/', requireRole('editor'), async (req, res, next) => {
+  try {
+    const pricer = await promotionRepository.getPricer();
+    const item = pricer.priceItem(await itemRepository.createItem(req.body, { actor: req.user.id }));
+    res.status(201).set('ETag', etagFor(item)).json(item);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Server-side search
-    if (q) {
-      results = results.filter(item => item.name.toLowerCase().includes(q.toLowerCase()));
+// PUT /api/items/:id - replaces the item; optional fields left out are reset
+router.put('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const pricer = await promotionRepository.getPricer();
+    const item = await itemRepository.replaceItem(parseId(req.params.id), req.body, {
+      actor: req.user.id,
+      precondition: current => assertIfMatch(req, pricer.priceItem(current))
+    });
+    if (!item) {
+      throw itemNotFound();
     }
+    sendCacheable(req, res, pricer.priceItem(item), itemRepository.getLastModifiedTime());
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const total = results.length;
-    const totalPages = Math.ceil(total / limitNum);
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = startIndex + limitNum;
-    const paginatedResults = results.slice(startIndex, endIndex);
-
-    res.json({
-      items: paginatedResults,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        totalPages,
-        hasNext: pageNum < totalPages,
-        hasPrev: pageNum > 1
-      }
+// PATCH /api/items/:id
+router.patch('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const pricer = await promotionRepository.getPricer();
+    const item = await itemRepository.updateItem(parseId(req.params.id), req.body, {
+      actor: req.user.id,
+      precondition: current => assertIfMatch(req, pricer.priceItem(current))
     });
+    if (!item) {
+      throw itemNotFound();
+    }
+    sendCacheable(req, res, pricer.priceItem(item), itemRepository.getLastModifiedTime());
   } catch (err) {
     next(err);
   }
 });
 
-// GET /api/items/:id
-router.get('/:id', async (req, res, next) => {
+// DELETE /api/items/:id
+router.delete('/:id', requireRole('admin'), async (req, res, next) => {
   try {
-    const data = await itemRepository.readData();
-    const item = data.find(i => i.id === parseInt(req.params.id));
+    const pricer = await promotionRepository.getPricer();
+    const item = await itemRepository.deleteItem(parseId(req.params.id), {
+      actor: req.user.id,
+      precondition: current => assertIfMatch(req, pricer.priceItem(current))
+    });
     if (!item) {
-      const err = new Error('Item not found');
+      throw itemNotFound();
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/restore - take an item out of the trash
+router.post('/:id/restore', requireRole('editor'), async (req, res, next) => {
+  try {
+    const pricer = await promotionRepository.getPricer();
+    const restored = await itemRepository.restoreItem(parseId(req.params.id), { actor: req.user.id });
+    if (!restored) {
+      const err = new Error('Item not found in the trash');
       err.status = 404;
       throw err;
     }
-    res.json(item);
+    const item = pricer.priceItem(restored);
+    res.set('ETag', etagFor(item)).json(item);
   } catch (err) {
     next(err);
   }
 });
 
-// POST /api/items
-router.post('/', async (req, res, next) => {
+// GET /api/items/:id/history - audit entries, newest first. Still available
+// after the item is deleted, so it can be restored.
+router.get('/:id/history', requireRole('viewer'), async (req, res, next) => {
   try {
-    // TODO: Validate payload (intentional omission)
-    const item = req.body;
-    const data = await itemRepository.readData();
-    item.id = Date.now();
-    data.push(item);
-    await itemRepository.writeData(data);
-    res.status(201).json(item);
+    const itemId = parseId(req.params.id);
+    const entries = await auditRepository.historyFor(itemId);
+    if (entries.length === 0) {
+      throw itemNotFound();
+    }
+    sendCacheable(req, res, { itemId, entries }, auditRepository.getLastModifiedTime());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/versions/:version/restore
+router.post('/:id/versions/:version/restore', requireRole('editor'), async (req, res, next) => {
+  try {
+    const pricer = await promotionRepository.getPricer();
+    const restored = await itemRepository.restoreVersion(parseId(req.params.id), parseId(req.params.version), {
+      actor: req.user.id,
+      precondition: current => assertIfMatch(req, pricer.priceItem(current))
+    });
+    if (!restored) {
+      const err = new Error('Version not found');
+      err.status = 404;
+      throw err;
+    }
+    const item = pricer.priceItem(restored);
+    res.set('ETag', etagFor(item)).json(item);
   } catch (err) {
     next(err);
   }
@@ -1,9 +1,43 @@
 const request = require('supertest');
 const express = require('express');
 const itemsRouter = require('./items');
+const { errorHandler } = require('../middleware/errorHandler');
 
 // Mock the repository
+// EUR at half the base price, so conversions are easy to check
+jest.mock('../repositories/rateRepository', () => {
+  const { createConverter } = jest.requireActual('../pricing/currency');
+  const mockConverter = createConverter({ base: 'USD', rates: { EUR: 0.5 } });
+  return {
+    getConverter: jest.fn(async () => mockConverter),
+    getLastModifiedTime: jest.fn(() => new Date(0)),
+    getRevision: jest.fn(() => 0)
+  };
+});
+
+// No promotions unless a test sets some with mockSetPromotions
+jest.mock('../repositories/promotionRepository', () => {
+  const { createPricer } = jest.requireActual('../pricing/promotions');
+  const { createConverter } = jest.requireActual('../pricing/currency');
+  const mockConverter = createConverter({ base: 'USD', rates: { EUR: 0.5 } });
+  const mockCategories = [{ id: 1, name: 'Electronics', parentId: null }, { id: 2, name: 'Furniture', parentId: null }];
+  let mockPromotions = [];
+  let mockRevision = 0;
+  return {
+    getPricer: jest.fn(async at => createPricer({ promotions: mockPromotions, categories: mockCategories, at: at || new Date(), converter: mockConverter, revision: mockRevision })),
+    getLastModifiedTime: jest.fn(() => null),
+    getRevision: jest.fn(() => mockRevision),
+    mockSetPromotions: (promotions) => {
+      mockPromotions = promotions;
+      mockRevision++;
+    }
+  };
+});
+
+// Validates like the real repository, minus the category and currency lookups
 jest.mock('../repositories/itemRepository', () => {
+  const { assertValid } = jest.requireActual('../utils/validation');
+  const { itemSchema } = jest.requireActual('../schemas/itemSchema');
   const mockItems = [
     { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
     { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
@@ -13,22 +47,81 @@ jest.mock('../repositories/itemRepository', () => {
   ];
 
   let mockData = [...mockItems];
+  let mockLastId = mockItems.length;
 
   return {
     readData: jest.fn(async () => [...mockData]),
     writeData: jest.fn(async (data) => {
       mockData = data;
     }),
-    getLastModifiedTime: jest.fn(() => new Date())
+    getLastModifiedTime: jest.fn(() => new Date()),
+    getRevision: jest.fn(() => 0),
+    onChange: jest.fn(),
+    createItem: jest.fn(async (fields) => {
+      const item = { ...assertValid(itemSchema, fields), id: ++mockLastId };
+      mockData = [...mockData, item];
+      return item;
+    }),
+    updateItem: jest.fn(async (id, changes, { precondition } = {}) => {
+      const existing = mockData.find(i => i.id === id);
+      if (!existing) return null;
+      const fields = assertValid(itemSchema, changes, { partial: true });
+      if (precondition) precondition(existing);
+      const item = { ...existing, ...fields, id };
+      mockData = mockData.map(i => (i.id === id ? item : i));
+      return item;
+    }),
+    replaceItem: jest.fn(async (id, fields, { precondition } = {}) => {
+      const existing = mockData.find(i => i.id === id);
+      if (!existing) return null;
+      const validated = assertValid(itemSchema, fields);
+      if (precondition) precondition(existing);
+      const item = { ...validated, id };
+      mockData = mockData.map(i => (i.id === id ? item : i));
+      return item;
+    }),
+    deleteItem: jest.fn(async (id, { precondition } = {}) => {
+      const existing = mockData.find(i => i.id === id);
+      if (!existing) return null;
+      if (precondition) precondition(existing);
+      mockData = mockData.filter(i => i.id !== id);
+      return existing;
+    }),
+    readTrash: jest.fn(async () => [
+      { id: 9, name: 'Old Lamp', category: 'Furniture', price: 20, deletedAt: '2024-01-02T00:00:00.000Z' },
+      { id: 8, name: 'Old Desk', category: 'Furniture', price: 200, deletedAt: '2024-01-01T00:00:00.000Z' }
+    ]),
+    restoreItem: jest.fn(async id => (id === 9 ? { id: 9, name: 'Old Lamp', category: 'Furniture', price: 20 } : null)),
+    restoreVersion: jest.fn(async (id, version, { precondition } = {}) => {
+      if (version !== 1) return null;
+      const existing = mockData.find(i => i.id === id);
+      if (existing && precondition) precondition(existing);
+      return { ...existing, price: 1, id };
+    })
   };
 });
 
+jest.mock('../repositories/auditRepository', () => ({
+  getLastModifiedTime: jest.fn(() => new Date()),
+  historyFor: jest.fn(async itemId => (itemId === 1
+    ? [
+      { id: 2, itemId: 1, version: 2, action: 'updated', actor: 'user:bob', changes: { price: { from: 1, to: 2499 } } },
+      { id: 1, itemId: 1, version: 1, action: 'created', actor: 'user:alice', changes: {} }
+    ]
+    : []))
+}));
+
 const app = express();
 app.use(express.json());
-app.use('/api/items', itemsRouter);
-app.use((err, req, res, next) => {
-  res.status(err.status || 500).json({ error: err.message });
+// Stands in for the authenticator: X-Test-Role picks the acting user's role
+// (admin by default), 'none' leaves the request unauthenticated
+app.use((req, res, next) => {
+  const role = req.get('X-Test-Role') || 'admin';
+  if (role !== 'none') req.user = { id: `user:${role}`, name: role, role };
+  next();
 });
+app.use('/api/items', itemsRouter);
+app.use(errorHandler);
 
 describe('Items Routes', () => {
   beforeEach(() => {
@@ -119,6 +212,293 @@ describe('Items Routes', () => {
     });
   });
 
+  describe('GET /api/items full-text search', () => {
+    it('should rank results and include scores and highlights', async () => {
+      const res = await request(app)
+        .get('/api/items?q=headphone')
+        .expect(200);
+
+      expect(res.body.items).toHaveLength(1);
+      expect(res.body.items[0]).toMatchObject({
+        id: 2,
+        search: { score: expect.any(Number), highlights: { name: [[17, 26]] } }
+      });
+    });
+
+    it('should tolerate typos', async () => {
+      const res = await request(app)
+        .get('/api/items?q=standng')
+        .expect(200);
+
+      expect(res.body.items.map(i => i.id)).toEqual([5]);
+    });
+
+    it('should keep search annotations when projecting fields', async () => {
+      const res = await request(app)
+        .get('/api/items?q=desk&fields=name')
+        .expect(200);
+
+      expect(Object.keys(res.body.items[0])).toEqual(['id', 'name', 'search']);
+    });
+
+    it('should allow another sort order for searches', async () => {
+      const res = await request(app)
+        .get('/api/items?q=electronics&sort=price')
+        .expect(200);
+
+      expect(res.body.items.map(i => i.id)).toEqual([2, 3, 1]);
+    });
+
+    it('should reject sorting by relevance without a query', async () => {
+      const res = await request(app)
+        .get('/api/items?sort=-relevance')
+        .expect(400);
+
+      expect(res.body.error.details).toEqual([
+        { field: 'sort', message: 'relevance requires a search query (q)' }
+      ]);
+    });
+  });
+
+  describe('GET /api/items page and limit validation', () => {
+    it.each([
+      ['limit=0', 'limit', 'must be greater than or equal to 1'],
+      ['limit=-5', 'limit', 'must be greater than or equal to 1'],
+      ['limit=1000000', 'limit', 'must be less than or equal to 100'],
+      ['limit=2.5', 'limit', 'must be an integer'],
+      ['page=abc', 'page', 'must be an integer'],
+      ['page=0', 'page', 'must be greater than or equal to 1'],
+      ['page=1&page=2', 'page', 'must be given once']
+    ])('should reject %s', async (qs, field, message) => {
+      const res = await request(app)
+        .get(`/api/items?${qs}`)
+        .expect(400);
+
+      expect(res.body.error).toMatchObject({
+        code: 'INVALID_QUERY',
+        details: [{ field, message }]
+      });
+    });
+
+    it('should return an empty page past the end with consistent metadata', async () => {
+      const res = await request(app)
+        .get('/api/items?page=9&limit=2')
+        .expect(200);
+
+      expect(res.body.items).toEqual([]);
+      expect(res.body.pagination).toMatchObject({ page: 9, totalPages: 3, hasNext: false, hasPrev: true });
+    });
+
+    it('should report zero pages for an empty result', async () => {
+      const res = await request(app)
+        .get('/api/items?q=nothing-matches')
+        .expect(200);
+
+      expect(res.body.pagination).toMatchObject({ total: 0, totalPages: 0, hasNext: false });
+    });
+  });
+
+  describe('GET /api/items filtering and sorting', () => {
+    it('should filter by category', async () => {
+      const res = await request(app)
+        .get('/api/items?category=Furniture')
+        .expect(200);
+
+      expect(res.body.items.map(i => i.id)).toEqual([4, 5]);
+    });
+
+    it('should accept multiple categories', async () => {
+      const res = await request(app)
+        .get('/api/items?category=Furniture,Electronics&limit=20')
+        .expect(200);
+
+      expect(res.body.pagination.total).toBe(5);
+    });
+
+    it('should filter by price range', async () => {
+      const res = await request(app)
+        .get('/api/items?minPrice=500&maxPrice=1000')
+        .expect(200);
+
+      expect(res.body.items.map(i => i.id)).toEqual([3, 4]);
+    });
+
+    it('should sort by multiple fields', async () => {
+      const res = await request(app)
+        .get('/api/items?sort=category,-price')
+        .expect(200);
+
+      expect(res.body.items.map(i => i.id)).toEqual([1, 3, 2, 5, 4]);
+    });
+
+    it('should convert prices to the requested currency before filtering', async () => {
+      const res = await request(app)
+        .get('/api/items?currency=EUR&minPrice=500&sort=price')
+        .expect(200);
+
+      expect(res.body.items).toEqual([
+        {
+          id: 5,
+          name: 'Standing Desk',
+          category: 'Furniture',
+          price: 599.5,
+          effectivePrice: 599.5,
+          currency: 'EUR',
+          convertedFrom: { price: 1199, effectivePrice: 1199, currency: 'USD' }
+        },
+        {
+          id: 1,
+          name: 'Laptop Pro',
+          category: 'Electronics',
+          price: 1249.5,
+          effectivePrice: 1249.5,
+          currency: 'EUR',
+          convertedFrom: { price: 2499, effectivePrice: 2499, currency: 'USD' }
+        }
+      ]);
+    });
+
+    it('should convert discounted prices along with the regular ones', async () => {
+      const { mockSetPromotions } = require('../repositories/promotionRepository');
+      mockSetPromotions([{ id: 7, name: 'Desk deal', itemId: 5, price: 999, startsAt: '2024-06-01T00:00:00.000Z', endsAt: '2024-06-03T00:00:00.000Z' }]);
+
+      const res = await request(app)
+        .get('/api/items?currency=EUR&fields=price&at=2024-06-02T00:00:00Z')
+        .expect(200);
+      mockSetPromotions([]);
+
+      // The promotion is kept with the price it explains
+      expect(res.body.items[4]).toEqual({
+        id: 5,
+        price: 599.5,
+        effectivePrice: 499.5,
+        promotion: { id: 7, name: 'Desk deal', endsAt: '2024-06-03T00:00:00.000Z' }
+      });
+      expect(res.body.items[0]).toEqual({ id: 1, price: 1249.5, effectivePrice: 1249.5 });
+    });
+
+    it('should reject currencies without a rate', async () => {
+      const res = await request(app)
+        .get('/api/items?currency=GBP')
+        .expect(400);
+
+      expect(res.body.error.details).toEqual([{ field: 'currency', message: 'must be one of: USD, EUR' }]);
+    });
+
+    it('should project the requested fields and always keep id', async () => {
+      const res = await request(app)
+        .get('/api/items?fields=name&limit=1')
+        .expect(200);
+
+      expect(res.body.items).toEqual([{ id: 1, name: 'Laptop Pro' }]);
+    });
+
+    it('should reject unknown parameters', async () => {
+      const res = await request(app)
+        .get('/api/items?color=red')
+        .expect(400);
+
+      expect(res.body.error.code).toBe('INVALID_QUERY');
+      expect(res.body.error.details).toEqual([
+        { field: 'color', message: 'is not a supported query parameter' }
+      ]);
+    });
+
+    it('should reject malformed values with one error per parameter', async () => {
+      const res = await request(app)
+        .get('/api/items?minPrice=cheap&sort=-weight&fields=secret')
+        .expect(400);
+
+      expect(res.body.error.details.map(d => d.field)).toEqual(['minPrice', 'sort', 'fields']);
+    });
+
+    it('should reject an inverted price range', async () => {
+      const res = await request(app)
+        .get('/api/items?minPrice=100&maxPrice=10')
+        .expect(400);
+
+      expect(res.body.error.details[0].message).toBe('must not be greater than maxPrice');
+    });
+  });
+
+  describe('GET /api/items cursor mode', () => {
+    it('should return the first page and a next cursor for an empty cursor', async () => {
+      const res = await request(app)
+        .get('/api/items?cursor=&limit=2')
+        .expect(200);
+
+      expect(res.body.items.map(i => i.id)).toEqual([1, 2]);
+      expect(res.body.pagination).toMatchObject({
+        mode: 'cursor',
+        limit: 2,
+        total: 5,
+        hasNext: true,
+        hasPrev: false,
+        prevCursor: null
+      });
+      expect(typeof res.body.pagination.nextCursor).toBe('string');
+    });
+
+    it('should walk forward and back with the returned cursors', async () => {
+      const first = await request(app).get('/api/items?cursor=&limit=2');
+      const second = await request(app)
+        .get(`/api/items?cursor=${first.body.pagination.nextCursor}&limit=2`)
+        .expect(200);
+
+      expect(second.body.items.map(i => i.id)).toEqual([3, 4]);
+
+      const back = await request(app)
+        .get(`/api/items?cursor=${second.body.pagination.prevCursor}&limit=2`)
+        .expect(200);
+
+      expect(back.body.items.map(i => i.id)).toEqual([1, 2]);
+      expect(back.body.pagination.hasPrev).toBe(false);
+    });
+
+    it('should not shift pages when items are inserted before the cursor', async () => {
+      const itemRepository = require('../repositories/itemRepository');
+      const first = await request(app).get('/api/items?cursor=&limit=2&sort=price');
+      expect(first.body.items.map(i => i.id)).toEqual([2, 4]);
+
+      const current = await itemRepository.readData();
+      itemRepository.readData.mockResolvedValueOnce([
+        ...current,
+        { id: 6, name: 'Mouse Pad', category: 'Accessories', price: 10 }
+      ]);
+
+      const second = await request(app)
+        .get(`/api/items?cursor=${first.body.pagination.nextCursor}&limit=2&sort=price`)
+        .expect(200);
+
+      expect(second.body.items.map(i => i.id)).toEqual([3, 5]);
+      expect(second.body.pagination.total).toBe(6);
+    });
+
+    it('should reject malformed cursors', async () => {
+      const res = await request(app)
+        .get('/api/items?cursor=not-a-cursor')
+        .expect(400);
+
+      expect(res.body.error.details).toEqual([{ field: 'cursor', message: 'is malformed' }]);
+    });
+
+    it('should reject cursors created for another sort order', async () => {
+      const first = await request(app).get('/api/items?cursor=&limit=2&sort=price');
+
+      const res = await request(app)
+        .get(`/api/items?cursor=${first.body.pagination.nextCursor}&limit=2&sort=name`)
+        .expect(400);
+
+      expect(res.body.error.details[0].message).toBe('was created for a different sort order');
+    });
+
+    it('should not allow cursor and page together', async () => {
+      await request(app)
+        .get('/api/items?cursor=&page=2')
+        .expect(400);
+    });
+  });
+
   describe('GET /api/items/:id', () => {
     it('should return a single item by id', async () => {
       const res = await request(app)
@@ -129,12 +509,27 @@ describe('Items Routes', () => {
       expect(res.body).toHaveProperty('name', 'Laptop Pro');
     });
 
+    it('should price a single item in the requested currency', async () => {
+      const res = await request(app)
+        .get('/api/items/4?currency=EUR')
+        .expect(200);
+
+      expect(res.body).toMatchObject({ price: 399.5, currency: 'EUR', convertedFrom: { price: 799, currency: 'USD' } });
+    });
+
     it('should return 404 when item not found', async () => {
       const res = await request(app)
         .get('/api/items/999')
         .expect(404);
 
-      expect(res.body).toHaveProperty('error', 'Item not found');
+      expect(res.body).toHaveProperty('error.code', 'NOT_FOUND');
+      expect(res.body).toHaveProperty('error.message', 'Item not found');
+    });
+
+    it('should not coerce partially numeric ids', async () => {
+      await request(app)
+        .get('/api/items/1abc')
+        .expect(404);
     });
 
     it('should handle invalid id format', async () => {
@@ -142,7 +537,8 @@ describe('Items Routes', () => {
         .get('/api/items/invalid')
         .expect(404);
 
-      expect(res.body).toHaveProperty('error', 'Item not found');
+      expect(res.body).toHaveProperty('error.code', 'NOT_FOUND');
+      expect(res.body).toHaveProperty('error.message', 'Item not found');
     });
   });
 
@@ -150,7 +546,7 @@ describe('Items Routes', () => {
     it('should create a new item', async () => {
       const newItem = {
         name: 'New Item',
-        category: 'Test',
+        category: 'Accessories',
         price: 100
       };
 
@@ -161,7 +557,7 @@ describe('Items Routes', () => {
 
       expect(res.body).toHaveProperty('id');
       expect(res.body).toHaveProperty('name', 'New Item');
-      expect(res.body).toHaveProperty('category', 'Test');
+      expect(res.body).toHaveProperty('category', 'Accessories');
       expect(res.body).toHaveProperty('price', 100);
       expect(typeof res.body.id).toBe('number');
     });
@@ -169,7 +565,7 @@ describe('Items Routes', () => {
     it('should auto-generate id for new item', async () => {
       const newItem = {
         name: 'Another Item',
-        category: 'Test',
+        category: 'Accessories',
         price: 200
       };
 
@@ -184,7 +580,7 @@ describe('Items Routes', () => {
     it('should persist the new item', async () => {
       const newItem = {
         name: 'Persisted Item',
-        category: 'Test',
+        category: 'Accessories',
         price: 300
       };
 
@@ -195,8 +591,303 @@ describe('Items Routes', () => {
 
       // Verify it was saved by checking the repository was called
       const itemRepository = require('../repositories/itemRepository');
-      expect(itemRepository.writeData).toHaveBeenCalled();
+      expect(itemRepository.createItem).toHaveBeenCalledWith(newItem, { actor: 'user:admin' });
+    });
+
+    it('should ignore a client-supplied id', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .send({ id: 1, name: 'Impostor', category: 'Accessories', price: 1 })
+        .expect(201);
+
+      expect(res.body.id).not.toBe(1);
+    });
+    it('should strip unknown fields and trim the name', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .send({ name: '  Desk Lamp  ', category: 'Furniture', price: 49, isAdmin: true })
+        .expect(201);
+
+      expect(res.body).toHaveProperty('name', 'Desk Lamp');
+      expect(res.body).not.toHaveProperty('isAdmin');
+    });
+
+    it('should return 400 with field errors for an invalid payload', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .send({ name: '   ', category: 'Toys', price: -1 })
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+      expect(res.body.error.details).toEqual([
+        { field: 'name', message: 'must not be empty' },
+        { field: 'price', message: 'must be greater than or equal to 0' }
+      ]);
+    });
+
+    it('should return 400 when required fields are missing', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .send({ price: '100' })
+        .expect(400);
+
+      expect(res.body.error.details).toEqual([
+        { field: 'name', message: 'is required' },
+        { field: 'category', message: 'is required' },
+        { field: 'price', message: 'must be a number' }
+      ]);
     });
   });
-});
 
+  describe('PUT /api/items/:id', () => {
+    it('should replace an item and keep its id', async () => {
+      const res = await request(app)
+        .put('/api/items/3')
+        .send({ id: 42, name: 'Ultra-Wide Monitor 2', category: 'Electronics', price: 899 })
+        .expect(200);
+
+      expect(res.body).toEqual({ id: 3, name: 'Ultra-Wide Monitor 2', category: 'Electronics', price: 899, effectivePrice: 899 });
+
+      const itemRepository = require('../repositories/itemRepository');
+      expect(itemRepository.replaceItem).toHaveBeenCalledWith(3, expect.objectContaining({
+        name: 'Ultra-Wide Monitor 2',
+        category: 'Electronics',
+        price: 899
+      }), expect.any(Object));
+    });
+
+    it('should require the full payload', async () => {
+      const res = await request(app)
+        .put('/api/items/3')
+        .send({ price: 899 })
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 404 when item not found', async () => {
+      await request(app)
+        .put('/api/items/999')
+        .send({ name: 'Ghost', category: 'Electronics', price: 1 })
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/items/:id', () => {
+    it('should update only the given fields', async () => {
+      const res = await request(app)
+        .patch('/api/items/1')
+        .send({ price: 1999 })
+        .expect(200);
+
+      expect(res.body).toEqual({ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 1999, effectivePrice: 1999 });
+    });
+
+    it('should validate the given fields', async () => {
+      const res = await request(app)
+        .patch('/api/items/1')
+        .send({ price: -10 })
+        .expect(400);
+
+      expect(res.body.error.details).toEqual([
+        { field: 'price', message: 'must be greater than or equal to 0' }
+      ]);
+    });
+
+    it('should reject null for fields that can\'t be cleared', async () => {
+      const { body: before } = await request(app).get('/api/items/1').expect(200);
+      const price = await request(app).patch('/api/items/1').send({ price: null }).expect(400);
+      const name = await request(app).patch('/api/items/1').send({ name: null }).expect(400);
+
+      expect(price.body.error.details).toEqual([{ field: 'price', message: 'must be a number' }]);
+      expect(name.body.error.details).toEqual([{ field: 'name', message: 'must be a string' }]);
+      await request(app).get('/api/items/1').expect(200, before);
+    });
+
+    it('should return 404 when item not found', async () => {
+      await request(app)
+        .patch('/api/items/999')
+        .send({ price: 1 })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/items/:id', () => {
+    it('should remove the item', async () => {
+      await request(app)
+        .delete('/api/items/4')
+        .expect(204);
+
+      await request(app)
+        .get('/api/items/4')
+        .expect(404);
+    });
+
+    it('should return 404 when item not found', async () => {
+      const itemRepository = require('../repositories/itemRepository');
+
+      await request(app)
+        .delete('/api/items/999')
+        .expect(404);
+
+      expect(itemRepository.deleteItem).toHaveBeenCalledWith(999, expect.any(Object));
+    });
+  });
+
+  describe('conditional requests', () => {
+    it('should answer a matching If-None-Match with 304', async () => {
+      const first = await request(app)
+        .get('/api/items/2')
+        .expect(200);
+
+      expect(first.headers.etag).toMatch(/^"[^"]+"$/);
+      expect(first.headers['last-modified']).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .get('/api/items/2')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+
+      expect(second.text).toBe('');
+    });
+
+    it('should give list responses an ETag that follows their content', async () => {
+      const all = await request(app).get('/api/items').expect(200);
+      const page = await request(app).get('/api/items?limit=2').expect(200);
+
+      expect(all.headers.etag).not.toBe(page.headers.etag);
+
+      await request(app)
+        .get('/api/items?limit=2')
+        .set('If-None-Match', page.headers.etag)
+        .expect(304);
+    });
+
+    it('should apply a write when If-Match names the current version', async () => {
+      const { headers } = await request(app).get('/api/items/2').expect(200);
+
+      const res = await request(app)
+        .patch('/api/items/2')
+        .set('If-Match', headers.etag)
+        .send({ price: 349 })
+        .expect(200);
+
+      expect(res.headers.etag).not.toBe(headers.etag);
+    });
+
+    it('should reject writes based on a stale version with 412', async () => {
+      const { headers } = await request(app).get('/api/items/3').expect(200);
+      await request(app).patch('/api/items/3').send({ price: 949 }).expect(200);
+
+      const res = await request(app)
+        .put('/api/items/3')
+        .set('If-Match', headers.etag)
+        .send({ name: 'Monitor', category: 'Electronics', price: 1 })
+        .expect(412);
+
+      expect(res.body.error.code).toBe('PRECONDITION_FAILED');
+      await request(app)
+        .delete('/api/items/3')
+        .set('If-Match', `W/${headers.etag}`)
+        .expect(412);
+      const current = await request(app).get('/api/items/3').expect(200);
+      expect(current.body.price).toBe(949);
+    });
+  });
+
+  describe('roles', () => {
+    const itemsRepository = require('../repositories/itemRepository');
+
+    it('should require authentication for reads', async () => {
+      const res = await request(app).get('/api/items').set('X-Test-Role', 'none').expect(401);
+
+      expect(res.body.error.code).toBe('UNAUTHENTICATED');
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    it('should let viewers read but not write', async () => {
+      await request(app).get('/api/items/1').set('X-Test-Role', 'viewer').expect(200);
+      const res = await request(app)
+        .post('/api/items')
+        .set('X-Test-Role', 'viewer')
+        .send({ name: 'Lamp', category: 'Furniture', price: 49 })
+        .expect(403);
+
+      expect(res.body.error.code).toBe('FORBIDDEN');
+      expect(itemsRepository.createItem).not.toHaveBeenCalled();
+    });
+
+    it('should let editors create and update but not delete', async () => {
+      await request(app)
+        .post('/api/items')
+        .set('X-Test-Role', 'editor')
+        .send({ name: 'Lamp', category: 'Furniture', price: 49 })
+        .expect(201);
+      await request(app).patch('/api/items/1').set('X-Test-Role', 'editor').send({ price: 2399 }).expect(200);
+      await request(app).delete('/api/items/1').set('X-Test-Role', 'editor').expect(403);
+
+      expect(itemsRepository.deleteItem).not.toHaveBeenCalled();
+    });
+
+    it('should pass the acting user to the repository', async () => {
+      await request(app)
+        .post('/api/items')
+        .set('X-Test-Role', 'editor')
+        .send({ name: 'Lamp', category: 'Furniture', price: 49 })
+        .expect(201);
+      await request(app).put('/api/items/2').set('X-Test-Role', 'editor')
+        .send({ name: 'Headphones', category: 'Electronics', price: 299 })
+        .expect(200);
+
+      expect(itemsRepository.createItem).toHaveBeenCalledWith(expect.any(Object), { actor: 'user:editor' });
+      expect(itemsRepository.replaceItem).toHaveBeenCalledWith(2, expect.any(Object), expect.objectContaining({ actor: 'user:editor' }));
+    });
+  });
+
+  describe('history and restore', () => {
+    it('should list an item\'s history, newest first', async () => {
+      const res = await request(app).get('/api/items/1/history').set('X-Test-Role', 'viewer').expect(200);
+
+      expect(res.body.itemId).toBe(1);
+      expect(res.body.entries.map(e => e.version)).toEqual([2, 1]);
+      await request(app).get('/api/items/42/history').expect(404);
+    });
+
+    it('should restore a version for editors only', async () => {
+      const itemsRepository = require('../repositories/itemRepository');
+
+      await request(app).post('/api/items/4/versions/1/restore').set('X-Test-Role', 'viewer').expect(403);
+      const res = await request(app).post('/api/items/4/versions/1/restore').set('X-Test-Role', 'editor').expect(200);
+
+      expect(res.body).toMatchObject({ id: 4, price: 1 });
+      expect(res.headers.etag).toBeDefined();
+      expect(itemsRepository.restoreVersion).toHaveBeenCalledWith(4, 1, expect.objectContaining({ actor: 'user:editor' }));
+      await request(app).post('/api/items/4/versions/3/restore').expect(404);
+
+      const { body } = await request(app).get('/api/items');
+      await request(app).post(`/api/items/${body.items[0].id}/versions/1/restore`).set('If-Match', '"stale"').expect(412);
+    });
+  });
+
+  describe('trash', () => {
+    it('should list the trash with pagination', async () => {
+      const res = await request(app).get('/api/items/trash?limit=1').set('X-Test-Role', 'viewer').expect(200);
+
+      expect(res.body.items.map(i => i.id)).toEqual([9]);
+      expect(res.body.pagination).toMatchObject({ total: 2, limit: 1 });
+      await request(app).get('/api/items/trash?limit=0').expect(400);
+    });
+
+    it('should restore an item from the trash', async () => {
+      const itemsRepository = require('../repositories/itemRepository');
+
+      await request(app).post('/api/items/9/restore').set('X-Test-Role', 'viewer').expect(403);
+      const res = await request(app).post('/api/items/9/restore').set('X-Test-Role', 'editor').expect(200);
+
+      expect(res.body.name).toBe('Old Lamp');
+      expect(itemsRepository.restoreItem).toHaveBeenCalledWith(9, { actor: 'user:editor' });
+      const missing = await request(app).post('/api/items/1/restore').expect(404);
+      expect(missing.body.error.message).toBe('Item not found in the trash');
+    });
+  });
+});
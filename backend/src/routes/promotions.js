@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const promotionRepository = require('../repositories/promotionRepository');
+const { validateBody } = require('../middleware/validate');
+const { promotionSchema } = require('../schemas/promotionSchema');
+const { promotionStatus } = require('../pricing/promotions');
+const { assertQuery } = require('../utils/queryParser');
+const { parseId } = require('../utils/routeParams');
+const { requireRole } = require('../middleware/auth');
+
+function promotionNotFound() {
+  const err = new Error('Promotion not found');
+  err.status = 404;
+  return err;
+}
+
+// `promotion` with its status right now
+const withStatus = (promotion, now = Date.now()) => ({ ...promotion, status: promotionStatus(promotion, now) });
+
+// GET /api/promotions - every promotion with its status (scheduled, running
+// or ended), soonest to start first. Not cacheable: statuses change as time
+// passes, without anything being written.
+router.get('/', requireRole('viewer'), async (req, res, next) => {
+  try {
+    assertQuery({}, req.query);
+    const now = Date.now();
+    const promotions = (await promotionRepository.readPromotions())
+      .map(promotion => withStatus(promotion, now))
+      .sort((a, b) => a.startsAt.localeCompare(b.startsAt) || a.id - b.id);
+    res.json({ promotions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/promotions/:id
+router.get('/:id', requireRole('viewer'), async (req, res, next) => {
+  try {
+    assertQuery({}, req.query);
+    const promotion = await promotionRepository.findPromotion(parseId(req.params.id));
+    if (!promotion) {
+      throw promotionNotFound();
+    }
+    res.json(withStatus(promotion));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/promotions - { name, itemId | categoryId, percentOff | price,
+// startsAt, endsAt }
+router.post('/', requireRole('editor'), validateBody(promotionSchema), async (req, res, next) => {
+  try {
+    const promotion = await promotionRepository.createPromotion(req.body, { actor: req.user.id });
+    res.status(201).json(withStatus(promotion));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /api/promotions/:id - null clears itemId, categoryId, percentOff or
+// price, to switch to the other one
+router.patch('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const promotion = await promotionRepository.updatePromotion(parseId(req.params.id), req.body, { actor: req.user.id });
+    if (!promotion) {
+      throw promotionNotFound();
+    }
+    res.json(withStatus(promotion));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/promotions/:id. To end a running promotion early but keep it
+// on record, set its endsAt instead.
+router.delete('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const promotion = await promotionRepository.deletePromotion(parseId(req.params.id));
+    if (!promotion) {
+      throw promotionNotFound();
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
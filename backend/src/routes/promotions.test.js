@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { createTestApp } = require('../testUtils/testApp');
+
+const seedItems = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 800 },
+  { id: 3, name: 'Standing Desk', category: 'Furniture', price: 1200 }
+];
+
+// Relative to now, so promotions are running, ended or scheduled
+const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+describe('Promotion Routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await createTestApp({
+      items: seedItems,
+      routes: [
+        ['/api/items', 'items'],
+        ['/api/promotions', 'promotions'],
+        ['/api/categories', 'categories'],
+        ['/api/stats', 'stats']
+      ]
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  const create = body => request(app).post('/api/promotions').send(body);
+  const running = { startsAt: hoursFromNow(-1), endsAt: hoursFromNow(48) };
+
+  it('should create promotions and list them with their status', async () => {
+    const { body: sale } = await create({ name: 'Weekend sale', categoryId: 2, percentOff: 25, ...running }).expect(201);
+    await create({ name: 'Next week', itemId: 1, price: 1999, startsAt: hoursFromNow(100), endsAt: hoursFromNow(200) }).expect(201);
+
+    expect(sale).toEqual({ id: 1, name: 'Weekend sale', categoryId: 2, percentOff: 25, ...running, createdBy: 'user:editor', updatedBy: 'user:editor', status: 'running' });
+    const { body } = await request(app).get('/api/promotions').set('X-Test-Role', 'viewer').expect(200);
+    expect(body.promotions.map(p => [p.name, p.status])).toEqual([['Weekend sale', 'running'], ['Next week', 'scheduled']]);
+    await create({ name: 'Nope', itemId: 1, percentOff: 5, ...running }).set('X-Test-Role', 'viewer').expect(403);
+  });
+
+  it('should reject promotions that are ambiguous or out of range', async () => {
+    const both = await create({ name: 'Both', itemId: 1, categoryId: 2, percentOff: 10, price: 5, ...running }).expect(400);
+    const fixed = await create({ name: 'Fixed', categoryId: 2, price: 5, ...running }).expect(400);
+    const times = await create({ name: 'Backwards', itemId: 1, percentOff: 10, startsAt: running.endsAt, endsAt: '2024-06-01' }).expect(400);
+    const missing = await create({ name: 'Missing', itemId: 99, percentOff: 110, ...running }).expect(400);
+
+    expect(both.body.error.details).toEqual([
+      { field: 'itemId', message: 'set exactly one of itemId or categoryId' },
+      { field: 'percentOff', message: 'set exactly one of percentOff or price' }
+    ]);
+    expect(fixed.body.error.details).toEqual([{ field: 'price', message: 'can only be set for an item; use percentOff for a category' }]);
+    expect(times.body.error.details).toEqual([{ field: 'endsAt', message: 'must be an ISO 8601 timestamp with a time zone' }]);
+    expect(missing.body.error.details).toEqual([{ field: 'percentOff', message: 'must be less than or equal to 100' }]);
+    const item = await create({ name: 'Missing', itemId: 99, percentOff: 10, ...running }).expect(400);
+    expect(item.body.error.details).toEqual([{ field: 'itemId', message: 'must be an existing item' }]);
+  });
+
+  it('should price fixed-price promotions in a currency with a rate', async () => {
+    const percent = await create({ name: 'Percent', itemId: 2, percentOff: 10, currency: 'USD', ...running }).expect(400);
+    const unknown = await create({ name: 'Unknown', itemId: 2, price: 500, currency: 'EUR', ...running }).expect(400);
+    const { body: deal } = await create({ name: 'Deal', itemId: 2, price: 500, ...running }).expect(201);
+    const { body: switched } = await request(app).patch(`/api/promotions/${deal.id}`).send({ price: null, percentOff: 10 }).expect(200);
+
+    expect(percent.body.error.details).toEqual([{ field: 'currency', message: 'can only be set along with price' }]);
+    expect(unknown.body.error.details).toEqual([{ field: 'currency', message: 'must be the base currency or one with an exchange rate' }]);
+    expect(deal.currency).toBe('USD');
+    expect(switched.currency).toBeUndefined();
+  });
+
+  it('should return effective prices for now or for another time', async () => {
+    await create({ name: 'Furniture sale', categoryId: 2, percentOff: 25, ...running }).expect(201);
+    await create({ name: 'Chair deal', itemId: 2, price: 500, startsAt: hoursFromNow(24), endsAt: hoursFromNow(72) }).expect(201);
+
+    const { body: now } = await request(app).get('/api/items?sort=id').expect(200);
+    const { body: later } = await request(app).get(`/api/items?sort=id&at=${encodeURIComponent(hoursFromNow(60))}`).expect(200);
+    const invalid = await request(app).get('/api/items/2?at=tomorrow').expect(400);
+
+    expect(now.items.map(i => [i.price, i.effectivePrice])).toEqual([[2499, 2499], [800, 600], [1200, 900]]);
+    expect(now.items[1].promotion).toEqual({ id: 1, name: 'Furniture sale', percentOff: 25, endsAt: running.endsAt });
+    // Only the item's own promotion is still running then
+    expect(later.items.map(i => i.effectivePrice)).toEqual([2499, 500, 1200]);
+    expect(invalid.body.error.details).toEqual([{ field: 'at', message: 'must be an ISO 8601 timestamp with a time zone' }]);
+    const { body: converted } = await request(app).get('/api/items/2?currency=USD').expect(200);
+    expect(converted).toMatchObject({ price: 800, effectivePrice: 600, currency: 'USD' });
+  });
+
+  it('should accept the ETag of a discounted item for writes and keep its regular price', async () => {
+    await create({ name: 'Furniture sale', categoryId: 2, percentOff: 25, ...running }).expect(201);
+    const { headers } = await request(app).get('/api/items/2').expect(200);
+
+    const { body } = await request(app).patch('/api/items/2').set('If-Match', headers.etag).send({ name: 'Office Chair' }).expect(200);
+
+    expect(body).toMatchObject({ name: 'Office Chair', price: 800, effectivePrice: 600 });
+  });
+
+  it('should switch, end and delete promotions', async () => {
+    const { body: created } = await create({ name: 'Deal', itemId: 2, percentOff: 10, ...running }).expect(201);
+
+    const { body: fixed } = await request(app).patch(`/api/promotions/${created.id}`).send({ percentOff: null, price: 700 }).expect(200);
+    expect(fixed).toMatchObject({ price: 700, currency: 'USD', status: 'running' });
+    expect(fixed.percentOff).toBeUndefined();
+    const { body: ended } = await request(app).patch(`/api/promotions/${created.id}`).send({ endsAt: hoursFromNow(-0.5) }).expect(200);
+    expect(ended.status).toBe('ended');
+    const { body: item } = await request(app).get('/api/items/2').expect(200);
+    expect(item).toMatchObject({ effectivePrice: 800 });
+    expect(item.promotion).toBeUndefined();
+
+    await request(app).delete(`/api/promotions/${created.id}`).expect(204);
+    await request(app).get(`/api/promotions/${created.id}`).expect(404);
+  });
+
+  it('should keep categories with promotions from being deleted', async () => {
+    const { body: category } = await request(app).post('/api/categories').send({ name: 'Clearance' }).expect(201);
+    await create({ name: 'Clear out', categoryId: category.id, percentOff: 50, ...running }).expect(201);
+
+    const res = await request(app).delete(`/api/categories/${category.id}`).set('X-Test-Role', 'admin').expect(409);
+
+    expect(res.body.error.message).toBe('Category "Clearance" has 1 promotions; delete them first');
+  });
+
+  it('should report average prices before and after discounts', async () => {
+    const before = await request(app).get('/api/stats').expect(200);
+    await create({ name: 'Furniture sale', categoryId: 2, percentOff: 25, ...running }).expect(201);
+
+    const { body } = await request(app).get('/api/stats').expect(200);
+    const { body: filtered } = await request(app).get('/api/stats?category=Furniture').expect(200);
+
+    expect(before.body).toMatchObject({ averagePrice: 1499.6666666666667, averageEffectivePrice: 1499.6666666666667, discounted: 0 });
+    expect(body).toMatchObject({ averagePrice: 1499.6666666666667, averageEffectivePrice: 1333, discounted: 2 });
+    expect(body.effectivePrice).toMatchObject({ min: 600, max: 2499 });
+    expect(filtered).toMatchObject({ averagePrice: 1000, averageEffectivePrice: 750, discounted: 2 });
+  });
+});
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const rateRepository = require('../repositories/rateRepository');
+const itemRepository = require('../repositories/itemRepository');
+const promotionRepository = require('../repositories/promotionRepository');
+const { assertQuery } = require('../utils/queryParser');
+const { sendCacheable } = require('../utils/httpCache');
+const { requireRole } = require('../middleware/auth');
+
+// GET /api/rates - { base, rates: { EUR: 0.92, ... } }
+router.get('/', requireRole('viewer'), async (req, res, next) => {
+  try {
+    assertQuery({}, req.query);
+    sendCacheable(req, res, await rateRepository.readRates(), rateRepository.getLastModifiedTime());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/rates - replace the table with { rates: { EUR: 0.92, ... } }. A
+// currency can't be dropped while items (even ones in the trash) or
+// fixed-price promotions use it.
+router.put('/', requireRole('admin'), async (req, res, next) => {
+  try {
+    const table = await rateRepository.replaceRates(req.body?.rates, {
+      // Runs under the catalog lock, so no item can switch to a removed currency meanwhile
+      precondition: async (removed) => {
+        const items = [...await itemRepository.readData(), ...await itemRepository.readTrash()];
+        const used = removed.filter(currency => items.some(item => item.currency === currency));
+        if (used.length > 0) {
+          const err = new Error(`Items are still priced in ${used.join(', ')}; reprice them before removing the rate`);
+          err.status = 409;
+          err.code = 'CURRENCY_IN_USE';
+          throw err;
+        }
+        const promotions = await promotionRepository.readPromotions();
+        const promoted = removed.filter(currency => promotions.some(p => p.currency === currency));
+        if (promoted.length > 0) {
+          const err = new Error(`Promotions are still priced in ${promoted.join(', ')}; change or delete them first`);
+          err.status = 409;
+          err.code = 'CURRENCY_IN_USE';
+          throw err;
+        }
+      }
+    });
+    res.json(table);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const { createTestApp } = require('../testUtils/testApp');
+
+const seedItems = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799, currency: 'EUR' }
+];
+
+describe('Rates Routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    process.env.CURRENCY_RATES = 'EUR:0.5, gbp:0.8';
+    app = await createTestApp({
+      items: seedItems,
+      routes: [
+        ['/api/rates', 'rates'],
+        ['/api/items', 'items']
+      ],
+      defaultRole: 'admin'
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.CURRENCY_RATES;
+  });
+
+  it('should start from the configured rates', async () => {
+    const res = await request(app).get('/api/rates').set('X-Test-Role', 'viewer').expect(200);
+
+    expect(res.body).toEqual({ base: 'USD', rates: { EUR: 0.5, GBP: 0.8 } });
+  });
+
+  it('should replace the rates and convert with the new ones', async () => {
+    await request(app).put('/api/rates').set('X-Test-Role', 'editor').send({ rates: {} }).expect(403);
+    const res = await request(app).put('/api/rates').send({ rates: { EUR: 0.25, JPY: 150 } }).expect(200);
+
+    expect(res.body).toEqual({ base: 'USD', rates: { EUR: 0.25, JPY: 150 } });
+    const { body } = await request(app).get('/api/items?currency=JPY&sort=-price').expect(200);
+    expect(body.items.map(i => [i.price, i.currency, i.convertedFrom.price])).toEqual([[479400, 'JPY', 799], [374850, 'JPY', 2499]]);
+  });
+
+  it('should reject malformed rates', async () => {
+    const res = await request(app)
+      .put('/api/rates')
+      .send({ rates: { eur: 1, USD: 1, XYZ: 1, EUR: 0, GBP: '0.8' } })
+      .expect(400);
+
+    expect(res.body.error.details).toEqual([
+      { field: 'rates.eur', message: 'must be a three-letter currency code' },
+      { field: 'rates.USD', message: 'is the base currency, whose rate is always 1' },
+      { field: 'rates.XYZ', message: 'is not a known currency' },
+      { field: 'rates.EUR', message: 'must be a positive number' },
+      { field: 'rates.GBP', message: 'must be a positive number' }
+    ]);
+    await request(app).put('/api/rates').send({}).expect(400);
+  });
+
+  it('should keep rates that items are priced in', async () => {
+    const res = await request(app).put('/api/rates').send({ rates: { GBP: 0.8 } }).expect(409);
+
+    expect(res.body.error).toMatchObject({ code: 'CURRENCY_IN_USE', message: expect.stringContaining('EUR') });
+    await request(app).patch('/api/items/2').send({ currency: 'USD' }).expect(200);
+    await request(app).put('/api/rates').send({ rates: { GBP: 0.8 } }).expect(200);
+  });
+
+  it('should keep rates that fixed-price promotions are priced in', async () => {
+    await require('../repositories/promotionRepository').createPromotion({
+      name: 'Laptop deal',
+      itemId: 1,
+      price: 1500,
+      currency: 'GBP',
+      startsAt: '2024-06-01T00:00:00Z',
+      endsAt: '2024-06-03T00:00:00Z'
+    });
+
+    const res = await request(app).put('/api/rates').send({ rates: { EUR: 0.5 } }).expect(409);
+
+    expect(res.body.error).toMatchObject({ code: 'CURRENCY_IN_USE', message: 'Promotions are still priced in GBP; change or delete them first' });
+  });
+
+  it('should only let items use currencies with a rate, defaulting to the base', async () => {
+    const bad = await request(app)
+      .post('/api/items')
+      .send({ name: 'Lamp', category: 'Furniture', price: 20, currency: 'CHF' })
+      .expect(400);
+    const created = await request(app)
+      .post('/api/items')
+      .send({ name: 'Lamp', category: 'Furniture', price: 20 })
+      .expect(201);
+
+    expect(bad.body.error.details).toEqual([{ field: 'currency', message: 'must be the base currency or one with an exchange rate' }]);
+    expect(created.body.currency).toBe('USD');
+  });
+});
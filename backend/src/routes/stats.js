@@ -1,42 +1,162 @@
 const express = require('express');
 const router = express.Router();
-const { mean } = require('../utils/stats');
+const { DEFAULT_PERCENTILES, summarize } = require('../utils/stats');
+const { itemListQuery, parseItemQuery, filterItems } = require('../utils/itemQuery');
+const { invalidQuery } = require('../utils/queryParser');
 const itemRepository = require('../repositories/itemRepository');
+const rateRepository = require('../repositories/rateRepository');
+const promotionRepository = require('../repositories/promotionRepository');
+const { searchItems } = require('../search/itemSearch');
+const { sendCacheable, newest } = require('../utils/httpCache');
+const { statsRebuilds } = require('../metrics');
+const { createPriceAggregates } = require('../stats/priceAggregates');
+const { getItemAggregates } = require('../stats/itemStats');
+const { requireRole } = require('../middleware/auth');
 
-// Cache for calculated stats
-let cachedStats = null;
-let cachedStatsMtime = null;
+// Most histogram buckets one request may ask for
+const MAX_BUCKETS = 100;
+// Distinct filter combinations kept in the cache before the oldest is dropped
+const MAX_CACHED_QUERIES = 100;
 
-// Calculate stats from items
-async function calculateStats() {
-  const items = await itemRepository.readData();
-  
+function parsePercentile(token) {
+  const value = Number(token);
+  if (token === '' || !Number.isFinite(value) || value < 0 || value > 100) {
+    return { error: `invalid percentile "${token}"; expected numbers from 0 to 100` };
+  }
+  return { value };
+}
+
+// The list-route parameters (so the same filters can be reused as-is), plus
+// histogram and percentile settings. Pagination, sort and fields are
+// accepted but don't affect the stats.
+const statsQuery = {
+  ...itemListQuery,
+  buckets: { type: 'integer', default: 10, min: 1, max: MAX_BUCKETS },
+  bucketSize: { type: 'number', min: 0.01 },
+  percentiles: { type: 'list', parse: parsePercentile }
+};
+
+function parseStatsQuery(query) {
+  if (query.buckets !== undefined && query.bucketSize !== undefined) {
+    throw invalidQuery([{ field: 'bucketSize', message: 'cannot be combined with buckets' }]);
+  }
+  const parsed = parseItemQuery(query, statsQuery);
+  return {
+    q: parsed.q,
+    categories: parsed.categories,
+    minPrice: parsed.minPrice,
+    maxPrice: parsed.maxPrice,
+    currency: parsed.currency,
+    availability: parsed.availability,
+    at: parsed.at,
+    sort: [],
+    buckets: parsed.buckets,
+    bucketSize: parsed.bucketSize,
+    percentiles: parsed.percentiles.length > 0 ? parsed.percentiles : DEFAULT_PERCENTILES
+  };
+}
+
+function isFiltered(query) {
+  return Boolean(query.q) || query.categories.length > 0 || query.minPrice !== null || query.maxPrice !== null ||
+    query.availability.length > 0;
+}
+
+// Prices after discounts of `items`, which have their promotions applied:
+// { averageEffectivePrice, effectivePrice, discounted }, where `discounted`
+// counts the items on promotion
+function discountStats(items, percentiles) {
+  const effectivePrice = summarize(items.map(item => item.effectivePrice ?? item.price), percentiles);
   return {
-    total: items.length,
-    averagePrice: mean(items.map(item => item.price))
+    averageEffectivePrice: effectivePrice.mean,
+    effectivePrice,
+    discounted: items.filter(item => item.promotion).length
   };
 }
 
+// discountStats() from the whole-catalog aggregates after discounts
+function catalogDiscountStats({ aggregates, discounted }, percentiles) {
+  const effectivePrice = aggregates.summary(percentiles).price;
+  return { averageEffectivePrice: effectivePrice.mean, effectivePrice, discounted };
+}
+
+// Prices are reported in `currency`. `discounts` are the discountStats() of
+// the same items.
+function buildStats(aggregates, query, currency, discounts) {
+  const stats = aggregates.summary(query.percentiles);
+  const { min, max, count } = stats.price;
+  if (query.bucketSize && count > 0 &&
+      Math.floor(max / query.bucketSize) - Math.floor(min / query.bucketSize) + 1 > MAX_BUCKETS) {
+    throw invalidQuery([{ field: 'bucketSize', message: `would produce more than ${MAX_BUCKETS} buckets` }]);
+  }
+  return {
+    ...stats,
+    ...discounts,
+    currency,
+    histogram: aggregates.histogram(query)
+  };
+}
+
+// Cache for filtered stats, one entry per distinct query
+const cachedStats = new Map();
+let cachedStatsRevision = null;
+
+// Filtered stats are calculated from the matching items, converted to
+// `currency` first so price filters apply to the converted prices.
+async function calculateFilteredStats(query, currency, pricer) {
+  const converter = await rateRepository.getConverter();
+  const data = converter.convertItems(pricer.priceItems(await itemRepository.readData()), currency);
+  const matches = query.q ? await searchItems(query.q) : null;
+  statsRebuilds.inc({ scope: 'filtered' });
+  const items = filterItems(data, query, matches);
+  return buildStats(createPriceAggregates(items), query, currency, discountStats(items, query.percentiles));
+}
+
 // GET /api/stats
-router.get('/', async (req, res, next) => {
+router.get('/', requireRole('viewer'), async (req, res, next) => {
   try {
-    const currentMtime = itemRepository.getLastModifiedTime();
-    
-    // Invalidate stats cache if data file has changed
-    if (cachedStats && cachedStatsMtime !== currentMtime) {
-      cachedStats = null;
+    const query = parseStatsQuery(req.query);
+    // Prices in different currencies are only comparable once converted, so
+    // stats are always in one currency: the base unless asked otherwise
+    const { base } = await rateRepository.getConverter();
+    const currency = query.currency || base;
+    const pricer = await promotionRepository.getPricer(query.at);
+    const lastModified = newest(
+      itemRepository.getLastModifiedTime(),
+      rateRepository.getLastModifiedTime(),
+      promotionRepository.getLastModifiedTime(),
+      pricer.changedAt
+    );
+
+    // The whole catalog comes from aggregates maintained incrementally,
+    // before and after discounts
+    if (!isFiltered(query) && currency === base) {
+      const { aggregates, discounts } = await getItemAggregates(pricer);
+      const stats = buildStats(aggregates, query, base, catalogDiscountStats(discounts, query.percentiles));
+      return sendCacheable(req, res, stats, lastModified);
+    }
+
+    // Stats only depend on `at` through the promotions running then
+    const key = JSON.stringify({ ...query, at: undefined, currency, promotions: pricer.running.map(p => p.id) });
+    const currentRevision = [itemRepository, rateRepository, promotionRepository].map(r => r.getRevision()).join(':');
+
+    // Invalidate stats cache if the data has changed
+    if (cachedStatsRevision !== currentRevision) {
+      cachedStats.clear();
+      cachedStatsRevision = currentRevision;
     }
-    
+
     // Check if stats cache is valid
-    if (!cachedStats) {
-      cachedStats = await calculateStats();
-      cachedStatsMtime = currentMtime;
+    if (!cachedStats.has(key)) {
+      if (cachedStats.size >= MAX_CACHED_QUERIES) {
+        cachedStats.delete(cachedStats.keys().next().value);
+      }
+      cachedStats.set(key, await calculateFilteredStats(query, currency, pricer));
     }
-    
-    res.json(cachedStats);
+
+    sendCacheable(req, res, cachedStats.get(key), lastModified);
   } catch (err) {
     next(err);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,264 @@
+const request = require('supertest');
+const express = require('express');
+const statsRouter = require('./stats');
+const { errorHandler } = require('../middleware/errorHandler');
+
+// EUR at half the base price, so conversions are easy to check
+jest.mock('../repositories/rateRepository', () => {
+  const { createConverter } = jest.requireActual('../pricing/currency');
+  const mockConverter = createConverter({ base: 'USD', rates: { EUR: 0.5 } });
+  return {
+    getConverter: jest.fn(async () => mockConverter),
+    getLastModifiedTime: jest.fn(() => new Date(0)),
+    getRevision: jest.fn(() => 0)
+  };
+});
+
+// No promotions unless a test sets some with mockSetPromotions
+jest.mock('../repositories/promotionRepository', () => {
+  const { createPricer } = jest.requireActual('../pricing/promotions');
+  const { createConverter } = jest.requireActual('../pricing/currency');
+  const mockConverter = createConverter({ base: 'USD', rates: { EUR: 0.5 } });
+  const mockCategories = [{ id: 1, name: 'Electronics', parentId: null }, { id: 2, name: 'Furniture', parentId: null }];
+  let mockPromotions = [];
+  let mockRevision = 0;
+  return {
+    getPricer: jest.fn(async at => createPricer({ promotions: mockPromotions, categories: mockCategories, at: at || new Date(), converter: mockConverter, revision: mockRevision })),
+    getLastModifiedTime: jest.fn(() => null),
+    getRevision: jest.fn(() => mockRevision),
+    mockSetPromotions: (promotions) => {
+      mockPromotions = promotions;
+      mockRevision++;
+    }
+  };
+});
+
+jest.mock('../repositories/itemRepository', () => {
+  let mockRevision = 0;
+  const mockListeners = [];
+  let mockData = [
+    { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+    { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
+    { id: 3, name: 'Ultra-Wide Monitor', category: 'Electronics', price: 999 },
+    { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+    { id: 5, name: 'Standing Desk', category: 'Furniture', price: 1199 }
+  ];
+
+  return {
+    readData: jest.fn(async () => mockData),
+    getLastModifiedTime: jest.fn(() => new Date(mockRevision * 1000)),
+    getRevision: jest.fn(() => mockRevision),
+    onChange: jest.fn((listener) => mockListeners.push(listener)),
+    // Test helper: apply a change the way the repository announces it
+    mockChange: (data, event) => {
+      mockData = data;
+      mockRevision++;
+      mockListeners.forEach(listener => listener({ ...event, revision: mockRevision }));
+    }
+  };
+});
+
+const itemRepository = require('../repositories/itemRepository');
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: 'user:viewer', name: 'viewer', role: 'viewer' };
+  next();
+});
+app.use('/api/stats', statsRouter);
+app.use(errorHandler);
+
+describe('Stats Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should keep the totals and add per-category breakdowns', async () => {
+    const res = await request(app)
+      .get('/api/stats?percentiles=50,90')
+      .expect(200);
+
+    expect(res.body.total).toBe(5);
+    expect(res.body.averagePrice).toBe(1179);
+    expect(res.body.price).toMatchObject({ count: 5, min: 399, max: 2499, median: 999 });
+    expect(res.body.categories.Furniture).toEqual({
+      count: 2,
+      min: 799,
+      max: 1199,
+      mean: 999,
+      median: 999,
+      percentiles: { p50: 999, p90: 1159 }
+    });
+    expect(res.body.histogram.buckets).toHaveLength(10);
+  });
+
+  it('should apply list-route filters', async () => {
+    const res = await request(app)
+      .get('/api/stats?category=Furniture&q=desk')
+      .expect(200);
+
+    expect(res.body.total).toBe(1);
+    expect(Object.keys(res.body.categories)).toEqual(['Furniture']);
+    expect(res.body.price).toMatchObject({ min: 1199, max: 1199 });
+  });
+
+  it('should build fixed-size histogram buckets', async () => {
+    const res = await request(app)
+      .get('/api/stats?bucketSize=1000')
+      .expect(200);
+
+    expect(res.body.histogram).toEqual({
+      bucketSize: 1000,
+      buckets: [
+        { min: 0, max: 1000, count: 3 },
+        { min: 1000, max: 2000, count: 1 },
+        { min: 2000, max: 3000, count: 1 }
+      ]
+    });
+  });
+
+  it('should return nulls rather than NaN when nothing matches', async () => {
+    const res = await request(app)
+      .get('/api/stats?minPrice=5000')
+      .expect(200);
+
+    expect(res.body).toMatchObject({ total: 0, averagePrice: null, categories: {} });
+    expect(res.body.price.mean).toBeNull();
+  });
+
+  it('should reject invalid histogram and percentile settings', async () => {
+    let res = await request(app).get('/api/stats?buckets=5&bucketSize=100').expect(400);
+    expect(res.body.error.code).toBe('INVALID_QUERY');
+
+    res = await request(app).get('/api/stats?percentiles=101').expect(400);
+    expect(res.body.error.details[0].field).toBe('percentiles');
+
+    res = await request(app).get('/api/stats?bucketSize=0.01').expect(400);
+    expect(res.body.error.details[0].message).toMatch(/more than 100 buckets/);
+  });
+
+  it('should cache per query and recalculate after the data changes', async () => {
+    await request(app).get('/api/stats?category=Electronics').expect(200);
+    await request(app).get('/api/stats?category=Electronics').expect(200);
+    expect(itemRepository.readData).toHaveBeenCalledTimes(1);
+
+    const data = await itemRepository.readData();
+    const item = { id: 6, name: 'Webcam', category: 'Electronics', price: 103 };
+    itemRepository.mockChange([...data, item], { type: 'created', item });
+    jest.clearAllMocks();
+    const res = await request(app).get('/api/stats?category=Electronics').expect(200);
+
+    expect(itemRepository.readData).toHaveBeenCalledTimes(1);
+    expect(res.body.averagePrice).toBe(1000);
+  });
+
+  it('should update whole-catalog stats from change events without re-reading', async () => {
+    let res = await request(app).get('/api/stats').expect(200);
+    const data = await itemRepository.readData();
+    const before = res.body;
+    jest.clearAllMocks();
+
+    const laptop = data.find(i => i.id === 1);
+    const updated = { ...laptop, category: 'Accessories', price: 1 };
+    itemRepository.mockChange(data.map(i => (i.id === 1 ? updated : i)), { type: 'updated', item: updated, previous: laptop });
+    res = await request(app).get('/api/stats').expect(200);
+
+    expect(itemRepository.readData).not.toHaveBeenCalled();
+    expect(res.body.total).toBe(before.total);
+    expect(res.body.price.min).toBe(1);
+    expect(res.body.categories.Accessories).toMatchObject({ count: 1, mean: 1 });
+    expect(res.body.categories.Electronics.count).toBe(before.categories.Electronics.count - 1);
+
+    // Deltas must agree with a full recalculation of the same data
+    const filtered = await request(app).get('/api/stats?minPrice=0').expect(200);
+    expect(res.body).toEqual(filtered.body);
+  });
+
+  it('should keep whole-catalog stats after discounts from change events while promotions run', async () => {
+    const { mockSetPromotions } = require('../repositories/promotionRepository');
+    const hour = 60 * 60 * 1000;
+    mockSetPromotions([{
+      id: 1,
+      name: 'Furniture sale',
+      categoryId: 2,
+      percentOff: 50,
+      startsAt: new Date(Date.now() - hour).toISOString(),
+      endsAt: new Date(Date.now() + hour).toISOString()
+    }]);
+    await request(app).get('/api/stats').expect(200);
+    const data = await itemRepository.readData();
+    jest.clearAllMocks();
+
+    const chair = data.find(i => i.id === 4);
+    const updated = { ...chair, price: 1001 };
+    itemRepository.mockChange(data.map(i => (i.id === 4 ? updated : i)), { type: 'updated', item: updated, previous: chair });
+    const res = await request(app).get('/api/stats').expect(200);
+
+    expect(itemRepository.readData).not.toHaveBeenCalled();
+    expect(res.body.discounted).toBe(2);
+    expect(res.body.averageEffectivePrice).toBeLessThan(res.body.averagePrice);
+    // Deltas must agree with a full recalculation of the same data
+    const filtered = await request(app).get('/api/stats?minPrice=0').expect(200);
+    expect(res.body).toEqual(filtered.body);
+
+    // Once the promotion is over nothing is discounted
+    mockSetPromotions([]);
+    const ended = await request(app).get('/api/stats').expect(200);
+    expect(ended.body).toMatchObject({ discounted: 0, averageEffectivePrice: res.body.averagePrice });
+  });
+
+  it('should rebuild whole-catalog stats after a reset', async () => {
+    await request(app).get('/api/stats').expect(200);
+
+    itemRepository.mockChange([{ id: 1, name: 'Desk Lamp', category: 'Furniture', price: 50 }], { type: 'reset' });
+    const res = await request(app).get('/api/stats').expect(200);
+
+    expect(res.body).toMatchObject({ total: 1, averagePrice: 50 });
+    expect(Object.keys(res.body.categories)).toEqual(['Furniture']);
+  });
+
+  it('should answer a matching If-None-Match with 304', async () => {
+    const { headers } = await request(app).get('/api/stats?category=Furniture').expect(200);
+
+    await request(app)
+      .get('/api/stats?category=Furniture')
+      .set('If-None-Match', headers.etag)
+      .expect(304);
+  });
+
+  it('should normalize prices to the base currency, or report them in another', async () => {
+    await request(app).get('/api/stats').expect(200);
+    const lamp = { id: 1, name: 'Desk Lamp', category: 'Furniture', price: 50, currency: 'EUR' };
+    const chair = { id: 2, name: 'Chair', category: 'Furniture', price: 300 };
+    itemRepository.mockChange([chair], { type: 'reset' });
+    await request(app).get('/api/stats').expect(200);
+    itemRepository.mockChange([chair, lamp], { type: 'created', item: lamp });
+
+    const base = await request(app).get('/api/stats').expect(200);
+    const euro = await request(app).get('/api/stats?currency=EUR&minPrice=100').expect(200);
+
+    expect(base.body).toMatchObject({ currency: 'USD', averagePrice: 200, price: { min: 100, max: 300 } });
+    expect(euro.body).toMatchObject({ currency: 'EUR', total: 1, averagePrice: 150 });
+    await request(app).get('/api/stats?currency=GBP').expect(400);
+  });
+
+  it('should count items by stock status', async () => {
+    const chair = { id: 1, name: 'Chair', category: 'Furniture', price: 300, stock: 2, reorderThreshold: 5 };
+    const data = [
+      chair,
+      { id: 2, name: 'Desk', category: 'Furniture', price: 900, stock: 12, reorderThreshold: 5 },
+      { id: 3, name: 'Lamp', category: 'Furniture', price: 40 }
+    ];
+    itemRepository.mockChange(data, { type: 'reset' });
+    let res = await request(app).get('/api/stats').expect(200);
+    expect(res.body.stock).toEqual({ inStock: 1, lowStock: 1, outOfStock: 1 });
+
+    const sold = { ...chair, stock: 0 };
+    itemRepository.mockChange([sold, ...data.slice(1)], { type: 'updated', item: sold, previous: chair });
+    res = await request(app).get('/api/stats').expect(200);
+    const filtered = await request(app).get('/api/stats?availability=out_of_stock').expect(200);
+
+    expect(res.body.stock).toEqual({ inStock: 1, lowStock: 0, outOfStock: 2 });
+    expect(filtered.body).toMatchObject({ total: 2, stock: { inStock: 0, lowStock: 0, outOfStock: 2 } });
+  });
+});
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const stockRepository = require('../repositories/stockRepository');
+const { validateBody } = require('../middleware/validate');
+const { stockAdjustmentSchema, reservationSchema } = require('../schemas/stockSchema');
+const { assertQuery } = require('../utils/queryParser');
+const { parseId } = require('../utils/routeParams');
+const { requireRole } = require('../middleware/auth');
+
+// Stock levels, the stock ledger and reservations of an item, mounted next
+// to the items routes under /api/items
+
+function itemNotFound() {
+  const err = new Error('Item not found');
+  err.status = 404;
+  return err;
+}
+
+// { itemId, stock, reorderThreshold, reserved, available, status, entry }
+// after a change recorded as `entry`
+async function changed({ item, entry }) {
+  const levels = stockRepository.levelsOf(item, await stockRepository.reservationsFor(item.id));
+  return { itemId: item.id, ...levels, entry };
+}
+
+// GET /api/items/:id/stock - current levels and the ledger, newest first.
+// Not cacheable: reservations stop holding units when they expire, without
+// anything being written.
+router.get('/:id/stock', requireRole('viewer'), async (req, res, next) => {
+  try {
+    assertQuery({}, req.query);
+    const itemId = parseId(req.params.id);
+    const levels = await stockRepository.stockLevels(itemId);
+    if (!levels) {
+      throw itemNotFound();
+    }
+    res.json({ itemId, ...levels, entries: await stockRepository.ledgerFor(itemId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/stock - { delta, reason, note? }
+router.post('/:id/stock', requireRole('editor'), validateBody(stockAdjustmentSchema), async (req, res, next) => {
+  try {
+    const result = await stockRepository.adjustStock(parseId(req.params.id), req.body, { actor: req.user.id });
+    if (!result) {
+      throw itemNotFound();
+    }
+    res.status(201).json(await changed(result));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/items/:id/reservations - reservations still holding units
+router.get('/:id/reservations', requireRole('editor'), async (req, res, next) => {
+  try {
+    assertQuery({}, req.query);
+    const itemId = parseId(req.params.id);
+    if (!(await stockRepository.stockLevels(itemId))) {
+      throw itemNotFound();
+    }
+    res.json({ itemId, reservations: await stockRepository.reservationsFor(itemId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/reservations - { quantity, ttlSeconds? }. 409
+// INSUFFICIENT_STOCK when fewer units are available.
+router.post('/:id/reservations', requireRole('editor'), validateBody(reservationSchema), async (req, res, next) => {
+  try {
+    const reservation = await stockRepository.reserve(parseId(req.params.id), req.body, { actor: req.user.id });
+    if (!reservation) {
+      throw itemNotFound();
+    }
+    res.status(201).json(reservation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/items/:id/reservations/:reservationId - release the units
+router.delete('/:id/reservations/:reservationId', requireRole('editor'), async (req, res, next) => {
+  try {
+    const reservation = await stockRepository.releaseReservation(parseId(req.params.id), req.params.reservationId);
+    if (!reservation) {
+      const err = new Error('Reservation not found; it may have expired');
+      err.status = 404;
+      throw err;
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/items/:id/reservations/:reservationId/commit - { note? }. The
+// reserved units leave the stock as sold.
+router.post('/:id/reservations/:reservationId/commit', requireRole('editor'),
+  validateBody({ note: stockAdjustmentSchema.note }), async (req, res, next) => {
+    try {
+      const result = await stockRepository.commitReservation(parseId(req.params.id), req.params.reservationId, {
+        actor: req.user.id,
+        note: req.body.note
+      });
+      if (!result) {
+        throw itemNotFound();
+      }
+      res.json(await changed(result));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const { createTestApp } = require('../testUtils/testApp');
+
+const seedItems = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499, stock: 0, reorderThreshold: 2 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+describe('Stock Routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await createTestApp({
+      items: seedItems,
+      routes: [
+        ['/api/items', 'items'],
+        ['/api/items', 'stock']
+      ]
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+    jest.restoreAllMocks();
+  });
+
+  const adjust = (id, body) => request(app).post(`/api/items/${id}/stock`).send(body);
+  const reserve = (id, body) => request(app).post(`/api/items/${id}/reservations`).send(body);
+
+  it('should adjust stock and keep a ledger of the reasons', async () => {
+    const received = await adjust(1, { delta: 10, reason: 'received', note: 'PO 1234' }).expect(201);
+    await adjust(1, { delta: -9, reason: 'damaged' }).expect(201);
+
+    expect(received.body).toEqual({
+      itemId: 1,
+      stock: 10,
+      reorderThreshold: 2,
+      reserved: 0,
+      available: 10,
+      status: 'in_stock',
+      entry: { id: 1, itemId: 1, delta: 10, reason: 'received', note: 'PO 1234', stock: 10, actor: 'user:editor', at: expect.any(String) }
+    });
+    const { body } = await request(app).get('/api/items/1/stock').set('X-Test-Role', 'viewer').expect(200);
+    expect(body).toMatchObject({ stock: 1, status: 'low_stock' });
+    expect(body.entries.map(e => [e.delta, e.reason, e.stock])).toEqual([[-9, 'damaged', 1], [10, 'received', 10]]);
+    // The change is on the item itself, and in its history
+    const { body: item } = await request(app).get('/api/items/1').expect(200);
+    expect(item).toMatchObject({ stock: 1, updatedBy: 'user:editor' });
+  });
+
+  it('should reject adjustments that are empty, oversell or come from viewers', async () => {
+    const zero = await adjust(1, { delta: 0, reason: 'correction' }).expect(400);
+    const reason = await adjust(1, { delta: 1, reason: 'found' }).expect(400);
+    const backwards = await adjust(1, { delta: -1, reason: 'received' }).expect(400);
+    await adjust(1, { delta: 1, reason: 'damaged' }).expect(400);
+    await adjust(1, { delta: 1, reason: 'correction' }).expect(201);
+    const oversell = await adjust(2, { delta: -1, reason: 'sold' }).expect(409);
+
+    expect(zero.body.error.details).toEqual([{ field: 'delta', message: 'must not be 0' }]);
+    expect(reason.body.error.details[0].field).toBe('reason');
+    expect(backwards.body.error.details).toEqual([{ field: 'delta', message: 'must be positive when the reason is "received"' }]);
+    expect(oversell.body.error).toMatchObject({ code: 'INSUFFICIENT_STOCK', message: 'Only 0 of "Ergonomic Chair" available' });
+    await adjust(1, { delta: 1, reason: 'received' }).set('X-Test-Role', 'viewer').expect(403);
+    await adjust(99, { delta: 1, reason: 'received' }).expect(404);
+  });
+
+  it('should append ledger entries and undo the stock change when one can\'t be written', async () => {
+    const storage = require('../storage').getStorage();
+    const appendCollection = jest.spyOn(storage, 'appendCollection');
+    await adjust(1, { delta: 5, reason: 'received' }).expect(201);
+
+    // Only the new entry is handed to storage
+    const [, entries] = appendCollection.mock.calls.find(([name]) => name === 'stock');
+    expect(entries.map(e => [e.id, e.delta])).toEqual([[1, 5]]);
+
+    appendCollection.mockRejectedValueOnce(new Error('disk full'));
+    await adjust(1, { delta: 2, reason: 'received' }).expect(500);
+
+    appendCollection.mockRestore();
+    const { body } = await request(app).get('/api/items/1/stock').expect(200);
+    expect(body).toMatchObject({ stock: 5 });
+    expect(body.entries.map(e => e.delta)).toEqual([5]);
+  });
+
+  it('should hold reserved units until the reservation is committed', async () => {
+    await adjust(1, { delta: 5, reason: 'received' }).expect(201);
+
+    const { body: reservation } = await reserve(1, { quantity: 3 }).expect(201);
+    const tooMany = await reserve(1, { quantity: 3 }).expect(409);
+    await adjust(1, { delta: -3, reason: 'sold' }).expect(409);
+
+    expect(reservation).toMatchObject({ itemId: 1, quantity: 3, createdBy: 'user:editor' });
+    expect(tooMany.body.error.message).toBe('Only 2 of "Laptop Pro" available');
+    const levels = await request(app).get('/api/items/1/stock').expect(200);
+    expect(levels.body).toMatchObject({ stock: 5, reserved: 3, available: 2 });
+
+    const committed = await request(app).post(`/api/items/1/reservations/${reservation.id}/commit`).expect(200);
+
+    expect(committed.body).toMatchObject({
+      stock: 2,
+      reserved: 0,
+      available: 2,
+      status: 'low_stock',
+      entry: { delta: -3, reason: 'sold', stock: 2, reservationId: reservation.id }
+    });
+    await request(app).post(`/api/items/1/reservations/${reservation.id}/commit`).expect(404);
+  });
+
+  it('should keep the reservation when the sale can\'t be written to the ledger', async () => {
+    await adjust(1, { delta: 5, reason: 'received' }).expect(201);
+    const { body: reservation } = await reserve(1, { quantity: 3 }).expect(201);
+    const storage = require('../storage').getStorage();
+    jest.spyOn(storage, 'appendCollection').mockRejectedValueOnce(new Error('disk full'));
+
+    await request(app).post(`/api/items/1/reservations/${reservation.id}/commit`).expect(500);
+
+    const { body } = await request(app).get('/api/items/1/stock').expect(200);
+    expect(body).toMatchObject({ stock: 5, reserved: 3, available: 2 });
+    expect(body.entries.map(e => e.delta)).toEqual([5]);
+    const committed = await request(app).post(`/api/items/1/reservations/${reservation.id}/commit`).expect(200);
+    expect(committed.body).toMatchObject({ stock: 2, reserved: 0, entry: { delta: -3, reservationId: reservation.id } });
+  });
+
+  it('should give units back when a reservation is released or expires', async () => {
+    await adjust(1, { delta: 4, reason: 'received' }).expect(201);
+    const { body: first } = await reserve(1, { quantity: 2 }).expect(201);
+    await reserve(1, { quantity: 2, ttlSeconds: 60 }).expect(201);
+
+    await request(app).delete(`/api/items/1/reservations/${first.id}`).expect(204);
+    const { body } = await request(app).get('/api/items/1/reservations').expect(200);
+    expect(body.reservations.map(r => r.quantity)).toEqual([2]);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+    const levels = await request(app).get('/api/items/1/stock').expect(200);
+    expect(levels.body).toMatchObject({ stock: 4, reserved: 0, available: 4 });
+    await request(app).delete(`/api/items/1/reservations/${first.id}`).expect(404);
+  });
+
+  it('should not let concurrent checkouts reserve the same units', async () => {
+    await adjust(1, { delta: 5, reason: 'received' }).expect(201);
+
+    const results = await Promise.all([reserve(1, { quantity: 3 }), reserve(1, { quantity: 3 })]);
+
+    expect(results.map(res => res.status).sort()).toEqual([201, 409]);
+  });
+
+  it('should keep the stock when an earlier version is restored', async () => {
+    await request(app).patch('/api/items/1').send({ price: 1999 }).expect(200);
+    await request(app).patch('/api/items/1').send({ price: 2199 }).expect(200);
+    await adjust(1, { delta: 7, reason: 'received' }).expect(201);
+
+    const { body } = await request(app).post('/api/items/1/versions/1/restore').expect(200);
+
+    expect(body).toMatchObject({ price: 1999, stock: 7 });
+  });
+});
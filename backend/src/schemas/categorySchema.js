@@ -0,0 +1,11 @@
+// Categories created the first time the server starts on an empty store
+const DEFAULT_CATEGORIES = ['Electronics', 'Furniture', 'Office Supplies', 'Accessories'];
+
+// Writable category fields. `parentId` is null (or omitted) for a top-level
+// category.
+const categorySchema = {
+  name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100 },
+  parentId: { type: 'integer', nullable: true, min: 1 }
+};
+
+module.exports = { categorySchema, DEFAULT_CATEGORIES };
@@ -0,0 +1,15 @@
+// Writable item fields. `id` is intentionally absent so clients can't set it,
+// as is `stock`, which only changes through POST /api/items/:id/stock so
+// every change is in the ledger. `category` is the name of an existing
+// category and `currency` (optional, defaulting to the base currency) a code
+// with an exchange rate; the repository checks both.
+const itemSchema = {
+  name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 200 },
+  category: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100 },
+  price: { type: 'number', required: true, min: 0 },
+  currency: { type: 'string', trim: true, minLength: 3, maxLength: 3 },
+  // Stock at or below this counts as low
+  reorderThreshold: { type: 'integer', min: 0 }
+};
+
+module.exports = { itemSchema };
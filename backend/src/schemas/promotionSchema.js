@@ -0,0 +1,22 @@
+// Writable promotion fields. A promotion applies to one item (`itemId`) or to
+// every item in a category and its subcategories (`categoryId`), and either
+// takes `percentOff` the price or, for an item, sets it to `price` in
+// `currency` (the base currency by default). `startsAt` and `endsAt` are ISO
+// 8601 timestamps. The repository checks how these combine; null clears a
+// field in a PATCH.
+const promotionSchema = {
+  name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100 },
+  itemId: { type: 'integer', nullable: true, min: 1 },
+  categoryId: { type: 'integer', nullable: true, min: 1 },
+  percentOff: { type: 'number', nullable: true, min: 0.01, max: 100 },
+  price: { type: 'number', nullable: true, min: 0 },
+  currency: { type: 'string', trim: true, minLength: 3, maxLength: 3 },
+  startsAt: { type: 'string', required: true, trim: true },
+  endsAt: { type: 'string', required: true, trim: true }
+};
+
+// Fields naming what a promotion applies to, and how it discounts
+const PROMOTION_TARGETS = ['itemId', 'categoryId'];
+const PROMOTION_DISCOUNTS = ['percentOff', 'price'];
+
+module.exports = { promotionSchema, PROMOTION_TARGETS, PROMOTION_DISCOUNTS };
@@ -0,0 +1,35 @@
+const { STOCK_REASONS } = require('../inventory/stock');
+
+// POST /api/items/:id/stock. `delta` is the change in units on hand
+// (negative for units leaving); the repository checks it with
+// stockAdjustmentErrors().
+const stockAdjustmentSchema = {
+  delta: { type: 'integer', required: true },
+  reason: { type: 'string', required: true, enum: STOCK_REASONS },
+  note: { type: 'string', trim: true, maxLength: 500 }
+};
+
+// Which way each reason moves the stock: 1 adds units, -1 takes them away and
+// 0 may do either
+const REASON_SIGNS = { received: 1, returned: 1, sold: -1, damaged: -1, correction: 0 };
+
+// Errors for a `delta` that is 0 or goes the wrong way for its `reason`
+function stockAdjustmentErrors({ delta, reason }) {
+  if (delta === 0) {
+    return [{ field: 'delta', message: 'must not be 0' }];
+  }
+  const sign = REASON_SIGNS[reason];
+  if (sign && Math.sign(delta) !== sign) {
+    return [{ field: 'delta', message: `must be ${sign > 0 ? 'positive' : 'negative'} when the reason is "${reason}"` }];
+  }
+  return [];
+}
+
+// POST /api/items/:id/reservations. `ttlSeconds` defaults to
+// RESERVATION_TTL_SECONDS and is capped at a day.
+const reservationSchema = {
+  quantity: { type: 'integer', required: true, min: 1 },
+  ttlSeconds: { type: 'integer', min: 1, max: 24 * 60 * 60 }
+};
+
+module.exports = { stockAdjustmentSchema, reservationSchema, REASON_SIGNS, stockAdjustmentErrors };
@@ -0,0 +1,98 @@
+// Add a login account, or reset the role and password of an existing one.
+//
+//   npm run user:add -- --username alice --role editor
+//
+// The password is asked for without echoing it, or read from the first line
+// of stdin when that isn't a terminal (e.g. `... < password.txt`). It is never
+// taken as an argument, which would leave it in shell history and `ps`.
+//
+// Accounts are written to AUTH_USERS_FILE (default: <DATA_DIR>/users.json).
+const config = require('../config');
+const { ROLES } = require('../auth/roles');
+const { createUserStore } = require('../auth/users');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (['--username', '--role'].includes(argv[i])) {
+      args[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i] === '--password') {
+      throw new Error('--password is not accepted, since it would end up in shell history; enter the password when asked or pipe it in');
+    } else {
+      throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+  }
+  for (const key of ['username', 'role']) {
+    if (!args[key]) {
+      throw new Error(`--${key} is required`);
+    }
+  }
+  if (!ROLES.includes(args.role)) {
+    throw new Error(`--role must be one of: ${ROLES.join(', ')}`);
+  }
+  return args;
+}
+
+// Ask for a line on the terminal without echoing what is typed
+function promptHidden(question) {
+  const { stdin, stderr } = process;
+  return new Promise((resolve, reject) => {
+    let value = '';
+    const finish = (settle) => {
+      stdin.off('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write('\n');
+      settle();
+    };
+    function onData(chunk) {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') return finish(() => resolve(value));
+        // Ctrl-C
+        if (char === '\u0003') return finish(() => reject(new Error('Cancelled')));
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    }
+    stderr.write(question);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.on('data', onData);
+    stdin.resume();
+  });
+}
+
+// The password, from a prompt on a terminal or else the first line of stdin
+async function readPassword() {
+  if (process.stdin.isTTY) {
+    const password = await promptHidden('Password: ');
+    if (password !== await promptHidden('Repeat password: ')) {
+      throw new Error('The passwords don\'t match');
+    }
+    return password;
+  }
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input.split(/\r?\n/)[0];
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(`Usage: npm run user:add -- --username <name> --role <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+  readPassword()
+    .then(password => createUserStore({ filePath: config.auth.usersFile }).saveUser({ ...args, password }))
+    .then(user => console.log(`Saved ${user.username} (${user.role}) to ${config.auth.usersFile}`))
+    .catch((err) => {
+      console.error('Failed to save user:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,81 @@
+// Copy all collections and id sequences from one storage backend to another.
+//
+//   npm run migrate -- --from json --to sqlite [--force]
+//
+// Paths come from the same configuration as the server (DATA_DIR, SQLITE_PATH).
+// Refuses to overwrite a target that already holds data unless --force is given.
+const { COLLECTIONS, createStorage } = require('../storage');
+
+const PERSISTENT_DRIVERS = ['json', 'sqlite'];
+
+function parseArgs(argv) {
+  const args = { force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--force') {
+      args.force = true;
+    } else if (argv[i] === '--from' || argv[i] === '--to') {
+      args[argv[i].slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+  }
+  for (const key of ['from', 'to']) {
+    if (!PERSISTENT_DRIVERS.includes(args[key])) {
+      throw new Error(`--${key} must be one of: ${PERSISTENT_DRIVERS.join(', ')}`);
+    }
+  }
+  if (args.from === args.to) {
+    throw new Error('--from and --to must be different backends');
+  }
+  return args;
+}
+
+async function migrate({ source, target, force = false, log = console.log }) {
+  try {
+    await source.init();
+    await target.init();
+
+    if (!force) {
+      for (const name of COLLECTIONS) {
+        if ((await target.readCollection(name)).length > 0) {
+          throw new Error(`Target already has data in "${name}"; pass --force to overwrite it`);
+        }
+      }
+    }
+
+    for (const name of COLLECTIONS) {
+      const records = await source.readCollection(name);
+      // Left alone, a collection the source never had (e.g. categories before
+      // they existed) is seeded by the server as on a fresh install
+      if (records.length === 0 && !source.getVersion(name)) {
+        log(`${name}: nothing to copy`);
+        continue;
+      }
+      await target.writeCollection(name, records);
+      await target.writeSequence(name, await source.readSequence(name));
+      log(`${name}: copied ${records.length} record(s)`);
+    }
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error('Usage: npm run migrate -- --from <json|sqlite> --to <json|sqlite> [--force]');
+    process.exit(1);
+  }
+  migrate({ source: createStorage(args.from), target: createStorage(args.to), force: args.force })
+    .then(() => console.log(`Migrated ${args.from} -> ${args.to}`))
+    .catch((err) => {
+      console.error('Migration failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate, parseArgs };
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { migrate, parseArgs } = require('./migrate');
+const { createJsonFileStorage } = require('../storage/jsonFileStorage');
+const { createSqliteStorage } = require('../storage/sqliteStorage');
+
+const items = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 9, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+describe('migrate', () => {
+  let dir;
+  const json = () => createJsonFileStorage({ dataDir: dir, collections: ['items'] });
+  const sqlite = () => createSqliteStorage({ filePath: path.join(dir, 'catalog.sqlite') });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+    fs.writeFileSync(path.join(dir, 'items.json'), JSON.stringify(items));
+    fs.writeFileSync(path.join(dir, 'items.sequence.json'), JSON.stringify({ lastId: 12 }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should copy collections and sequences between backends', async () => {
+    await migrate({ source: json(), target: sqlite(), log: () => {} });
+
+    const target = sqlite();
+    await target.init();
+    await expect(target.readCollection('items')).resolves.toEqual(items);
+    await expect(target.readSequence('items')).resolves.toBe(12);
+    await target.close();
+  });
+
+  it('should refuse to overwrite a non-empty target without --force', async () => {
+    await migrate({ source: json(), target: sqlite(), log: () => {} });
+
+    await expect(migrate({ source: json(), target: sqlite(), log: () => {} }))
+      .rejects.toThrow(/--force/);
+    await expect(migrate({ source: json(), target: sqlite(), force: true, log: () => {} }))
+      .resolves.toBeUndefined();
+  });
+
+  it('should validate command line arguments', () => {
+    expect(parseArgs(['--from', 'json', '--to', 'sqlite', '--force']))
+      .toEqual({ from: 'json', to: 'sqlite', force: true });
+    expect(() => parseArgs(['--from', 'json', '--to', 'json'])).toThrow(/different/);
+    expect(() => parseArgs(['--from', 'memory', '--to', 'json'])).toThrow(/--from/);
+    expect(() => parseArgs(['--verbose'])).toThrow(/Unknown argument/);
+  });
+});
@@ -0,0 +1,48 @@
+const itemRepository = require('../repositories/itemRepository');
+const { createSearchIndex } = require('./searchIndex');
+
+// Searchable item fields and how much a match in each counts
+const SEARCH_FIELDS = { name: 2, category: 1 };
+
+// The search index for the current data, kept current from repository change
+// events like the stats aggregates: single-item writes add, replace or remove
+// one document, and a 'reset' (bulk replacement or an external edit of the
+// data file) drops the index so the next search rebuilds it.
+let index = null;
+
+itemRepository.onChange((event) => {
+  if (!index) return;
+  switch (event.type) {
+    case 'created':
+    case 'updated':
+      index.add(event.item);
+      break;
+    case 'deleted':
+      index.remove(event.item.id);
+      break;
+    default:
+      index = null;
+  }
+});
+
+async function getItemIndex() {
+  while (!index) {
+    // Events that fire while we wait for the read are already in the data,
+    // so only build if nothing changed in between; otherwise read again.
+    const revision = itemRepository.getRevision();
+    const data = await itemRepository.readData();
+    if (revision === itemRepository.getRevision()) {
+      const built = createSearchIndex(SEARCH_FIELDS);
+      data.forEach(item => built.add(item));
+      index = built;
+    }
+  }
+  return index;
+}
+
+// Ranked matches for `q`: [{ id, score, highlights }]
+async function searchItems(q) {
+  return (await getItemIndex()).search(q);
+}
+
+module.exports = { searchItems, SEARCH_FIELDS };
@@ -0,0 +1,47 @@
+const seedItems = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+describe('itemSearch', () => {
+  let itemRepository;
+  let searchItems;
+
+  beforeEach(async () => {
+    process.env.STORAGE_DRIVER = 'memory';
+    jest.resetModules();
+    await require('../storage').getStorage().writeCollection('items', seedItems);
+    itemRepository = require('../repositories/itemRepository');
+    ({ searchItems } = require('./itemSearch'));
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+    jest.restoreAllMocks();
+  });
+
+  const ids = async q => (await searchItems(q)).map(match => match.id);
+
+  it('should follow single-item writes without re-reading the catalog', async () => {
+    expect(await ids('laptop')).toEqual([1]);
+    const readData = jest.spyOn(itemRepository, 'readData');
+
+    const lamp = await itemRepository.createItem({ name: 'Desk Lamp', category: 'Furniture', price: 30 });
+    await itemRepository.updateItem(1, { name: 'Notebook Pro' });
+    await itemRepository.deleteItem(2);
+
+    expect(await ids('lamp')).toEqual([lamp.id]);
+    expect(await ids('laptop')).toEqual([]);
+    expect(await ids('notebook')).toEqual([1]);
+    expect(await ids('chair')).toEqual([]);
+    expect(readData).not.toHaveBeenCalled();
+  });
+
+  it('should rebuild after the data was replaced wholesale', async () => {
+    expect(await ids('chair')).toEqual([2]);
+
+    await itemRepository.writeData([{ id: 7, name: 'Office Chair', category: 'Furniture', price: 199 }]);
+
+    expect(await ids('chair')).toEqual([7]);
+  });
+});
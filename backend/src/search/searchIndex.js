@@ -0,0 +1,197 @@
+// In-process inverted index for full-text search over item fields.
+//
+// Text is split into words on anything that isn't a Unicode letter or digit
+// (so "Ultra‑Wide" with a non-breaking hyphen is two words), then each word is
+// folded: NFKD-decomposed, diacritics removed and lower-cased ("Café" ->
+// "cafe"). Query words match indexed words exactly, by prefix ("headph" ->
+// "headphones") or within a small edit distance ("hedphones").
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const COMBINING_MARKS = /\p{M}/gu;
+
+// How much a match counts, by kind
+const MATCH_QUALITY = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+// Shortest query word that may match as a prefix
+const MIN_PREFIX_LENGTH = 2;
+
+function fold(word) {
+  return word.normalize('NFKD').replace(COMBINING_MARKS, '').toLowerCase();
+}
+
+// Words of `text` with their offsets in the original string, for highlighting
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text).matchAll(WORD)) {
+    tokens.push({ term: fold(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Typos tolerated for a query word of this length
+function maxEdits(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+// Optimal string alignment distance, giving up once it exceeds `limit`
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// `fields` maps field names to weights, e.g. { name: 2, category: 1 }
+function createSearchIndex(fields) {
+  // term -> Map<docId, Array<{ field, start, end }>>
+  const postings = new Map();
+  // docId -> Set of terms, so documents can be removed
+  const documents = new Map();
+
+  function add(doc) {
+    remove(doc.id);
+    const terms = new Set();
+    for (const field of Object.keys(fields)) {
+      if (doc[field] === undefined || doc[field] === null) continue;
+      for (const { term, start, end } of tokenize(doc[field])) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        if (!docs.has(doc.id)) docs.set(doc.id, []);
+        docs.get(doc.id).push({ field, start, end });
+        terms.add(term);
+      }
+    }
+    documents.set(doc.id, terms);
+  }
+
+  function remove(id) {
+    const terms = documents.get(id);
+    if (!terms) return;
+    for (const term of terms) {
+      const docs = postings.get(term);
+      docs.delete(id);
+      if (docs.size === 0) postings.delete(term);
+    }
+    documents.delete(id);
+  }
+
+  // Indexed terms matching a query word, each with its match quality
+  function expand(word) {
+    const matches = [];
+    const edits = maxEdits(word.length);
+    for (const term of postings.keys()) {
+      if (term === word) {
+        matches.push({ term, quality: MATCH_QUALITY.exact, prefixLength: null });
+      } else if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+        matches.push({ term, quality: MATCH_QUALITY.prefix, prefixLength: word.length });
+      } else if (edits > 0 && editDistance(word, term, edits) <= edits) {
+        matches.push({ term, quality: MATCH_QUALITY.fuzzy, prefixLength: null });
+      }
+    }
+    return matches;
+  }
+
+  // Documents containing every query word (exactly, as prefix or fuzzily),
+  // best first: [{ id, score, highlights: { field: [[start, end], ...] } }]
+  function search(query) {
+    const words = tokenize(query).map(t => t.term);
+    if (words.length === 0) return [];
+
+    const total = documents.size;
+    let results = null;
+
+    for (const word of words) {
+      // docId -> { score, spans } for this word
+      const hits = new Map();
+      const expansions = expand(word);
+      // One idf for the query word, so a rare fuzzy or prefix variant can't
+      // outrank an exact match
+      const matchingDocs = new Set(expansions.flatMap(({ term }) => [...postings.get(term).keys()]));
+      const idf = Math.log(1 + total / Math.max(matchingDocs.size, 1));
+      for (const { term, quality, prefixLength } of expansions) {
+        const docs = postings.get(term);
+        for (const [id, positions] of docs) {
+          const best = Math.max(...positions.map(p => fields[p.field])) * quality * idf;
+          const hit = hits.get(id) || { score: 0, spans: [] };
+          hit.score = Math.max(hit.score, best);
+          for (const { field, start, end } of positions) {
+            // Prefix matches highlight the matched part when folding kept the length
+            const matchedEnd = prefixLength !== null && end - start === term.length ? start + prefixLength : end;
+            hit.spans.push({ field, start, end: matchedEnd });
+          }
+          hits.set(id, hit);
+        }
+      }
+
+      if (results === null) {
+        results = hits;
+      } else {
+        // Every word has to match
+        for (const [id, result] of results) {
+          const hit = hits.get(id);
+          if (!hit) {
+            results.delete(id);
+          } else {
+            result.score += hit.score;
+            result.spans.push(...hit.spans);
+          }
+        }
+      }
+      if (results.size === 0) return [];
+    }
+
+    return [...results]
+      .map(([id, { score, spans }]) => ({ id, score: Math.round(score * 1000) / 1000, highlights: mergeSpans(spans) }))
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+  }
+
+  return {
+    add,
+    remove,
+    search,
+    get size() {
+      return documents.size;
+    }
+  };
+}
+
+// Group spans by field, sorted, with overlaps merged
+function mergeSpans(spans) {
+  const byField = {};
+  for (const { field, start, end } of spans) {
+    (byField[field] = byField[field] || []).push([start, end]);
+  }
+  for (const field of Object.keys(byField)) {
+    const sorted = byField[field].sort((a, b) => a[0] - b[0]);
+    const merged = [sorted[0]];
+    for (const [start, end] of sorted.slice(1)) {
+      const last = merged[merged.length - 1];
+      if (start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+    byField[field] = merged;
+  }
+  return byField;
+}
+
+module.exports = { createSearchIndex, tokenize, fold, editDistance };
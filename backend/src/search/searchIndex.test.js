@@ -0,0 +1,98 @@
+const { createSearchIndex, tokenize, editDistance } = require('./searchIndex');
+
+const items = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics' },
+  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics' },
+  { id: 3, name: 'Ultra‑Wide Monitor', category: 'Electronics' },
+  { id: 4, name: 'Ergonomic Chair', category: 'Furniture' },
+  { id: 5, name: 'Café Table', category: 'Furniture' }
+];
+
+const buildIndex = () => {
+  const index = createSearchIndex({ name: 2, category: 1 });
+  items.forEach(item => index.add(item));
+  return index;
+};
+
+const ids = (results) => results.map(r => r.id);
+
+describe('tokenize', () => {
+  it('should split on non-breaking hyphens and fold diacritics, keeping offsets', () => {
+    expect(tokenize('Ultra‑Wide Café')).toEqual([
+      { term: 'ultra', start: 0, end: 5 },
+      { term: 'wide', start: 6, end: 10 },
+      { term: 'cafe', start: 11, end: 15 }
+    ]);
+  });
+});
+
+describe('editDistance', () => {
+  it('should count transpositions as one edit', () => {
+    expect(editDistance('chiar', 'chair', 2)).toBe(1);
+    expect(editDistance('monitor', 'mentor', 1)).toBe(2);
+  });
+});
+
+describe('searchIndex', () => {
+  it('should match exact words in name and category', () => {
+    const index = buildIndex();
+
+    expect(ids(index.search('laptop'))).toEqual([1]);
+    expect(ids(index.search('furniture'))).toEqual([4, 5]);
+  });
+
+  it('should match prefixes', () => {
+    expect(ids(buildIndex().search('headphone'))).toEqual([2]);
+  });
+
+  it('should tolerate typos', () => {
+    expect(ids(buildIndex().search('hedphones'))).toEqual([2]);
+    expect(ids(buildIndex().search('ergonmic'))).toEqual([4]);
+  });
+
+  it('should fold Unicode in queries and documents', () => {
+    const index = buildIndex();
+
+    expect(ids(index.search('cafe'))).toEqual([5]);
+    expect(ids(index.search('CAFÉ'))).toEqual([5]);
+    expect(ids(index.search('ultra-wide'))).toEqual([3]);
+  });
+
+  it('should require every query word to match', () => {
+    const index = buildIndex();
+
+    expect(ids(index.search('electronics monitor'))).toEqual([3]);
+    expect(index.search('laptop chair')).toEqual([]);
+  });
+
+  it('should rank name matches above category matches and exact above fuzzy', () => {
+    const index = createSearchIndex({ name: 2, category: 1 });
+    index.add({ id: 1, name: 'Desk', category: 'Office' });
+    index.add({ id: 2, name: 'Office Chair', category: 'Furniture' });
+    index.add({ id: 3, name: 'Offices Map', category: 'Decor' });
+
+    const results = index.search('office');
+
+    expect(ids(results)).toEqual([2, 3, 1]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  it('should return highlight ranges in the original text', () => {
+    const [result] = buildIndex().search('headph');
+
+    expect(result.highlights).toEqual({ name: [[17, 23]] });
+    expect(items[1].name.slice(17, 23)).toBe('Headph');
+  });
+
+  it('should forget removed and re-added documents', () => {
+    const index = buildIndex();
+
+    index.remove(1);
+    index.add({ id: 4, name: 'Kneeling Stool', category: 'Furniture' });
+
+    expect(index.search('laptop')).toEqual([]);
+    expect(index.search('chair')).toEqual([]);
+    expect(ids(index.search('stool'))).toEqual([4]);
+    expect(index.size).toBe(4);
+  });
+});
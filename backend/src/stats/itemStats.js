@@ -0,0 +1,99 @@
+const itemRepository = require('../repositories/itemRepository');
+const rateRepository = require('../repositories/rateRepository');
+const { createPriceAggregates } = require('./priceAggregates');
+const { statsRebuilds } = require('../metrics');
+
+// Aggregates over the whole catalog in the base currency, kept current from
+// repository change events. Single-item writes are applied as deltas; a
+// 'reset' (bulk replacement or an external edit of the data file) drops them
+// so the next request rebuilds from a full read, as does a change of rates.
+let aggregates = null;
+// The same over prices after discounts, for the promotions of one pricer:
+// { key, pricer, aggregates, discounted }, where `discounted` counts the items
+// on promotion. Deltas use that pricer. When the running promotions differ
+// (one started or ended, or a request asks about another time) or the
+// promotions, categories or rates changed, they are built again.
+let discounts = null;
+// The converter and rates revision the aggregates were built with. Deltas
+// must use the same rates, or removing an item wouldn't find its price.
+let converter = null;
+let ratesRevision = null;
+
+// Copy of `item` priced in the base currency
+const normalize = item => ({ ...item, price: converter.convert(item.price, item.currency, converter.base) });
+
+// Pricers with the same key price every item alike
+const pricingKey = pricer => `${pricer.revision}|${pricer.running.map(p => p.id).join(',')}`;
+
+// Add (`sign` 1) or remove (-1) `item` at its price after discounts
+function applyDiscounted(item, sign) {
+  const priced = discounts.pricer.priceItem(item);
+  const normalized = { ...item, price: converter.convert(priced.effectivePrice, item.currency, converter.base) };
+  if (sign > 0) {
+    discounts.aggregates.add(normalized);
+  } else {
+    discounts.aggregates.remove(normalized);
+  }
+  if (priced.promotion) discounts.discounted += sign;
+}
+
+function add(item) {
+  aggregates.add(normalize(item));
+  if (discounts) applyDiscounted(item, 1);
+}
+
+function remove(item) {
+  aggregates.remove(normalize(item));
+  if (discounts) applyDiscounted(item, -1);
+}
+
+itemRepository.onChange((event) => {
+  if (!aggregates) return;
+  switch (event.type) {
+    case 'created':
+      add(event.item);
+      break;
+    case 'updated':
+      remove(event.previous);
+      add(event.item);
+      break;
+    case 'deleted':
+      remove(event.item);
+      break;
+    default:
+      aggregates = null;
+      discounts = null;
+  }
+});
+
+// { aggregates, discounts } for the whole catalog, with the discounts as
+// `pricer` applies them
+async function getItemAggregates(pricer) {
+  if (ratesRevision !== rateRepository.getRevision()) {
+    aggregates = null;
+    discounts = null;
+  }
+  const key = pricingKey(pricer);
+  while (!aggregates || !discounts || discounts.key !== key) {
+    // Events that fire while we wait for the reads are already in the data,
+    // so only build if nothing changed in between; otherwise read again.
+    const revision = itemRepository.getRevision();
+    const rates = rateRepository.getRevision();
+    const data = await itemRepository.readData();
+    const current = await rateRepository.getConverter();
+    if (revision === itemRepository.getRevision() && rates === rateRepository.getRevision()) {
+      if (!aggregates || ratesRevision !== rates) {
+        converter = current;
+        ratesRevision = rates;
+        aggregates = createPriceAggregates(data.map(normalize));
+        statsRebuilds.inc({ scope: 'catalog' });
+      }
+      discounts = { key, pricer, aggregates: createPriceAggregates(), discounted: 0 };
+      data.forEach(item => applyDiscounted(item, 1));
+      statsRebuilds.inc({ scope: 'discounts' });
+    }
+  }
+  return { aggregates, discounts };
+}
+
+module.exports = { getItemAggregates };
@@ -0,0 +1,87 @@
+const { isNumber, lowerBound, summarizeSorted, histogramSorted } = require('../utils/stats');
+const { stockStatus } = require('../inventory/stock');
+
+// Running price aggregates, overall and per category, that can be updated one
+// item at a time. Prices are kept in sorted arrays with a running sum, so
+// adding or removing an item is a binary search plus one splice, and
+// percentiles never need a re-sort. Items are also counted by stock status.
+
+function createGroup() {
+  return { items: 0, sorted: [], sum: 0 };
+}
+
+function addToGroup(group, price) {
+  group.items++;
+  if (!isNumber(price)) return;
+  group.sorted.splice(lowerBound(group.sorted, price), 0, price);
+  group.sum += price;
+}
+
+function removeFromGroup(group, price) {
+  group.items--;
+  if (!isNumber(price)) return;
+  const index = lowerBound(group.sorted, price);
+  if (group.sorted[index] === price) {
+    group.sorted.splice(index, 1);
+    group.sum -= price;
+  }
+  // Keep float drift from accumulating past an empty group
+  if (group.sorted.length === 0) group.sum = 0;
+}
+
+function createPriceAggregates(items = []) {
+  const all = createGroup();
+  const byCategory = new Map();
+  const byStatus = { in_stock: 0, low_stock: 0, out_of_stock: 0 };
+
+  function add(item) {
+    byStatus[stockStatus(item)]++;
+    addToGroup(all, item.price);
+    if (!byCategory.has(item.category)) byCategory.set(item.category, createGroup());
+    addToGroup(byCategory.get(item.category), item.price);
+  }
+
+  function remove(item) {
+    byStatus[stockStatus(item)]--;
+    removeFromGroup(all, item.price);
+    const group = byCategory.get(item.category);
+    if (!group) return;
+    removeFromGroup(group, item.price);
+    if (group.items === 0) byCategory.delete(item.category);
+  }
+
+  // { total, averagePrice, price, categories, stock }, categories sorted by name
+  function summary(percentiles) {
+    const price = summarizeSorted(all.sorted, percentiles, all.sum);
+    return {
+      total: all.items,
+      averagePrice: price.mean,
+      price,
+      categories: Object.fromEntries(
+        [...byCategory.keys()].sort().map(category => {
+          const group = byCategory.get(category);
+          return [category, summarizeSorted(group.sorted, percentiles, group.sum)];
+        })
+      ),
+      stock: { inStock: byStatus.in_stock, lowStock: byStatus.low_stock, outOfStock: byStatus.out_of_stock }
+    };
+  }
+
+  function histogram(options) {
+    return histogramSorted(all.sorted, options);
+  }
+
+  items.forEach(add);
+
+  return {
+    add,
+    remove,
+    summary,
+    histogram,
+    get size() {
+      return all.items;
+    }
+  };
+}
+
+module.exports = { createPriceAggregates };
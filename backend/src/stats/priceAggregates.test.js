@@ -0,0 +1,41 @@
+const { createPriceAggregates } = require('./priceAggregates');
+const { summarize } = require('../utils/stats');
+
+describe('priceAggregates', () => {
+  const items = [
+    { id: 1, category: 'Electronics', price: 2499 },
+    { id: 2, category: 'Electronics', price: 399 },
+    { id: 3, category: 'Furniture', price: 799 }
+  ];
+
+  it('should match a full calculation after adds and removes', () => {
+    const aggregates = createPriceAggregates(items);
+    aggregates.remove(items[0]);
+    aggregates.add({ id: 4, category: 'Furniture', price: 1199 });
+
+    const { price, categories } = aggregates.summary([50, 90]);
+
+    expect(price).toEqual(summarize([399, 799, 1199], [50, 90]));
+    expect(categories).toEqual({
+      Electronics: summarize([399], [50, 90]),
+      Furniture: summarize([799, 1199], [50, 90])
+    });
+  });
+
+  it('should count items without a numeric price but leave them out of the prices', () => {
+    const aggregates = createPriceAggregates([...items, { id: 4, category: 'Furniture', price: 'n/a' }]);
+
+    const { total, price } = aggregates.summary([]);
+
+    expect(total).toBe(4);
+    expect(price.count).toBe(3);
+  });
+
+  it('should drop categories once their last item is removed', () => {
+    const aggregates = createPriceAggregates(items);
+    aggregates.remove(items[2]);
+
+    expect(Object.keys(aggregates.summary([]).categories)).toEqual(['Electronics']);
+    expect(aggregates.size).toBe(2);
+  });
+});
@@ -0,0 +1,56 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+const { logger } = require('../logger');
+
+const backupPath = (filePath) => `${filePath}.bak`;
+
+// Remove temp files left behind by writes interrupted by a crash
+async function removeStaleTempFiles(filePath) {
+  const dir = path.dirname(filePath);
+  const prefix = `.${path.basename(filePath)}.`;
+  const entries = await fs.readdir(dir).catch(() => []);
+  await Promise.all(entries
+    .filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))
+    .map(name => fs.unlink(path.join(dir, name)).catch(() => {})));
+}
+
+// Copy a file that is known to be good to its backup
+async function refreshBackup(filePath) {
+  await fs.copyFile(filePath, backupPath(filePath));
+}
+
+// Startup corruption check. `verify(buffer)` must throw for unusable content.
+// A missing file is fine; a corrupt one is set aside as `<file>.corrupt-<ts>`
+// and replaced by the last good copy when there is one.
+async function verifyOrRestore(filePath, verify) {
+  await removeStaleTempFiles(filePath);
+
+  let content;
+  try {
+    content = await fs.readFile(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  try {
+    await verify(content);
+    await refreshBackup(filePath);
+    return;
+  } catch (err) {
+    logger.error('Data file is unreadable', { file: filePath, error: err.message });
+  }
+
+  try {
+    const backup = await fs.readFile(backupPath(filePath));
+    await verify(backup);
+    await fs.copyFile(filePath, `${filePath}.corrupt-${Date.now()}`).catch(() => {});
+    await writeFileAtomic(filePath, backup);
+    logger.warn('Restored data file from backup', { file: filePath, backup: backupPath(filePath) });
+  } catch (err) {
+    logger.error('No usable backup', { backup: backupPath(filePath), error: err.message });
+  }
+}
+
+module.exports = { verifyOrRestore, refreshBackup };
@@ -0,0 +1,113 @@
+const config = require('../config');
+const { createJsonFileStorage } = require('./jsonFileStorage');
+const { createSqliteStorage } = require('./sqliteStorage');
+const { createMemoryStorage } = require('./memoryStorage');
+
+// Storage adapter contract. Every backend returns an object with:
+//
+//   driver                         'json' | 'sqlite' | 'memory'
+//   supportsWatch                  whether outside changes are possible and watched
+//   init()                         open the backend, check for and recover from corruption
+//   readCollection(name)           all records of a collection, in order ([] if none)
+//   verifyCollection(name)         throw if the stored collection can't be read or parsed
+//   writeCollection(name, records) atomically replace a collection; resolves to its new version
+//   updateCollection(name, records, { upsert, remove })
+//                                  same, given how `records` differs from what is stored: records
+//                                  to insert or update by id, and ids to delete. Backends that
+//                                  store records one by one (sqlite) only write those.
+//   appendCollection(name, records) add records to the end of a collection; resolves to its new
+//                                  version. Only these are written, by sqlite and by the json
+//                                  driver for APPEND_ONLY_COLLECTIONS.
+//   readSequence(name)             last value of a named id sequence (0 if none)
+//   writeSequence(name, value)     persist a sequence value
+//   getVersion(name)               Date of the collection's last modification, or null
+//   watch(name, onChange)          call onChange(version) on changes made outside this process
+//   isWatching(name)               whether such a watch is active
+//   close()                        release files and watchers
+//
+// Repositories only talk to this interface, so routes and caches don't know
+// which backend is in use.
+
+// Collections the application persists; used for startup checks and migration
+const COLLECTIONS = ['items', 'audit', 'categories', 'rates', 'stock', 'reservations', 'promotions'];
+// Collections whose outside edits are picked up while running. The audit log
+// and stock ledger are only ever appended to by the server, and categories,
+// exchange rates, reservations and promotions are managed through the API.
+const WATCHED_COLLECTIONS = ['items'];
+// Logs that only grow; the json driver keeps them as JSON Lines
+const APPEND_ONLY_COLLECTIONS = ['audit', 'stock'];
+
+const DRIVERS = {
+  json: (options) => createJsonFileStorage({ dataDir: options.dataDir, collections: COLLECTIONS, appendOnly: APPEND_ONLY_COLLECTIONS }),
+  sqlite: (options) => createSqliteStorage({ filePath: options.sqlitePath }),
+  memory: () => createMemoryStorage()
+};
+
+function createStorage(driver, options = config.storage) {
+  const factory = DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+// How `after` differs from `before`, as updateCollection() takes it, or null
+// when it can't be written record by record: a record has no id, or the ones
+// both hold are in a different order. Records are compared by reference, so
+// unchanged ones must be the same objects.
+function recordChanges(before, after) {
+  const hasId = record => record.id !== undefined && record.id !== null;
+  const stored = new Map(before.map((record, position) => [record.id, { record, position }]));
+  if (!before.every(hasId) || stored.size !== before.length) return null;
+
+  const upsert = [];
+  const kept = new Set();
+  let lastPosition = -1;
+  let added = false;
+  for (const record of after) {
+    if (!hasId(record) || kept.has(record.id)) return null;
+    kept.add(record.id);
+    const previous = stored.get(record.id);
+    if (!previous) {
+      added = true;
+      upsert.push(record);
+    } else if (added || previous.position < lastPosition) {
+      // New records can only go at the end, after every one kept
+      return null;
+    } else {
+      lastPosition = previous.position;
+      if (previous.record !== record) upsert.push(record);
+    }
+  }
+  const remove = before.filter(record => !kept.has(record.id)).map(record => record.id);
+  return { upsert, remove };
+}
+
+// Write `after` over a collection that held `before`, record by record
+// where possible
+function writeChanges(storage, name, before, after) {
+  const changes = recordChanges(before, after);
+  return changes ? storage.updateCollection(name, after, changes) : storage.writeCollection(name, after);
+}
+
+let storage = null;
+
+// The configured backend, shared by all repositories
+function getStorage() {
+  if (!storage) {
+    storage = createStorage(config.storage.driver);
+  }
+  return storage;
+}
+
+let opened = null;
+
+// Initialize the shared backend once, however many repositories ask for it
+function openStorage() {
+  if (!opened) {
+    opened = getStorage().init();
+  }
+  return opened;
+}
+
+module.exports = { COLLECTIONS, WATCHED_COLLECTIONS, createStorage, getStorage, openStorage, recordChanges, writeChanges };
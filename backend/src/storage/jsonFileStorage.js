@@ -0,0 +1,252 @@
+const fs = require('fs').promises;
+const fsEvents = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+const { logger } = require('../logger');
+const { verifyOrRestore, refreshBackup } = require('./backup');
+
+function parseArray(content) {
+  const data = JSON.parse(content.toString('utf8'));
+  if (!Array.isArray(data)) {
+    throw new Error('does not contain a JSON array');
+  }
+  return data;
+}
+
+// One record per line. A last line without its newline is an append the
+// process didn't finish, and is left out.
+function parseLines(content) {
+  const text = content.toString('utf8');
+  return text.slice(0, text.lastIndexOf('\n') + 1).split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+const toLines = records => records.map(record => `${JSON.stringify(record)}\n`).join('');
+
+// Stores each collection as a pretty-printed JSON array in `<dataDir>/<name>.json`
+// and each sequence in `<dataDir>/<name>.sequence.json`. The `appendOnly`
+// collections (logs that only grow) are JSON Lines in `<dataDir>/<name>.jsonl`
+// instead, so appending a record writes just that record.
+function createJsonFileStorage({ dataDir, collections = [], appendOnly = [] }) {
+  const isAppendOnly = name => appendOnly.includes(name);
+  const collectionPath = (name) => path.join(dataDir, isAppendOnly(name) ? `${name}.jsonl` : `${name}.json`);
+  const sequencePath = (name) => path.join(dataDir, `${name}.sequence.json`);
+  const parse = (name, content) => (isAppendOnly(name) ? parseLines(content) : parseArray(content));
+  const serialize = (name, records) => (isAppendOnly(name) ? toLines(records) : JSON.stringify(records, null, 2));
+
+  // Last known mtime per collection
+  const versions = new Map();
+  // Collections with a write in progress; their watch events are our own
+  const writing = new Set();
+  const watchers = new Map();
+
+  async function statVersion(name) {
+    try {
+      const stats = await fs.stat(collectionPath(name));
+      versions.set(name, stats.mtime);
+    } catch (err) {
+      versions.delete(name);
+    }
+    return getVersion(name);
+  }
+
+  // Append-only collections used to be stored as JSON arrays
+  async function convertToLines(name) {
+    const legacyPath = path.join(dataDir, `${name}.json`);
+    try {
+      await fs.access(collectionPath(name));
+      return;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    let records;
+    try {
+      await verifyOrRestore(legacyPath, parseArray);
+      records = parseArray(await fs.readFile(legacyPath));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    await writeFileAtomic(collectionPath(name), toLines(records));
+    await fs.rename(legacyPath, `${legacyPath}.converted`);
+    logger.info('Converted collection to JSON Lines', { file: collectionPath(name) });
+  }
+
+  // Drop an append the process didn't finish, so the next one starts on its
+  // own line
+  async function trimPartialLine(name) {
+    let content;
+    try {
+      content = await fs.readFile(collectionPath(name));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    const end = content.lastIndexOf('\n') + 1;
+    if (end < content.length) {
+      logger.warn('Dropping a half-written record', { file: collectionPath(name) });
+      await fs.truncate(collectionPath(name), end);
+    }
+  }
+
+  async function init() {
+    for (const name of collections) {
+      if (isAppendOnly(name)) {
+        await convertToLines(name);
+        await trimPartialLine(name);
+      }
+      await verifyOrRestore(collectionPath(name), content => parse(name, content));
+      await statVersion(name);
+    }
+  }
+
+  async function readCollection(name) {
+    let content;
+    try {
+      content = await fs.readFile(collectionPath(name));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const data = parse(name, content);
+    await statVersion(name);
+    return data;
+  }
+
+  // Unlike readCollection this doesn't refresh the version, which would hide
+  // a pending external change from the watcher
+  async function verifyCollection(name) {
+    try {
+      parse(name, await fs.readFile(collectionPath(name)));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  async function writeCollection(name, records) {
+    writing.add(name);
+    try {
+      await writeFileAtomic(collectionPath(name), serialize(name, records));
+      await refreshBackup(collectionPath(name));
+      return await statVersion(name);
+    } finally {
+      writing.delete(name);
+    }
+  }
+
+  // The file holds the whole array, so it is rewritten either way
+  function updateCollection(name, records) {
+    return writeCollection(name, records);
+  }
+
+  // Keep the backup of an append-only file current without copying it
+  async function appendToBackup(filePath, lines) {
+    try {
+      await fs.access(`${filePath}.bak`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return refreshBackup(filePath);
+    }
+    return fs.appendFile(`${filePath}.bak`, lines);
+  }
+
+  // Append-only collections get the new lines, synced to disk, and so does
+  // their backup; others are rewritten with `records` added
+  async function appendCollection(name, records) {
+    if (!isAppendOnly(name)) {
+      return writeCollection(name, [...await readCollection(name), ...records]);
+    }
+    writing.add(name);
+    try {
+      const file = await fs.open(collectionPath(name), 'a');
+      try {
+        await file.appendFile(toLines(records));
+        await file.sync();
+      } finally {
+        await file.close();
+      }
+      await appendToBackup(collectionPath(name), toLines(records));
+      return await statVersion(name);
+    } finally {
+      writing.delete(name);
+    }
+  }
+
+  async function readSequence(name) {
+    try {
+      const raw = await fs.readFile(sequencePath(name), 'utf8');
+      return JSON.parse(raw).lastId || 0;
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+  }
+
+  async function writeSequence(name, lastId) {
+    await writeFileAtomic(sequencePath(name), JSON.stringify({ lastId }));
+  }
+
+  function getVersion(name) {
+    return versions.get(name) || null;
+  }
+
+  // Call `onChange(version)` when the collection file is changed by someone
+  // else. The directory is watched rather than the file because atomic writes
+  // replace the file's inode, which would silently end a file-level watch.
+  function watch(name, onChange) {
+    const fileName = path.basename(collectionPath(name));
+    try {
+      const watcher = fsEvents.watch(dataDir, async (eventType, changed) => {
+        if (changed !== fileName || writing.has(name)) {
+          return;
+        }
+        const previous = getVersion(name);
+        const current = await statVersion(name);
+        // Only notify if mtime actually changed (avoid duplicate events and our own writes)
+        if (!previous || !current || previous.getTime() !== current.getTime()) {
+          onChange(current);
+        }
+      });
+
+      // Handle watcher errors
+      watcher.on('error', (err) => {
+        logger.error('File watcher error', { dir: dataDir, error: err.message });
+        watchers.delete(name);
+      });
+      // Don't keep the process alive just for the watcher
+      watcher.unref();
+      watchers.set(name, watcher);
+    } catch (err) {
+      logger.error('Failed to initialize file watcher', { dir: dataDir, error: err.message });
+    }
+  }
+
+  function isWatching(name) {
+    return watchers.has(name);
+  }
+
+  async function close() {
+    for (const watcher of watchers.values()) {
+      watcher.close();
+    }
+    watchers.clear();
+  }
+
+  return {
+    driver: 'json',
+    supportsWatch: true,
+    init,
+    readCollection,
+    verifyCollection,
+    writeCollection,
+    updateCollection,
+    appendCollection,
+    readSequence,
+    writeSequence,
+    getVersion,
+    watch,
+    isWatching,
+    close
+  };
+}
+
+module.exports = { createJsonFileStorage };
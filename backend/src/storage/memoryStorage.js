@@ -0,0 +1,75 @@
+// Non-persistent storage for tests. Records are deep-copied on the way in and
+// out so callers see the same isolation a real backend would give them.
+function createMemoryStorage(seed = {}) {
+  const collections = new Map();
+  const sequences = new Map();
+  const versions = new Map();
+
+  async function init() {
+    for (const [name, records] of Object.entries(seed)) {
+      collections.set(name, structuredClone(records));
+      versions.set(name, new Date());
+    }
+  }
+
+  async function readCollection(name) {
+    return structuredClone(collections.get(name) || []);
+  }
+
+  async function verifyCollection() {}
+
+  async function writeCollection(name, records) {
+    collections.set(name, structuredClone(records));
+    const version = new Date();
+    versions.set(name, version);
+    return version;
+  }
+
+  function updateCollection(name, records) {
+    return writeCollection(name, records);
+  }
+
+  function appendCollection(name, records) {
+    return writeCollection(name, [...(collections.get(name) || []), ...records]);
+  }
+
+  async function readSequence(name) {
+    return sequences.get(name) || 0;
+  }
+
+  async function writeSequence(name, lastId) {
+    sequences.set(name, lastId);
+  }
+
+  function getVersion(name) {
+    return versions.get(name) || null;
+  }
+
+  // Nothing outside the process can change memory, so there is nothing to watch
+  function watch() {}
+
+  function isWatching() {
+    return false;
+  }
+
+  async function close() {}
+
+  return {
+    driver: 'memory',
+    supportsWatch: false,
+    init,
+    readCollection,
+    verifyCollection,
+    writeCollection,
+    updateCollection,
+    appendCollection,
+    readSequence,
+    writeSequence,
+    getVersion,
+    watch,
+    isWatching,
+    close
+  };
+}
+
+module.exports = { createMemoryStorage };
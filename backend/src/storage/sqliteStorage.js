@@ -0,0 +1,319 @@
+const fs = require('fs').promises;
+const initSqlJs = require('sql.js');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+const { logger } = require('../logger');
+const { verifyOrRestore, refreshBackup } = require('./backup');
+
+// Journal size at which the database is written out in full and the journal
+// started over
+const CHECKPOINT_BYTES = 4 * 1024 * 1024;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    id INTEGER,
+    doc TEXT NOT NULL,
+    PRIMARY KEY (collection, position)
+  );
+  CREATE INDEX IF NOT EXISTS records_id ON records (collection, id);
+  CREATE TABLE IF NOT EXISTS sequences (
+    name TEXT PRIMARY KEY,
+    last_id INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS versions (
+    collection TEXT PRIMARY KEY,
+    modified_at INTEGER NOT NULL
+  );
+`;
+
+// Key a record is stored, updated and deleted by, or null if it has none
+const recordId = record => (Number.isInteger(record.id) || typeof record.id === 'string' ? record.id : null);
+
+// Embedded SQLite database (sql.js, compiled to WebAssembly, so no native
+// build is needed). Records are stored as JSON documents keyed by collection
+// and position, and by id for per-record writes.
+//
+// The database lives in memory. Each write is first appended to a journal
+// next to `filePath` (one JSON line, synced to disk) and only then applied,
+// so it costs what it changes rather than the size of the database, and a
+// write that fails leaves the database as it was. The database is written to
+// `filePath` atomically, and the journal emptied, when the journal passes
+// CHECKPOINT_BYTES, at startup after replaying it, and on close.
+function createSqliteStorage({ filePath }) {
+  const journalPath = `${filePath}.journal`;
+  let SQL = null;
+  let db = null;
+  let journal = null;
+  let journalBytes = 0;
+  // Journal writes and checkpoints, in the order the changes were applied
+  let pending = Promise.resolve();
+
+  // Rows of a single-statement query as plain objects
+  function query(sql, params = []) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  function verify(content) {
+    const candidate = new SQL.Database(content);
+    try {
+      const [result] = candidate.exec('PRAGMA integrity_check');
+      if (!result || result.values[0][0] !== 'ok') {
+        throw new Error('integrity check failed');
+      }
+    } finally {
+      candidate.close();
+    }
+  }
+
+  // Write the whole database out and start the journal over
+  async function checkpoint() {
+    await writeFileAtomic(filePath, Buffer.from(db.export()));
+    await refreshBackup(filePath);
+    await journal.truncate(0);
+    journalBytes = 0;
+  }
+
+  // Run `task` after the journal writes queued before it
+  function enqueue(task) {
+    const result = pending.then(task);
+    pending = result.catch(() => {});
+    return result;
+  }
+
+  // Journal `change` and then apply it to the database. Resolves once it is
+  // on disk. If the journal can't be written, a partial line is cut off so
+  // that later changes can still be replayed.
+  function commit(change) {
+    const line = `${JSON.stringify(change)}\n`;
+    return enqueue(async () => {
+      try {
+        await journal.write(line);
+        await journal.sync();
+      } catch (err) {
+        await journal.truncate(journalBytes).catch(() => {});
+        throw err;
+      }
+      journalBytes += Buffer.byteLength(line);
+      apply(change);
+      if (journalBytes >= CHECKPOINT_BYTES) {
+        await checkpoint();
+      }
+    });
+  }
+
+  // Run `statements` in a transaction
+  function transaction(statements) {
+    db.exec('BEGIN');
+    try {
+      statements();
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  function setVersion(name, modifiedAt) {
+    db.run(
+      'INSERT INTO versions (collection, modified_at) VALUES (?, ?) ON CONFLICT(collection) DO UPDATE SET modified_at = excluded.modified_at',
+      [name, modifiedAt]
+    );
+  }
+
+  function replaceRecords(name, records, modifiedAt) {
+    transaction(() => {
+      db.run('DELETE FROM records WHERE collection = ?', [name]);
+      const insert = db.prepare('INSERT INTO records (collection, position, id, doc) VALUES (?, ?, ?, ?)');
+      try {
+        records.forEach((record, position) => {
+          insert.run([name, position, recordId(record), JSON.stringify(record)]);
+        });
+      } finally {
+        insert.free();
+      }
+      setVersion(name, modifiedAt);
+    });
+  }
+
+  // Update records in place by id, add new ones at the end and delete the
+  // ids in `remove`
+  function changeRecords(name, { upsert = [], remove = [] }, modifiedAt) {
+    transaction(() => {
+      let [{ next }] = query('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM records WHERE collection = ?', [name]);
+      for (const record of upsert) {
+        const id = recordId(record);
+        if (id === null) {
+          throw new Error(`Records of "${name}" need an id to be written one at a time`);
+        }
+        const doc = JSON.stringify(record);
+        db.run('UPDATE records SET doc = ? WHERE collection = ? AND id = ?', [doc, name, id]);
+        if (db.getRowsModified() === 0) {
+          db.run('INSERT INTO records (collection, position, id, doc) VALUES (?, ?, ?, ?)', [name, next++, id, doc]);
+        }
+      }
+      for (const id of remove) {
+        db.run('DELETE FROM records WHERE collection = ? AND id = ?', [name, id]);
+      }
+      setVersion(name, modifiedAt);
+    });
+  }
+
+  function setSequence(name, lastId) {
+    db.run(
+      'INSERT INTO sequences (name, last_id) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET last_id = excluded.last_id',
+      [name, lastId]
+    );
+  }
+
+  // Apply a journalled change again. Every change sets values rather than
+  // adjusting them, so replaying one the database already has is harmless.
+  function apply(change) {
+    if (change.op === 'replace') replaceRecords(change.collection, change.records, change.at);
+    else if (change.op === 'change') changeRecords(change.collection, change, change.at);
+    else if (change.op === 'sequence') setSequence(change.name, change.lastId);
+  }
+
+  // Apply the changes journalled since the last checkpoint. A crash can
+  // leave the last line half written; that change never completed.
+  async function replayJournal() {
+    let content;
+    try {
+      content = await fs.readFile(journalPath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    const lines = content.split('\n').filter(Boolean);
+    for (const [index, line] of lines.entries()) {
+      let change;
+      try {
+        change = JSON.parse(line);
+      } catch (err) {
+        logger.error('Skipping the rest of an unreadable journal', { file: journalPath, line: index + 1 });
+        break;
+      }
+      apply(change);
+    }
+  }
+
+  // Records stored before string ids were keyed have no id to update them by
+  function keyRecords() {
+    const rows = query('SELECT collection, position, doc FROM records WHERE id IS NULL');
+    for (const row of rows) {
+      const id = recordId(JSON.parse(row.doc));
+      if (id !== null) {
+        db.run('UPDATE records SET id = ? WHERE collection = ? AND position = ?', [id, row.collection, row.position]);
+      }
+    }
+  }
+
+  async function init() {
+    SQL = await initSqlJs();
+    await verifyOrRestore(filePath, verify);
+
+    let content = null;
+    try {
+      content = await fs.readFile(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    db = content ? new SQL.Database(content) : new SQL.Database();
+    db.exec(SCHEMA);
+    keyRecords();
+    await replayJournal();
+    journal = await fs.open(journalPath, 'a');
+    await checkpoint();
+  }
+
+  async function readCollection(name) {
+    return query('SELECT doc FROM records WHERE collection = ? ORDER BY position', [name])
+      .map(row => JSON.parse(row.doc));
+  }
+
+  async function verifyCollection(name) {
+    await readCollection(name);
+  }
+
+  async function writeCollection(name, records) {
+    const modifiedAt = Date.now();
+    await commit({ op: 'replace', collection: name, records, at: modifiedAt });
+    return new Date(modifiedAt);
+  }
+
+  // Only the changed records are written; `records` isn't needed
+  async function updateCollection(name, records, { upsert = [], remove = [] }) {
+    // Checked before journalling, as the change couldn't be replayed
+    if (upsert.some(record => recordId(record) === null)) {
+      throw new Error(`Records of "${name}" need an id to be written one at a time`);
+    }
+    const modifiedAt = Date.now();
+    await commit({ op: 'change', collection: name, upsert, remove, at: modifiedAt });
+    return new Date(modifiedAt);
+  }
+
+  // New records go in as they are; nothing else is touched
+  function appendCollection(name, records) {
+    return updateCollection(name, null, { upsert: records, remove: [] });
+  }
+
+  async function readSequence(name) {
+    const [row] = query('SELECT last_id FROM sequences WHERE name = ?', [name]);
+    return row ? row.last_id : 0;
+  }
+
+  async function writeSequence(name, lastId) {
+    await commit({ op: 'sequence', name, lastId });
+  }
+
+  function getVersion(name) {
+    const [row] = query('SELECT modified_at FROM versions WHERE collection = ?', [name]);
+    return row ? new Date(row.modified_at) : null;
+  }
+
+  // The database is held in memory, so edits to the file by other processes
+  // would be overwritten anyway; there is nothing useful to watch.
+  function watch() {}
+
+  function isWatching() {
+    return false;
+  }
+
+  async function close() {
+    if (db) {
+      await enqueue(checkpoint);
+      await journal.close();
+      db.close();
+      db = null;
+    }
+  }
+
+  return {
+    driver: 'sqlite',
+    supportsWatch: false,
+    init,
+    readCollection,
+    verifyCollection,
+    writeCollection,
+    updateCollection,
+    appendCollection,
+    readSequence,
+    writeSequence,
+    getVersion,
+    watch,
+    isWatching,
+    close
+  };
+}
+
+module.exports = { createSqliteStorage };
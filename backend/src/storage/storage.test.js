@@ -0,0 +1,296 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFileStorage } = require('./jsonFileStorage');
+const { createSqliteStorage } = require('./sqliteStorage');
+const { createMemoryStorage } = require('./memoryStorage');
+const { recordChanges, writeChanges } = require('./index');
+
+const items = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+let dir;
+let consoleSpy;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  consoleSpy.mockRestore();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const drivers = {
+  json: () => createJsonFileStorage({ dataDir: dir, collections: ['items', 'audit'], appendOnly: ['audit'] }),
+  sqlite: () => createSqliteStorage({ filePath: path.join(dir, 'catalog.sqlite') }),
+  memory: () => createMemoryStorage()
+};
+
+describe.each(Object.keys(drivers))('%s storage', (driver) => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = drivers[driver]();
+    await storage.init();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should read a missing collection as empty', async () => {
+    await expect(storage.readCollection('items')).resolves.toEqual([]);
+    expect(storage.getVersion('items')).toBeNull();
+  });
+
+  it('should round-trip records in order', async () => {
+    const version = await storage.writeCollection('items', items);
+
+    await expect(storage.readCollection('items')).resolves.toEqual(items);
+    // fs.Stats dates come from another realm than jest's Date, so compare timestamps
+    expect(version.getTime()).toEqual(expect.any(Number));
+    expect(storage.getVersion('items').getTime()).toBe(version.getTime());
+  });
+
+  it('should not share record objects with the caller', async () => {
+    const records = structuredClone(items);
+    await storage.writeCollection('items', records);
+    records[0].price = 1;
+
+    const [first] = await storage.readCollection('items');
+    expect(first.price).toBe(2499);
+  });
+
+  it('should update, add and delete records by id', async () => {
+    await storage.writeCollection('items', items);
+    const lamp = { id: 3, name: 'Lamp', category: 'Furniture', price: 30 };
+    const chair = { ...items[1], price: 699 };
+
+    const version = await writeChanges(storage, 'items', items, [chair, lamp]);
+
+    await expect(storage.readCollection('items')).resolves.toEqual([chair, lamp]);
+    expect(storage.getVersion('items').getTime()).toBe(version.getTime());
+  });
+
+  it('should append records after the existing ones', async () => {
+    const entries = [{ id: 1, action: 'create' }, { id: 2, action: 'update' }];
+    await storage.appendCollection('audit', [entries[0]]);
+    const version = await storage.appendCollection('audit', [entries[1]]);
+
+    await expect(storage.readCollection('audit')).resolves.toEqual(entries);
+    expect(storage.getVersion('audit').getTime()).toBe(version.getTime());
+  });
+
+  it('should persist sequences', async () => {
+    await expect(storage.readSequence('items')).resolves.toBe(0);
+    await storage.writeSequence('items', 42);
+    await expect(storage.readSequence('items')).resolves.toBe(42);
+  });
+});
+
+describe.each(['json', 'sqlite'])('%s storage on disk', (driver) => {
+  it('should keep data across restarts', async () => {
+    const first = drivers[driver]();
+    await first.init();
+    await first.writeCollection('items', items);
+    await first.writeSequence('items', 7);
+    await first.close();
+
+    const second = drivers[driver]();
+    await second.init();
+    await expect(second.readCollection('items')).resolves.toEqual(items);
+    await expect(second.readSequence('items')).resolves.toBe(7);
+    await second.close();
+  });
+
+  it('should restore the last good copy when the file is corrupt at startup', async () => {
+    const first = drivers[driver]();
+    await first.init();
+    await first.writeCollection('items', items);
+    await first.close();
+
+    const file = driver === 'json' ? path.join(dir, 'items.json') : path.join(dir, 'catalog.sqlite');
+    // Simulate a crash in the middle of a manual edit
+    fs.writeFileSync(file, '[{ "id": 1, "name": "Lap');
+    fs.writeFileSync(path.join(dir, `.${path.basename(file)}.123.456.tmp`), 'partial');
+
+    const restarted = drivers[driver]();
+    await restarted.init();
+
+    await expect(restarted.readCollection('items')).resolves.toEqual(items);
+    const files = fs.readdirSync(dir);
+    expect(files.some(name => name.startsWith(`${path.basename(file)}.corrupt-`))).toBe(true);
+    expect(files.some(name => name.endsWith('.tmp'))).toBe(false);
+    await restarted.close();
+  });
+
+  it('should write atomically, leaving no temp files behind', async () => {
+    const storage = drivers[driver]();
+    await storage.init();
+    await storage.writeCollection('items', items);
+    await storage.close();
+
+    expect(fs.readdirSync(dir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+});
+
+describe('json storage append-only collections', () => {
+  const entries = [{ id: 1, action: 'create' }, { id: 2, action: 'update' }];
+  const linesFile = () => path.join(dir, 'audit.jsonl');
+
+  it('should store one record per line and only add the new ones', async () => {
+    const storage = drivers.json();
+    await storage.init();
+    await storage.appendCollection('audit', [entries[0]]);
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+    await storage.appendCollection('audit', [entries[1]]);
+
+    expect(writeFile).not.toHaveBeenCalled();
+    writeFile.mockRestore();
+    expect(fs.readFileSync(linesFile(), 'utf8')).toBe(entries.map(e => `${JSON.stringify(e)}\n`).join(''));
+    await storage.close();
+  });
+
+  it('should convert a collection stored as a JSON array', async () => {
+    fs.writeFileSync(path.join(dir, 'audit.json'), JSON.stringify(entries));
+
+    const storage = drivers.json();
+    await storage.init();
+
+    await expect(storage.readCollection('audit')).resolves.toEqual(entries);
+    expect(fs.existsSync(path.join(dir, 'audit.json'))).toBe(false);
+    expect(fs.existsSync(path.join(dir, 'audit.json.converted'))).toBe(true);
+    await storage.close();
+  });
+
+  it('should drop a record the crash left half written', async () => {
+    fs.writeFileSync(linesFile(), `${JSON.stringify(entries[0])}\n{"id":2,"act`);
+
+    const storage = drivers.json();
+    await storage.init();
+    await storage.appendCollection('audit', [entries[1]]);
+
+    await expect(storage.readCollection('audit')).resolves.toEqual(entries);
+    await storage.close();
+  });
+});
+
+describe('sqlite storage journal', () => {
+  const filePath = () => path.join(dir, 'catalog.sqlite');
+
+  it('should keep writes made after the last checkpoint when the process dies', async () => {
+    const first = drivers.sqlite();
+    await first.init();
+    await first.writeCollection('items', items);
+    const size = fs.statSync(filePath()).size;
+    await first.updateCollection('items', null, { upsert: [{ ...items[0], price: 1999 }], remove: [2] });
+    await first.writeSequence('items', 9);
+
+    // Writes go to the journal; the database file is only written at checkpoints
+    expect(fs.statSync(filePath()).size).toBe(size);
+    expect(fs.readFileSync(`${filePath()}.journal`, 'utf8').trim().split('\n')).toHaveLength(3);
+
+    // No close(), as after a crash
+    const second = drivers.sqlite();
+    await second.init();
+    await expect(second.readCollection('items')).resolves.toEqual([{ ...items[0], price: 1999 }]);
+    await expect(second.readSequence('items')).resolves.toBe(9);
+    expect(fs.readFileSync(`${filePath()}.journal`, 'utf8')).toBe('');
+    await second.close();
+    await first.close();
+  });
+
+  it('should leave the database as it was when a change can\'t be journalled', async () => {
+    const open = fs.promises.open;
+    let journal;
+    jest.spyOn(fs.promises, 'open').mockImplementation(async (file, ...args) => {
+      const handle = await open(file, ...args);
+      if (file.endsWith('.journal')) journal = handle;
+      return handle;
+    });
+    const storage = drivers.sqlite();
+    await storage.init();
+    fs.promises.open.mockRestore();
+    await storage.writeCollection('items', items);
+    await storage.writeSequence('items', 2);
+    jest.spyOn(journal, 'sync').mockRejectedValue(new Error('disk full'));
+
+    await expect(storage.writeCollection('items', [])).rejects.toThrow('disk full');
+    await expect(storage.updateCollection('items', null, { upsert: [{ ...items[0], price: 1 }], remove: [] })).rejects.toThrow('disk full');
+    await expect(storage.writeSequence('items', 3)).rejects.toThrow('disk full');
+
+    await expect(storage.readCollection('items')).resolves.toEqual(items);
+    await expect(storage.readSequence('items')).resolves.toBe(2);
+    journal.sync.mockRestore();
+    // Nothing of the failed changes is left in the journal to be replayed
+    await storage.writeSequence('items', 4);
+    const restarted = drivers.sqlite();
+    await restarted.init();
+    await expect(restarted.readCollection('items')).resolves.toEqual(items);
+    await expect(restarted.readSequence('items')).resolves.toBe(4);
+    await restarted.close();
+    await storage.close();
+  });
+
+  it('should ignore a change the crash left half written', async () => {
+    const first = drivers.sqlite();
+    await first.init();
+    await first.writeCollection('items', items);
+    fs.appendFileSync(`${filePath()}.journal`, '{"op":"replace","collection":"items","recor');
+
+    const second = drivers.sqlite();
+    await second.init();
+    await expect(second.readCollection('items')).resolves.toEqual(items);
+    await second.close();
+    await first.close();
+  });
+});
+
+describe('recordChanges', () => {
+  const [laptop, chair] = items;
+  const lamp = { id: 3, name: 'Lamp' };
+
+  it('should list the records that changed, were added or were removed', () => {
+    const cheaper = { ...laptop, price: 1999 };
+
+    expect(recordChanges(items, [cheaper, chair, lamp])).toEqual({ upsert: [cheaper, lamp], remove: [] });
+    expect(recordChanges(items, [chair])).toEqual({ upsert: [], remove: [1] });
+  });
+
+  it('should give up when the order can\'t be kept record by record', () => {
+    expect(recordChanges(items, [chair, laptop])).toBeNull();
+    expect(recordChanges(items, [laptop, lamp, chair])).toBeNull();
+    expect(recordChanges(items, [laptop, { name: 'No id' }])).toBeNull();
+  });
+});
+
+describe('json storage watching', () => {
+  it('should report edits made by other processes but not its own writes', async () => {
+    const storage = drivers.json();
+    await storage.init();
+    await storage.writeCollection('items', items);
+
+    const onChange = jest.fn();
+    storage.watch('items', onChange);
+    expect(storage.isWatching('items')).toBe(true);
+
+    await storage.writeCollection('items', items.slice(0, 1));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(onChange).not.toHaveBeenCalled();
+
+    // Make sure the external edit gets a different mtime
+    await new Promise(resolve => setTimeout(resolve, 20));
+    fs.writeFileSync(path.join(dir, 'items.json'), JSON.stringify(items));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0].getTime()).toBe(storage.getVersion('items').getTime());
+
+    await storage.close();
+    expect(storage.isWatching('items')).toBe(false);
+  });
+});
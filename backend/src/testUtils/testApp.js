@@ -0,0 +1,29 @@
+const express = require('express');
+
+// Fresh modules on the memory storage driver, seeded with `items`, and an
+// app with the `routes` ([mount path, module under src/routes] pairs) mounted.
+// Set any other environment the modules read before calling this.
+//
+// X-Test-Role stands in for the authenticator and picks the acting user's
+// role, `defaultRole` when the header is missing.
+async function createTestApp({ routes, defaultRole = 'editor', items = [] }) {
+  process.env.STORAGE_DRIVER = 'memory';
+  jest.resetModules();
+  await require('../storage').getStorage().writeCollection('items', items);
+  const { errorHandler } = require('../middleware/errorHandler');
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const role = req.get('X-Test-Role') || defaultRole;
+    req.user = { id: `user:${role}`, name: role, role };
+    next();
+  });
+  for (const [mountPath, name] of routes) {
+    app.use(mountPath, require(`../routes/${name}`));
+  }
+  app.use(errorHandler);
+  return app;
+}
+
+module.exports = { createTestApp };
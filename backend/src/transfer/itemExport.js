@@ -0,0 +1,87 @@
+const itemRepository = require('../repositories/itemRepository');
+const rateRepository = require('../repositories/rateRepository');
+const { itemListQuery, parseItemQuery, filterItems, projectItems, PROJECTABLE_FIELDS } = require('../utils/itemQuery');
+const { searchItems } = require('../search/itemSearch');
+const { formatCsvRow } = require('../utils/csv');
+
+// GET /api/items/export: every item matching the list route's filters (no
+// pagination), written out in batches that wait for the client to keep up,
+// so large exports don't pile up in memory as one response string.
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Rows per write
+const BATCH_SIZE = 500;
+
+// The list filters without pagination: an export is everything that matches.
+// Exports are of the stored prices, so promotions (`at`) don't apply.
+const exportQuery = {
+  ...Object.fromEntries(Object.entries(itemListQuery).filter(([name]) => !['page', 'limit', 'cursor', 'at'].includes(name))),
+  format: { type: 'string', enum: Object.keys(FORMATS), default: 'json' }
+};
+
+// Resolves once `res` can take more data, or has been closed
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// The text for each item in `format`, plus what comes before and after
+function serializer(format, columns) {
+  switch (format) {
+    case 'csv':
+      return {
+        head: formatCsvRow(columns),
+        row: item => formatCsvRow(columns.map(column => item[column])),
+        tail: ''
+      };
+    case 'ndjson':
+      return { head: '', row: item => `${JSON.stringify(item)}\n`, tail: '' };
+    default:
+      return { head: '[', row: (item, i) => `${i === 0 ? '' : ','}${JSON.stringify(item)}`, tail: ']\n' };
+  }
+}
+
+async function exportItems(req, res, next) {
+  let items;
+  let query;
+  try {
+    query = parseItemQuery(req.query, exportQuery);
+    const converter = await rateRepository.getConverter();
+    const data = converter.convertItems(await itemRepository.readData(), query.currency);
+    const matches = query.q ? await searchItems(query.q) : null;
+    // Search annotations are for display, not part of the data
+    items = projectItems(filterItems(data, query, matches), query.fields)
+      .map(({ search, ...item }) => item);
+  } catch (err) {
+    return next(err);
+  }
+
+  const { contentType, extension } = FORMATS[query.format];
+  const { head, row, tail } = serializer(query.format, query.fields || PROJECTABLE_FIELDS);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="items.${extension}"`);
+  res.write(head);
+  for (let start = 0; start < items.length; start += BATCH_SIZE) {
+    if (res.destroyed) return undefined;
+    const chunk = items.slice(start, start + BATCH_SIZE).map((item, i) => row(item, start + i)).join('');
+    if (!res.write(chunk)) {
+      await drained(res);
+    }
+  }
+  res.end(tail);
+  return undefined;
+}
+
+module.exports = { exportItems };
@@ -0,0 +1,66 @@
+const request = require('supertest');
+const express = require('express');
+
+// EUR at half the base price, so conversions are easy to check
+jest.mock('../repositories/rateRepository', () => {
+  const { createConverter } = jest.requireActual('../pricing/currency');
+  const mockConverter = createConverter({ base: 'USD', rates: { EUR: 0.5 } });
+  return {
+    getConverter: jest.fn(async () => mockConverter),
+    getLastModifiedTime: jest.fn(() => new Date(0)),
+    getRevision: jest.fn(() => 0)
+  };
+});
+
+jest.mock('../repositories/itemRepository', () => ({
+  readData: jest.fn(async () => [
+    { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499, currency: 'USD', stock: 3, reorderThreshold: 5, createdBy: 'user:alice' },
+    { id: 2, name: '=HYPERLINK("http://x")', category: 'Accessories', price: 5 },
+    { id: 3, name: 'Desk, oak', category: 'Furniture', price: 1200 }
+  ]),
+  getLastModifiedTime: jest.fn(() => new Date(0)),
+  getRevision: jest.fn(() => 0),
+  onChange: jest.fn()
+}));
+
+const { exportItems } = require('./itemExport');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.get('/export', exportItems);
+app.use(errorHandler);
+
+describe('GET /api/items/export', () => {
+  it('should export JSON by default', async () => {
+    const res = await request(app).get('/export').expect(200);
+
+    expect(res.headers['content-disposition']).toBe('attachment; filename="items.json"');
+    expect(res.body.map(i => i.id)).toEqual([1, 2, 3]);
+  });
+
+  it('should export CSV with a header and escaped cells', async () => {
+    const res = await request(app).get('/export?format=csv&sort=-price').expect(200);
+
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.text).toBe([
+      'id,name,category,price,currency,stock,reorderThreshold,createdBy,updatedBy',
+      '1,Laptop Pro,Electronics,2499,USD,3,5,user:alice,',
+      '3,"Desk, oak",Furniture,1200,,,,,',
+      '2,"\'=HYPERLINK(""http://x"")",Accessories,5,,,,,',
+      ''
+    ].join('\r\n'));
+  });
+
+  it('should apply the search and projection of the list route', async () => {
+    const res = await request(app).get('/export?format=ndjson&q=laptop&fields=name').expect(200);
+
+    expect(res.text).toBe('{"id":1,"name":"Laptop Pro"}\n');
+  });
+
+  it('should reject pagination and unknown formats', async () => {
+    await request(app).get('/export?page=2').expect(400);
+    const res = await request(app).get('/export?format=xml').expect(400);
+
+    expect(res.body.error.details).toEqual([{ field: 'format', message: 'must be one of: csv, ndjson, json' }]);
+  });
+});
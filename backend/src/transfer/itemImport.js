@@ -0,0 +1,193 @@
+const { StringDecoder } = require('string_decoder');
+const config = require('../config');
+const itemRepository = require('../repositories/itemRepository');
+const { itemSchema } = require('../schemas/itemSchema');
+const { validate, validationError } = require('../utils/validation');
+const { assertQuery } = require('../utils/queryParser');
+const { createCsvParser } = require('../utils/csv');
+
+// POST /api/items/import: the body is parsed as it arrives, one row at a
+// time, and every row is validated like a POST /api/items body. Nothing is
+// written unless every row is valid and can be applied.
+
+const FORMATS = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+// Row errors returned in a response; the total is always reported
+const MAX_REPORTED_ERRORS = 100;
+
+const importQuery = {
+  dryRun: { type: 'boolean', default: false },
+  // Match rows to existing items by this field; without it every row is new
+  upsertKey: { type: 'string', enum: itemRepository.UPSERT_KEYS }
+};
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+// Text chunks of the request body, failing once it exceeds `maxBytes`
+async function* decodeBody(req, maxBytes) {
+  const decoder = new StringDecoder('utf8');
+  let bytes = 0;
+  for await (const chunk of req) {
+    bytes += chunk.length;
+    if (bytes > maxBytes) {
+      throw httpError(413, `Import is limited to ${maxBytes} bytes`, 'PAYLOAD_TOO_LARGE');
+    }
+    yield decoder.write(chunk);
+  }
+  yield decoder.end();
+}
+
+// { row, record } per CSV line after the header, where record maps column
+// names to the raw strings
+async function* csvRecords(chunks) {
+  const parser = createCsvParser();
+  let header = null;
+  let row = 0;
+  function* toRecords(lines) {
+    for (const values of lines) {
+      if (!header) {
+        // A byte order mark from spreadsheet exports would stick to the first name
+        header = values.map(name => name.replace(/^﻿/, '').trim());
+        continue;
+      }
+      row++;
+      yield { row, record: Object.fromEntries(header.map((name, i) => [name, values[i]])) };
+    }
+  }
+  for await (const text of chunks) {
+    yield* toRecords(parser.push(text));
+  }
+  try {
+    yield* toRecords(parser.end());
+  } catch (err) {
+    throw httpError(400, err.message, 'INVALID_CSV');
+  }
+}
+
+// { row, record } per non-blank NDJSON line, or { row, error }
+async function* ndjsonRecords(chunks) {
+  let buffer = '';
+  let row = 0;
+  function* toRecords(lines) {
+    for (const line of lines) {
+      if (line.trim() === '') continue;
+      row++;
+      try {
+        yield { row, record: JSON.parse(line) };
+      } catch (err) {
+        yield { row, error: 'is not valid JSON' };
+      }
+    }
+  }
+  for await (const text of chunks) {
+    const lines = (buffer + text).split('\n');
+    buffer = lines.pop();
+    yield* toRecords(lines);
+  }
+  yield* toRecords([buffer]);
+}
+
+// CSV cells are all strings; give numeric fields numbers so they validate
+// the same as JSON. Empty cells count as missing. Unparseable numbers are
+// left as they are for the validator to report.
+function coerceCsvRecord(record) {
+  const coerced = { ...record };
+  for (const [field, rule] of Object.entries({ ...itemSchema, id: { type: 'integer' } })) {
+    const raw = record[field];
+    if (raw === undefined) continue;
+    if (raw.trim() === '') {
+      // A blank required text cell is kept, to be reported as empty
+      if (rule.type !== 'string' || !rule.required) delete coerced[field];
+    } else if (rule.type !== 'string' && Number.isFinite(Number(raw))) {
+      coerced[field] = Number(raw);
+    }
+  }
+  return coerced;
+}
+
+// Validate one parsed record into { row, id?, fields } or a list of errors
+function parseRow({ row, record, error }) {
+  if (error) {
+    return { errors: [{ row, field: null, message: error }] };
+  }
+  const { value, errors } = validate(itemSchema, record);
+  const rowErrors = errors.map(e => ({ row, ...e }));
+  const id = record && typeof record === 'object' ? record.id : undefined;
+  if (id !== undefined && id !== null && id !== '' && !(Number.isInteger(id) && id > 0)) {
+    rowErrors.push({ row, field: 'id', message: 'must be a positive integer' });
+  }
+  if (rowErrors.length > 0) {
+    return { errors: rowErrors };
+  }
+  return { row: { row, id: Number.isInteger(id) ? id : undefined, fields: value } };
+}
+
+async function importItems(req, res, next) {
+  try {
+    const { dryRun, upsertKey } = assertQuery(importQuery, req.query);
+    const format = FORMATS[(req.get('Content-Type') || '').split(';')[0].trim().toLowerCase()];
+    if (!format) {
+      throw httpError(415, `Content-Type must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const { maxBytes, maxRows } = config.import;
+    const chunks = decodeBody(req, maxBytes);
+    const records = format === 'csv' ? csvRecords(chunks) : ndjsonRecords(chunks);
+    const rows = [];
+    let errors = [];
+    let total = 0;
+    for await (const parsed of records) {
+      if (++total > maxRows) {
+        throw httpError(413, `Import is limited to ${maxRows} rows`, 'PAYLOAD_TOO_LARGE');
+      }
+      const result = parseRow(format === 'csv' ? { ...parsed, record: coerceCsvRecord(parsed.record) } : parsed);
+      if (result.errors) {
+        errors.push(...result.errors);
+      } else {
+        rows.push(result.row);
+      }
+    }
+    if (total === 0) {
+      throw httpError(400, 'The import contains no rows', 'EMPTY_IMPORT');
+    }
+
+    // Invalid rows are left out of the plan, so a dry run still shows what
+    // the valid ones would do
+    const plan = await itemRepository.importItems(rows, {
+      upsertKey,
+      dryRun: dryRun || errors.length > 0,
+      actor: req.user.id
+    });
+    errors = [...errors, ...plan.errors].sort((a, b) => a.row - b.row);
+
+    if (!dryRun && errors.length > 0) {
+      throw validationError(
+        errors.slice(0, MAX_REPORTED_ERRORS),
+        `${errors.length} row error(s); nothing was imported`,
+        'IMPORT_INVALID'
+      );
+    }
+    res.json({
+      dryRun,
+      rows: total,
+      created: plan.created,
+      updated: plan.updated,
+      unchanged: plan.unchanged,
+      errorCount: errors.length,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { importItems };
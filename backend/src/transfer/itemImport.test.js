@@ -0,0 +1,103 @@
+const request = require('supertest');
+const express = require('express');
+
+const seedItems = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 }
+];
+
+describe('POST /api/items/import', () => {
+  let app;
+  let itemRepository;
+
+  beforeEach(async () => {
+    process.env.STORAGE_DRIVER = 'memory';
+    process.env.IMPORT_MAX_ROWS = '3';
+    jest.resetModules();
+    await require('../storage').getStorage().writeCollection('items', seedItems);
+    itemRepository = require('../repositories/itemRepository');
+    const { importItems } = require('./itemImport');
+    const { errorHandler } = require('../middleware/errorHandler');
+
+    app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 'user:admin', name: 'admin', role: 'admin' };
+      next();
+    });
+    app.post('/import', importItems);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.IMPORT_MAX_ROWS;
+  });
+
+  const post = (body, type, query = '') => request(app)
+    .post(`/import${query}`)
+    .set('Content-Type', type)
+    .send(body);
+
+  it('should import CSV, converting numeric columns', async () => {
+    const csv = 'name,category,price,notes\r\n"Desk, oak",Furniture,1200,ignored\r\nLamp,Furniture,25.5,\r\n';
+
+    const res = await post(csv, 'text/csv').expect(200);
+
+    expect(res.body).toEqual({ dryRun: false, rows: 2, created: 2, updated: 0, unchanged: 0, errorCount: 0, errors: [] });
+    const data = await itemRepository.readData();
+    expect(data.slice(2)).toEqual([
+      { id: 3, name: 'Desk, oak', category: 'Furniture', price: 1200, currency: 'USD', stock: 0, reorderThreshold: 0, images: [], createdBy: 'user:admin', updatedBy: 'user:admin' },
+      { id: 4, name: 'Lamp', category: 'Furniture', price: 25.5, currency: 'USD', stock: 0, reorderThreshold: 0, images: [], createdBy: 'user:admin', updatedBy: 'user:admin' }
+    ]);
+  });
+
+  it('should upsert NDJSON rows by id', async () => {
+    const ndjson = [
+      JSON.stringify({ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 1999 }),
+      '',
+      JSON.stringify({ name: 'Lamp', category: 'Furniture', price: 25 })
+    ].join('\n');
+
+    const res = await post(ndjson, 'application/x-ndjson', '?upsertKey=id').expect(200);
+
+    expect(res.body).toMatchObject({ rows: 2, created: 1, updated: 1 });
+    expect((await itemRepository.readData()).map(i => i.price)).toEqual([1999, 799, 25]);
+  });
+
+  it('should report every bad row and import nothing', async () => {
+    const csv = 'id,name,category,price\n,Lamp,Furniture,abc\nx,,Toys,5\n';
+
+    const res = await post(csv, 'text/csv').expect(400);
+
+    expect(res.body.error.code).toBe('IMPORT_INVALID');
+    expect(res.body.error.details).toEqual([
+      { row: 1, field: 'price', message: 'must be a number' },
+      { row: 2, field: 'name', message: 'must not be empty' },
+      { row: 2, field: 'id', message: 'must be a positive integer' }
+    ]);
+    expect(await itemRepository.readData()).toEqual(seedItems);
+  });
+
+  it('should plan without writing on a dry run, even with bad rows', async () => {
+    const ndjson = '{"name":"Lamp","category":"Furniture","price":1}\n{not json\n[1]\n';
+
+    const res = await post(ndjson, 'application/x-ndjson', '?dryRun=true').expect(200);
+
+    expect(res.body).toMatchObject({ dryRun: true, rows: 3, created: 1, errorCount: 2 });
+    expect(res.body.errors).toEqual([
+      { row: 2, field: null, message: 'is not valid JSON' },
+      { row: 3, field: null, message: 'must be a JSON object' }
+    ]);
+    expect(await itemRepository.readData()).toEqual(seedItems);
+  });
+
+  it('should reject unsupported bodies, parameters and oversized imports', async () => {
+    await post('{}', 'application/json').expect(415);
+    await post('name\nLamp\n', 'text/csv', '?upsertKey=price').expect(400);
+    await post('name,category,price\n', 'text/csv').expect(400);
+    await post('name,"unterminated\nLamp', 'text/csv').expect(400);
+
+    const res = await post('name,category,price\na,Furniture,1\nb,Furniture,1\nc,Furniture,1\nd,Furniture,1\n', 'text/csv').expect(413);
+    expect(res.body.error.message).toBe('Import is limited to 3 rows');
+  });
+});
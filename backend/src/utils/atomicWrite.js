@@ -0,0 +1,27 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Write a file so readers only ever see the old or the new content, never a
+// truncated mix: write a sibling temp file, flush it to disk, then rename it
+// over the target (rename is atomic on the same filesystem).
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+  const handle = await fs.open(tmpPath, 'w');
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = { writeFileAtomic };
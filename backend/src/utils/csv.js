@@ -0,0 +1,103 @@
+// RFC 4180 CSV: comma-separated fields, double-quoted when they contain a
+// comma, quote or line break, with quotes inside doubled. Lines may end in
+// CRLF or LF.
+
+// Incremental parser for input that arrives in chunks. `push(text)` returns
+// the records completed by that chunk (arrays of strings) and `end()` the
+// last one. Quoted fields may span chunks and lines. Blank lines are skipped.
+function createCsvParser() {
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  // Inside quotes and just saw a quote: either an escaped quote or the end
+  let quotePending = false;
+  // Just ended a record on CR, so a following LF belongs to it
+  let skipLf = false;
+  // Whether the current field was quoted, so "" isn't taken for a blank line
+  let quoted = false;
+
+  function endRecord(records) {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '' || quoted) {
+      records.push(record);
+    }
+    field = '';
+    record = [];
+    quoted = false;
+  }
+
+  function push(text) {
+    const records = [];
+    for (const ch of text) {
+      if (skipLf) {
+        skipLf = false;
+        if (ch === '\n') continue;
+      }
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+          // The quote closed the field; handle `ch` as unquoted below
+        } else {
+          if (ch === '"') {
+            quotePending = true;
+          } else {
+            field += ch;
+          }
+          continue;
+        }
+      }
+      if (ch === '"' && field === '') {
+        inQuotes = true;
+        quoted = true;
+      } else if (ch === ',') {
+        record.push(field);
+        field = '';
+      } else if (ch === '\r' || ch === '\n') {
+        endRecord(records);
+        skipLf = ch === '\r';
+      } else {
+        field += ch;
+      }
+    }
+    return records;
+  }
+
+  function end() {
+    if (inQuotes && !quotePending) {
+      throw new Error('Unterminated quoted field at the end of the input');
+    }
+    inQuotes = false;
+    quotePending = false;
+    const records = [];
+    if (field !== '' || record.length > 0 || quoted) {
+      endRecord(records);
+    }
+    return records;
+  }
+
+  return { push, end };
+}
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// One CSV line (with CRLF). null and undefined become empty cells. Strings
+// that a spreadsheet would run as a formula are prefixed with a quote.
+function formatCsvRow(values) {
+  const cells = values.map((value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+  return `${cells.join(',')}\r\n`;
+}
+
+module.exports = { createCsvParser, formatCsvRow };
@@ -0,0 +1,47 @@
+const { createCsvParser, formatCsvRow } = require('./csv');
+
+// Parse `chunks` as if they arrived one by one
+function parse(...chunks) {
+  const parser = createCsvParser();
+  return [...chunks.flatMap(chunk => parser.push(chunk)), ...parser.end()];
+}
+
+describe('csv', () => {
+  it('should parse plain and quoted fields', () => {
+    expect(parse('name,price\r\nLamp,10\r\n"Desk, oak","1,200"\n"Say ""hi""",\n')).toEqual([
+      ['name', 'price'],
+      ['Lamp', '10'],
+      ['Desk, oak', '1,200'],
+      ['Say "hi"', '']
+    ]);
+  });
+
+  it('should handle records, quotes and CRLF split across chunks', () => {
+    expect(parse('a,"multi\nli', 'ne ""quo', '"" text"\r', '\nlast,row')).toEqual([
+      ['a', 'multi\nline "quo" text'],
+      ['last', 'row']
+    ]);
+  });
+
+  it('should skip blank lines but keep an explicitly empty quoted field', () => {
+    expect(parse('a\n\n\r\n""\nb')).toEqual([['a'], [''], ['b']]);
+  });
+
+  it('should reject an unterminated quoted field', () => {
+    const parser = createCsvParser();
+    parser.push('a,"open');
+
+    expect(() => parser.end()).toThrow('Unterminated quoted field');
+  });
+
+  it('should format rows that parse back to the same values', () => {
+    const line = formatCsvRow([1, 'Desk, "oak"', null, 'two\nlines']);
+
+    expect(line).toBe('1,"Desk, ""oak""",,"two\nlines"\r\n');
+    expect(parse(line)).toEqual([['1', 'Desk, "oak"', '', 'two\nlines']]);
+  });
+
+  it('should defuse strings a spreadsheet would run as formulas', () => {
+    expect(formatCsvRow(['=SUM(A1:A9)', '@cmd', -5, '+1'])).toBe("'=SUM(A1:A9),'@cmd,-5,'+1\r\n");
+  });
+});
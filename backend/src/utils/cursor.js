@@ -0,0 +1,91 @@
+const { compareItems, sortValue } = require('./itemQuery');
+const { invalidQuery } = require('./queryParser');
+
+// Cursors are opaque to clients: base64url JSON holding the sort spec, the
+// sort key of the boundary item and which side of it the page lies on.
+// Because the position is a key rather than an offset, inserts and deletes
+// elsewhere in the list don't shift pages.
+
+const sortSpec = (sort) => sort.map(({ field, direction }) => (direction < 0 ? '-' : '') + field).join(',');
+
+function encodeCursor(item, sort, direction) {
+  const payload = {
+    s: sortSpec(sort),
+    k: sort.map(({ field }) => sortValue(item, field)),
+    id: item.id,
+    d: direction
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function invalidCursor(message) {
+  return invalidQuery([{ field: 'cursor', message }]);
+}
+
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw invalidCursor('is malformed');
+  }
+  if (!payload || !Array.isArray(payload.k) || payload.k.length !== sort.length ||
+      !Number.isInteger(payload.id) || !['after', 'before'].includes(payload.d)) {
+    throw invalidCursor('is malformed');
+  }
+  if (payload.s !== sortSpec(sort)) {
+    throw invalidCursor('was created for a different sort order');
+  }
+  // Rebuild the boundary as a pseudo-item so it can go through the comparator
+  const boundary = { id: payload.id };
+  sort.forEach(({ field }, i) => {
+    if (field === 'relevance') {
+      boundary.search = { score: payload.k[i] };
+    } else {
+      boundary[field] = payload.k[i];
+    }
+  });
+  return { boundary, direction: payload.d };
+}
+
+// Page through `results` (already in `sort` order) by cursor. An empty
+// cursor starts at the top.
+function paginateByCursor(filtered, { cursor, limit, sort }) {
+  const compare = compareItems(sort);
+  // Without an explicit sort the list is in storage order; keysets need it by id
+  const results = sort.length > 0 ? filtered : [...filtered].sort(compare);
+  let start = 0;
+  let end = Math.min(limit, results.length);
+
+  if (cursor) {
+    const { boundary, direction } = decodeCursor(cursor, sort);
+    if (direction === 'after') {
+      start = results.findIndex(item => compare(item, boundary) > 0);
+      if (start === -1) start = results.length;
+      end = Math.min(start + limit, results.length);
+    } else {
+      end = results.findIndex(item => compare(item, boundary) >= 0);
+      if (end === -1) end = results.length;
+      start = Math.max(end - limit, 0);
+    }
+  }
+
+  const items = results.slice(start, end);
+  const hasPrev = start > 0;
+  const hasNext = end < results.length;
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      total: results.length,
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext && items.length > 0 ? encodeCursor(items[items.length - 1], sort, 'after') : null,
+      prevCursor: hasPrev && items.length > 0 ? encodeCursor(items[0], sort, 'before') : null
+    }
+  };
+}
+
+module.exports = { paginateByCursor };
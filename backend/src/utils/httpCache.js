@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// Conditional request helpers: strong ETags from response content, plus
+// Last-Modified from the repository. Express answers If-None-Match /
+// If-Modified-Since with 304 on its own once these headers are set.
+
+// Strong ETag for a JSON body: equal bodies get equal tags
+function etagFor(body) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+  return `"${hash}"`;
+}
+
+// Send `body` as JSON with validators; replies 304 when the client's copy is
+// current. `lastModified` is a Date, or null when unknown.
+function sendCacheable(req, res, body, lastModified) {
+  res.set('ETag', etagFor(body));
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  // Clients may keep a copy but must revalidate before using it
+  res.set('Cache-Control', 'no-cache');
+  res.json(body);
+}
+
+// The latest of several modification times (null ones are ignored), for
+// responses built from more than one collection
+function newest(...dates) {
+  const times = dates.filter(Boolean).map(date => date.getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+function preconditionFailed() {
+  const err = new Error('The item was changed by someone else; reload it and try again');
+  err.status = 412;
+  return err;
+}
+
+// Throw 412 unless the request's If-Match (if any) names `current`'s ETag.
+// Weak tags never match, as If-Match requires strong comparison.
+function assertIfMatch(req, current) {
+  const header = req.get('If-Match');
+  if (header === undefined) return;
+  const tags = header.split(',').map(tag => tag.trim());
+  if (tags.includes('*')) return;
+  if (!tags.includes(etagFor(current))) {
+    throw preconditionFailed();
+  }
+}
+
+module.exports = { etagFor, sendCacheable, assertIfMatch, newest };
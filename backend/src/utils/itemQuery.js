@@ -0,0 +1,141 @@
+const { paginationQuery, parseQuery, invalidQuery } = require('./queryParser');
+const { STOCK_STATUSES, stockOf, stockStatus } = require('../inventory/stock');
+const { parseTimestamp } = require('../pricing/promotions');
+
+// `relevance` is the search score and only exists when there is a `q`
+const SORTABLE_FIELDS = ['id', 'name', 'category', 'price', 'stock', 'relevance'];
+const PROJECTABLE_FIELDS = ['id', 'name', 'category', 'price', 'currency', 'stock', 'reorderThreshold', 'createdBy', 'updatedBy'];
+
+// `-price` -> { field: 'price', direction: -1 }
+function parseSortToken(token) {
+  const descending = token.startsWith('-');
+  const field = descending ? token.slice(1) : token;
+  if (!SORTABLE_FIELDS.includes(field)) {
+    return { error: `cannot sort by "${field}"; expected one of: ${SORTABLE_FIELDS.join(', ')}` };
+  }
+  return { value: { field, direction: descending ? -1 : 1 } };
+}
+
+// Query parameters understood by GET /api/items
+const itemListQuery = {
+  ...paginationQuery,
+  // '' means "first page" in cursor mode
+  cursor: { type: 'string' },
+  q: { type: 'string', default: '' },
+  // Category names; unknown ones simply match nothing
+  category: { type: 'list' },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 },
+  // Convert prices to this currency; price filters and sorting then use the
+  // converted prices. Checked against the rates table by the route.
+  currency: { type: 'string' },
+  // in_stock, low_stock and/or out_of_stock
+  availability: { type: 'list', enum: STOCK_STATUSES },
+  sort: { type: 'list', parse: parseSortToken },
+  fields: { type: 'list', enum: PROJECTABLE_FIELDS, nonEmpty: true },
+  // Apply the promotions running at this ISO 8601 time instead of now
+  at: { type: 'string' }
+};
+
+// The `at` parameter as a Date, or null for now. Adds an error to `errors`
+// if it isn't a timestamp.
+function parseAt(value, errors) {
+  const at = value ? parseTimestamp(value) : null;
+  if (value && !at) {
+    errors.push({ field: 'at', message: 'must be an ISO 8601 timestamp with a time zone' });
+  }
+  return at;
+}
+
+// Validate the parameters of a list request. Returns { page, limit, cursor,
+// q, categories, minPrice, maxPrice, currency, availability, sort, fields,
+// at }, where cursor is null in page mode, fields is null when everything
+// should be returned and at is a Date, or null for now. Throws a 400 listing every problem when something is unknown
+// or malformed.
+function parseItemQuery(query, spec = itemListQuery) {
+  const { values, errors } = parseQuery(spec, query);
+
+  if (values.minPrice !== null && values.maxPrice !== null && values.minPrice > values.maxPrice) {
+    errors.push({ field: 'minPrice', message: 'must not be greater than maxPrice' });
+  }
+  if (query.cursor !== undefined && query.page !== undefined) {
+    errors.push({ field: 'cursor', message: 'cannot be combined with page' });
+  }
+  if (!values.q && (values.sort || []).some(s => s.field === 'relevance')) {
+    errors.push({ field: 'sort', message: 'relevance requires a search query (q)' });
+  }
+  const at = parseAt(values.at, errors);
+  if (errors.length > 0) {
+    throw invalidQuery(errors);
+  }
+
+  const { category, fields, sort, ...rest } = values;
+  return {
+    ...rest,
+    at,
+    categories: category,
+    // Searches are ordered best match first unless asked otherwise
+    sort: sort.length === 0 && values.q ? [{ field: 'relevance', direction: -1 }] : sort,
+    // id is always returned so results can still be linked to
+    fields: fields.length > 0 ? ['id', ...fields.filter(f => f !== 'id')] : null
+  };
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Value an item is sorted by; relevance lives on the search annotation
+function sortValue(item, field) {
+  if (field === 'relevance') return item.search ? item.search.score : 0;
+  return field === 'stock' ? stockOf(item) : item[field];
+}
+
+// Comparator for `sort` specs; ties fall back to id so the order is stable
+function compareItems(sort) {
+  return (a, b) => {
+    for (const { field, direction } of sort) {
+      const result = compareValues(sortValue(a, field), sortValue(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return compareValues(a.id, b.id);
+  };
+}
+
+// Apply the filters and ordering of a parsed query (without pagination).
+// `matches` are the search index results for `q`; matching items are
+// returned as copies annotated with `search: { score, highlights }`.
+function filterItems(items, { categories, minPrice, maxPrice, availability = [], sort }, matches = null) {
+  let results = items;
+  if (matches) {
+    const byId = new Map(matches.map(m => [m.id, m]));
+    results = items
+      .filter(item => byId.has(item.id))
+      .map(item => {
+        const { score, highlights } = byId.get(item.id);
+        return { ...item, search: { score, highlights } };
+      });
+  }
+  results = results.filter(item =>
+    (categories.length === 0 || categories.includes(item.category)) &&
+    (minPrice === null || item.price >= minPrice) &&
+    (maxPrice === null || item.price <= maxPrice) &&
+    (availability.length === 0 || availability.includes(stockStatus(item)))
+  );
+  return sort.length > 0 ? results.sort(compareItems(sort)) : results;
+}
+
+// Trim items down to the requested fields. Search annotations are kept, and
+// so is the promotion behind an item's price.
+function projectItems(items, fields) {
+  if (!fields) return items;
+  const kept = [...fields, 'search', ...(fields.includes('price') ? ['effectivePrice', 'promotion'] : [])];
+  return items.map(item => Object.fromEntries(
+    kept.filter(f => f in item).map(f => [f, item[f]])
+  ));
+}
+
+module.exports = { PROJECTABLE_FIELDS, itemListQuery, parseItemQuery, parseAt, filterItems, projectItems, compareItems, sortValue };
@@ -0,0 +1,16 @@
+// Promise-based mutex: callbacks passed to runExclusive() run one at a time,
+// in call order, even when they await in between.
+function createMutex() {
+  let tail = Promise.resolve();
+
+  function runExclusive(fn) {
+    const run = tail.then(() => fn());
+    // Keep the chain alive when a callback fails
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  return { runExclusive };
+}
+
+module.exports = { createMutex };
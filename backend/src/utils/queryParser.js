@@ -0,0 +1,151 @@
+const config = require('../config');
+const { validationError } = require('./validation');
+
+// Declarative query-string parsing shared by list routes.
+//
+// A spec maps parameter names to rules:
+//   { type: 'string' | 'integer' | 'number' | 'boolean' | 'list', default,
+//     min, max, enum, nonEmpty, parse }
+// `list` accepts comma-separated values and repeated params (?a=x,y&a=z);
+// `enum` and `parse(token) -> { value } | { error }` apply to each entry.
+// `boolean` accepts true or false.
+// Parameters that aren't in the spec are rejected.
+
+// page/limit rules every paginated list route accepts
+const paginationQuery = {
+  page: { type: 'integer', default: 1, min: 1 },
+  limit: { type: 'integer', default: config.pagination.defaultLimit, min: 1, max: config.pagination.maxLimit }
+};
+
+function invalidQuery(errors) {
+  return validationError(errors, 'Invalid query parameters', 'INVALID_QUERY');
+}
+
+function splitList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function checkRange(rule, value) {
+  if (rule.min !== undefined && value < rule.min) {
+    return { error: `must be greater than or equal to ${rule.min}` };
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return { error: `must be less than or equal to ${rule.max}` };
+  }
+  return { value };
+}
+
+function parseValue(rule, raw) {
+  switch (rule.type) {
+    case 'integer':
+      if (!/^-?\d+$/.test(raw.trim())) return { error: 'must be an integer' };
+      return checkRange(rule, Number(raw));
+    case 'number': {
+      const value = raw.trim() === '' ? NaN : Number(raw);
+      if (!Number.isFinite(value)) return { error: 'must be a number' };
+      return checkRange(rule, value);
+    }
+    case 'list': {
+      const tokens = splitList(raw);
+      if (rule.nonEmpty && tokens.length === 0) {
+        return { error: 'must list at least one value' };
+      }
+      if (rule.enum) {
+        const unknown = tokens.filter(t => !rule.enum.includes(t));
+        if (unknown.length > 0) {
+          return { error: `unknown value ${unknown.join(', ')}; expected one of: ${rule.enum.join(', ')}` };
+        }
+      }
+      if (!rule.parse) return { value: tokens };
+      const value = [];
+      for (const token of tokens) {
+        const result = rule.parse(token);
+        if (result.error) return result;
+        value.push(result.value);
+      }
+      return { value };
+    }
+    case 'boolean': {
+      const value = raw.trim().toLowerCase();
+      if (value !== 'true' && value !== 'false') return { error: 'must be true or false' };
+      return { value: value === 'true' };
+    }
+    default: {
+      const value = raw.trim();
+      if (rule.enum && !rule.enum.includes(value)) {
+        return { error: `must be one of: ${rule.enum.join(', ')}` };
+      }
+      return { value };
+    }
+  }
+}
+
+// Parse `query` against `spec`. Returns { values, errors }; absent params get
+// their default (or [] for lists, null otherwise).
+function parseQuery(spec, query) {
+  const values = {};
+  const errors = [];
+
+  for (const key of Object.keys(query)) {
+    if (!spec[key]) {
+      errors.push({ field: key, message: 'is not a supported query parameter' });
+    }
+  }
+
+  for (const [key, rule] of Object.entries(spec)) {
+    const raw = query[key];
+    if (raw === undefined) {
+      values[key] = rule.default !== undefined ? rule.default : rule.type === 'list' ? [] : null;
+      continue;
+    }
+    const isList = rule.type === 'list';
+    const validShape = typeof raw === 'string' ||
+      (isList && Array.isArray(raw) && raw.every(v => typeof v === 'string'));
+    if (!validShape) {
+      errors.push({ field: key, message: isList ? 'must be a list of values' : 'must be given once' });
+      continue;
+    }
+    const result = parseValue(rule, raw);
+    if (result.error) {
+      errors.push({ field: key, message: result.error });
+    } else {
+      values[key] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+// Same as parseQuery() but throws a 400 listing every problem
+function assertQuery(spec, query) {
+  const { values, errors } = parseQuery(spec, query);
+  if (errors.length > 0) {
+    throw invalidQuery(errors);
+  }
+  return values;
+}
+
+// Offset pagination over an in-memory result list
+function paginate(results, { page, limit }) {
+  const total = results.length;
+  const totalPages = Math.ceil(total / limit);
+  const startIndex = (page - 1) * limit;
+
+  return {
+    items: results.slice(startIndex, startIndex + limit),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+}
+
+module.exports = { paginationQuery, parseQuery, assertQuery, invalidQuery, paginate };
@@ -0,0 +1,47 @@
+const { parseQuery, assertQuery, paginate } = require('./queryParser');
+
+const spec = {
+  page: { type: 'integer', default: 1, min: 1 },
+  price: { type: 'number', min: 0 },
+  q: { type: 'string', default: '' },
+  tags: { type: 'list', enum: ['a', 'b', 'c'] },
+  order: { type: 'list', parse: (t) => (t === 'x' ? { error: 'no x' } : { value: t.toUpperCase() }) }
+};
+
+describe('queryParser', () => {
+  it('should apply defaults for absent parameters', () => {
+    expect(assertQuery(spec, {})).toEqual({ page: 1, price: null, q: '', tags: [], order: [] });
+  });
+
+  it('should coerce and trim values', () => {
+    expect(assertQuery(spec, { page: ' 3 ', price: '9.5', q: ' desk ', tags: ['a,b', 'c'], order: 'y' }))
+      .toEqual({ page: 3, price: 9.5, q: 'desk', tags: ['a', 'b', 'c'], order: ['Y'] });
+  });
+
+  it('should collect one error per bad parameter', () => {
+    const { errors } = parseQuery(spec, { page: '1e3', price: '', tags: 'd', order: 'x', extra: '1' });
+
+    expect(errors).toEqual([
+      { field: 'extra', message: 'is not a supported query parameter' },
+      { field: 'page', message: 'must be an integer' },
+      { field: 'price', message: 'must be a number' },
+      { field: 'tags', message: 'unknown value d; expected one of: a, b, c' },
+      { field: 'order', message: 'no x' }
+    ]);
+  });
+
+  it('should reject nested objects from bracket syntax', () => {
+    expect(() => assertQuery(spec, { q: { $ne: '' } })).toThrow(expect.objectContaining({
+      status: 400,
+      code: 'INVALID_QUERY',
+      details: [{ field: 'q', message: 'must be given once' }]
+    }));
+  });
+
+  it('should paginate with metadata', () => {
+    expect(paginate([1, 2, 3, 4, 5], { page: 2, limit: 2 })).toEqual({
+      items: [3, 4],
+      pagination: { page: 2, limit: 2, total: 5, totalPages: 3, hasNext: true, hasPrev: true }
+    });
+  });
+});
@@ -0,0 +1,6 @@
+// Route ids must be plain positive integers; anything else can't match
+function parseId(id) {
+  return /^\d+$/.test(id) ? Number(id) : NaN;
+}
+
+module.exports = { parseId };
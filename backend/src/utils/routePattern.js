@@ -0,0 +1,26 @@
+const TRACKER = Symbol('routePattern');
+
+// Track the route pattern that handles a request, e.g. /api/items/:id, and
+// return a getter for it (null until a route matches). Express resets
+// req.baseUrl when a router passes an error on, so the mount path is captured
+// at the moment the route is matched. Safe to call more than once per request.
+function trackRoute(req) {
+  if (req[TRACKER]) return req[TRACKER];
+
+  let route = null;
+  let pattern = null;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      // A router's '/' route is just its mount path: /api/stats, not /api/stats/
+      pattern = value ? (value.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${value.path}`) : null;
+    }
+  });
+  req[TRACKER] = () => pattern;
+  return req[TRACKER];
+}
+
+module.exports = { trackRoute };
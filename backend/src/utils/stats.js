@@ -1,6 +1,119 @@
-// Utility intentionally unused by routes (candidate should refactor)
+// Descriptive statistics over plain number arrays. Callers pass raw values;
+// anything that isn't a finite number (missing or hand-edited prices) is
+// ignored, and empty input gives null instead of NaN. The *Sorted variants
+// take an ascending array of numbers, for callers that keep one up to date.
+
+const DEFAULT_PERCENTILES = [25, 50, 75, 90, 95, 99];
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// The numbers in `arr`, ascending
+function sortNumbers(arr) {
+  return arr.filter(isNumber).sort((a, b) => a - b);
+}
+
 function mean(arr) {
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
+  const values = arr.filter(isNumber);
+  if (values.length === 0) return null;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Linear interpolation between closest ranks
+function percentileOfSorted(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function percentile(arr, p) {
+  return percentileOfSorted(sortNumbers(arr), p);
+}
+
+function median(arr) {
+  return percentile(arr, 50);
+}
+
+// Index of the first entry >= value
+function lowerBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (sorted[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// `sum` may be passed when the caller already tracks it
+function summarizeSorted(sorted, percentiles = DEFAULT_PERCENTILES, sum = null) {
+  const empty = sorted.length === 0;
+  const total = sum !== null ? sum : sorted.reduce((a, b) => a + b, 0);
+  return {
+    count: sorted.length,
+    min: empty ? null : sorted[0],
+    max: empty ? null : sorted[sorted.length - 1],
+    mean: empty ? null : total / sorted.length,
+    median: percentileOfSorted(sorted, 50),
+    percentiles: Object.fromEntries(percentiles.map(p => [`p${p}`, percentileOfSorted(sorted, p)]))
+  };
+}
+
+// { count, min, max, mean, median, percentiles: { p25, p50, ... } }
+function summarize(arr, percentiles = DEFAULT_PERCENTILES) {
+  return summarizeSorted(sortNumbers(arr), percentiles);
+}
+
+// Equal-width histogram. Pass `bucketSize` for fixed-width buckets aligned to
+// multiples of it, or `buckets` to split the min..max range evenly. Buckets
+// include their lower bound and exclude the upper one; an evenly split range
+// also includes max in its last bucket.
+function histogramSorted(sorted, { buckets = 10, bucketSize = null } = {}) {
+  if (sorted.length === 0) return { bucketSize, buckets: [] };
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  let start = min;
+  let size = bucketSize;
+  let count = buckets;
+  if (size) {
+    start = Math.floor(min / size) * size;
+    count = Math.floor((max - start) / size) + 1;
+  } else {
+    size = (max - min) / count;
+    if (size === 0) count = 1;
+  }
+
+  const result = [];
+  let from = 0;
+  for (let i = 0; i < count; i++) {
+    const last = i === count - 1;
+    const upper = last && !bucketSize ? max : start + (i + 1) * size;
+    const to = last ? sorted.length : lowerBound(sorted, upper);
+    result.push({ min: start + i * size, max: upper, count: to - from });
+    from = to;
+  }
+  return { bucketSize: size, buckets: result };
+}
+
+function histogram(arr, options) {
+  return histogramSorted(sortNumbers(arr), options);
 }
 
-module.exports = { mean };
\ No newline at end of file
+module.exports = {
+  DEFAULT_PERCENTILES,
+  isNumber,
+  sortNumbers,
+  lowerBound,
+  mean,
+  median,
+  percentile,
+  summarize,
+  summarizeSorted,
+  histogram,
+  histogramSorted
+};
@@ -0,0 +1,57 @@
+const { mean, median, percentile, summarize, histogram } = require('./stats');
+
+describe('stats', () => {
+  it('should ignore non-numeric values and return null for empty input', () => {
+    expect(mean([])).toBeNull();
+    expect(mean([10, '20', null, NaN, 30])).toBe(20);
+    expect(median([])).toBeNull();
+  });
+
+  it('should interpolate percentiles between closest ranks', () => {
+    const values = [40, 10, 30, 20];
+
+    expect(median(values)).toBe(25);
+    expect(percentile(values, 0)).toBe(10);
+    expect(percentile(values, 100)).toBe(40);
+    expect(percentile(values, 90)).toBeCloseTo(37);
+  });
+
+  it('should summarize values', () => {
+    expect(summarize([5, 1, 3], [50, 90])).toEqual({
+      count: 3,
+      min: 1,
+      max: 5,
+      mean: 3,
+      median: 3,
+      percentiles: { p50: 3, p90: 4.6 }
+    });
+    expect(summarize([], [50])).toEqual({
+      count: 0, min: null, max: null, mean: null, median: null, percentiles: { p50: null }
+    });
+  });
+
+  it('should split the value range into evenly sized buckets', () => {
+    expect(histogram([0, 10, 25, 40], { buckets: 4 })).toEqual({
+      bucketSize: 10,
+      buckets: [
+        { min: 0, max: 10, count: 1 },
+        { min: 10, max: 20, count: 1 },
+        { min: 20, max: 30, count: 1 },
+        { min: 30, max: 40, count: 1 }
+      ]
+    });
+  });
+
+  it('should align fixed-size buckets to multiples of the size', () => {
+    expect(histogram([399, 799, 999, 1000], { bucketSize: 500 }).buckets).toEqual([
+      { min: 0, max: 500, count: 1 },
+      { min: 500, max: 1000, count: 2 },
+      { min: 1000, max: 1500, count: 1 }
+    ]);
+  });
+
+  it('should handle empty input and a single distinct value', () => {
+    expect(histogram([], { buckets: 5 }).buckets).toEqual([]);
+    expect(histogram([7, 7], { buckets: 5 }).buckets).toEqual([{ min: 7, max: 7, count: 2 }]);
+  });
+});
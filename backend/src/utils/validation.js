@@ -0,0 +1,94 @@
+// Minimal declarative validator shared by routes and repositories.
+//
+// A schema maps field names to rules:
+//   { type: 'string' | 'number' | 'integer' | 'boolean', required, nullable,
+//     trim, minLength, maxLength, enum, min, max }
+// Fields that are not in the schema are stripped from the result. Null is
+// only accepted for `nullable` fields: it clears them in a partial
+// validation (kept as null in the result) and counts as omitted otherwise.
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean'
+};
+
+function checkField(rule, raw) {
+  let value = raw;
+
+  if (!TYPE_CHECKS[rule.type](value)) {
+    return { error: `must be a${rule.type === 'integer' ? 'n' : ''} ${rule.type}` };
+  }
+  if (rule.type === 'string' && rule.trim) {
+    value = value.trim();
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return { error: rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters` };
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { error: `must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `must be one of: ${rule.enum.join(', ')}` };
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return { error: `must be greater than or equal to ${rule.min}` };
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return { error: `must be less than or equal to ${rule.max}` };
+  }
+  return { value };
+}
+
+// Validate `input` against `schema`. With `partial: true` required fields may
+// be omitted (PATCH semantics). Returns { value, errors }.
+function validate(schema, input, { partial = false } = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, errors: [{ field: null, message: 'must be a JSON object' }] };
+  }
+
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+    if (raw === null && rule.nullable) {
+      if (partial) value[field] = null;
+      continue;
+    }
+    if (raw === undefined) {
+      if (rule.required && !partial) {
+        errors.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+    const result = checkField(rule, raw);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+function validationError(errors, message = 'Validation failed', code = 'VALIDATION_ERROR') {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  err.details = errors;
+  return err;
+}
+
+// Same as validate() but throws a 400 error carrying the field list
+function assertValid(schema, input, options) {
+  const { value, errors } = validate(schema, input, options);
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return value;
+}
+
+module.exports = { validate, assertValid, validationError };
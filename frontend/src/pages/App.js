@@ -1,21 +1,47 @@
 import React from 'react';
-import { Routes, Route, Link } from 'react-router-dom';
+import { Routes, Route, Link, Navigate, useLocation } from 'react-router-dom';
 import Items from './Items';
 import ItemDetail from './ItemDetail';
-import { DataProvider } from '../state/DataContext';
+import Login from './Login';
+import Trash from './Trash';
+import { DataProvider, useData } from '../state/DataContext';
+
+// Sends visitors without a session to the login page, then back here
+function RequireAuth({ children }) {
+  const { user } = useData();
+  const location = useLocation();
+  if (!user) return <Navigate to="/login" state={{ from: location.pathname + location.search }} replace />;
+  return children;
+}
+
+function Nav() {
+  const { user, logout } = useData();
+  return (
+    <nav style={{padding: 16, borderBottom: '1px solid #ddd', display: 'flex', gap: 16}}>
+      <Link to="/">Items</Link>
+      {user && <Link to="/trash">Trash</Link>}
+      {user && (
+        <span style={{ marginLeft: 'auto' }}>
+          {user.name} ({user.role}){' '}
+          <button type="button" onClick={logout}>Log out</button>
+        </span>
+      )}
+    </nav>
+  );
+}
 
 function App() {
   return (
     <DataProvider>
-      <nav style={{padding: 16, borderBottom: '1px solid #ddd'}}>
-        <Link to="/">Items</Link>
-      </nav>
+      <Nav />
       <Routes>
-        <Route path="/" element={<Items />} />
-        <Route path="/items/:id" element={<ItemDetail />} />
+        <Route path="/login" element={<Login />} />
+        <Route path="/" element={<RequireAuth><Items /></RequireAuth>} />
+        <Route path="/items/:id" element={<RequireAuth><ItemDetail /></RequireAuth>} />
+        <Route path="/trash" element={<RequireAuth><Trash /></RequireAuth>} />
       </Routes>
     </DataProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
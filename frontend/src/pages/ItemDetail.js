@@ -1,27 +1,528 @@
 import React, { useEffect, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { useData } from '../state/DataContext';
+import { categoryPath } from '../state/categories';
+import { formatPrice } from '../state/currency';
+import { stockStatus, STOCK_STATUS_LABELS, STOCK_REASONS } from '../state/stock';
+import { IMAGE_TYPES, useImageUrl } from '../state/images';
+
+const formatValue = value => (value === null ? '—' : String(value));
+
+const TABS = { details: 'Details', images: 'Images', stock: 'Stock', history: 'History' };
+
+const EMPTY_ADJUSTMENT = { delta: '', reason: 'received', note: '' };
+
+function GalleryThumbnail({ item, image, selected, onSelect }) {
+  const url = useImageUrl(item.id, image, 'thumbnail');
+  return (
+    <button
+      type="button"
+      onClick={onSelect}
+      aria-pressed={selected}
+      aria-label={image.name}
+      style={{ width: 80, height: 80, padding: 0, border: selected ? '2px solid #333' : '1px solid #ddd', background: '#f2f2f2' }}
+    >
+      {url && <img src={url} alt="" style={{ width: '100%', height: '100%', objectFit: 'cover' }} />}
+    </button>
+  );
+}
+
+// The item's images: the selected one full size above thumbnails of all of
+// them, which editors can add to, reorder and delete from. `onChanged` runs
+// after a change so the page can re-fetch the item.
+function ImageGallery({ item, canEdit, onChanged }) {
+  const images = item.images ?? [];
+  const [selectedId, setSelectedId] = useState(images[0]?.id);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { uploadImages, reorderImages, deleteImage } = useData();
+  // The first image until one is picked, or when the picked one is deleted
+  const selected = images.find(image => image.id === selectedId) || images[0];
+  const url = useImageUrl(item.id, selected);
+
+  const change = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      onChanged();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length > 0) change(() => uploadImages(item.id, files));
+  };
+
+  const move = (offset) => {
+    const ids = images.map(image => image.id);
+    const from = ids.indexOf(selected.id);
+    ids.splice(from, 1);
+    ids.splice(from + offset, 0, selected.id);
+    change(() => reorderImages(item.id, ids));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${selected.name}"?`)) return;
+    change(() => deleteImage(item.id, selected.id));
+  };
+
+  const position = selected ? images.indexOf(selected) : -1;
+
+  return (
+    <div>
+      {error && <p role="alert" style={{ color: '#b00020' }}>{error.message}</p>}
+      {selected ? (
+        <figure style={{ margin: '0 0 12px' }}>
+          <div style={{ width: 480, maxWidth: '100%', aspectRatio: `${selected.width} / ${selected.height}`, background: '#f2f2f2' }}>
+            {url && <img src={url} alt={selected.name} style={{ width: '100%', height: '100%', objectFit: 'contain' }} />}
+          </div>
+          <figcaption>
+            <small>{selected.name}, {selected.width}×{selected.height}, uploaded by {selected.uploadedBy}</small>
+          </figcaption>
+        </figure>
+      ) : (
+        <p>No images yet.</p>
+      )}
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 12 }}>
+        {images.map(image => (
+          <GalleryThumbnail
+            key={image.id}
+            item={item}
+            image={image}
+            selected={image === selected}
+            onSelect={() => setSelectedId(image.id)}
+          />
+        ))}
+      </div>
+      {canEdit && (
+        <div>
+          {selected && (
+            <>
+              <button type="button" onClick={() => move(-1)} disabled={busy || position === 0} style={{ padding: '4px 12px', marginRight: 4 }}>
+                Move left
+              </button>
+              <button type="button" onClick={() => move(1)} disabled={busy || position === images.length - 1} style={{ padding: '4px 12px', marginRight: 4 }}>
+                Move right
+              </button>
+              <button type="button" onClick={handleDelete} disabled={busy} style={{ padding: '4px 12px', marginRight: 12 }}>
+                Delete image
+              </button>
+            </>
+          )}
+          <label>
+            Add images{' '}
+            <input type="file" accept={IMAGE_TYPES.join(',')} multiple onChange={handleUpload} disabled={busy} />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Stock levels and ledger of the item, with a form to record changes.
+// `onAdjusted` runs after a change so the page can re-fetch the item.
+function StockPanel({ item, canAdjust, onAdjusted }) {
+  const [stock, setStock] = useState(null);
+  const [form, setForm] = useState(EMPTY_ADJUSTMENT);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const { fetchStock, adjustStock } = useData();
+
+  // Reloads whenever the item changes, e.g. after a change was recorded
+  useEffect(() => {
+    const abortController = new AbortController();
+    fetchStock(item.id, abortController.signal)
+      .then(setStock)
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err);
+      });
+    return () => abortController.abort();
+  }, [item, fetchStock]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await adjustStock(item.id, {
+        delta: form.delta === '' ? null : Number(form.delta),
+        reason: form.reason,
+        ...(form.note && { note: form.note })
+      });
+      setForm(EMPTY_ADJUSTMENT);
+      onAdjusted();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!stock && !error) return <p>Loading stock...</p>;
+
+  return (
+    <div>
+      {error && <p role="alert" style={{ color: '#b00020' }}>{error.message}</p>}
+      {stock && (
+        <p>
+          <strong>{STOCK_STATUS_LABELS[stock.status]}:</strong> {stock.stock} on hand, {stock.reserved} reserved,{' '}
+          {stock.available} available (reorder at {stock.reorderThreshold})
+        </p>
+      )}
+      {canAdjust && (
+        <form onSubmit={handleSubmit} style={{ marginBottom: 12 }}>
+          <label>Change <input name="delta" type="number" step="1" value={form.delta} onChange={handleChange} style={{ width: 80 }} /></label>{' '}
+          <label>
+            Reason{' '}
+            <select name="reason" value={form.reason} onChange={handleChange}>
+              {STOCK_REASONS.map(reason => <option key={reason} value={reason}>{reason}</option>)}
+            </select>
+          </label>{' '}
+          <label>Note <input name="note" value={form.note} onChange={handleChange} /></label>{' '}
+          <button type="submit" disabled={saving} style={{ padding: '4px 12px' }}>
+            {saving ? 'Recording...' : 'Record'}
+          </button>
+        </form>
+      )}
+      {stock && (
+        <ol reversed style={{ paddingLeft: 20 }}>
+          {stock.entries.map(entry => (
+            <li key={entry.id}>
+              <strong>{entry.delta > 0 ? `+${entry.delta}` : entry.delta} {entry.reason}</strong>
+              {entry.note && ` (${entry.note})`}, leaving {entry.stock}, by {entry.actor} on {new Date(entry.at).toLocaleString()}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// Audit trail of the item, with a restore button on earlier versions
+function ItemHistory({ item, canRestore, onRestore }) {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+  const { fetchHistory } = useData();
+
+  // Reloads whenever the item changes, so new entries show up
+  useEffect(() => {
+    const abortController = new AbortController();
+    fetchHistory(item.id, abortController.signal)
+      .then((loaded) => {
+        setEntries(loaded);
+        setError(null);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err);
+      });
+    return () => abortController.abort();
+  }, [item, fetchHistory]);
+
+  if (error) return <p role="alert" style={{ color: '#b00020' }}>{error.message}</p>;
+  if (!entries) return <p>Loading history...</p>;
+
+  const latest = entries[0]?.version;
+  return (
+    <ol reversed style={{ paddingLeft: 20 }}>
+      {entries.map(entry => (
+        <li key={entry.id} style={{ marginBottom: 12 }}>
+          <strong>v{entry.version} {entry.action}</strong>
+          {entry.restoredFrom !== undefined && ` from v${entry.restoredFrom}`}
+          {' '}by {entry.actor} on {new Date(entry.at).toLocaleString()}
+          <ul>
+            {Object.entries(entry.changes).map(([field, { from, to }]) => (
+              <li key={field}>{field}: {formatValue(from)} → {formatValue(to)}</li>
+            ))}
+          </ul>
+          {canRestore && entry.item && entry.version !== latest && (
+            <button type="button" onClick={() => onRestore(entry.version)} style={{ padding: '4px 12px' }}>
+              Restore v{entry.version}
+            </button>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// All items › Furniture › Desks, each level linking to the filtered list
+function CategoryBreadcrumb({ categories, category }) {
+  const path = categoryPath(categories, category);
+  // Until the categories load, or if this one no longer exists
+  const names = path.length > 0 ? path.map(c => c.name) : [category];
+  return (
+    <nav aria-label="Breadcrumb" style={{ marginBottom: 12 }}>
+      <Link to="/">All items</Link>
+      {names.map(name => (
+        <React.Fragment key={name}>
+          {' › '}
+          <Link to={`/?${new URLSearchParams({ category: name })}`}>{name}</Link>
+        </React.Fragment>
+      ))}
+    </nav>
+  );
+}
 
 function ItemDetail() {
   const { id } = useParams();
   const [item, setItem] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ name: '', category: '', price: '', currency: '', reorderThreshold: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [tab, setTab] = useState('details');
+  const [categories, setCategories] = useState([]);
+  const [rates, setRates] = useState({ base: '', rates: {} });
+  const { fetchItem, updateItem, deleteItem, restoreVersion, fetchCategories, fetchRates, subscribe, hasRole } = useData();
   const navigate = useNavigate();
 
   useEffect(() => {
-    fetch('/api/items/' + id)
-      .then(res => res.ok ? res.json() : Promise.reject(res))
+    const abortController = new AbortController();
+    const load = () => fetchItem(id, abortController.signal)
       .then(setItem)
-      .catch(() => navigate('/'));
-  }, [id, navigate]);
+      .catch((err) => {
+        if (err.name !== 'AbortError') navigate('/');
+      });
+
+    load();
+
+    // Follow changes made elsewhere while the page is open
+    const unsubscribe = subscribe(({ type, item: changed }) => {
+      if (type === 'items-reset' || (type === 'item-updated' && String(changed.id) === id)) {
+        // Re-fetch rather than use the event, so the ETag for saving is current
+        load();
+      } else if (type === 'item-deleted' && String(changed.id) === id) {
+        navigate('/');
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      abortController.abort();
+    };
+  }, [id, fetchItem, subscribe, navigate]);
+
+  // Reloaded when the item moves, e.g. after its category was renamed
+  const category = item?.category;
+  useEffect(() => {
+    if (!category) return undefined;
+    const abortController = new AbortController();
+    fetchCategories(abortController.signal)
+      .then(setCategories)
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error(err);
+      });
+    return () => abortController.abort();
+  }, [category, fetchCategories]);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    fetchRates(abortController.signal)
+      .then(setRates)
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error(err);
+      });
+    return () => abortController.abort();
+  }, [fetchRates]);
+
+  // Items saved before currencies existed are priced in the base currency
+  const currency = item?.currency || rates.base;
+  const currencies = [rates.base, ...Object.keys(rates.rates).sort()].filter(Boolean);
+
+  // After a 412, show the latest version so the user can redo their edit
+  const reload = async () => {
+    try {
+      setItem(await fetchItem(id));
+      setError(null);
+      setEditing(false);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const startEditing = () => {
+    setForm({
+      name: item.name,
+      category: item.category,
+      price: String(item.price),
+      currency,
+      reorderThreshold: String(item.reorderThreshold ?? 0)
+    });
+    setError(null);
+    setEditing(true);
+  };
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await updateItem(item.id, {
+        name: form.name,
+        category: form.category,
+        price: form.price === '' ? null : Number(form.price),
+        // Unknown until the rates load
+        ...(form.currency && { currency: form.currency }),
+        reorderThreshold: form.reorderThreshold === '' ? null : Number(form.reorderThreshold)
+      });
+      setItem(updated);
+      setEditing(false);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Move "${item.name}" to the trash?`)) return;
+    setError(null);
+    try {
+      await deleteItem(item.id);
+      navigate('/');
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version} of "${item.name}"?`)) return;
+    setError(null);
+    try {
+      setItem(await restoreVersion(item.id, version));
+    } catch (err) {
+      setError(err);
+    }
+  };
 
   if (!item) return <p>Loading...</p>;
 
+  const tabStyle = selected => ({
+    padding: '6px 12px',
+    marginRight: 4,
+    border: '1px solid #ddd',
+    borderBottom: selected ? '2px solid #333' : '1px solid #ddd',
+    background: 'none'
+  });
+
   return (
     <div style={{padding: 16}}>
-      <h2>{item.name}</h2>
-      <p><strong>Category:</strong> {item.category}</p>
-      <p><strong>Price:</strong> ${item.price}</p>
+      {error && (
+        <div role="alert" style={{ color: '#b00020', marginBottom: 12 }}>
+          <p>{error.message}</p>
+          {error.details?.length > 0 && (
+            <ul>
+              {error.details.map(d => <li key={d.field}>{d.field}: {d.message}</li>)}
+            </ul>
+          )}
+          {error.status === 412 && (
+            <button type="button" onClick={reload} style={{ padding: '4px 12px' }}>
+              Reload
+            </button>
+          )}
+        </div>
+      )}
+
+      <CategoryBreadcrumb categories={categories} category={item.category} />
+
+      <div role="tablist" style={{ marginBottom: 12 }}>
+        {Object.entries(TABS).map(([name, label]) => (
+          <button
+            key={name}
+            type="button"
+            role="tab"
+            aria-selected={tab === name}
+            onClick={() => setTab(name)}
+            style={tabStyle(tab === name)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'history' ? (
+        <ItemHistory item={item} canRestore={hasRole('editor')} onRestore={handleRestore} />
+      ) : tab === 'images' ? (
+        <ImageGallery item={item} canEdit={hasRole('editor')} onChanged={reload} />
+      ) : tab === 'stock' ? (
+        <StockPanel item={item} canAdjust={hasRole('editor')} onAdjusted={reload} />
+      ) : editing ? (
+        <form onSubmit={handleSave}>
+          <p>
+            <label>Name <input name="name" value={form.name} onChange={handleChange} /></label>
+          </p>
+          <p>
+            <label>
+              Category{' '}
+              <select name="category" value={form.category} onChange={handleChange}>
+                {/* Keep the current value selectable even if it isn't a known category */}
+                {!categories.some(c => c.name === form.category) && <option value={form.category}>{form.category}</option>}
+                {categories.map(c => <option key={c.id} value={c.name}>{c.name}</option>)}
+              </select>
+            </label>
+          </p>
+          <p>
+            <label>Price <input name="price" type="number" min="0" step="any" value={form.price} onChange={handleChange} /></label>{' '}
+            <label>
+              Currency{' '}
+              <select name="currency" value={form.currency} onChange={handleChange}>
+                {!currencies.includes(form.currency) && <option value={form.currency}>{form.currency}</option>}
+                {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+              </select>
+            </label>
+          </p>
+          <p>
+            <label>Reorder at <input name="reorderThreshold" type="number" min="0" step="1" value={form.reorderThreshold} onChange={handleChange} /></label>
+          </p>
+          <button type="submit" disabled={saving} style={{ padding: '8px 16px', marginRight: 8 }}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button type="button" onClick={() => setEditing(false)} style={{ padding: '8px 16px' }}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <>
+          <h2>{item.name}</h2>
+          <p><strong>Category:</strong> {item.category}</p>
+          {item.promotion ? (
+            <p>
+              <strong>Price:</strong> <s>{formatPrice(item.price, currency)}</s> {formatPrice(item.effectivePrice, currency)}
+              {' '}<small>({item.promotion.name}, until {new Date(item.promotion.endsAt).toLocaleString()})</small>
+            </p>
+          ) : (
+            <p><strong>Price:</strong> {formatPrice(item.price, currency)}</p>
+          )}
+          <p><strong>Availability:</strong> {STOCK_STATUS_LABELS[stockStatus(item)]} ({item.stock ?? 0} on hand)</p>
+          {item.updatedBy && <p><small>Last changed by {item.updatedBy}</small></p>}
+          {hasRole('editor') && (
+            <button onClick={startEditing} style={{ padding: '8px 16px', marginRight: 8 }}>
+              Edit
+            </button>
+          )}
+          {hasRole('admin') && (
+            <button onClick={handleDelete} style={{ padding: '8px 16px' }}>
+              Delete
+            </button>
+          )}
+        </>
+      )}
     </div>
   );
 }
 
-export default ItemDetail;
\ No newline at end of file
+export default ItemDetail;
@@ -0,0 +1,408 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act, within } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ItemDetail from './ItemDetail';
+import { DataProvider } from '../state/DataContext';
+
+const mockItem = { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 };
+
+const mockCategories = [
+  { id: 1, name: 'Electronics', parentId: null, itemCount: 0, totalItemCount: 1 },
+  { id: 5, name: 'Computers', parentId: 1, itemCount: 1, totalItemCount: 1 }
+];
+
+const jsonResponse = (body, status = 200, etag = null) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => (name === 'ETag' ? etag : null) },
+  json: async () => body
+});
+
+const mockRates = { base: 'USD', rates: { EUR: 0.5 } };
+
+// Item requests. Category and rate requests are answered separately (see
+// beforeEach), so the responses queued below stay in request order.
+global.fetch = jest.fn();
+const mockFetch = jest.fn();
+
+// Start logged in with `role`, as if the session had been restored
+const logInAs = (role) => {
+  localStorage.setItem('session', JSON.stringify({
+    token: `${role}-token`,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    user: { id: `user:${role}`, name: role, role }
+  }));
+};
+
+const renderDetail = () => {
+  return render(
+    <MemoryRouter initialEntries={['/items/1']}>
+      <DataProvider>
+        <Routes>
+          <Route path="/" element={<p>Items page</p>} />
+          <Route path="/items/:id" element={<ItemDetail />} />
+        </Routes>
+      </DataProvider>
+    </MemoryRouter>
+  );
+};
+
+describe('ItemDetail Component', () => {
+  beforeEach(() => {
+    fetch.mockImplementation((url, options) => {
+      if (url.includes('/categories')) return Promise.resolve(jsonResponse({ categories: mockCategories }));
+      if (url.includes('/rates')) return Promise.resolve(jsonResponse(mockRates));
+      return mockFetch(url, options);
+    });
+    mockFetch.mockReset();
+    mockFetch.mockResolvedValueOnce(jsonResponse(mockItem));
+    logInAs('admin');
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should render the item', async () => {
+    renderDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    });
+    expect(mockFetch).toHaveBeenCalledWith(expect.stringContaining('/items/1'), expect.any(Object));
+  });
+
+  it('should show the sale price and the promotion it comes from', async () => {
+    const endsAt = '2030-04-01T00:00:00.000Z';
+    mockFetch.mockReset();
+    mockFetch.mockResolvedValueOnce(jsonResponse({
+      ...mockItem,
+      effectivePrice: 1999.2,
+      promotion: { id: 1, name: 'Spring sale', percentOff: 20, endsAt }
+    }));
+
+    renderDetail();
+
+    expect(await screen.findByText('$2,499.00')).toBeInTheDocument();
+    expect(screen.getByText(/\$1,999\.20/)).toBeInTheDocument();
+    expect(screen.getByText(`(Spring sale, until ${new Date(endsAt).toLocaleString()})`)).toBeInTheDocument();
+  });
+
+  it('should show the category breadcrumb and offer known categories when editing', async () => {
+    mockFetch.mockReset();
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, category: 'Computers' }));
+    renderDetail();
+
+    const breadcrumb = await screen.findByRole('navigation', { name: 'Breadcrumb' });
+    await waitFor(() => {
+      expect(breadcrumb).toHaveTextContent('All items › Electronics › Computers');
+    });
+    expect(screen.getByRole('link', { name: 'Electronics' })).toHaveAttribute('href', '/?category=Electronics');
+
+    fireEvent.click(screen.getByText('Edit'));
+    const options = within(screen.getByLabelText('Category')).getAllByRole('option').map(option => option.value);
+    expect(options).toEqual(['Electronics', 'Computers']);
+    expect(screen.getByLabelText('Category')).toHaveValue('Computers');
+  });
+
+  it('should redirect to the list when the item is missing', async () => {
+    mockFetch.mockReset();
+    mockFetch.mockResolvedValueOnce(jsonResponse({ error: { message: 'Item not found' } }, 404));
+
+    renderDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Items page')).toBeInTheDocument();
+    });
+  });
+
+  it('should save edits with PATCH', async () => {
+    renderDetail();
+
+    // Items without a currency are priced in the base currency
+    await waitFor(() => {
+      expect(screen.getByText('$2,499.00')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('Edit'));
+
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, price: 1999, currency: 'EUR' }));
+    fireEvent.change(screen.getByLabelText('Price'), { target: { value: '1999' } });
+    fireEvent.change(screen.getByLabelText(/Currency/), { target: { value: 'EUR' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(screen.getByText('€1,999.00')).toBeInTheDocument();
+    });
+
+    const [url, options] = mockFetch.mock.calls[1];
+    expect(url).toContain('/items/1');
+    expect(options.method).toBe('PATCH');
+    expect(JSON.parse(options.body)).toEqual({ name: 'Laptop Pro', category: 'Electronics', price: 1999, currency: 'EUR', reorderThreshold: 0 });
+  });
+
+  it('should show validation errors from the server', async () => {
+    renderDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Edit')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('Edit'));
+
+    mockFetch.mockResolvedValueOnce(jsonResponse({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Validation failed',
+        details: [{ field: 'name', message: 'must not be empty' }]
+      }
+    }, 400));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: '' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('name: must not be empty');
+    });
+  });
+
+  it('should delete after confirmation and return to the list', async () => {
+    const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+    renderDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Delete')).toBeInTheDocument();
+    });
+
+    mockFetch.mockResolvedValueOnce({ ok: true, status: 204, json: async () => null });
+    fireEvent.click(screen.getByText('Delete'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Items page')).toBeInTheDocument();
+    });
+    expect(mockFetch.mock.calls[1][1].method).toBe('DELETE');
+
+    confirmSpy.mockRestore();
+  });
+
+  it('should not delete when confirmation is cancelled', async () => {
+    const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(false);
+    renderDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Delete')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('Delete'));
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+
+    confirmSpy.mockRestore();
+  });
+
+  it('should follow live updates and deletions of the item', async () => {
+    let source;
+    global.EventSource = class {
+      constructor() {
+        this.listeners = {};
+        source = this;
+      }
+      addEventListener(type, listener) {
+        this.listeners[type] = listener;
+      }
+      close() {}
+    };
+    const emit = (type, data) => act(() => {
+      source.listeners[type]({ type, data: JSON.stringify(data) });
+    });
+
+    renderDetail();
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    });
+
+    emit('item-updated', { item: { ...mockItem, id: 2, name: 'Other item' } });
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, name: 'Laptop Max' }));
+    emit('item-updated', { item: { ...mockItem, name: 'Laptop Max' } });
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Max')).toBeInTheDocument();
+    });
+
+    emit('item-deleted', { item: mockItem });
+    expect(screen.getByText('Items page')).toBeInTheDocument();
+
+    delete global.EventSource;
+  });
+
+  it('should send If-Match and offer a reload when the item changed meanwhile', async () => {
+    mockFetch.mockReset();
+    mockFetch.mockResolvedValueOnce(jsonResponse(mockItem, 200, '"v1"'));
+    renderDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Edit')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('Edit'));
+
+    mockFetch.mockResolvedValueOnce(jsonResponse({
+      error: { code: 'PRECONDITION_FAILED', message: 'The item was changed by someone else; reload it and try again' }
+    }, 412));
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('changed by someone else');
+    });
+    expect(mockFetch.mock.calls[1][1].headers['If-Match']).toBe('"v1"');
+
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, price: 2299 }, 200, '"v2"'));
+    fireEvent.click(screen.getByText('Reload'));
+
+    await waitFor(() => {
+      expect(screen.getByText('$2,299.00')).toBeInTheDocument();
+    });
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  it('should only offer the actions the user\'s role allows', async () => {
+    logInAs('viewer');
+    renderDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('Edit')).not.toBeInTheDocument();
+    expect(screen.queryByText('Delete')).not.toBeInTheDocument();
+    expect(mockFetch.mock.calls[0][1].headers.Authorization).toBe('Bearer viewer-token');
+  });
+
+  it('should let editors edit but not delete', async () => {
+    logInAs('editor');
+    renderDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Edit')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('Delete')).not.toBeInTheDocument();
+  });
+
+  it('should show the history and restore an earlier version', async () => {
+    const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+    const history = [
+      {
+        id: 2, itemId: 1, version: 2, action: 'updated', actor: 'user:bob', at: '2024-01-02T00:00:00Z',
+        changes: { price: { from: 2499, to: 1999 } }, item: { ...mockItem, price: 1999 }
+      },
+      {
+        id: 1, itemId: 1, version: 1, action: 'created', actor: 'user:alice', at: '2024-01-01T00:00:00Z',
+        changes: { price: { from: null, to: 2499 } }, item: mockItem
+      }
+    ];
+    renderDetail();
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    });
+
+    mockFetch.mockResolvedValueOnce(jsonResponse({ itemId: 1, entries: history }));
+    fireEvent.click(screen.getByRole('tab', { name: 'History' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('price: 2499 → 1999')).toBeInTheDocument();
+    });
+    expect(screen.getByText('price: — → 2499')).toBeInTheDocument();
+    expect(screen.queryByText('Restore v2')).not.toBeInTheDocument();
+
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, price: 2499 }));
+    mockFetch.mockResolvedValueOnce(jsonResponse({ itemId: 1, entries: history }));
+    fireEvent.click(screen.getByText('Restore v1'));
+
+    await waitFor(() => {
+      expect(mockFetch).toHaveBeenCalledTimes(4);
+    });
+    expect(mockFetch.mock.calls[2][0]).toContain('/items/1/versions/1/restore');
+    expect(mockFetch.mock.calls[2][1].method).toBe('POST');
+    confirmSpy.mockRestore();
+  });
+
+  it('should show the stock ledger and record stock changes', async () => {
+    const levels = { itemId: 1, stock: 4, reorderThreshold: 5, reserved: 1, available: 3, status: 'low_stock' };
+    const received = { id: 1, itemId: 1, delta: 4, reason: 'received', stock: 4, actor: 'user:alice', at: '2024-01-01T00:00:00Z' };
+    renderDetail();
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    });
+    expect(screen.getByText(/Out of stock/)).toBeInTheDocument();
+
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...levels, entries: [received] }));
+    fireEvent.click(screen.getByRole('tab', { name: 'Stock' }));
+
+    expect(await screen.findByText(/4 on hand, 1 reserved, 3 available/)).toBeInTheDocument();
+    expect(screen.getByText('+4 received')).toBeInTheDocument();
+
+    const sold = { ...received, id: 2, delta: -2, reason: 'sold', note: 'Order 7', stock: 2 };
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...levels, stock: 2, available: 1, entry: sold }, 201));
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, stock: 2, reorderThreshold: 5 }));
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...levels, stock: 2, available: 1, entries: [sold, received] }));
+    fireEvent.change(screen.getByLabelText('Change'), { target: { value: '-2' } });
+    fireEvent.change(screen.getByLabelText(/Reason/), { target: { value: 'sold' } });
+    fireEvent.change(screen.getByLabelText('Note'), { target: { value: 'Order 7' } });
+    fireEvent.click(screen.getByText('Record'));
+
+    expect(await screen.findByText('-2 sold')).toBeInTheDocument();
+    const [url, options] = mockFetch.mock.calls[2];
+    expect(url).toContain('/items/1/stock');
+    expect(JSON.parse(options.body)).toEqual({ delta: -2, reason: 'sold', note: 'Order 7' });
+  });
+
+  it('should show the image gallery and upload, reorder and delete images', async () => {
+    URL.createObjectURL = jest.fn(blob => `blob:${blob.size}`);
+    URL.revokeObjectURL = jest.fn();
+    fetch.mockImplementation((url, options) => {
+      if (url.includes('/rates')) return Promise.resolve(jsonResponse(mockRates));
+      if (url.includes('/categories')) return Promise.resolve(jsonResponse({ categories: mockCategories }));
+      // Full images are 4 bytes and thumbnails 2, to tell them apart
+      if (url.includes('/images/') && !options?.method) {
+        return Promise.resolve({ ok: true, status: 200, blob: async () => new Blob([url.endsWith('/thumbnail') ? 'th' : 'full']) });
+      }
+      return mockFetch(url, options);
+    });
+    const front = { id: 'a1', name: 'front.png', width: 400, height: 300, uploadedBy: 'user:alice' };
+    const side = { id: 'b2', name: 'side.jpg', width: 300, height: 600, uploadedBy: 'user:alice' };
+    mockFetch.mockReset();
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, images: [front, side] }));
+    renderDetail();
+    fireEvent.click(await screen.findByRole('tab', { name: 'Images' }));
+
+    expect(await screen.findByRole('img', { name: 'front.png' })).toHaveAttribute('src', 'blob:4');
+    expect(screen.getByText(/front.png, 400×300, uploaded by user:alice/)).toBeInTheDocument();
+    expect(screen.getByText('Move left')).toBeDisabled();
+
+    mockFetch.mockResolvedValueOnce(jsonResponse({ itemId: 1, images: [side, front] }));
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, images: [side, front] }));
+    fireEvent.click(screen.getByText('Move right'));
+    await waitFor(() => {
+      expect(screen.getByText('Move right')).toBeDisabled();
+    });
+    expect(mockFetch.mock.calls[1][0]).toContain('/items/1/images/order');
+    expect(JSON.parse(mockFetch.mock.calls[1][1].body)).toEqual({ ids: ['b2', 'a1'] });
+
+    const file = new File(['png'], 'back.png', { type: 'image/png' });
+    mockFetch.mockResolvedValueOnce(jsonResponse({ itemId: 1, images: [side, front, { ...front, id: 'c3', name: 'back.png' }] }, 201));
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, images: [side, front, { ...front, id: 'c3', name: 'back.png' }] }));
+    fireEvent.change(screen.getByLabelText(/Add images/), { target: { files: [file] } });
+    expect(await screen.findByRole('button', { name: 'back.png' })).toBeInTheDocument();
+    const [url, options] = mockFetch.mock.calls[3];
+    expect(url).toContain('/items/1/images');
+    expect(options.method).toBe('POST');
+    expect(options.body.getAll('images')).toEqual([file]);
+
+    const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+    mockFetch.mockResolvedValueOnce({ ok: true, status: 204 });
+    mockFetch.mockResolvedValueOnce(jsonResponse({ ...mockItem, images: [side, { ...front, id: 'c3', name: 'back.png' }] }));
+    fireEvent.click(screen.getByRole('button', { name: 'front.png' }));
+    fireEvent.click(screen.getByText('Delete image'));
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'front.png' })).not.toBeInTheDocument();
+    });
+    expect(mockFetch.mock.calls[5][0]).toContain('/items/1/images/a1');
+    expect(mockFetch.mock.calls[5][1].method).toBe('DELETE');
+    confirmSpy.mockRestore();
+  });
+});
@@ -1,116 +1,365 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { FixedSizeList as List } from 'react-window';
 import { useData } from '../state/DataContext';
-import { Link } from 'react-router-dom';
+import { subtreeNames } from '../state/categories';
+import { formatPrice } from '../state/currency';
+import { stockStatus, STOCK_STATUS_LABELS } from '../state/stock';
+import { useImageUrl } from '../state/images';
+import { Link, useSearchParams } from 'react-router-dom';
+
+const SORT_OPTIONS = [
+  { value: '', label: 'Default order' },
+  { value: 'name', label: 'Name (A-Z)' },
+  { value: '-name', label: 'Name (Z-A)' },
+  { value: 'price', label: 'Price (low to high)' },
+  { value: '-price', label: 'Price (high to low)' }
+];
+
+const NO_FILTERS = { minPrice: '', maxPrice: '', sort: '' };
+const NO_RATES = { base: '', rates: {} };
+
+// Wrap the [start, end) ranges returned by the search API in <mark>
+function Highlight({ text, ranges }) {
+  if (!ranges?.length) return text;
+
+  const parts = [];
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+}
+
+const BADGE_COLORS = {
+  in_stock: { color: '#1b5e20', background: '#e8f5e9' },
+  low_stock: { color: '#8a5300', background: '#fff3e0' },
+  out_of_stock: { color: '#b00020', background: '#fdecea' }
+};
+
+function AvailabilityBadge({ item }) {
+  const status = stockStatus(item);
+  return (
+    <span style={{ ...BADGE_COLORS[status], borderRadius: 4, padding: '2px 6px', marginLeft: 12, fontSize: '0.85em' }}>
+      {STOCK_STATUS_LABELS[status]}
+    </span>
+  );
+}
+
+// The sale price next to the struck-through regular one while a promotion
+// applies
+function Price({ item, currency }) {
+  if (!item.promotion) return formatPrice(item.price, currency);
+  return (
+    <>
+      <s style={{ color: '#777', marginRight: 6 }}>{formatPrice(item.price, currency)}</s>
+      <span title={item.promotion.name} style={{ color: '#b00020' }}>{formatPrice(item.effectivePrice, currency)}</span>
+    </>
+  );
+}
+
+const THUMBNAIL_SIZE = 24;
+
+// Thumbnail of the item's first image, or an empty box of the same size
+function Thumbnail({ item }) {
+  const url = useImageUrl(item.id, item.images?.[0], 'thumbnail');
+  const style = { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, marginRight: 8, borderRadius: 2, background: '#f2f2f2', flexShrink: 0 };
+  return url
+    ? <img src={url} alt="" style={{ ...style, objectFit: 'cover' }} />
+    : <span aria-hidden="true" style={style} />;
+}
+
+// Category tree with item counts. `selected` is a category name, or '' for
+// all items.
+function CategorySidebar({ categories, selected, onSelect }) {
+  const buttonStyle = name => ({
+    background: 'none',
+    border: 'none',
+    padding: '4px 0',
+    cursor: 'pointer',
+    textAlign: 'left',
+    fontWeight: name === selected ? 'bold' : 'normal'
+  });
+
+  const renderLevel = (parentId) => {
+    const level = categories.filter(category => category.parentId === parentId);
+    if (level.length === 0) return null;
+    return (
+      <ul style={{ listStyle: 'none', paddingLeft: parentId === null ? 0 : 16, margin: 0 }}>
+        {level.map(category => (
+          <li key={category.id}>
+            <button
+              type="button"
+              onClick={() => onSelect(category.name)}
+              aria-current={category.name === selected ? 'true' : undefined}
+              style={buttonStyle(category.name)}
+            >
+              {category.name} ({category.totalItemCount})
+            </button>
+            {renderLevel(category.id)}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <nav aria-label="Categories" style={{ width: 200, flexShrink: 0 }}>
+      <button
+        type="button"
+        onClick={() => onSelect('')}
+        aria-current={selected === '' ? 'true' : undefined}
+        style={buttonStyle('')}
+      >
+        All categories
+      </button>
+      {renderLevel(null)}
+    </nav>
+  );
+}
 
 function Items() {
-  const { items, pagination, loading, fetchItems } = useData();
+  const { items, pagination, loading, error, fetchItems, fetchCategories, fetchRates, subscribe } = useData();
   const [page, setPage] = useState(1);
   const [search, setSearch] = useState('');
   const [searchInput, setSearchInput] = useState('');
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [priceInput, setPriceInput] = useState({ minPrice: '', maxPrice: '' });
+  const [categories, setCategories] = useState([]);
+  const [rates, setRates] = useState(NO_RATES);
+  // Currency to show prices (and filter them) in; '' shows each item's own
+  const [currency, setCurrency] = useState('');
+  // The selected category is in the URL, so breadcrumbs can link to it
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedCategory = searchParams.get('category') || '';
+
+  // A category shows its subcategories' items too. Keyed by the joined names
+  // so reloading the counts doesn't re-fetch the list.
+  const subtreeKey = selectedCategory ? subtreeNames(categories, selectedCategory).join('\n') : '';
+  const categoryFilter = useMemo(() => (subtreeKey ? subtreeKey.split('\n') : []), [subtreeKey]);
 
   useEffect(() => {
     const abortController = new AbortController();
 
-    fetchItems(abortController.signal, { page, limit: 10, search });
+    fetchItems(abortController.signal, { page, limit: 10, search, categories: categoryFilter, currency, ...filters });
 
     return () => {
       abortController.abort();
     };
-  }, [fetchItems, page, search]);
+  }, [fetchItems, page, search, categoryFilter, currency, filters]);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    fetchRates(abortController.signal)
+      .then(setRates)
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error(err);
+      });
+    return () => abortController.abort();
+  }, [fetchRates]);
+
+  // Counts change with every item write, so reload them on live changes
+  useEffect(() => {
+    const abortController = new AbortController();
+    const load = () => fetchCategories(abortController.signal)
+      .then(setCategories)
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error(err);
+      });
+
+    load();
+    const unsubscribe = subscribe(load);
+    return () => {
+      unsubscribe();
+      abortController.abort();
+    };
+  }, [fetchCategories, subscribe]);
 
   const handleSearch = (e) => {
     e.preventDefault();
     setSearch(searchInput);
+    setFilters({ ...filters, ...priceInput });
     setPage(1); // Reset to first page on new search
   };
 
+  // Category and sort changes apply immediately
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  const selectCategory = (category) => {
+    setSearchParams(category ? { category } : {});
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters(NO_FILTERS);
+    setSearchParams({});
+    setPriceInput({ minPrice: '', maxPrice: '' });
+    setPage(1);
+  };
+
+  const hasFilters = selectedCategory !== '' ||
+    filters.minPrice !== '' ||
+    filters.maxPrice !== '' ||
+    filters.sort !== '';
+
   const handlePageChange = (newPage) => {
     setPage(newPage);
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
   return (
-    <div>
-      <form onSubmit={handleSearch} style={{ marginBottom: '20px' }}>
-        <input
-          type="text"
-          value={searchInput}
-          onChange={(e) => setSearchInput(e.target.value)}
-          placeholder="Search items..."
-          style={{ padding: '8px', marginRight: '8px', width: '300px' }}
-        />
-        <button type="submit" style={{ padding: '8px 16px' }}>
-          Search
-        </button>
-        {search && (
-          <button
-            type="button"
-            onClick={() => {
-              setSearchInput('');
-              setSearch('');
-              setPage(1);
-            }}
-            style={{ padding: '8px 16px', marginLeft: '8px' }}
-          >
-            Clear
+    <div style={{ display: 'flex', gap: '24px' }}>
+      <CategorySidebar categories={categories} selected={selectedCategory} onSelect={selectCategory} />
+      <div style={{ flexGrow: 1 }}>
+        <form onSubmit={handleSearch} style={{ marginBottom: '20px' }}>
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search items..."
+            style={{ padding: '8px', marginRight: '8px', width: '300px' }}
+          />
+          <input
+            type="number"
+            min="0"
+            value={priceInput.minPrice}
+            onChange={(e) => setPriceInput({ ...priceInput, minPrice: e.target.value })}
+            placeholder="Min price"
+            aria-label="Min price"
+            style={{ padding: '8px', marginRight: '8px', width: '100px' }}
+          />
+          <input
+            type="number"
+            min="0"
+            value={priceInput.maxPrice}
+            onChange={(e) => setPriceInput({ ...priceInput, maxPrice: e.target.value })}
+            placeholder="Max price"
+            aria-label="Max price"
+            style={{ padding: '8px', marginRight: '8px', width: '100px' }}
+          />
+          <button type="submit" style={{ padding: '8px 16px' }}>
+            Search
           </button>
+          {search && (
+            <button
+              type="button"
+              onClick={() => {
+                setSearchInput('');
+                setSearch('');
+                setPage(1);
+              }}
+              style={{ padding: '8px 16px', marginLeft: '8px' }}
+            >
+              Clear
+            </button>
+          )}
+        </form>
+
+        <div style={{ marginBottom: '20px', display: 'flex', gap: '16px', alignItems: 'center', flexWrap: 'wrap' }}>
+          <label>
+            Sort by{' '}
+            <select value={filters.sort} onChange={(e) => updateFilters({ sort: e.target.value })}>
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Show prices in{' '}
+            <select
+              value={currency}
+              onChange={(e) => {
+                setCurrency(e.target.value);
+                setPage(1);
+              }}
+            >
+              <option value="">Item currency</option>
+              {[rates.base, ...Object.keys(rates.rates).sort()].filter(Boolean).map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </label>
+          {hasFilters && (
+            <button type="button" onClick={clearFilters} style={{ padding: '4px 12px' }}>
+              Reset filters
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div role="alert" style={{ color: '#b00020', marginBottom: '20px' }}>
+            {error.message}
+            {error.details?.length > 0 && `: ${error.details.map(d => `${d.field} ${d.message}`).join('; ')}`}
+          </div>
         )}
-      </form>
-
-      {loading ? (
-        <p>Loading...</p>
-      ) : items.length === 0 ? (
-        <p>No items found{search && ` for "${search}"`}</p>
-      ) : (
-        <>
-          <List
-            height={400}
-            itemCount={items.length}
-            itemSize={40}
-            width="100%"
-          >
-            {({ index, style }) => (
-              <div style={style}>
-                <Link 
-                  to={'/items/' + items[index].id}
-                  style={{ 
-                    display: 'block', 
-                    padding: '8px',
-                    textDecoration: 'none',
-                    color: 'inherit',
-                    borderBottom: '1px solid #eee'
-                  }}
+
+        {loading ? (
+          <p>Loading...</p>
+        ) : error ? null : items.length === 0 ? (
+          <p>No items found{search && ` for "${search}"`}</p>
+        ) : (
+          <>
+            <List
+              height={400}
+              itemCount={items.length}
+              itemSize={40}
+              width="100%"
+            >
+              {({ index, style }) => (
+                <div style={style}>
+                  <Link 
+                    to={'/items/' + items[index].id}
+                    style={{ 
+                      display: 'flex', 
+                      justifyContent: 'space-between',
+                      padding: '8px',
+                      textDecoration: 'none',
+                      color: 'inherit',
+                      borderBottom: '1px solid #eee'
+                    }}
+                  >
+                    <span style={{ display: 'flex', alignItems: 'center' }}>
+                      <Thumbnail item={items[index]} />
+                      <Highlight text={items[index].name} ranges={items[index].search?.highlights?.name} />
+                    </span>
+                    <span>
+                      <Price item={items[index]} currency={items[index].currency || rates.base} />
+                      <AvailabilityBadge item={items[index]} />
+                    </span>
+                  </Link>
+                </div>
+              )}
+            </List>
+
+            {pagination && (
+              <div style={{ marginTop: '20px', display: 'flex', gap: '10px', alignItems: 'center' }}>
+                <button
+                  onClick={() => handlePageChange(page - 1)}
+                  disabled={!pagination.hasPrev}
+                  style={{ padding: '8px 16px' }}
                 >
-                  {items[index].name}
-                </Link>
+                  Previous
+                </button>
+                <span>
+                  Page {pagination.page} of {pagination.totalPages} ({pagination.total} items)
+                </span>
+                <button
+                  onClick={() => handlePageChange(page + 1)}
+                  disabled={!pagination.hasNext}
+                  style={{ padding: '8px 16px' }}
+                >
+                  Next
+                </button>
               </div>
             )}
-          </List>
-
-          {pagination && (
-            <div style={{ marginTop: '20px', display: 'flex', gap: '10px', alignItems: 'center' }}>
-              <button
-                onClick={() => handlePageChange(page - 1)}
-                disabled={!pagination.hasPrev}
-                style={{ padding: '8px 16px' }}
-              >
-                Previous
-              </button>
-              <span>
-                Page {pagination.page} of {pagination.totalPages} ({pagination.total} items)
-              </span>
-              <button
-                onClick={() => handlePageChange(page + 1)}
-                disabled={!pagination.hasNext}
-                style={{ padding: '8px 16px' }}
-              >
-                Next
-              </button>
-            </div>
-          )}
-        </>
-      )}
+          </>
+        )}
+      </div>
     </div>
   );
 }
@@ -4,13 +4,23 @@ import { BrowserRouter } from 'react-router-dom';
 import Items from './Items';
 import { DataProvider } from '../state/DataContext';
 
-// Mock fetch
+const mockCategories = [
+  { id: 1, name: 'Electronics', parentId: null, itemCount: 3, totalItemCount: 3 },
+  { id: 2, name: 'Furniture', parentId: null, itemCount: 0, totalItemCount: 1 },
+  { id: 5, name: 'Desks', parentId: 2, itemCount: 1, totalItemCount: 1 }
+];
+
+const mockRates = { base: 'USD', rates: { EUR: 0.5 } };
+
+// Item requests. Category and rate requests are answered separately (see
+// beforeEach), so the responses queued below stay in request order.
 global.fetch = jest.fn();
+const mockFetch = jest.fn();
 
 const mockItems = [
-  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
-  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
-  { id: 3, name: 'Ultra-Wide Monitor', category: 'Electronics', price: 999 }
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499, stock: 12, reorderThreshold: 5 },
+  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399, stock: 3, reorderThreshold: 5 },
+  { id: 3, name: 'Ultra-Wide Monitor', category: 'Electronics', price: 999, stock: 0, reorderThreshold: 5 }
 ];
 
 const mockPagination = {
@@ -34,8 +44,17 @@ const renderWithRouter = (component) => {
 
 describe('Items Component', () => {
   beforeEach(() => {
-    fetch.mockClear();
-    fetch.mockResolvedValue({
+    fetch.mockImplementation((url, options) => {
+      if (url.includes('/categories')) {
+        return Promise.resolve({ ok: true, status: 200, json: async () => ({ categories: mockCategories }) });
+      }
+      if (url.includes('/rates')) {
+        return Promise.resolve({ ok: true, status: 200, json: async () => mockRates });
+      }
+      return mockFetch(url, options);
+    });
+    mockFetch.mockClear();
+    mockFetch.mockResolvedValue({
       ok: true,
       json: async () => ({
         items: mockItems,
@@ -45,7 +64,7 @@ describe('Items Component', () => {
   });
 
   it('should render loading state initially', async () => {
-    fetch.mockImplementation(() => new Promise(() => {})); // Never resolves
+    mockFetch.mockImplementation(() => new Promise(() => {})); // Never resolves
     
     renderWithRouter(<Items />);
     
@@ -84,7 +103,7 @@ describe('Items Component', () => {
     const searchButton = screen.getByText('Search');
 
     // Mock filtered results
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: [{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }],
@@ -96,13 +115,30 @@ describe('Items Component', () => {
     fireEvent.click(searchButton);
 
     await waitFor(() => {
-      expect(fetch).toHaveBeenCalledWith(
+      expect(mockFetch).toHaveBeenCalledWith(
         expect.stringContaining('q=laptop'),
         expect.any(Object)
       );
     });
   });
 
+  it('should highlight matched parts of item names', async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        items: [{ ...mockItems[1], search: { score: 2.1, highlights: { name: [[17, 23]] } } }],
+        pagination: { ...mockPagination, total: 1 }
+      })
+    });
+
+    renderWithRouter(<Items />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Headph').tagName).toBe('MARK');
+    });
+    expect(screen.getByRole('link')).toHaveTextContent('Noise Cancelling Headphones');
+  });
+
   it('should show clear button when search is active', async () => {
     renderWithRouter(<Items />);
 
@@ -113,7 +149,7 @@ describe('Items Component', () => {
     const searchInput = screen.getByPlaceholderText('Search items...');
     const searchButton = screen.getByText('Search');
 
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: [{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }],
@@ -140,7 +176,7 @@ describe('Items Component', () => {
     const searchButton = screen.getByText('Search');
 
     // Set search
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: [{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }],
@@ -156,7 +192,7 @@ describe('Items Component', () => {
     });
 
     // Clear search
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: mockItems,
@@ -167,7 +203,7 @@ describe('Items Component', () => {
     fireEvent.click(screen.getByText('Clear'));
 
     await waitFor(() => {
-      expect(fetch).toHaveBeenCalledWith(
+      expect(mockFetch).toHaveBeenCalledWith(
         expect.stringContaining('page=1'),
         expect.any(Object)
       );
@@ -182,7 +218,7 @@ describe('Items Component', () => {
       hasPrev: false
     };
 
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: mockItems,
@@ -208,7 +244,7 @@ describe('Items Component', () => {
       hasPrev: false
     };
 
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: mockItems,
@@ -233,7 +269,7 @@ describe('Items Component', () => {
       hasPrev: true
     };
 
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: mockItems,
@@ -257,7 +293,7 @@ describe('Items Component', () => {
       hasPrev: false
     };
 
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: mockItems,
@@ -271,7 +307,7 @@ describe('Items Component', () => {
       expect(screen.getByText('Next')).toBeInTheDocument();
     });
 
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: mockItems,
@@ -282,7 +318,7 @@ describe('Items Component', () => {
     fireEvent.click(screen.getByText('Next'));
 
     await waitFor(() => {
-      expect(fetch).toHaveBeenCalledWith(
+      expect(mockFetch).toHaveBeenCalledWith(
         expect.stringContaining('page=2'),
         expect.any(Object)
       );
@@ -290,7 +326,7 @@ describe('Items Component', () => {
   });
 
   it('should display "No items found" when search returns empty', async () => {
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: [],
@@ -315,7 +351,7 @@ describe('Items Component', () => {
     const searchInput = screen.getByPlaceholderText('Search items...');
     const searchButton = screen.getByText('Search');
 
-    fetch.mockResolvedValueOnce({
+    mockFetch.mockResolvedValueOnce({
       ok: true,
       json: async () => ({
         items: [],
@@ -330,5 +366,130 @@ describe('Items Component', () => {
       expect(screen.getByText(/No items found for "nonexistent"/)).toBeInTheDocument();
     });
   });
-});
 
+  it('should filter by a category and its subcategories from the sidebar', async () => {
+    renderWithRouter(<Items />);
+
+    const furniture = await screen.findByRole('button', { name: 'Furniture (1)' });
+    expect(screen.getByRole('button', { name: 'Desks (1)' })).toBeInTheDocument();
+    fireEvent.click(furniture);
+
+    await waitFor(() => {
+      expect(mockFetch).toHaveBeenLastCalledWith(
+        expect.stringContaining('category=Furniture%2CDesks'),
+        expect.any(Object)
+      );
+    });
+    expect(furniture).toHaveAttribute('aria-current', 'true');
+    expect(window.location.search).toBe('?category=Furniture');
+    expect(screen.getByText('Reset filters')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Reset filters'));
+    expect(window.location.search).toBe('');
+  });
+
+  it('should apply sort and price range', async () => {
+    renderWithRouter(<Items />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Laptop Pro')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText(/Sort by/), { target: { value: '-price' } });
+    fireEvent.change(screen.getByLabelText('Min price'), { target: { value: '100' } });
+    fireEvent.change(screen.getByLabelText('Max price'), { target: { value: '1000' } });
+    fireEvent.click(screen.getByText('Search'));
+
+    await waitFor(() => {
+      expect(mockFetch).toHaveBeenLastCalledWith(
+        expect.stringMatching(/minPrice=100&maxPrice=1000&sort=-price/),
+        expect.any(Object)
+      );
+    });
+  });
+
+  it('should show whether each item is available', async () => {
+    renderWithRouter(<Items />);
+
+    expect(await screen.findByText('In stock')).toBeInTheDocument();
+    expect(screen.getByText('Low stock')).toBeInTheDocument();
+    expect(screen.getByText('Out of stock')).toBeInTheDocument();
+  });
+
+  it('should show a thumbnail of the first image of each item', async () => {
+    URL.createObjectURL = jest.fn(() => 'blob:thumbnail');
+    URL.revokeObjectURL = jest.fn();
+    const images = [{ id: 'a1', name: 'front.png' }, { id: 'b2', name: 'side.png' }];
+    mockFetch.mockImplementation(url => Promise.resolve(url.includes('/images/')
+      ? { ok: true, status: 200, blob: async () => new Blob(['webp']) }
+      : { ok: true, json: async () => ({ items: [{ ...mockItems[0], images }, mockItems[1]], pagination: mockPagination }) }));
+
+    renderWithRouter(<Items />);
+
+    // Thumbnails are decorative, with an empty alt text
+    expect(await screen.findByRole('img')).toHaveAttribute('src', 'blob:thumbnail');
+    expect(mockFetch).toHaveBeenCalledWith(expect.stringContaining('/items/1/images/a1/thumbnail'), expect.any(Object));
+  });
+
+  it('should format prices and show them in the chosen currency', async () => {
+    renderWithRouter(<Items />);
+
+    expect(await screen.findByText('$2,499.00')).toBeInTheDocument();
+
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        items: [{ ...mockItems[0], price: 1249.5, currency: 'EUR', convertedFrom: { price: 2499, currency: 'USD' } }],
+        pagination: { ...mockPagination, total: 1 }
+      })
+    });
+    await screen.findByRole('option', { name: 'EUR' });
+    fireEvent.change(screen.getByLabelText(/Show prices in/), { target: { value: 'EUR' } });
+
+    await waitFor(() => {
+      expect(mockFetch).toHaveBeenLastCalledWith(expect.stringContaining('currency=EUR'), expect.any(Object));
+    });
+    expect(await screen.findByText('€1,249.50')).toBeInTheDocument();
+  });
+
+  it('should strike through the regular price of discounted items', async () => {
+    const promotion = { id: 1, name: 'Spring sale', percentOff: 20, endsAt: '2030-04-01T00:00:00.000Z' };
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        items: [{ ...mockItems[0], effectivePrice: 1999.2, promotion }, mockItems[1]],
+        pagination: mockPagination
+      })
+    });
+
+    renderWithRouter(<Items />);
+
+    expect(await screen.findByText('$1,999.20')).toHaveAttribute('title', 'Spring sale');
+    expect(screen.getByText('$2,499.00').tagName).toBe('S');
+    expect(screen.getByText('$399.00').tagName).not.toBe('S');
+  });
+
+  it('should show server validation errors for filters', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockFetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      json: async () => ({
+        error: {
+          code: 'INVALID_QUERY',
+          message: 'Invalid query parameters',
+          details: [{ field: 'minPrice', message: 'must not be greater than maxPrice' }]
+        }
+      })
+    });
+
+    renderWithRouter(<Items />);
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('minPrice must not be greater than maxPrice');
+    });
+    expect(screen.queryByText(/No items found/)).not.toBeInTheDocument();
+
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useData } from '../state/DataContext';
+
+function Login() {
+  const [form, setForm] = useState({ username: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const { user, login } = useData();
+  const navigate = useNavigate();
+  const location = useLocation();
+  // Back to the page that sent us here
+  const from = location.state?.from || '/';
+
+  if (user) return <Navigate to={from} replace />;
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login(form.username, form.password);
+      navigate(from, { replace: true });
+    } catch (err) {
+      setError(err);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ padding: 16, maxWidth: 320 }}>
+      <h2>Log in</h2>
+      {error && <p role="alert" style={{ color: '#b00020' }}>{error.message}</p>}
+      <p>
+        <label>Username <input name="username" autoComplete="username" value={form.username} onChange={handleChange} /></label>
+      </p>
+      <p>
+        <label>Password <input name="password" type="password" autoComplete="current-password" value={form.password} onChange={handleChange} /></label>
+      </p>
+      <button type="submit" disabled={submitting || !form.username || !form.password} style={{ padding: '8px 16px' }}>
+        {submitting ? 'Logging in...' : 'Log in'}
+      </button>
+    </form>
+  );
+}
+
+export default Login;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import Login from './Login';
+import { DataProvider } from '../state/DataContext';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const renderLogin = () => render(
+  <MemoryRouter initialEntries={[{ pathname: '/login', state: { from: '/items/7' } }]}>
+    <DataProvider>
+      <Routes>
+        <Route path="/login" element={<Login />} />
+        <Route path="/items/:id" element={<p>Item page</p>} />
+      </Routes>
+    </DataProvider>
+  </MemoryRouter>
+);
+
+const fillIn = (username, password) => {
+  fireEvent.change(screen.getByLabelText('Username'), { target: { value: username } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: password } });
+  fireEvent.click(screen.getByRole('button', { name: 'Log in' }));
+};
+
+describe('Login Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should log in and return to the page that required it', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        token: 'abc',
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+        user: { id: 'user:alice', name: 'alice', role: 'viewer' }
+      })
+    });
+    renderLogin();
+
+    fillIn('alice', 'secret');
+
+    await waitFor(() => {
+      expect(screen.getByText('Item page')).toBeInTheDocument();
+    });
+    expect(fetch.mock.calls[0][0]).toContain('/auth/login');
+  });
+
+  it('should show the error for wrong credentials', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: { code: 'INVALID_CREDENTIALS', message: 'Invalid username or password' } })
+    });
+    renderLogin();
+
+    fillIn('alice', 'wrong');
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('Invalid username or password');
+    });
+    expect(screen.getByRole('button', { name: 'Log in' })).not.toBeDisabled();
+  });
+});
@@ -0,0 +1,87 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useData } from '../state/DataContext';
+import { formatPrice } from '../state/currency';
+
+// Deleted items that haven't been purged yet, with a way to bring them back
+function Trash() {
+  const [page, setPage] = useState(1);
+  const [trash, setTrash] = useState(null);
+  const [error, setError] = useState(null);
+  const { fetchTrash, restoreItem, subscribe, hasRole } = useData();
+
+  const load = useCallback((signal) => fetchTrash(signal, { page, limit: 10 })
+    .then((loaded) => {
+      setTrash(loaded);
+      setError(null);
+    })
+    .catch((err) => {
+      if (err.name !== 'AbortError') setError(err);
+    }), [fetchTrash, page]);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    load(abortController.signal);
+
+    // Items deleted or restored elsewhere change what's in the trash
+    const unsubscribe = subscribe(({ type }) => {
+      if (type !== 'item-updated' && type !== 'stats-changed') load();
+    });
+
+    return () => {
+      unsubscribe();
+      abortController.abort();
+    };
+  }, [load, subscribe]);
+
+  const handleRestore = async (item) => {
+    setError(null);
+    try {
+      await restoreItem(item.id);
+      setTrash(prev => ({ ...prev, items: prev.items.filter(i => i.id !== item.id) }));
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  if (!trash && !error) return <p style={{ padding: 16 }}>Loading...</p>;
+
+  return (
+    <div style={{ padding: 16 }}>
+      <h2>Trash</h2>
+      {error && <p role="alert" style={{ color: '#b00020' }}>{error.message}</p>}
+      {trash && trash.items.length === 0 && <p>The trash is empty.</p>}
+      {trash && trash.items.length > 0 && (
+        <ul style={{ listStyle: 'none', padding: 0 }}>
+          {trash.items.map(item => (
+            <li key={item.id} style={{ padding: '8px 0', borderBottom: '1px solid #eee' }}>
+              <strong>{item.name}</strong> ({item.category}, {formatPrice(item.price, item.currency)})
+              <br />
+              <small>
+                Deleted {new Date(item.deletedAt).toLocaleString()}
+                {item.deletedBy && ` by ${item.deletedBy}`}
+              </small>
+              {hasRole('editor') && (
+                <button type="button" onClick={() => handleRestore(item)} style={{ marginLeft: 12, padding: '4px 12px' }}>
+                  Restore
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {trash?.pagination && trash.pagination.totalPages > 1 && (
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+          <button onClick={() => setPage(page - 1)} disabled={!trash.pagination.hasPrev} style={{ padding: '8px 16px' }}>
+            Previous
+          </button>
+          <span>Page {trash.pagination.page} of {trash.pagination.totalPages}</span>
+          <button onClick={() => setPage(page + 1)} disabled={!trash.pagination.hasNext} style={{ padding: '8px 16px' }}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Trash;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Trash from './Trash';
+import { DataProvider } from '../state/DataContext';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: async () => body
+});
+
+const trashed = [
+  { id: 9, name: 'Old Lamp', category: 'Furniture', price: 20, deletedAt: '2024-01-02T00:00:00Z', deletedBy: 'user:carol' },
+  { id: 8, name: 'Old Desk', category: 'Furniture', price: 200, deletedAt: '2024-01-01T00:00:00Z' }
+];
+
+const logInAs = (role) => {
+  localStorage.setItem('session', JSON.stringify({
+    token: `${role}-token`,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    user: { id: `user:${role}`, name: role, role }
+  }));
+};
+
+const renderTrash = () => render(
+  <DataProvider>
+    <Trash />
+  </DataProvider>
+);
+
+describe('Trash Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockResolvedValueOnce(jsonResponse({
+      items: trashed,
+      pagination: { page: 1, limit: 10, total: 2, totalPages: 1, hasNext: false, hasPrev: false }
+    }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should list deleted items and restore one', async () => {
+    logInAs('editor');
+    renderTrash();
+
+    await waitFor(() => {
+      expect(screen.getByText('Old Lamp')).toBeInTheDocument();
+    });
+    expect(screen.getByText(/by user:carol/)).toBeInTheDocument();
+    expect(fetch.mock.calls[0][0]).toContain('/items/trash?page=1&limit=10');
+
+    fetch.mockResolvedValueOnce(jsonResponse({ id: 9, name: 'Old Lamp', category: 'Furniture', price: 20 }));
+    fireEvent.click(screen.getAllByText('Restore')[0]);
+
+    await waitFor(() => {
+      expect(screen.queryByText('Old Lamp')).not.toBeInTheDocument();
+    });
+    expect(fetch.mock.calls[1][0]).toContain('/items/9/restore');
+    expect(fetch.mock.calls[1][1].method).toBe('POST');
+  });
+
+  it('should not offer restore to viewers', async () => {
+    logInAs('viewer');
+    renderTrash();
+
+    await waitFor(() => {
+      expect(screen.getByText('Old Desk')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('Restore')).not.toBeInTheDocument();
+  });
+});
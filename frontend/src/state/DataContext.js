@@ -1,41 +1,403 @@
-import React, { createContext, useCallback, useContext, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 
 const DataContext = createContext();
 
+export const API_URL = 'http://localhost:3001/api';
+
+// Parses a JSON API response, throwing the server's error envelope on failure
+async function parseResponse(res) {
+  if (res.status === 204) return null;
+  const json = await res.json().catch(() => null);
+  if (!res.ok) {
+    const err = new Error(json?.error?.message || `Request failed with status ${res.status}`);
+    err.status = res.status;
+    err.details = json?.error?.details || [];
+    throw err;
+  }
+  return json;
+}
+
+// Keep the ETag a response was sent with, keyed by item id
+function rememberEtag(etags, id, res) {
+  const etag = res.headers?.get('ETag');
+  if (etag) etags.set(String(id), etag);
+}
+
+// If-Match header for writing the item with `id`, when its ETag is known
+function ifMatch(etags, id) {
+  const etag = etags.get(String(id));
+  return etag ? { 'If-Match': etag } : {};
+}
+
+// The login session ({ token, expiresAt, user }) survives page reloads here
+const SESSION_KEY = 'session';
+// Roles in increasing order of privilege, as on the server
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// The stored session, unless it is missing, corrupt or expired
+function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (session?.token && new Date(session.expiresAt) > new Date()) return session;
+  } catch (err) {
+    // Fall through and start logged out
+  }
+  return null;
+}
+
+// Events of the server's live change feed (GET /api/items/events)
+const ITEM_EVENTS = ['item-created', 'item-updated', 'item-deleted', 'items-reset', 'stats-changed'];
+// Bursts of changes (e.g. an import) trigger a single list refresh
+const REFRESH_DELAY = 200;
+
 export function DataProvider({ children }) {
+  const [session, setSession] = useState(loadSession);
+  // Read by the request helpers, so they stay the same across logins
+  const token = useRef(session?.token || null);
   const [items, setItems] = useState([]);
   const [pagination, setPagination] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Options of the last list request, so live changes can re-run it
+  const lastQuery = useRef(null);
+  // Only the newest list request may update state
+  const requestSeq = useRef(0);
+  const listeners = useRef(new Set());
+  // ETags of items loaded with fetchItem, sent back as If-Match on writes so
+  // a concurrent edit fails with 412 instead of being overwritten
+  const etags = useRef(new Map());
+
+  const saveSession = useCallback((next) => {
+    token.current = next?.token || null;
+    if (next) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+      etags.current.clear();
+    }
+    setSession(next);
+  }, []);
+
+  // fetch() against the API with the session's token. A 401 means the token
+  // expired or was revoked, so the session ends and the login page takes over.
+  const apiFetch = useCallback(async (path, options = {}) => {
+    const headers = { ...options.headers };
+    if (token.current) headers.Authorization = `Bearer ${token.current}`;
+    const res = await fetch(`${API_URL}${path}`, { ...options, headers });
+    if (res.status === 401 && token.current) saveSession(null);
+    return res;
+  }, [saveSession]);
+
+  const login = useCallback(async (username, password) => {
+    const res = await fetch(`${API_URL}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const next = await parseResponse(res);
+    saveSession(next);
+    return next.user;
+  }, [saveSession]);
+
+  const logout = useCallback(() => saveSession(null), [saveSession]);
+
+  // Whether the logged-in user has `role` or a higher one
+  const hasRole = useCallback(
+    role => Boolean(session) && ROLES.indexOf(session.user.role) >= ROLES.indexOf(role),
+    [session]
+  );
+
+  // End the session when the token expires, rather than on the next 401
+  useEffect(() => {
+    if (!session) return undefined;
+    const timer = setTimeout(logout, Math.min(new Date(session.expiresAt) - Date.now(), 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [session, logout]);
 
-  const fetchItems = useCallback(async (signal, { page = 1, limit = 10, search = '' } = {}) => {
-    setLoading(true);
+  const fetchItems = useCallback(async (signal, options = {}) => {
+    const {
+      page = 1,
+      limit = 10,
+      search = '',
+      categories = [],
+      minPrice = '',
+      maxPrice = '',
+      sort = '',
+      // Prices converted to this currency ('' for as stored)
+      currency = '',
+      cursor,
+      append = false,
+      // Refresh without the loading state, keeping the list on errors
+      background = false
+    } = options;
+    const seq = ++requestSeq.current;
+    const isStale = () => signal?.aborted || seq !== requestSeq.current;
+    lastQuery.current = options;
+    if (!background) {
+      setLoading(true);
+      setError(null);
+    }
     try {
-      const params = new URLSearchParams({
-        page: page.toString(),
-        limit: limit.toString()
-      });
+      // Cursor mode when a cursor is given ('' for the first page), which
+      // stays stable while items are added; page/offset mode otherwise
+      const params = new URLSearchParams(
+        cursor === undefined
+          ? { page: page.toString(), limit: limit.toString() }
+          : { cursor, limit: limit.toString() }
+      );
       if (search) {
         params.append('q', search);
       }
+      if (categories.length > 0) {
+        params.append('category', categories.join(','));
+      }
+      if (minPrice !== '') {
+        params.append('minPrice', minPrice.toString());
+      }
+      if (maxPrice !== '') {
+        params.append('maxPrice', maxPrice.toString());
+      }
+      if (sort) {
+        params.append('sort', sort);
+      }
+      if (currency) {
+        params.append('currency', currency);
+      }
 
-      const res = await fetch(`http://localhost:3001/api/items?${params}`, { signal });
-      if (signal?.aborted) return;
-      const json = await res.json();
-      if (signal?.aborted) return;
-      
-      setItems(json.items || []);
+      const res = await apiFetch(`/items?${params}`, { signal });
+      if (isStale()) return;
+      const json = await parseResponse(res);
+      if (isStale()) return;
+
+      // `append` adds the page to the loaded items, e.g. for infinite scroll
+      setItems(prev => (append ? [...prev, ...(json.items || [])] : json.items || []));
       setPagination(json.pagination || null);
     } catch (err) {
-      if (err.name !== 'AbortError') {
+      if (err.name !== 'AbortError' && !isStale()) {
         console.error(err);
+        if (!background) {
+          setItems([]);
+          setPagination(null);
+          setError(err);
+        }
       }
     } finally {
-      setLoading(false);
+      if (!background) setLoading(false);
     }
+  }, [apiFetch]);
+
+  // Listen to live changes: listener({ type, item }). Returns an unsubscribe
+  // function.
+  const subscribe = useCallback((listener) => {
+    listeners.current.add(listener);
+    return () => listeners.current.delete(listener);
   }, []);
 
+  // Keep the loaded list in sync with changes made by anyone. Only while
+  // logged in: without a session the server answers 401 and the browser
+  // would keep reconnecting. Logging out closes the stream.
+  useEffect(() => {
+    if (typeof EventSource === 'undefined' || !session) return undefined;
+
+    // EventSource can't send headers, so the token goes in the query string
+    const query = new URLSearchParams({ access_token: session.token });
+    const source = new EventSource(`${API_URL}/items/events?${query}`);
+    let refreshTimer = null;
+
+    const refresh = () => {
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => {
+        // Appended (cursor) lists can't be re-fetched in one request
+        if (lastQuery.current && !lastQuery.current.append) {
+          fetchItems(undefined, { ...lastQuery.current, background: true });
+        }
+      }, REFRESH_DELAY);
+    };
+
+    const handleEvent = (e) => {
+      const data = JSON.parse(e.data || '{}');
+      const change = { type: e.type, item: data.item };
+      // Events carry the stored item, so converted lists wait for the
+      // refresh. Others show it as stored until then: merging it into the
+      // loaded entry would keep a sale price worked out for the old price.
+      if (e.type === 'item-updated' && !lastQuery.current?.currency) {
+        setItems(prev => prev.map(item => (item.id === data.item.id ? data.item : item)));
+      } else if (e.type === 'item-deleted') {
+        setItems(prev => prev.filter(item => item.id !== data.item.id));
+      }
+      // Membership, order and totals may all have changed
+      if (e.type !== 'stats-changed') refresh();
+      listeners.current.forEach(listener => listener(change));
+    };
+
+    ITEM_EVENTS.forEach(type => source.addEventListener(type, handleEvent));
+    return () => {
+      clearTimeout(refreshTimer);
+      source.close();
+    };
+  }, [fetchItems, session]);
+
+  // Put a saved item into the loaded list. Saves return stored prices, so a
+  // list in another currency waits for the change feed's refresh instead.
+  const replaceItem = useCallback((saved) => {
+    if (!lastQuery.current?.currency) {
+      setItems(prev => prev.map(item => (item.id === saved.id ? saved : item)));
+    }
+  }, []);
+
+  const fetchItem = useCallback(async (id, signal) => {
+    const res = await apiFetch(`/items/${id}`, { signal });
+    const item = await parseResponse(res);
+    rememberEtag(etags.current, id, res);
+    return item;
+  }, [apiFetch]);
+
+  // Saves the given fields and keeps the loaded list in sync
+  const updateItem = useCallback(async (id, changes) => {
+    const res = await apiFetch(`/items/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', ...ifMatch(etags.current, id) },
+      body: JSON.stringify(changes)
+    });
+    const updated = await parseResponse(res);
+    rememberEtag(etags.current, id, res);
+    replaceItem(updated);
+    return updated;
+  }, [apiFetch, replaceItem]);
+
+  const deleteItem = useCallback(async (id) => {
+    const res = await apiFetch(`/items/${id}`, { method: 'DELETE', headers: ifMatch(etags.current, id) });
+    await parseResponse(res);
+    etags.current.delete(String(id));
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, [apiFetch]);
+
+  // A page of deleted items, most recently deleted first
+  const fetchTrash = useCallback(async (signal, { page = 1, limit = 10 } = {}) => {
+    const params = new URLSearchParams({ page: page.toString(), limit: limit.toString() });
+    const res = await apiFetch(`/items/trash?${params}`, { signal });
+    return parseResponse(res);
+  }, [apiFetch]);
+
+  // Takes an item out of the trash. The list picks it up from the change feed.
+  const restoreItem = useCallback(async (id) => {
+    const res = await apiFetch(`/items/${id}/restore`, { method: 'POST' });
+    const restored = await parseResponse(res);
+    rememberEtag(etags.current, id, res);
+    return restored;
+  }, [apiFetch]);
+
+  // All categories with their item counts, sorted by name
+  const fetchCategories = useCallback(async (signal) => {
+    const res = await apiFetch('/categories', { signal });
+    const json = await parseResponse(res);
+    return json.categories;
+  }, [apiFetch]);
+
+  // The exchange rates: { base, rates: { EUR: 0.92, ... } }
+  const fetchRates = useCallback(async (signal) => {
+    const res = await apiFetch('/rates', { signal });
+    return parseResponse(res);
+  }, [apiFetch]);
+
+  // Stock levels of an item with its ledger, newest first
+  const fetchStock = useCallback(async (id, signal) => {
+    const res = await apiFetch(`/items/${id}/stock`, { signal });
+    return parseResponse(res);
+  }, [apiFetch]);
+
+  // Records a stock change ({ delta, reason, note? }); resolves to the new levels
+  const adjustStock = useCallback(async (id, adjustment) => {
+    const res = await apiFetch(`/items/${id}/stock`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(adjustment)
+    });
+    return parseResponse(res);
+  }, [apiFetch]);
+
+  // An image of an item as a Blob, or its thumbnail with variant 'thumbnail'.
+  // Fetched rather than linked so the request carries the session's token.
+  const fetchImage = useCallback(async (id, imageId, { variant, signal } = {}) => {
+    const res = await apiFetch(`/items/${id}/images/${imageId}${variant ? `/${variant}` : ''}`, { signal });
+    if (!res.ok) await parseResponse(res);
+    return res.blob();
+  }, [apiFetch]);
+
+  // Adds image files to the end of an item's gallery; resolves to the gallery
+  const uploadImages = useCallback(async (id, files) => {
+    const body = new FormData();
+    files.forEach(file => body.append('images', file));
+    const res = await apiFetch(`/items/${id}/images`, { method: 'POST', body });
+    const json = await parseResponse(res);
+    return json.images;
+  }, [apiFetch]);
+
+  // Puts an item's images in the order of `imageIds`; resolves to the gallery
+  const reorderImages = useCallback(async (id, imageIds) => {
+    const res = await apiFetch(`/items/${id}/images/order`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: imageIds })
+    });
+    const json = await parseResponse(res);
+    return json.images;
+  }, [apiFetch]);
+
+  const deleteImage = useCallback(async (id, imageId) => {
+    const res = await apiFetch(`/items/${id}/images/${imageId}`, { method: 'DELETE' });
+    await parseResponse(res);
+  }, [apiFetch]);
+
+  // Audit entries of an item, newest first
+  const fetchHistory = useCallback(async (id, signal) => {
+    const res = await apiFetch(`/items/${id}/history`, { signal });
+    const json = await parseResponse(res);
+    return json.entries;
+  }, [apiFetch]);
+
+  // Puts the item back as it was at `version` of its history
+  const restoreVersion = useCallback(async (id, version) => {
+    const res = await apiFetch(`/items/${id}/versions/${version}/restore`, {
+      method: 'POST',
+      headers: ifMatch(etags.current, id)
+    });
+    const restored = await parseResponse(res);
+    rememberEtag(etags.current, id, res);
+    replaceItem(restored);
+    return restored;
+  }, [apiFetch, replaceItem]);
+
   return (
-    <DataContext.Provider value={{ items, pagination, loading, fetchItems }}>
+    <DataContext.Provider
+      value={{
+        items,
+        pagination,
+        loading,
+        error,
+        fetchItems,
+        fetchItem,
+        updateItem,
+        deleteItem,
+        fetchHistory,
+        restoreVersion,
+        fetchTrash,
+        restoreItem,
+        fetchCategories,
+        fetchRates,
+        fetchStock,
+        adjustStock,
+        fetchImage,
+        uploadImages,
+        reorderImages,
+        deleteImage,
+        subscribe,
+        user: session?.user || null,
+        login,
+        logout,
+        hasRole
+      }}
+    >
       {children}
     </DataContext.Provider>
   );
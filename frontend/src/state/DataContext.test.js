@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent, act } from '@testing-library/react';
 import { DataProvider, useData } from './DataContext';
 
 // Mock fetch
@@ -226,5 +226,260 @@ describe('DataContext', () => {
       expect(screen.getByTestId('items-count')).toHaveTextContent('0');
     });
   });
-});
 
+  it('should use cursor mode and append pages when asked to', async () => {
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          items: [{ id: 1, name: 'Item 1', category: 'Test', price: 100 }],
+          pagination: { mode: 'cursor', limit: 1, hasNext: true, nextCursor: 'abc' }
+        })
+      })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          items: [{ id: 2, name: 'Item 2', category: 'Test', price: 200 }],
+          pagination: { mode: 'cursor', limit: 1, hasNext: false, nextCursor: null }
+        })
+      });
+
+    const CursorTestComponent = () => {
+      const { items, pagination, fetchItems } = useData();
+
+      React.useEffect(() => {
+        fetchItems(undefined, { cursor: '', limit: 1 });
+      }, [fetchItems]);
+
+      return (
+        <div>
+          <div data-testid="names">{items.map(i => i.name).join(',')}</div>
+          {pagination?.nextCursor && (
+            <button onClick={() => fetchItems(undefined, { cursor: pagination.nextCursor, limit: 1, append: true })}>
+              More
+            </button>
+          )}
+        </div>
+      );
+    };
+
+    render(
+      <DataProvider>
+        <CursorTestComponent />
+      </DataProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('names')).toHaveTextContent('Item 1');
+    });
+    expect(fetch.mock.calls[0][0]).toContain('cursor=&limit=1');
+    expect(fetch.mock.calls[0][0]).not.toContain('page=');
+
+    fireEvent.click(screen.getByText('More'));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('names')).toHaveTextContent('Item 1,Item 2');
+    });
+    expect(fetch.mock.calls[1][0]).toContain('cursor=abc');
+  });
+
+  it('should apply live changes from the event stream and refresh the list', async () => {
+    localStorage.setItem('session', JSON.stringify({
+      token: 'abc',
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+      user: { id: 'user:bob', name: 'bob', role: 'viewer' }
+    }));
+    const sources = [];
+    global.EventSource = class {
+      constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        sources.push(this);
+      }
+      addEventListener(type, listener) {
+        this.listeners[type] = listener;
+      }
+      close() {
+        this.closed = true;
+      }
+      emit(type, data) {
+        this.listeners[type]({ type, data: JSON.stringify(data) });
+      }
+    };
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        items: [{ id: 1, name: 'Item 1', category: 'Test', price: 100, effectivePrice: 80, promotion: { id: 1, name: 'Sale' } }],
+        pagination: null
+      })
+    });
+
+    const LiveTestComponent = () => {
+      const { items, fetchItems } = useData();
+      React.useEffect(() => {
+        fetchItems(undefined, { page: 1, limit: 10, search: 'item' });
+      }, [fetchItems]);
+      return (
+        <>
+          <div data-testid="names">{items.map(i => i.name).join(',')}</div>
+          <div data-testid="prices">{items.map(i => i.effectivePrice ?? i.price).join(',')}</div>
+        </>
+      );
+    };
+
+    const { unmount } = render(
+      <DataProvider>
+        <LiveTestComponent />
+      </DataProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('names')).toHaveTextContent('Item 1');
+    });
+    expect(sources[0].url).toContain('/items/events?access_token=abc');
+
+    act(() => {
+      sources[0].emit('item-updated', { item: { id: 1, name: 'Renamed', category: 'Test', price: 60 } });
+    });
+    expect(screen.getByTestId('names')).toHaveTextContent('Renamed');
+    // The sale price was for the old price; the refresh brings the new one
+    expect(screen.getByTestId('prices')).toHaveTextContent('60');
+
+    // The same query is re-run in the background
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+    expect(fetch.mock.calls[1][0]).toContain('q=item');
+
+    unmount();
+    expect(sources[0].closed).toBe(true);
+    delete global.EventSource;
+    localStorage.clear();
+  });
+
+  it('should only listen to the event stream while logged in', async () => {
+    const sources = [];
+    global.EventSource = class {
+      constructor(url) {
+        this.url = url;
+        sources.push(this);
+      }
+      addEventListener() {}
+      close() {
+        this.closed = true;
+      }
+    };
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        token: 'abc',
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+        user: { id: 'user:bob', name: 'bob', role: 'viewer' }
+      })
+    });
+    const SessionTestComponent = () => {
+      const { login, logout } = useData();
+      return (
+        <>
+          <button onClick={() => login('bob', 'secret')}>Log in</button>
+          <button onClick={logout}>Log out</button>
+        </>
+      );
+    };
+
+    render(<DataProvider><SessionTestComponent /></DataProvider>);
+    expect(sources).toHaveLength(0);
+
+    fireEvent.click(screen.getByText('Log in'));
+    await waitFor(() => expect(sources).toHaveLength(1));
+    fireEvent.click(screen.getByText('Log out'));
+
+    expect(sources[0].closed).toBe(true);
+    expect(sources).toHaveLength(1);
+    delete global.EventSource;
+    localStorage.clear();
+  });
+
+  describe('authentication', () => {
+    const AuthTestComponent = () => {
+      const { user, login, logout, hasRole, fetchItems } = useData();
+      return (
+        <div>
+          <div data-testid="user">{user ? `${user.name}:${user.role}` : 'anonymous'}</div>
+          <div data-testid="can-delete">{String(hasRole('admin'))}</div>
+          <button onClick={() => login('alice', 'secret')}>Log in</button>
+          <button onClick={logout}>Log out</button>
+          <button onClick={() => fetchItems(undefined, {})}>Load</button>
+        </div>
+      );
+    };
+
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('should log in, keep the session and attach the token to requests', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          token: 'abc',
+          expiresAt: new Date(Date.now() + 60000).toISOString(),
+          user: { id: 'user:alice', name: 'alice', role: 'editor' }
+        })
+      });
+      render(<DataProvider><AuthTestComponent /></DataProvider>);
+
+      fireEvent.click(screen.getByText('Log in'));
+      await waitFor(() => {
+        expect(screen.getByTestId('user')).toHaveTextContent('alice:editor');
+      });
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ username: 'alice', password: 'secret' });
+      expect(JSON.parse(localStorage.getItem('session')).token).toBe('abc');
+      expect(screen.getByTestId('can-delete')).toHaveTextContent('false');
+
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ items: [], pagination: null }) });
+      fireEvent.click(screen.getByText('Load'));
+      await waitFor(() => {
+        expect(fetch).toHaveBeenCalledTimes(2);
+      });
+      expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer abc');
+
+      fireEvent.click(screen.getByText('Log out'));
+      expect(screen.getByTestId('user')).toHaveTextContent('anonymous');
+      expect(localStorage.getItem('session')).toBeNull();
+    });
+
+    it('should end the session when the API answers 401', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      localStorage.setItem('session', JSON.stringify({
+        token: 'revoked',
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+        user: { id: 'user:bob', name: 'bob', role: 'admin' }
+      }));
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        json: async () => ({ error: { code: 'INVALID_TOKEN', message: 'Token expired' } })
+      });
+      render(<DataProvider><AuthTestComponent /></DataProvider>);
+      expect(screen.getByTestId('user')).toHaveTextContent('bob:admin');
+
+      fireEvent.click(screen.getByText('Load'));
+      await waitFor(() => {
+        expect(screen.getByTestId('user')).toHaveTextContent('anonymous');
+      });
+      console.error.mockRestore();
+    });
+
+    it('should ignore an expired stored session', () => {
+      localStorage.setItem('session', JSON.stringify({
+        token: 'old',
+        expiresAt: new Date(Date.now() - 1000).toISOString(),
+        user: { id: 'user:bob', name: 'bob', role: 'admin' }
+      }));
+      render(<DataProvider><AuthTestComponent /></DataProvider>);
+
+      expect(screen.getByTestId('user')).toHaveTextContent('anonymous');
+    });
+  });
+});
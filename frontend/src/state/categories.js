@@ -0,0 +1,27 @@
+// Helpers for the category list returned by GET /api/categories, where each
+// category is { id, name, parentId, itemCount, totalItemCount }
+
+// The category called `name` and its ancestors, root first ([] if unknown)
+export function categoryPath(categories, name) {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const path = [];
+  let category = categories.find(c => c.name === name);
+  while (category) {
+    path.unshift(category);
+    category = byId.get(category.parentId);
+  }
+  return path;
+}
+
+// Names of the category called `name` and all of its subcategories, so
+// filtering by a parent also finds the items filed under its children
+export function subtreeNames(categories, name) {
+  const names = [name];
+  for (let i = 0; i < names.length; i++) {
+    const parent = categories.find(c => c.name === names[i]);
+    if (parent) {
+      categories.filter(c => c.parentId === parent.id).forEach(child => names.push(child.name));
+    }
+  }
+  return names;
+}
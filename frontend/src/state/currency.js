@@ -0,0 +1,14 @@
+// Price formatting for the user's locale
+
+const formats = new Map();
+
+// `amount` in `currency` (e.g. "$1,999.00" or "1.999,00 €"), or as a plain
+// number when the currency isn't known
+export function formatPrice(amount, currency) {
+  if (amount === null || amount === undefined) return '—';
+  if (!currency) return amount.toLocaleString();
+  if (!formats.has(currency)) {
+    formats.set(currency, new Intl.NumberFormat(undefined, { style: 'currency', currency }));
+  }
+  return formats.get(currency).format(amount);
+}
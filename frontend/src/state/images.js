@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { useData } from './DataContext';
+
+// File types the server accepts for item images
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Object URL of `image` of the item with `itemId` (or of its thumbnail with
+// variant 'thumbnail'), or null while it loads. Image requests need the
+// session's token, so an <img src> can't point at the API directly.
+export function useImageUrl(itemId, image, variant) {
+  const { fetchImage } = useData();
+  const [url, setUrl] = useState(null);
+  const imageId = image?.id;
+
+  useEffect(() => {
+    if (!imageId) return undefined;
+    const abortController = new AbortController();
+    let objectUrl = null;
+    fetchImage(itemId, imageId, { variant, signal: abortController.signal })
+      .then((blob) => {
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error(err);
+      });
+    return () => {
+      abortController.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setUrl(null);
+    };
+  }, [itemId, imageId, variant, fetchImage]);
+
+  return url;
+}
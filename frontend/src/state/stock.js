@@ -0,0 +1,16 @@
+// Stock status of an item, matching the server's `availability` filter:
+// out of stock with none on hand, low at or below the reorder threshold
+export function stockStatus(item) {
+  const stock = item.stock ?? 0;
+  if (stock <= 0) return 'out_of_stock';
+  return stock <= (item.reorderThreshold ?? 0) ? 'low_stock' : 'in_stock';
+}
+
+export const STOCK_STATUS_LABELS = {
+  in_stock: 'In stock',
+  low_stock: 'Low stock',
+  out_of_stock: 'Out of stock'
+};
+
+// Why stock changed, as recorded in the ledger
+export const STOCK_REASONS = ['received', 'sold', 'returned', 'damaged', 'correction'];